@@ -13,6 +13,8 @@ const authRoutes = require('./routes/auth.routes');
 const personalProfileRoutes = require('./routes/personalProfile.routes');
 const businessProfileRoutes = require('./routes/businessProfile.routes');
 const socialMediaLinkRoutes = require('./routes/socialMediaLink.routes');
+const linkHealthRoutes = require('./routes/linkHealth.routes');
+const webhookEndpointRoutes = require('./routes/webhookEndpoint.routes');
 const paymentRoutes = require('./routes/payment.routes');
 const subscriptionRoutes = require('./routes/subscription.routes');
 const webhookRoutes = require('./routes/webhook.routes');
@@ -27,6 +29,8 @@ const formSubmissionRoutes = require('./routes/formSubmission.routes');
 const communityRoutes = require('./routes/community.routes');
 const supportRoutes = require('./routes/support.routes');
 const industryRoutes = require('./routes/industry.routes');
+const adminRoutes = require('./routes/admin.routes');
+const publicPageRoutes = require('./routes/publicPage.routes');
 const swaggerSpec = require('./docs/swagger');
 const errorHandler = require('./middleware/error-handler.mw.js');
 
@@ -35,6 +39,14 @@ require('./config/passport');
 
 const app = express();
 
+// Behind Vercel's proxy the client address is in X-Forwarded-For; TRUST_PROXY is the number of
+// proxy hops to trust (or an Express trust proxy value such as "loopback"). Elsewhere the header
+// is not trusted unless TRUST_PROXY is set, since any client could write it.
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL === '1' ? '1' : null);
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Webhook routes (must be before express.json() middleware for raw body parsing)
 app.use('/api/webhooks', webhookRoutes);
 
@@ -83,6 +95,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/profile/personal', personalProfileRoutes);
 app.use('/api/profile/business', businessProfileRoutes);
 app.use('/api/social-media', socialMediaLinkRoutes);
+app.use('/api/link-health', linkHealthRoutes);
+app.use('/api/integrations/webhooks', webhookEndpointRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/explore', exploreRoutes);
@@ -96,6 +110,8 @@ app.use('/api/forms', formSubmissionRoutes);
 app.use('/api/community', communityRoutes);
 app.use('/api/support', supportRoutes);
 app.use('/api/industries', industryRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/p', publicPageRoutes);
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.get('/', (req, res) => {
@@ -54,10 +54,11 @@ passport.use(
 const jwtOptions = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
   secretOrKey: process.env.JWT_SECRET,
+  passReqToCallback: true,
 };
 
 passport.use(
-  new JwtStrategy(jwtOptions, async (jwtPayload, done) => {
+  new JwtStrategy(jwtOptions, async (req, jwtPayload, done) => {
     try {
       // Find the user by ID
       const user = await User.findById(jwtPayload.id);
@@ -66,6 +67,9 @@ passport.use(
         return done(null, false);
       }
 
+      // Session (refresh token family) the access token was issued for
+      req.sessionId = jwtPayload.sid;
+
       return done(null, user);
     } catch (error) {
       return done(error, false);
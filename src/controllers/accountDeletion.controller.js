@@ -0,0 +1,48 @@
+const AccountDeletion = require('../models/accountDeletion.model');
+const { validateAccountDeletionsQuery } = require('../utils/accountDeletionValidation');
+
+// List account deletion requests and their audit records, newest first (accounts:audit)
+exports.getAccountDeletions = async (req, res, next) => {
+  try {
+    const { error, value } = validateAccountDeletionsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { status, userId, page, limit } = value;
+
+    const query = {};
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const [deletions, totalItems] = await Promise.all([
+      AccountDeletion.find(query)
+        .sort({ requestedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AccountDeletion.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deletions,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: deletions.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
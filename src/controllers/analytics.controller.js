@@ -4,6 +4,7 @@ const PersonalProfile = require('../models/personalProfile.model');
 const BuilderPage = require('../models/builderPage.model');
 const Widget = require('../models/widget.model');
 const ClickTracking = require('../models/clickTracking.model');
+const ViewLog = require('../models/viewLog.model');
 const User = require('../models/user.model');
 const Favorite = require('../models/favorite.model');
 const {
@@ -31,6 +32,12 @@ const {
   aggregateByTimeframe,
   calculatePeakHours
 } = require('../utils/analyticsUtils');
+const {
+  CONTENT_TYPES,
+  generateCsv,
+  generateXlsx,
+  getExportFileName
+} = require('../utils/analyticsExport');
 
 /**
  * @desc    Track a view or interaction
@@ -1159,28 +1166,33 @@ exports.exportAnalytics = async (req, res, next) => {
       }).select('-__v').lean();
     }
 
+    const exportInfo = {
+      format,
+      targetId,
+      targetType,
+      startDate,
+      endDate,
+      groupBy,
+      metrics,
+      generatedAt: new Date()
+    };
+
     // Format response based on requested format
     if (format === 'json') {
-      res.status(200).json({
+      return res.status(200).json({
         success: true,
         data: exportData,
-        exportInfo: {
-          format,
-          startDate,
-          endDate,
-          metrics,
-          generatedAt: new Date()
-        }
-      });
-    } else {
-      // For CSV/XLSX, you would implement file generation here
-      // This is a simplified response for now
-      res.status(200).json({
-        success: true,
-        message: `Export in ${format} format would be generated here`,
-        data: exportData
+        exportInfo
       });
     }
+
+    const fileContents = format === 'xlsx'
+      ? generateXlsx(exportData, exportInfo)
+      : generateCsv(exportData);
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${getExportFileName(targetId, format)}"`);
+    res.status(200).send(fileContents);
   } catch (error) {
     next(error);
   }
@@ -1,5 +1,7 @@
 const User = require("../models/user.model");
 const Token = require("../models/token.model");
+const UserSettings = require("../models/userSettings.model");
+const LoginThrottle = require("../models/loginThrottle.model");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
@@ -8,10 +10,35 @@ const passport = require("passport");
 const {
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendOtpToResetPassword
+  sendOtpToResetPassword,
+  sendAccountLockedEmail
 } = require("../utils/email");
 const { validateRegistration, validateLogin } = require("../utils/validation");
 const { generateTokens } = require("../utils/generateTokens");
+const { getUserPermissions } = require("../utils/permissions");
+const { getDeviceInfo, getLocationFromIP } = require("../utils/analyticsUtils");
+
+// Shape a live refresh token as a session for the sessions API
+const formatSession = (tokenDoc, currentSessionId) => {
+  const device = getDeviceInfo(tokenDoc.userAgent || "");
+  const location = tokenDoc.ipAddress ? getLocationFromIP(tokenDoc.ipAddress) : null;
+
+  return {
+    id: tokenDoc.familyId,
+    device: {
+      type: device.type,
+      os: device.os,
+      browser: device.browser,
+    },
+    userAgent: tokenDoc.userAgent,
+    ipAddress: tokenDoc.ipAddress,
+    location: location ? { country: location.country, city: location.city } : null,
+    startedAt: tokenDoc.sessionStartedAt || tokenDoc.createdAt,
+    lastActiveAt: tokenDoc.createdAt,
+    expiresAt: tokenDoc.expiresAt,
+    isCurrent: tokenDoc.familyId === currentSessionId,
+  };
+};
 
 // Register a new user
 exports.register = async (req, res, next) => {
@@ -99,6 +126,54 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
+// Tell the owner their account was locked, unless they turned off unusual activity alerts.
+// Best effort: a mail failure must not change the login response.
+const notifyAccountLocked = async (user, lockedUntil, ipAddress) => {
+  try {
+    const settings = await UserSettings.findOne({ userId: user._id }).select("security");
+    if (settings && settings.security && settings.security.unusualActivityNotifications === false) {
+      return;
+    }
+
+    await sendAccountLockedEmail(user.email, user.firstName, { lockedUntil, ipAddress });
+  } catch (error) {
+    console.error("Account lock notification failed:", error.message);
+  }
+};
+
+// Refuse an attempt while the account or the client IP is locked out
+const sendLockedOut = (res, locks) => {
+  const lockedUntil = Math.max(...locks.map((lock) => lock.lockedUntil.getTime()));
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+  const isAccountLocked = locks.some((lock) => lock.scope === "account");
+
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: isAccountLocked
+      ? "Too many failed login attempts. This account is temporarily locked."
+      : "Too many failed login attempts from this IP address. Please try again later.",
+    code: "LOGIN_LOCKED",
+    retryAfter,
+  });
+};
+
+// Count a failed password or 2FA code against the account (even unknown emails, so lockouts
+// do not reveal which accounts exist) and the client IP
+const registerLoginFailure = async (email, user, ipAddress) => {
+  const [accountFailure] = await Promise.all([
+    LoginThrottle.registerFailure("account", email, {
+      userId: user ? user._id : undefined,
+      ipAddress,
+    }),
+    LoginThrottle.registerFailure("ip", ipAddress),
+  ]);
+
+  if (accountFailure.newlyLocked && user) {
+    await notifyAccountLocked(user, accountFailure.throttle.lockedUntil, ipAddress);
+  }
+};
+
 // Login user
 exports.login = async (req, res, next) => {
   try {
@@ -111,6 +186,16 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Refuse attempts while the account or the client IP is locked out
+    const locks = await LoginThrottle.findActiveLocks({
+      account: req.body.email,
+      ip: req.ip,
+    });
+
+    if (locks.length > 0) {
+      return sendLockedOut(res, locks);
+    }
+
     // Authenticate using passport local strategy
     passport.authenticate(
       "local",
@@ -136,13 +221,15 @@ exports.login = async (req, res, next) => {
               );
             }
 
+            await registerLoginFailure(req.body.email, existingUser, ipAddress);
+
             return res.status(401).json({
               success: false,
               message: info.message || "Authentication failed",
             });
           }
 
-          // Check if 2FA is enabled
+          // Check if 2FA is enabled; failed codes keep counting until one is accepted
           if (user.isTwoFactorEnabled) {
             // Generate temporary token for 2FA
             const tempToken = jwt.sign(
@@ -164,28 +251,14 @@ exports.login = async (req, res, next) => {
             });
           }
 
-          // Generate JWT token
-          const token = jwt.sign(
-            { id: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-          );
-
-          // Generate refresh token
-          const refreshToken = jwt.sign(
-            { id: user._id },
-            process.env.JWT_REFRESH_SECRET,
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
-          );
-
-          // Save refresh token to database
-          const newToken = new Token({
-            userId: user._id,
-            token: refreshToken,
-            type: "refresh",
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+          // Correct password: reset the account's failed attempt counter
+          await LoginThrottle.clear("account", user.email);
+
+          // Generate tokens for a new session
+          const { token, refreshToken } = await generateTokens(user, {
+            ipAddress,
+            userAgent,
           });
-          await newToken.save();
 
           // Record successful login attempt
           await user.recordLoginAttempt(ipAddress, userAgent, true);
@@ -218,12 +291,12 @@ exports.login = async (req, res, next) => {
 // Verify 2FA
 exports.verify2FA = async (req, res, next) => {
   try {
-    const { tempToken, code } = req.body;
+    const { tempToken, code, backupCode } = req.body;
 
-    if (!tempToken || !code) {
+    if (!tempToken || (!code && !backupCode)) {
       return res.status(400).json({
         success: false,
-        message: "Temporary token and verification code are required",
+        message: "Temporary token and a verification code or backup code are required",
       });
     }
 
@@ -247,7 +320,7 @@ exports.verify2FA = async (req, res, next) => {
     }
 
     // Find user
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(decoded.id).select("+twoFactorBackupCodes");
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -255,48 +328,62 @@ exports.verify2FA = async (req, res, next) => {
       });
     }
 
-    // Verify 2FA code
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: "base32",
-      token: code,
+    // Codes are throttled like passwords, per account and per client IP
+    const locks = await LoginThrottle.findActiveLocks({
+      account: user.email,
+      ip: req.ip,
     });
 
-    if (!verified) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid verification code",
-      });
+    if (locks.length > 0) {
+      return sendLockedOut(res, locks);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    let backupCodesRemaining;
 
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
-    );
+    if (code) {
+      // Verify 2FA code
+      const verified = speakeasy.totp.verify({
+        secret: user.twoFactorSecret,
+        encoding: "base32",
+        token: code,
+      });
 
-    // Save refresh token to database
-    const newToken = new Token({
-      userId: user._id,
-      token: refreshToken,
-      type: "refresh",
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+      if (!verified) {
+        await registerLoginFailure(user.email, user, req.ip);
+        return res.status(401).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+    } else {
+      // Redeem a one-time backup code in place of the TOTP
+      const redeemed = await User.consumeBackupCode(user._id, backupCode);
+
+      if (!redeemed) {
+        await registerLoginFailure(user.email, user, req.ip);
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or already used backup code",
+        });
+      }
+
+      backupCodesRemaining = user.getRemainingBackupCodes() - 1;
+    }
+
+    await LoginThrottle.clear("account", user.email);
+
+    // Generate tokens for a new session
+    const { token, refreshToken } = await generateTokens(user, {
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
     });
-    await newToken.save();
 
     res.status(200).json({
       success: true,
       message: "2FA verification successful",
       token,
       refreshToken,
+      backupCodesRemaining,
       user: {
         id: user._id,
         email: user.email,
@@ -363,13 +450,15 @@ exports.enable2FA = async (req, res, next) => {
       });
     }
 
-    // Enable 2FA
+    // Enable 2FA and issue backup codes for account recovery
     user.isTwoFactorEnabled = true;
+    const backupCodes = user.generateBackupCodes();
     await user.save();
 
     res.status(200).json({
       success: true,
-      message: "2FA enabled successfully",
+      message: "2FA enabled successfully. Store the backup codes somewhere safe; they will not be shown again.",
+      backupCodes,
     });
   } catch (error) {
     next(error);
@@ -406,6 +495,8 @@ exports.disable2FA = async (req, res, next) => {
     // Disable 2FA
     user.isTwoFactorEnabled = false;
     user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorBackupCodesGeneratedAt = undefined;
     await user.save();
 
     res.status(200).json({
@@ -417,6 +508,97 @@ exports.disable2FA = async (req, res, next) => {
   }
 };
 
+// Get 2FA backup code status
+exports.getBackupCodesStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorBackupCodes");
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is not enabled",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      backupCodes: {
+        total: user.twoFactorBackupCodes.length,
+        remaining: user.getRemainingBackupCodes(),
+        generatedAt: user.twoFactorBackupCodesGeneratedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Regenerate 2FA backup codes
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+    const user = req.user;
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is not enabled",
+      });
+    }
+
+    // Confirm identity with the password; accounts created through OAuth
+    // have no password and confirm with a current TOTP code instead
+    if (user.password) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: "Password is required",
+        });
+      }
+
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          message: "Incorrect password",
+        });
+      }
+    } else {
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification code is required",
+        });
+      }
+
+      const verified = speakeasy.totp.verify({
+        secret: user.twoFactorSecret,
+        encoding: "base32",
+        token: code,
+      });
+
+      if (!verified) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+    }
+
+    // Previous codes stop working as soon as the new set is saved
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Backup codes regenerated successfully. Store them somewhere safe; they will not be shown again.",
+      backupCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Forgot password
 exports.forgotPassword = async (req, res, next) => {
   try {
@@ -557,7 +739,6 @@ exports.refreshToken = async (req, res, next) => {
       userId: decoded.id,
       token: refreshToken,
       type: "refresh",
-      isUsed: false,
       expiresAt: { $gt: Date.now() },
     });
 
@@ -568,6 +749,32 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
 
+    // A token that was already rotated is being replayed; it may have been
+    // stolen, so end the whole session it belongs to
+    const rejectReuse = async () => {
+      if (tokenDoc.familyId) {
+        await Token.revokeFamily(tokenDoc.userId, tokenDoc.familyId, "reuse_detected");
+      }
+      console.warn(`Refresh token reuse detected for user ${tokenDoc.userId}`);
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has already been used. Please log in again.",
+        code: "REFRESH_TOKEN_REUSED",
+      });
+    };
+
+    if (tokenDoc.isUsed) {
+      if (tokenDoc.revokedReason === "rotated") {
+        return rejectReuse();
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
     // Find user
     const user = await User.findById(decoded.id);
     if (!user) {
@@ -577,32 +784,23 @@ exports.refreshToken = async (req, res, next) => {
       });
     }
 
-    // Generate new JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
-
-    // Generate new refresh token
-    const newRefreshToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
+    // Mark old token as rotated; losing this race to a concurrent request
+    // means the same token was presented twice
+    const rotatedToken = await Token.findOneAndUpdate(
+      { _id: tokenDoc._id, isUsed: false },
+      { $set: { isUsed: true, revokedAt: new Date(), revokedReason: "rotated" } }
     );
+    if (!rotatedToken) {
+      return rejectReuse();
+    }
 
-    // Mark old token as used
-    tokenDoc.isUsed = true;
-    await tokenDoc.save();
-
-    // Save new refresh token to database
-    const newToken = new Token({
-      userId: user._id,
-      token: newRefreshToken,
-      type: "refresh",
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+    // Generate new tokens in the same session family
+    const { token, refreshToken: newRefreshToken } = await generateTokens(user, {
+      familyId: tokenDoc.familyId,
+      sessionStartedAt: tokenDoc.sessionStartedAt || tokenDoc.createdAt,
+      ipAddress: tokenDoc.ipAddress || req.ip,
+      userAgent: tokenDoc.userAgent || req.headers["user-agent"],
     });
-    await newToken.save();
 
     res.status(200).json({
       success: true,
@@ -661,12 +859,16 @@ exports.googleCallback = (req, res, next) => {
           //   error=google_auth_failed`);
         }
 
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const userAgent = req.headers["user-agent"];
+
         // Generate tokens
-        const { token, refreshToken } = await generateTokens(user);
+        const { token, refreshToken } = await generateTokens(user, {
+          ipAddress,
+          userAgent,
+        });
 
         // Record login attempt
-        const ipAddress = req.ip || req.connection.remoteAddress;
-        const userAgent = req.headers["user-agent"];
         await user.recordLoginAttempt(ipAddress, userAgent, true, "google");
 
         // Return success response
@@ -809,10 +1011,11 @@ exports.googleMobileLogin = async (req, res) => {
       await user.save();
     }
 
-    const { token, refreshToken } = await generateTokens(user);
-
     const ipAddress = req.ip;
     const userAgent = req.headers['user-agent'];
+
+    const { token, refreshToken } = await generateTokens(user, { ipAddress, userAgent });
+
     await user.recordLoginAttempt(ipAddress, userAgent, true, 'google');
 
     // res.json({
@@ -894,6 +1097,7 @@ exports.getLoginHistory = async (req, res, next) => {
 exports.getCurrentUser = async (req, res, next) => {
   try {
     const user = req.user;
+    const permissions = await getUserPermissions(user);
 
     res.status(200).json({
       success: true,
@@ -903,6 +1107,8 @@ exports.getCurrentUser = async (req, res, next) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
+        roles: (user.roleGrants || []).map(grant => grant.role),
+        permissions: [...permissions].sort(),
         isVerified: user.isVerified,
         isTwoFactorEnabled: user.isTwoFactorEnabled,
       },
@@ -924,11 +1130,17 @@ exports.logout = async (req, res, next) => {
       });
     }
 
-    // Find and invalidate refresh token
-    await Token.findOneAndUpdate(
-      { token: refreshToken, type: "refresh" },
-      { isUsed: true }
-    );
+    // Find and invalidate refresh token along with the rest of its session
+    const tokenDoc = await Token.findOne({ token: refreshToken, type: "refresh" });
+
+    if (tokenDoc && tokenDoc.familyId) {
+      await Token.revokeFamily(tokenDoc.userId, tokenDoc.familyId, "logout");
+    } else if (tokenDoc && !tokenDoc.isUsed) {
+      tokenDoc.isUsed = true;
+      tokenDoc.revokedAt = new Date();
+      tokenDoc.revokedReason = "logout";
+      await tokenDoc.save();
+    }
 
     res.status(200).json({
       success: true,
@@ -939,6 +1151,77 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+// Get active sessions
+exports.getSessions = async (req, res, next) => {
+  try {
+    const tokens = await Token.findActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      sessions: tokens.map((tokenDoc) => formatSession(tokenDoc, req.sessionId)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a single session
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await Token.revokeFamily(req.user._id, sessionId, "session_revoked");
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+      isCurrent: sessionId === req.sessionId,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke every session except the one making the request
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const query = {
+      userId: req.user._id,
+      type: "refresh",
+      isUsed: false,
+    };
+
+    // Access tokens issued before sessions existed carry no session id,
+    // in which case every session is revoked
+    if (req.sessionId) {
+      query.familyId = { $ne: req.sessionId };
+    }
+
+    const result = await Token.updateMany(query, {
+      $set: {
+        isUsed: true,
+        revokedAt: new Date(),
+        revokedReason: "session_revoked",
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Other sessions revoked successfully",
+      revokedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Test email configuration
 exports.testEmail = async (req, res, next) => {
   try {
@@ -1,10 +1,23 @@
+const mongoose = require('mongoose');
 const BuilderPage = require('../models/builderPage.model');
 const Widget = require('../models/widget.model');
 const BusinessProfile = require('../models/businessProfile.model');
 const FormSubmission = require('../models/formSubmission.model');
 const PageReport = require('../models/pagereport.model');
+const PageTemplate = require('../models/pageTemplate.model');
 const { uploadToCloudinary, deleteImage } = require('../utils/cloudinary');
 const { incrementIndustryViewCount, validateIndustryAndSubcategory } = require('../utils/industryUtils');
+const {
+  consumeQuota,
+  releaseQuota,
+  releaseWidgetAssets,
+  countProducts,
+  planLimitExceeded
+} = require('../utils/planLimits');
+const { createPageFromTemplateSchema } = require('../utils/pageTemplateValidation');
+const { validatePageSchedule, validateFormNotifications } = require('../utils/builderPageValidation');
+const { generateWebhookSecret } = require('../utils/outboundWebhook');
+const { hideExpiredContent } = require('../utils/contentSchedule');
 
 function formatPageResponse(page) {
   if (!page) return null;
@@ -96,8 +109,18 @@ exports.createPage = async (req, res, next) => {
       subIndustryId: subIndustryId || null
     };
 
+    const pageQuota = await consumeQuota(userId, 'pages');
+    if (!pageQuota.allowed) {
+      return planLimitExceeded(res, pageQuota);
+    }
+
     const page = new BuilderPage(pageData);
-    await page.save();
+    try {
+      await page.save();
+    } catch (saveError) {
+      await releaseQuota(userId, 'pages');
+      throw saveError;
+    }
 
     if (industryId) {
       await incrementIndustryViewCount(industryId, subIndustryId);
@@ -228,7 +251,7 @@ exports.getPublicPage = async (req, res, next) => {
   try {
     const { slug, username } = req.params;
 
-    let query = { slug, 'settings.isPublished': true };
+    let query = { slug, ...BuilderPage.liveQuery() };
 
     // If username is provided, find by business username
     if (username) {
@@ -255,7 +278,8 @@ exports.getPublicPage = async (req, res, next) => {
 
     await page.incrementViews();
 
-    const widgets = await Widget.find({ pageId: page._id });
+    // Promotions, events and products outside their validity window are not shown
+    const widgets = hideExpiredContent(await Widget.find({ pageId: page._id }));
 
     res.status(200).json({
       success: true,
@@ -284,6 +308,18 @@ exports.updatePage = async (req, res, next) => {
       });
     }
 
+    // Moderation state is only changed by admins
+    delete updateData.moderation;
+    // Scheduling is validated by the schedule endpoint
+    delete updateData.publishAt;
+    delete updateData.unpublishAt;
+    if (page.moderation?.isForceUnpublished && updateData.settings?.isPublished) {
+      return res.status(403).json({
+        success: false,
+        message: 'This page was unpublished by a moderator and cannot be published'
+      });
+    }
+
     // If slug is being updated, check uniqueness
     if (updateData.slug && updateData.slug !== page.slug) {
       const existingPage = await BuilderPage.findOne({
@@ -457,12 +493,23 @@ exports.deletePage = async (req, res, next) => {
       });
     }
 
+    const [widgets, productCount] = await Promise.all([
+      Widget.find({ pageId: page._id }).select('settings').lean(),
+      countProducts({ pageId: page._id })
+    ]);
+
     // Delete associated widgets
     await Widget.deleteMany({ pageId: pageId });
 
     // Delete page
     await BuilderPage.findByIdAndDelete(pageId);
 
+    // Give the deleted content back to the plan quota
+    await releaseQuota(userId, 'pages');
+    await releaseQuota(userId, 'widgets', widgets.length);
+    await releaseQuota(userId, 'products', productCount);
+    await releaseWidgetAssets(userId, widgets);
+
     res.status(200).json({
       success: true,
       message: 'Page deleted successfully'
@@ -486,6 +533,13 @@ exports.publishPage = async (req, res, next) => {
       });
     }
 
+    if (page.moderation?.isForceUnpublished) {
+      return res.status(403).json({
+        success: false,
+        message: 'This page was unpublished by a moderator and cannot be published'
+      });
+    }
+
     await page.publish();
 
     res.status(200).json({
@@ -524,6 +578,82 @@ exports.unpublishPage = async (req, res, next) => {
   }
 };
 
+// Schedule publishing and/or unpublishing of a page
+exports.schedulePage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { pageId } = req.params;
+
+    const { error, value } = validatePageSchedule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const page = await BuilderPage.findOne({ _id: pageId, userId });
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    if (value.publishAt) {
+      if (page.moderation?.isForceUnpublished) {
+        return res.status(403).json({
+          success: false,
+          message: 'This page was unpublished by a moderator and cannot be published'
+        });
+      }
+
+      if (page.settings.isPublished) {
+        return res.status(409).json({
+          success: false,
+          message: 'Page is already published. Unpublish it before scheduling publication.'
+        });
+      }
+    }
+
+    if (value.publishAt !== undefined) {
+      page.publishAt = value.publishAt || undefined;
+    }
+    if (value.unpublishAt !== undefined) {
+      page.unpublishAt = value.unpublishAt || undefined;
+    }
+
+    if (page.unpublishAt && !page.settings.isPublished && !page.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'unpublishAt requires the page to be published or scheduled for publication'
+      });
+    }
+
+    if (page.publishAt && page.unpublishAt && page.unpublishAt <= page.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'unpublishAt must be after publishAt'
+      });
+    }
+
+    await page.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Page schedule updated successfully',
+      data: {
+        publishAt: page.publishAt || null,
+        unpublishAt: page.unpublishAt || null,
+        isPublished: page.settings.isPublished
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Clone page
 exports.clonePage = async (req, res, next) => {
   try {
@@ -574,8 +704,18 @@ exports.clonePage = async (req, res, next) => {
       businessId: originalPage.businessId
     };
 
+    const pageQuota = await consumeQuota(userId, 'pages');
+    if (!pageQuota.allowed) {
+      return planLimitExceeded(res, pageQuota);
+    }
+
     const clonedPage = new BuilderPage(clonedData);
-    await clonedPage.save();
+    try {
+      await clonedPage.save();
+    } catch (saveError) {
+      await releaseQuota(userId, 'pages');
+      throw saveError;
+    }
 
     res.status(201).json({
       success: true,
@@ -746,6 +886,11 @@ exports.searchPages = async (req, res, next) => {
       ]
     };
 
+    // Pages past their unpublishAt time are hidden like unpublished ones
+    if (query['settings.isPublished']) {
+      query.unpublishAt = BuilderPage.liveQuery().unpublishAt;
+    }
+
     if (category) {
       query['template.category'] = category;
     }
@@ -771,56 +916,107 @@ exports.searchPages = async (req, res, next) => {
   }
 };
 
-// Get page templates
-exports.getPageTemplates = async (req, res, next) => {
+// Create a page and all of its widgets from a page template
+exports.createPageFromTemplate = async (req, res, next) => {
   try {
-    const { category, pageType } = req.query;
+    const userId = req.user.id;
+    const { templateId } = req.params;
 
-    // Mock templates data - in real app, this would come from a templates collection
-    const templates = [
-      {
-        id: 'business-landing',
-        name: 'Business Landing Page',
-        category: 'business',
-        pageType: 'landing',
-        description: 'Professional landing page for businesses',
-        preview: '/templates/business-landing.jpg',
-        features: ['Hero section', 'About section', 'Contact form', 'Social links']
-      },
-      {
-        id: 'portfolio-showcase',
-        name: 'Portfolio Showcase',
-        category: 'portfolio',
-        pageType: 'portfolio',
-        description: 'Showcase your work and projects',
-        preview: '/templates/portfolio-showcase.jpg',
-        features: ['Project gallery', 'Skills section', 'Testimonials', 'Resume download']
-      },
-      {
-        id: 'ecommerce-store',
-        name: 'E-commerce Store',
-        category: 'ecommerce',
-        pageType: 'product',
-        description: 'Online store for selling products',
-        preview: '/templates/ecommerce-store.jpg',
-        features: ['Product catalog', 'Shopping cart', 'Payment integration', 'Order tracking']
-      }
-    ];
+    const { error, value } = createPageFromTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
 
-    let filteredTemplates = templates;
+    const { title, slug, description, businessId } = value;
 
-    if (category) {
-      filteredTemplates = filteredTemplates.filter(t => t.category === category);
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
     }
 
-    if (pageType) {
-      filteredTemplates = filteredTemplates.filter(t => t.pageType === pageType);
+    const template = await PageTemplate.findOne({ _id: templateId, isActive: true });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
     }
 
-    res.status(200).json({
+    const existingPage = await BuilderPage.findOne({ userId, slug });
+    if (existingPage) {
+      return res.status(400).json({
+        success: false,
+        message: 'A page with this slug already exists'
+      });
+    }
+
+    if (businessId) {
+      const business = await BusinessProfile.findOne({ _id: businessId, userId });
+      if (!business) {
+        return res.status(403).json({
+          success: false,
+          message: 'Business profile not found or access denied'
+        });
+      }
+    }
+
+    const page = new BuilderPage({
+      ...template.toPageData(),
+      userId,
+      title,
+      slug,
+      description,
+      businessId: businessId || null
+    });
+    const widgetData = template.toWidgetData(userId, page._id, businessId);
+    const productCount = widgetData.reduce((total, widget) => {
+      const products = widget.settings?.specific?.products;
+      return total + (widget.type === 'products' && Array.isArray(products) ? products.length : 0);
+    }, 0);
+
+    // Reserve quota for everything the template creates before writing anything
+    const reserved = [];
+    for (const [resource, amount] of [['pages', 1], ['widgets', widgetData.length], ['products', productCount]]) {
+      const quota = await consumeQuota(userId, resource, amount);
+      if (!quota.allowed) {
+        for (const [reservedResource, reservedAmount] of reserved) {
+          await releaseQuota(userId, reservedResource, reservedAmount);
+        }
+        return planLimitExceeded(res, quota);
+      }
+      reserved.push([resource, amount]);
+    }
+
+    let widgets = [];
+    try {
+      await page.save();
+      if (widgetData.length > 0) {
+        widgets = await Widget.create(widgetData);
+      }
+    } catch (createError) {
+      // Roll back a partially created page so the user can retry with the same slug
+      await Widget.deleteMany({ pageId: page._id });
+      await BuilderPage.deleteOne({ _id: page._id });
+      for (const [resource, amount] of reserved) {
+        await releaseQuota(userId, resource, amount);
+      }
+      throw createError;
+    }
+
+    await PageTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+
+    res.status(201).json({
       success: true,
+      message: 'Page created from template successfully',
       data: {
-        templates: filteredTemplates
+        page: formatPageResponse(page),
+        widgets
       }
     });
   } catch (error) {
@@ -984,6 +1180,88 @@ exports.updateCallToAction = async (req, res, next) => {
   }
 };
 
+// Get the notification rules for submissions to the page's forms
+exports.getFormNotifications = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { pageId } = req.params;
+
+    const page = await BuilderPage.findOne({ _id: pageId, userId })
+      .select('+formNotifications');
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        formNotifications: page.formNotifications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update the notification rules for submissions to the page's forms
+exports.updateFormNotifications = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { pageId } = req.params;
+
+    const { error, value } = validateFormNotifications(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const page = await BuilderPage.findOne({ _id: pageId, userId })
+      .select('+formNotifications');
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    const { rotateSecret, ...webhook } = value.webhook || {};
+    const changes = { email: value.email, autoReply: value.autoReply, webhook };
+    Object.entries(changes).forEach(([section, settings]) => {
+      Object.entries(settings || {}).forEach(([key, setting]) => page.set(`formNotifications.${section}.${key}`, setting));
+    });
+
+    const settings = page.formNotifications.webhook;
+    if (settings.enabled && !settings.url) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: ['"webhook.url" is required when the webhook is enabled']
+      });
+    }
+    if (rotateSecret || (settings.enabled && !settings.secret)) {
+      settings.secret = generateWebhookSecret();
+    }
+
+    await page.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Form notifications updated successfully',
+      data: {
+        formNotifications: page.formNotifications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get form data for a page
 exports.getPageFormData = async (req, res, next) => {
   try {
@@ -1388,6 +1666,51 @@ exports.getCurrentHours = async (req, res, next) => {
   }
 };
 
+// Get next opening/closing time and the upcoming schedule (public)
+exports.getServiceSchedule = async (req, res, next) => {
+  try {
+    const { pageId } = req.params;
+    const days = req.query.days ? parseInt(req.query.days, 10) : 7;
+
+    if (isNaN(days) || days < 1 || days > 31) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be a number between 1 and 31'
+      });
+    }
+
+    // Public route: only pages visitors can see, as on the rendered public page
+    const page = mongoose.Types.ObjectId.isValid(pageId) && await BuilderPage.findOne({
+      _id: pageId,
+      ...BuilderPage.liveQuery(),
+      'moderation.isForceUnpublished': { $ne: true }
+    }).select('serviceHours');
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    const currentHours = page.getCurrentHours();
+    const { timezone, days: schedule } = page.getSchedule(days);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timezone,
+        isCurrentlyOpen: currentHours.isOpen,
+        nextOpen: currentHours.nextOpen,
+        nextClose: currentHours.nextClose,
+        currentHours,
+        schedule
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.reportPage = async (req, res, next) => {
   try {
     const userId = req.user.id;
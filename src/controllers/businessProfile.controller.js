@@ -4,6 +4,15 @@ const Folder = require('../models/folder.model');
 const User = require('../models/user.model');
 const { uploadToCloudinary, deleteImage, extractPublicId } = require('../utils/cloudinary');
 const { incrementIndustryViewCount, validateIndustryAndSubcategory } = require('../utils/industryUtils');
+const {
+  consumeQuota,
+  releaseQuota,
+  recordStoredAsset,
+  releaseStoredAssets,
+  bytesToMegabytes,
+  planLimitExceeded
+} = require('../utils/planLimits');
+const { getTodayHours, isOpenNow } = require('../utils/serviceHours');
 const {
   validateCreateBusinessProfile,
   validateUpdateBusinessProfile,
@@ -15,213 +24,6 @@ const {
   validateUsername
 } = require('../utils/businessProfileValidation');
 
-function normalizeTime(timeStr) {
-  if (!timeStr || typeof timeStr !== 'string') {
-    return null;
-  }
-  
-  const trimmed = timeStr.trim();
-  if (trimmed.length === 0) {
-    return null;
-  }
-  
-  const parts = trimmed.split(':');
-  if (parts.length !== 2) {
-    return null;
-  }
-  
-  const hoursStr = parts[0].trim();
-  const minutesStr = parts[1].trim();
-  
-  if (hoursStr.length === 0 || minutesStr.length === 0) {
-    return null;
-  }
-  
-  const hours = parseInt(hoursStr, 10);
-  const minutes = parseInt(minutesStr, 10);
-  
-  if (isNaN(hours) || isNaN(minutes)) {
-    return null;
-  }
-  
-  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-    return null;
-  }
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-}
-
-function timeToMinutes(timeStr) {
-  if (!timeStr || typeof timeStr !== 'string') {
-    return null;
-  }
-  
-  const normalized = normalizeTime(timeStr);
-  if (!normalized) {
-    return null;
-  }
-  
-  const parts = normalized.split(':');
-  if (parts.length !== 2) {
-    return null;
-  }
-  
-  const hours = parseInt(parts[0], 10);
-  const minutes = parseInt(parts[1], 10);
-  
-  if (isNaN(hours) || isNaN(minutes)) {
-    return null;
-  }
-  
-  return (hours * 60) + minutes;
-}
-
-function mapFullDayToAbbreviation(fullDay) {
-  if (!fullDay || typeof fullDay !== 'string') {
-    return null;
-  }
-  
-  const normalized = fullDay.trim();
-  if (normalized.length === 0) {
-    return null;
-  }
-  
-  const dayMap = {
-    'Monday': 'Mon',
-    'Tuesday': 'Tues',
-    'Wednesday': 'Wed',
-    'Thursday': 'Thur',
-    'Friday': 'Fri',
-    'Saturday': 'Sat',
-    'Sunday': 'Sun'
-  };
-  
-  return dayMap[normalized] || null;
-}
-
-function getServiceHoursForDay(serviceHours, currentDayFull) {
-  if (!serviceHours || typeof serviceHours !== 'object') {
-    return null;
-  }
-  
-  if (!serviceHours.weeklyHours || !Array.isArray(serviceHours.weeklyHours)) {
-    return null;
-  }
-  
-  if (serviceHours.weeklyHours.length === 0) {
-    return null;
-  }
-  
-  if (!currentDayFull || typeof currentDayFull !== 'string') {
-    return null;
-  }
-  
-  const currentDayAbbrev = mapFullDayToAbbreviation(currentDayFull);
-  if (!currentDayAbbrev) {
-    return null;
-  }
-  
-  const todayHours = serviceHours.weeklyHours.find(hours => {
-    if (!hours || typeof hours !== 'object') {
-      return false;
-    }
-    if (!hours.day || typeof hours.day !== 'string') {
-      return false;
-    }
-    const dayNormalized = hours.day.trim();
-    return dayNormalized === currentDayAbbrev || dayNormalized === currentDayFull.trim();
-  });
-
-  if (!todayHours || typeof todayHours !== 'object') {
-    return null;
-  }
-
-  if (todayHours.isClosed === true) {
-    return null;
-  }
-
-  if (!todayHours.startTime || typeof todayHours.startTime !== 'string' || todayHours.startTime.trim().length === 0) {
-    return null;
-  }
-  
-  if (!todayHours.endTime || typeof todayHours.endTime !== 'string' || todayHours.endTime.trim().length === 0) {
-    return null;
-  }
-
-  const normalizedStartTime = normalizeTime(todayHours.startTime);
-  const normalizedEndTime = normalizeTime(todayHours.endTime);
-  
-  if (!normalizedStartTime || !normalizedEndTime) {
-    return null;
-  }
-
-  return {
-    open: normalizedStartTime,
-    close: normalizedEndTime,
-    isClosed: todayHours.isClosed === true
-  };
-}
-
-function checkIfCurrentlyOpenFromServiceHours(serviceHours) {
-  if (!serviceHours || typeof serviceHours !== 'object') {
-    return false;
-  }
-  
-  if (!serviceHours.weeklyHours || !Array.isArray(serviceHours.weeklyHours)) {
-    return false;
-  }
-  
-  if (serviceHours.weeklyHours.length === 0) {
-    return false;
-  }
-
-  try {
-    const now = new Date();
-    if (isNaN(now.getTime())) {
-      return false;
-    }
-    
-    const currentDayFull = now.toLocaleDateString('en-US', { weekday: 'long' });
-    if (!currentDayFull || typeof currentDayFull !== 'string') {
-      return false;
-    }
-    
-    const currentTime = now.toTimeString().slice(0, 5);
-    if (!currentTime || typeof currentTime !== 'string') {
-      return false;
-    }
-    
-    const currentTimeMinutes = timeToMinutes(currentTime);
-    if (currentTimeMinutes === null || typeof currentTimeMinutes !== 'number' || isNaN(currentTimeMinutes)) {
-      return false;
-    }
-
-    const todayHours = getServiceHoursForDay(serviceHours, currentDayFull);
-    if (!todayHours || typeof todayHours !== 'object') {
-      return false;
-    }
-
-    const openMinutes = timeToMinutes(todayHours.open);
-    const closeMinutes = timeToMinutes(todayHours.close);
-
-    if (openMinutes === null || typeof openMinutes !== 'number' || isNaN(openMinutes)) {
-      return false;
-    }
-    
-    if (closeMinutes === null || typeof closeMinutes !== 'number' || isNaN(closeMinutes)) {
-      return false;
-    }
-
-    if (closeMinutes < openMinutes) {
-      return currentTimeMinutes >= openMinutes || currentTimeMinutes <= closeMinutes;
-    }
-
-    return currentTimeMinutes >= openMinutes && currentTimeMinutes <= closeMinutes;
-  } catch (error) {
-    return false;
-  }
-}
-
 // Create business profile
 exports.createProfile = async (req, res, next) => {
   try {
@@ -423,14 +225,8 @@ exports.getProfile = async (req, res, next) => {
     
     if (profile.builderPageId && typeof profile.builderPageId === 'object' && profile.builderPageId.serviceHours) {
       try {
-        const now = new Date();
-        if (!isNaN(now.getTime())) {
-          const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-          if (currentDay && typeof currentDay === 'string') {
-            todayHours = getServiceHoursForDay(profile.builderPageId.serviceHours, currentDay);
-            isCurrentlyOpen = checkIfCurrentlyOpenFromServiceHours(profile.builderPageId.serviceHours);
-          }
-        }
+        todayHours = getTodayHours(profile.builderPageId.serviceHours);
+        isCurrentlyOpen = isOpenNow(profile.builderPageId.serviceHours);
       } catch (error) {
         todayHours = null;
         isCurrentlyOpen = false;
@@ -517,14 +313,8 @@ exports.getPublicProfile = async (req, res, next) => {
     
     if (profile.builderPageId && typeof profile.builderPageId === 'object' && profile.builderPageId.serviceHours) {
       try {
-        const now = new Date();
-        if (!isNaN(now.getTime())) {
-          const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-          if (currentDay && typeof currentDay === 'string') {
-            todayHours = getServiceHoursForDay(profile.builderPageId.serviceHours, currentDay);
-            isCurrentlyOpen = checkIfCurrentlyOpenFromServiceHours(profile.builderPageId.serviceHours);
-          }
-        }
+        todayHours = getTodayHours(profile.builderPageId.serviceHours);
+        isCurrentlyOpen = isOpenNow(profile.builderPageId.serviceHours);
       } catch (error) {
         todayHours = null;
         isCurrentlyOpen = false;
@@ -1052,6 +842,14 @@ exports.uploadLogo = async (req, res, next) => {
       });
     }
 
+    const fileSize = bytesToMegabytes(req.file.size);
+    const storageQuota = await consumeQuota(userId, 'storage', fileSize);
+    if (!storageQuota.allowed) {
+      return planLimitExceeded(res, storageQuota);
+    }
+
+    const oldLogo = profile.logo;
+
     // Delete old logo if exists
     if (profile.logo) {
       const oldPublicId = extractPublicId(profile.logo);
@@ -1065,19 +863,29 @@ exports.uploadLogo = async (req, res, next) => {
     }
 
     // Upload new logo to Cloudinary
-    const uploadResult = await uploadToCloudinary(req.file.buffer, {
-      public_id: `kunex/business-logos/${userId}_${Date.now()}`,
-      folder: 'kunex/business-logos',
-      transformation: [
-        { width: 300, height: 300, crop: 'fill', quality: 'auto' },
-        { fetch_format: 'auto' }
-      ]
-    });
+    let uploadResult;
+    try {
+      uploadResult = await uploadToCloudinary(req.file.buffer, {
+        public_id: `kunex/business-logos/${userId}_${Date.now()}`,
+        folder: 'kunex/business-logos',
+        transformation: [
+          { width: 300, height: 300, crop: 'fill', quality: 'auto' },
+          { fetch_format: 'auto' }
+        ]
+      });
+    } catch (uploadError) {
+      await releaseQuota(userId, 'storage', fileSize);
+      throw uploadError;
+    }
 
     // Update profile with new logo URL
     profile.logo = uploadResult.secure_url;
     await profile.save();
 
+    // The new logo stays charged; the one it replaced is given back
+    await recordStoredAsset(userId, { url: uploadResult.secure_url, publicId: uploadResult.public_id, bytes: req.file.size });
+    await releaseStoredAssets(userId, [oldLogo]);
+
     res.status(200).json({
       success: true,
       message: 'Logo uploaded successfully',
@@ -1113,6 +921,14 @@ exports.uploadCoverImages = async (req, res, next) => {
       });
     }
 
+    const totalSize = bytesToMegabytes(req.files.reduce((sum, file) => sum + file.size, 0));
+    const storageQuota = await consumeQuota(userId, 'storage', totalSize);
+    if (!storageQuota.allowed) {
+      return planLimitExceeded(res, storageQuota);
+    }
+
+    const oldCoverImages = [...(profile.coverImages || [])];
+
     // Delete old cover images if they exist
     if (profile.coverImages && profile.coverImages.length > 0) {
       for (const imageUrl of profile.coverImages) {
@@ -1139,13 +955,25 @@ exports.uploadCoverImages = async (req, res, next) => {
       })
     );
 
-    const uploadResults = await Promise.all(uploadPromises);
+    let uploadResults;
+    try {
+      uploadResults = await Promise.all(uploadPromises);
+    } catch (uploadError) {
+      await releaseQuota(userId, 'storage', totalSize);
+      throw uploadError;
+    }
     const coverImageUrls = uploadResults.map(result => result.secure_url);
 
     // Update profile with new cover image URLs
     profile.coverImages = coverImageUrls;
     await profile.save();
 
+    // The new covers stay charged; the ones they replaced are given back
+    for (const [index, result] of uploadResults.entries()) {
+      await recordStoredAsset(userId, { url: result.secure_url, publicId: result.public_id, bytes: req.files[index].size });
+    }
+    await releaseStoredAssets(userId, oldCoverImages);
+
     res.status(200).json({
       success: true,
       message: 'Cover images uploaded successfully',
@@ -1189,8 +1017,10 @@ exports.deleteLogo = async (req, res, next) => {
     }
 
     // Remove logo URL from profile
+    const oldLogo = profile.logo;
     profile.logo = null;
     await profile.save();
+    await releaseStoredAssets(userId, [oldLogo]);
 
     res.status(200).json({
       success: true,
@@ -1234,8 +1064,10 @@ exports.deleteCoverImages = async (req, res, next) => {
     }
 
     // Remove cover image URLs from profile
+    const oldCoverImages = [...profile.coverImages];
     profile.coverImages = [];
     await profile.save();
+    await releaseStoredAssets(userId, oldCoverImages);
 
     res.status(200).json({
       success: true,
@@ -1363,44 +1195,7 @@ exports.searchProfiles = async (req, res, next) => {
           return false;
         }
         
-        const serviceHours = profile.builderPageId.serviceHours;
-        const { validateTimezone } = require('../utils/timezoneValidation');
-        const timezone = validateTimezone(serviceHours.timezone, 'UTC');
-        const currentTimeInfo = getCurrentTimeInTimezone(timezone);
-        
-        if (!currentTimeInfo || !currentTimeInfo.time || !currentTimeInfo.day) {
-          return false;
-        }
-        
-        const businessCurrentDay = currentTimeInfo.day;
-        const businessCurrentTime = currentTimeInfo.time;
-        
-        const todayHours = getServiceHoursForDay(serviceHours, businessCurrentDay);
-        if (!todayHours || typeof todayHours !== 'object') {
-          return false;
-        }
-        
-        const currentTimeSeconds = timeToSeconds(businessCurrentTime);
-        const openSeconds = timeToSeconds(todayHours.open);
-        const closeSeconds = timeToSeconds(todayHours.close);
-        
-        if (currentTimeSeconds === null || typeof currentTimeSeconds !== 'number' || isNaN(currentTimeSeconds)) {
-          return false;
-        }
-        
-        if (openSeconds === null || typeof openSeconds !== 'number' || isNaN(openSeconds)) {
-          return false;
-        }
-        
-        if (closeSeconds === null || typeof closeSeconds !== 'number' || isNaN(closeSeconds)) {
-          return false;
-        }
-        
-        if (closeSeconds < openSeconds) {
-          return currentTimeSeconds >= openSeconds || currentTimeSeconds < closeSeconds;
-        }
-        
-        return currentTimeSeconds >= openSeconds && currentTimeSeconds < closeSeconds;
+        return isOpenNow(profile.builderPageId.serviceHours);
       });
     }
 
@@ -1503,44 +1298,7 @@ exports.findNearbyProfiles = async (req, res, next) => {
           return false;
         }
         
-        const serviceHours = profile.builderPageId.serviceHours;
-        const { validateTimezone } = require('../utils/timezoneValidation');
-        const timezone = validateTimezone(serviceHours.timezone, 'UTC');
-        const currentTimeInfo = getCurrentTimeInTimezone(timezone);
-        
-        if (!currentTimeInfo || !currentTimeInfo.time || !currentTimeInfo.day) {
-          return false;
-        }
-        
-        const businessCurrentDay = currentTimeInfo.day;
-        const businessCurrentTime = currentTimeInfo.time;
-        
-        const todayHours = getServiceHoursForDay(serviceHours, businessCurrentDay);
-        if (!todayHours || typeof todayHours !== 'object') {
-          return false;
-        }
-        
-        const currentTimeSeconds = timeToSeconds(businessCurrentTime);
-        const openSeconds = timeToSeconds(todayHours.open);
-        const closeSeconds = timeToSeconds(todayHours.close);
-        
-        if (currentTimeSeconds === null || typeof currentTimeSeconds !== 'number' || isNaN(currentTimeSeconds)) {
-          return false;
-        }
-        
-        if (openSeconds === null || typeof openSeconds !== 'number' || isNaN(openSeconds)) {
-          return false;
-        }
-        
-        if (closeSeconds === null || typeof closeSeconds !== 'number' || isNaN(closeSeconds)) {
-          return false;
-        }
-        
-        if (closeSeconds < openSeconds) {
-          return currentTimeSeconds >= openSeconds || currentTimeSeconds < closeSeconds;
-        }
-        
-        return currentTimeSeconds >= openSeconds && currentTimeSeconds < closeSeconds;
+        return isOpenNow(profile.builderPageId.serviceHours);
       });
     }
 
@@ -1665,13 +1423,9 @@ exports.updateBusinessHours = async (req, res, next) => {
     let isCurrentlyOpen = false;
     
     try {
-      const now = new Date();
-      if (!isNaN(now.getTime()) && builderPage.serviceHours) {
-        const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-        if (currentDay && typeof currentDay === 'string') {
-          todayHours = getServiceHoursForDay(builderPage.serviceHours, currentDay);
-          isCurrentlyOpen = checkIfCurrentlyOpenFromServiceHours(builderPage.serviceHours);
-        }
+      if (builderPage.serviceHours) {
+        todayHours = getTodayHours(builderPage.serviceHours);
+        isCurrentlyOpen = isOpenNow(builderPage.serviceHours);
       }
     } catch (error) {
       todayHours = null;
@@ -1780,6 +1534,11 @@ exports.deleteProfile = async (req, res, next) => {
 
     // Delete profile
     await BusinessProfile.findByIdAndDelete(profile._id);
+    await releaseStoredAssets(userId, [
+      profile.logo,
+      ...(profile.coverImages || []),
+      profile.virtualContact && profile.virtualContact.photo
+    ]);
 
     res.status(200).json({
       success: true,
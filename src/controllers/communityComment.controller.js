@@ -0,0 +1,410 @@
+const mongoose = require('mongoose');
+const CommunityComment = require('../models/communityComment.model');
+const CommunityPost = require('../models/communityPost.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const { hasPermission } = require('../utils/permissions');
+const { sendCommunityCommentEmail } = require('../utils/email');
+const {
+  createCommentSchema,
+  updateCommentSchema,
+  moderateCommentSchema,
+  getCommentsSchema
+} = require('../utils/communityValidation');
+
+const authorName = comment => comment.businessId?.businessName || comment.userId?.username || 'Anonymous';
+
+// Comment for responses. Deleted and hidden comments keep their place in the thread without content.
+const formatComment = (comment) => {
+  const base = {
+    _id: comment._id,
+    postId: comment.postId,
+    parentId: comment.parentId,
+    depth: comment.depth,
+    replyCount: comment.replyCount,
+    createdAt: comment.createdAt
+  };
+
+  if (comment.isDeleted || comment.isHidden) {
+    return { ...base, content: null, isDeleted: comment.isDeleted, isHidden: comment.isHidden };
+  }
+
+  return {
+    ...base,
+    content: comment.content,
+    isOfficial: comment.isOfficial,
+    authorId: comment.userId?._id || comment.userId,
+    authorName: authorName(comment),
+    authorType: comment.businessId ? 'business' : 'user',
+    authorLogo: comment.businessId?.logo || null,
+    isEdited: Boolean(comment.editedAt),
+    editedAt: comment.editedAt || null,
+    updatedAt: comment.updatedAt
+  };
+};
+
+// Nest replies under their parents; deleted and hidden comments are left out once nothing below them is shown
+function buildThreads(roots, replies) {
+  const children = new Map();
+  for (const reply of replies) {
+    const key = String(reply.parentId);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(reply);
+  }
+
+  const build = (comment) => {
+    const nested = (children.get(String(comment._id)) || []).map(build).filter(Boolean);
+    if ((comment.isDeleted || comment.isHidden) && nested.length === 0) return null;
+    return { ...formatComment(comment), replies: nested };
+  };
+
+  return roots.map(build).filter(Boolean);
+}
+
+const populateAuthor = query => query
+  .populate('userId', 'username')
+  .populate('businessId', 'businessName username logo');
+
+// A comment was removed (-1) or restored (1): update the post's comment count and the parent's reply count
+function updateVisibleCounts(comment, change) {
+  const filter = (_id, field) => (change < 0 ? { _id, [field]: { $gt: 0 } } : { _id });
+
+  return Promise.all([
+    CommunityPost.updateOne(filter(comment.postId, 'commentCount'), { $inc: { commentCount: change } }),
+    comment.parentId
+      ? CommunityComment.updateOne(filter(comment.parentId, 'replyCount'), { $inc: { replyCount: change } })
+      : null
+  ]);
+}
+
+// Email the post's author about a new comment, unless they turned update emails off. Never throws.
+async function notifyPostAuthor(post, comment) {
+  try {
+    const [author, settings] = await Promise.all([
+      User.findById(post.userId).select('email firstName').lean(),
+      UserSettings.findOne({ userId: post.userId }).select('notifications.email.updates').lean()
+    ]);
+    if (!author?.email || settings?.notifications?.email?.updates === false) return;
+
+    await sendCommunityCommentEmail(author.email, author.firstName, {
+      postTitle: post.title,
+      authorName: authorName(comment),
+      comment: comment.content,
+      isOfficial: comment.isOfficial
+    });
+  } catch (error) {
+    console.error('Community comment notification error:', error.message);
+  }
+}
+
+// Get a post's comments: a page of top-level comments, each with all its replies nested
+exports.getComments = async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+    const { error, value } = getCommentsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID',
+      });
+    }
+
+    const post = await CommunityPost.findOne({ _id: postId, isActive: true }).select('commentCount').lean();
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    const { page, limit, sortOrder } = value;
+
+    // Removed top-level comments only matter while something visible is left in their thread
+    const activeThreads = await CommunityComment.distinct('rootId', {
+      postId,
+      rootId: { $ne: null },
+      isDeleted: false,
+      isHidden: false
+    });
+    const query = {
+      postId,
+      parentId: null,
+      $or: [{ isDeleted: false, isHidden: false }, { _id: { $in: activeThreads } }]
+    };
+
+    const [roots, totalCount] = await Promise.all([
+      populateAuthor(CommunityComment.find(query))
+        .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CommunityComment.countDocuments(query)
+    ]);
+
+    const replies = roots.length > 0
+      ? await populateAuthor(CommunityComment.find({ rootId: { $in: roots.map(root => root._id) } }))
+        .sort({ createdAt: 1 })
+        .lean()
+      : [];
+
+    const comments = buildThreads(roots, replies);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        commentCount: post.commentCount,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalCount / limit),
+          count: comments.length,
+          totalItems: totalCount
+        }
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Comment on a post, or reply to a comment
+exports.createComment = async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+    const { error, value } = createCommentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID',
+      });
+    }
+
+    const userId = req.user.id;
+
+    const post = await CommunityPost.findOne({ _id: postId, isActive: true }).select('userId title');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    let thread = { parentId: null, rootId: null, depth: 0 };
+    if (value.parentId) {
+      const parent = await CommunityComment.findOne({ _id: value.parentId, postId });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found',
+        });
+      }
+      if (!parent.isVisible()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a deleted or hidden comment',
+        });
+      }
+
+      thread = parent.depth >= CommunityComment.MAX_DEPTH
+        ? { parentId: parent.parentId, rootId: parent.rootId, depth: parent.depth }
+        : { parentId: parent._id, rootId: parent.rootId || parent._id, depth: parent.depth + 1 };
+    }
+
+    const [businessProfile, isModerator] = await Promise.all([
+      BusinessProfile.findOne({ userId }).select('_id'),
+      hasPermission(req.user, 'community:moderate')
+    ]);
+
+    const comment = new CommunityComment({
+      postId,
+      userId,
+      businessId: businessProfile ? businessProfile._id : null,
+      ...thread,
+      content: value.content,
+      isOfficial: isModerator && value.official !== false
+    });
+    await comment.save();
+
+    await Promise.all([
+      CommunityPost.updateOne({ _id: postId }, { $inc: { commentCount: 1 } }),
+      thread.parentId
+        ? CommunityComment.updateOne({ _id: thread.parentId }, { $inc: { replyCount: 1 } })
+        : null
+    ]);
+
+    const populatedComment = await populateAuthor(CommunityComment.findById(comment._id)).lean();
+
+    if (String(post.userId) !== String(userId)) {
+      notifyPostAuthor(post, populatedComment);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment: { ...formatComment(populatedComment), replies: [] } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Edit own comment
+exports.updateComment = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+    const { error, value } = updateCommentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID',
+      });
+    }
+
+    const comment = await CommunityComment.findOne({
+      _id: commentId,
+      userId: req.user.id,
+      isDeleted: false,
+      isHidden: false
+    });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found or you do not have permission to edit it',
+      });
+    }
+
+    comment.content = value.content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    const populatedComment = await populateAuthor(CommunityComment.findById(comment._id)).lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment: formatComment(populatedComment) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete own comment. Replies stay; the comment becomes a placeholder above them.
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID',
+      });
+    }
+
+    const comment = await CommunityComment.findOne({ _id: commentId, userId: req.user.id, isDeleted: false });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found or you do not have permission to delete it',
+      });
+    }
+
+    const wasVisible = comment.isVisible();
+    await comment.softDelete();
+
+    if (wasVisible) {
+      await updateVisibleCounts(comment, -1);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Hide or restore a comment (community:moderate)
+exports.moderateComment = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+    const { error, value } = moderateCommentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID',
+      });
+    }
+
+    const comment = await CommunityComment.findById(commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    const hide = value.action === 'hide';
+    if (comment.isHidden !== hide) {
+      comment.isHidden = hide;
+      await updateVisibleCounts(comment, hide ? -1 : 1);
+    }
+    comment.moderation = {
+      moderatedBy: req.user.id,
+      moderatedAt: new Date(),
+      reason: value.reason || undefined
+    };
+    await comment.save();
+
+    // Moderators see the content of hidden comments
+    const populatedComment = await populateAuthor(CommunityComment.findById(comment._id)).lean();
+
+    res.status(200).json({
+      success: true,
+      message: hide ? 'Comment hidden successfully' : 'Comment restored successfully',
+      data: {
+        comment: {
+          ...formatComment({ ...populatedComment, isHidden: false }),
+          isHidden: populatedComment.isHidden,
+          moderation: populatedComment.moderation
+        }
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
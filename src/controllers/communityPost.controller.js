@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const CommunityPost = require('../models/communityPost.model');
 const CommunityTopic = require('../models/communityTopic.model');
 const BusinessProfile = require('../models/businessProfile.model');
+const { recordStatusChange } = require('../utils/communityRoadmap');
+const { hasPermission } = require('../utils/permissions');
 const {
   createPostSchema,
   updatePostSchema,
@@ -9,10 +11,26 @@ const {
   getPostsSchema
 } = require('../utils/communityValidation');
 
+// Only community moderators set implementation status; it is dropped from other authors' posts
+const canSetStatus = user => hasPermission(user, 'community:moderate');
+const withoutStatus = schema => schema.fork(['implementationStatus'], field => field.strip());
+
+// Apply the roadmap side effects of a moderator's status change (see utils/communityRoadmap) and
+// keep the post about to be returned in step with them
+const syncRoadmap = async (post, previousStatus, options) => {
+  const changelogEntry = await recordStatusChange(post, previousStatus, options);
+  if (post.implementationStatus !== previousStatus) {
+    post.completedAt = changelogEntry ? changelogEntry.releasedAt : undefined;
+  }
+  return changelogEntry;
+};
+
 // Create new community post
 exports.createPost = async (req, res, next) => {
   try {
-    const { error, value } = createPostSchema.validate(req.body);
+    const isModerator = await canSetStatus(req.user);
+    const schema = isModerator ? createPostSchema : withoutStatus(createPostSchema);
+    const { error, value } = schema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -59,6 +77,9 @@ exports.createPost = async (req, res, next) => {
     });
 
     await post.save();
+    if (isModerator && implementationStatus) {
+      await recordStatusChange(post, null, { userId });
+    }
 
     // Populate the post for response
     const populatedPost = await CommunityPost.findById(post._id)
@@ -203,7 +224,9 @@ exports.getPost = async (req, res, next) => {
 exports.updatePost = async (req, res, next) => {
   try {
     const { postId } = req.params;
-    const { error, value } = updatePostSchema.validate(req.body);
+    const isModerator = await canSetStatus(req.user);
+    const schema = isModerator ? updatePostSchema : withoutStatus(updatePostSchema);
+    const { error, value } = schema.validate(req.body);
     
     if (error) {
       return res.status(400).json({
@@ -242,6 +265,10 @@ exports.updatePost = async (req, res, next) => {
       .populate('businessId', 'businessName username logo')
       .lean();
 
+    if (isModerator && value.implementationStatus) {
+      await syncRoadmap(updatedPost, post.implementationStatus, { userId });
+    }
+
     // Add author information
     const postWithAuthor = {
       ...updatedPost,
@@ -391,7 +418,7 @@ exports.getPostLikes = async (req, res, next) => {
   }
 };
 
-// Admin update post (with all fields)
+// Moderator update post (with all fields) (community:moderate)
 exports.adminUpdatePost = async (req, res, next) => {
   try {
     const { postId } = req.params;
@@ -432,6 +459,10 @@ exports.adminUpdatePost = async (req, res, next) => {
       .populate('businessId', 'businessName username logo')
       .lean();
 
+    if (value.implementationStatus) {
+      await syncRoadmap(updatedPost, post.implementationStatus, { userId: req.user.id });
+    }
+
     // Add author information
     const postWithAuthor = {
       ...updatedPost,
@@ -450,7 +481,7 @@ exports.adminUpdatePost = async (req, res, next) => {
   }
 };
 
-// Update implementation status
+// Update implementation status (community:moderate)
 exports.updateStatus = async (req, res, next) => {
   try {
     const { postId } = req.params;
@@ -472,14 +503,14 @@ exports.updateStatus = async (req, res, next) => {
     }
 
     const userId = req.user.id;
-    const { implementationStatus } = value;
+    const { implementationStatus, releaseNote, releasedAt } = value;
 
-    // Check if post exists and user owns it
-    const post = await CommunityPost.findOne({ _id: postId, userId, isActive: true });
+    // Moderators can set the status of any post
+    const post = await CommunityPost.findOne({ _id: postId, isActive: true });
     if (!post) {
       return res.status(404).json({
         success: false,
-        message: 'Post not found or you do not have permission to update it',
+        message: 'Post not found',
       });
     }
 
@@ -494,6 +525,9 @@ exports.updateStatus = async (req, res, next) => {
       .populate('businessId', 'businessName username logo')
       .lean();
 
+    // Completing a post publishes it on the changelog
+    const changelogEntry = await syncRoadmap(updatedPost, post.implementationStatus, { releaseNote, releasedAt, userId });
+
     // Add author information
     const postWithAuthor = {
       ...updatedPost,
@@ -505,7 +539,7 @@ exports.updateStatus = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Implementation status updated successfully',
-      data: { post: postWithAuthor },
+      data: { post: postWithAuthor, changelogEntry },
     });
   } catch (error) {
     next(error);
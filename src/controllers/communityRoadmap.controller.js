@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const CommunityPost = require('../models/communityPost.model');
+const CommunityTopic = require('../models/communityTopic.model');
+const ChangelogEntry = require('../models/changelogEntry.model');
+const { ROADMAP_COLUMNS } = require('../utils/communityRoadmap');
+const {
+  getRoadmapSchema,
+  getChangelogSchema,
+  updateChangelogSchema
+} = require('../utils/communityValidation');
+
+// Open columns list high priority first, then the most liked
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+
+// Public fields of a post on the roadmap
+const ROADMAP_FIELDS = {
+  title: 1,
+  description: 1,
+  topicId: 1,
+  implementationStatus: 1,
+  metadata: 1,
+  likeCount: 1,
+  commentCount: 1,
+  createdAt: 1,
+  completedAt: 1
+};
+
+const formatEntry = entry => ({
+  _id: entry._id,
+  title: entry.title,
+  releaseNote: entry.releaseNote,
+  releasedAt: entry.releasedAt,
+  topic: entry.topicId,
+  postId: entry.postId?._id || null,
+  likeCount: entry.postId?.likeCount || 0,
+  commentCount: entry.postId?.commentCount || 0
+});
+
+// Get the public roadmap: planned, in progress and completed columns, each grouped by topic
+exports.getRoadmap = async (req, res, next) => {
+  try {
+    const { error, value } = getRoadmapSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    const { topicId, limit } = value;
+
+    // Only posts a moderator has given a status are on the roadmap
+    const match = { isActive: true, statusSetAt: { $ne: null } };
+    if (topicId) {
+      const topic = await CommunityTopic.findById(topicId).select('_id');
+      if (!topic) {
+        return res.status(404).json({
+          success: false,
+          message: 'Topic not found',
+        });
+      }
+      match.topicId = new mongoose.Types.ObjectId(topicId);
+    }
+
+    const columns = await Promise.all(ROADMAP_COLUMNS.map(async ({ status, label }) => {
+      const columnMatch = { ...match, implementationStatus: status };
+      const sort = status === 'completed'
+        ? { completedAt: -1, updatedAt: -1 }
+        : { priorityRank: 1, likeCount: -1, createdAt: -1 };
+
+      const [posts, count] = await Promise.all([
+        CommunityPost.aggregate([
+          { $match: columnMatch },
+          {
+            $addFields: {
+              priorityRank: { $indexOfArray: [PRIORITY_ORDER, { $ifNull: ['$metadata.priority', 'medium'] }] }
+            }
+          },
+          { $sort: sort },
+          { $limit: limit },
+          { $project: ROADMAP_FIELDS }
+        ]),
+        CommunityPost.countDocuments(columnMatch)
+      ]);
+
+      return { status, label, count, posts };
+    }));
+
+    const topicIds = [...new Set(columns.flatMap(column => column.posts.map(post => String(post.topicId))))];
+    const topics = await CommunityTopic.find({ _id: { $in: topicIds } })
+      .select('name description metadata')
+      .sort({ name: 1 })
+      .lean();
+
+    // Topics in name order; posts keep the column's order within each topic
+    const roadmap = columns.map(({ posts, ...column }) => ({
+      ...column,
+      topics: topics
+        .map(topic => ({
+          ...topic,
+          posts: posts.filter(post => String(post.topicId) === String(topic._id))
+        }))
+        .filter(topic => topic.posts.length > 0)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { columns: roadmap },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the public changelog, newest release first
+exports.getChangelog = async (req, res, next) => {
+  try {
+    const { error, value } = getChangelogSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    const { topicId, from, to, page, limit } = value;
+
+    const query = { isPublished: true };
+    if (topicId) query.topicId = topicId;
+    if (from || to) {
+      query.releasedAt = {};
+      if (from) query.releasedAt.$gte = from;
+      if (to) query.releasedAt.$lte = to;
+    }
+
+    const [entries, totalCount] = await Promise.all([
+      ChangelogEntry.find(query)
+        .populate('topicId', 'name description metadata')
+        .populate('postId', 'likeCount commentCount')
+        .sort({ releasedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ChangelogEntry.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries: entries.map(formatEntry),
+        pagination: {
+          current: page,
+          total: Math.ceil(totalCount / limit),
+          count: entries.length,
+          totalItems: totalCount
+        }
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reword, redate, publish or unpublish a changelog entry (community:moderate)
+exports.updateChangelogEntry = async (req, res, next) => {
+  try {
+    const { entryId } = req.params;
+    const { error, value } = updateChangelogSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid changelog entry ID',
+      });
+    }
+
+    const entry = await ChangelogEntry.findById(entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Changelog entry not found',
+      });
+    }
+
+    // Only shipped posts belong on the changelog
+    if (value.isPublished && !entry.isPublished) {
+      const post = await CommunityPost.findOne({ _id: entry.postId, isActive: true }).select('implementationStatus');
+      if (!post || post.implementationStatus !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only entries for completed posts can be published',
+        });
+      }
+    }
+
+    Object.assign(entry, value, { updatedBy: req.user.id });
+    await entry.save();
+
+    // The post's completion date follows the release date
+    if (value.releasedAt) {
+      await CommunityPost.updateOne(
+        { _id: entry.postId, implementationStatus: 'completed' },
+        { $set: { completedAt: entry.releasedAt } }
+      );
+    }
+
+    const populatedEntry = await ChangelogEntry.findById(entry._id)
+      .populate('topicId', 'name description metadata')
+      .populate('postId', 'likeCount commentCount')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'Changelog entry updated successfully',
+      data: { entry: { ...formatEntry(populatedEntry), isPublished: populatedEntry.isPublished } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -6,7 +6,7 @@ const {
   getTopicsSchema
 } = require('../utils/communityValidation');
 
-// Create new community topic
+// Create new community topic (community:moderate)
 exports.createTopic = async (req, res, next) => {
   try {
     const { error, value } = createTopicSchema.validate(req.body);
@@ -147,7 +147,7 @@ exports.getTopic = async (req, res, next) => {
   }
 };
 
-// Update community topic
+// Update community topic (community:moderate)
 exports.updateTopic = async (req, res, next) => {
   try {
     const { topicId } = req.params;
@@ -208,7 +208,7 @@ exports.updateTopic = async (req, res, next) => {
   }
 };
 
-// Delete community topic
+// Delete community topic (community:moderate)
 exports.deleteTopic = async (req, res, next) => {
   try {
     const { topicId } = req.params;
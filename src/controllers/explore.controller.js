@@ -18,7 +18,11 @@ const {
   calculateDistancesWithGoogleMaps,
   calculateHaversineDistance
 } = require('../utils/googleMaps');
-const { validateTimezone } = require('../utils/timezoneValidation');
+const { isOpenNow } = require('../utils/serviceHours');
+const { isPageLive } = require('../utils/contentSchedule');
+
+// Page fields the feeds need: opening hours and whether the page is live
+const FEED_PAGE_FIELDS = 'serviceHours settings.isPublished unpublishAt moderation.isForceUnpublished';
 
 exports.getNearbyBusinesses = async (req, res, next) => {
   try {
@@ -59,7 +63,10 @@ exports.getNearbyBusinesses = async (req, res, next) => {
 
     const geoActive = longitude != null && latitude != null && (longitude !== 0 || latitude !== 0);
 
-    const query = { userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) } };
+    const query = {
+      userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) },
+      isHiddenFromExplore: { $ne: true }
+    };
 
     if (geoActive) {
       query.$nor = [
@@ -100,7 +107,7 @@ exports.getNearbyBusinesses = async (req, res, next) => {
 
     let businesses = await BusinessProfile.find(query)
       .populate('userId', 'firstName lastName')
-      .populate('builderPageId', 'serviceHours')
+      .populate('builderPageId', FEED_PAGE_FIELDS)
       .select('-__v')
       .sort({
         'metrics.viewCount': -1,
@@ -131,7 +138,7 @@ exports.getNearbyBusinesses = async (req, res, next) => {
         };
         let expanded = await BusinessProfile.find(expandedQuery)
           .populate('userId', 'firstName lastName')
-          .populate('builderPageId', 'serviceHours')
+          .populate('builderPageId', FEED_PAGE_FIELDS)
           .select('-__v')
           .sort({
             'metrics.viewCount': -1,
@@ -289,7 +296,10 @@ exports.getTopPicks = async (req, res, next) => {
       });
     }
 
-    const query = { userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) } };
+    const query = {
+      userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) },
+      isHiddenFromExplore: { $ne: true }
+    };
 
     if (longitude && latitude) {
       query['location.coordinates'] = {
@@ -336,7 +346,7 @@ exports.getTopPicks = async (req, res, next) => {
 
     let businesses = await BusinessProfile.find(query)
           .populate('userId', 'firstName lastName')
-          .populate('builderPageId', 'serviceHours')
+          .populate('builderPageId', FEED_PAGE_FIELDS)
           .select('-__v')
           .sort({
             'metrics.ratingAverage': -1,
@@ -456,7 +466,10 @@ exports.getOnTheRise = async (req, res, next) => {
       completeProfile = false
     } = value;
 
-    const query = { userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) } };
+    const query = {
+      userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) },
+      isHiddenFromExplore: { $ne: true }
+    };
 
     if (longitude && latitude) {
       query['location.coordinates'] = {
@@ -517,7 +530,7 @@ exports.getOnTheRise = async (req, res, next) => {
 
     let businesses = await BusinessProfile.find(query)
       .populate('userId', 'firstName lastName')
-      .populate('builderPageId', 'serviceHours')
+      .populate('builderPageId', FEED_PAGE_FIELDS)
       .select('-__v')
       .sort({
         'metrics.viewCount': -1,
@@ -617,7 +630,10 @@ exports.getNewlyAdded = async (req, res, next) => {
       completeProfile = false
     } = value;
 
-    const query = { userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) } };
+    const query = {
+      userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) },
+      isHiddenFromExplore: { $ne: true }
+    };
 
     if (category) {
       const industryIds = await getIndustryIdsFromCategory(category);
@@ -655,7 +671,7 @@ exports.getNewlyAdded = async (req, res, next) => {
 
     const businesses = await BusinessProfile.find(query)
       .populate('userId', 'firstName lastName')
-      .populate('builderPageId', 'serviceHours')
+      .populate('builderPageId', FEED_PAGE_FIELDS)
       .select('-__v')
       .sort({ createdAt: -1 })
       .limit(limit * 2)
@@ -677,10 +693,7 @@ exports.getNewlyAdded = async (req, res, next) => {
 
     // Post-query filtering for openedStatus
     if (openedStatus === 'open' && topBusinesses.length > 0) {
-      const now = new Date();
-      const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-      const currentTime = now.toTimeString().slice(0, 5);
-      topBusinesses = filterByOpenedStatus(topBusinesses, currentDay, currentTime);
+      topBusinesses = filterByOpenedStatus(topBusinesses);
     }
 
     // Filter businesses with complete profiles if requested
@@ -819,7 +832,8 @@ exports.getRecents = async (req, res, next) => {
     });
 
     const query = {
-      builderPageId: { $in: builderPageIds }
+      builderPageId: { $in: builderPageIds },
+      isHiddenFromExplore: { $ne: true }
     };
 
     // Apply filters - use industryId (ObjectId) matching
@@ -860,7 +874,7 @@ exports.getRecents = async (req, res, next) => {
 
     let businesses = await BusinessProfile.find(query)
       .populate('userId', 'firstName lastName')
-      .populate('builderPageId', 'serviceHours')
+      .populate('builderPageId', FEED_PAGE_FIELDS)
       .select('-__v')
       .lean();
 
@@ -988,7 +1002,10 @@ exports.exploreBusinesses = async (req, res, next) => {
 
     const userId = req.user.id;
     const hasGeo = Boolean(longitude && latitude);
-    const query = { userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) } };
+    const query = {
+      userId: { $ne: mongoose.Types.ObjectId.createFromHexString(userId) },
+      isHiddenFromExplore: { $ne: true }
+    };
 
     // Geo filter — exclude [0,0] placeholder coords (break geo distance calculations)
     if (hasGeo) {
@@ -1104,7 +1121,7 @@ exports.exploreBusinesses = async (req, res, next) => {
 
     let businesses = await BusinessProfile.find(query)
       .populate('userId', 'firstName lastName')
-      .populate('builderPageId', 'serviceHours')
+      .populate('builderPageId', FEED_PAGE_FIELDS)
       .select('-__v -metrics.ratingAverage -metrics.ratingCount')
       .sort(sort)
       .limit(limit * 3)
@@ -1293,344 +1310,6 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-function normalizeTime(timeStr) {
-  if (!timeStr || typeof timeStr !== 'string') {
-    return null;
-  }
-  
-  const trimmed = timeStr.trim();
-  if (trimmed.length === 0) {
-    return null;
-  }
-  
-  const parts = trimmed.split(':');
-  if (parts.length !== 2) {
-    return null;
-  }
-  
-  const hoursStr = parts[0].trim();
-  const minutesStr = parts[1].trim();
-  
-  if (hoursStr.length === 0 || minutesStr.length === 0) {
-    return null;
-  }
-  
-  const hours = parseInt(hoursStr, 10);
-  const minutes = parseInt(minutesStr, 10);
-  
-  if (isNaN(hours) || isNaN(minutes)) {
-    return null;
-  }
-  
-  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-    return null;
-  }
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-}
-
-function timeToMinutes(timeStr) {
-  if (!timeStr || typeof timeStr !== 'string') {
-    return null;
-  }
-  
-  const normalized = normalizeTime(timeStr);
-  if (!normalized) {
-    return null;
-  }
-  
-  const parts = normalized.split(':');
-  if (parts.length !== 2) {
-    return null;
-  }
-  
-  const hours = parseInt(parts[0], 10);
-  const minutes = parseInt(parts[1], 10);
-  
-  if (isNaN(hours) || isNaN(minutes)) {
-    return null;
-  }
-  
-  return (hours * 60) + minutes;
-}
-
-function mapDayAbbreviationToFull(abbrev) {
-  const dayMap = {
-    'Mon': 'Monday',
-    'Tues': 'Tuesday',
-    'Wed': 'Wednesday',
-    'Thur': 'Thursday',
-    'Thu': 'Thursday',
-    'Fri': 'Friday',
-    'Sat': 'Saturday',
-    'Sun': 'Sunday'
-  };
-  return dayMap[abbrev] || abbrev;
-}
-
-function mapFullDayToAbbreviation(fullDay) {
-  if (!fullDay || typeof fullDay !== 'string') {
-    return null;
-  }
-  
-  const normalized = fullDay.trim();
-  if (normalized.length === 0) {
-    return null;
-  }
-  
-  const dayMap = {
-    'Monday': 'Mon',
-    'Tuesday': 'Tues',
-    'Wednesday': 'Wed',
-    'Thursday': 'Thur',
-    'Friday': 'Fri',
-    'Saturday': 'Sat',
-    'Sunday': 'Sun'
-  };
-  
-  return dayMap[normalized] || null;
-}
-
-function timeToSeconds(timeStr) {
-  if (!timeStr || typeof timeStr !== 'string') {
-    return null;
-  }
-  
-  const trimmed = timeStr.trim();
-  if (trimmed.length === 0) {
-    return null;
-  }
-  
-  const parts = trimmed.split(':');
-  if (parts.length < 2 || parts.length > 3) {
-    return null;
-  }
-  
-  const hoursStr = parts[0].trim();
-  const minutesStr = parts[1].trim();
-  const secondsStr = parts[2] ? parts[2].trim() : '00';
-  
-  if (hoursStr.length === 0 || minutesStr.length === 0) {
-    return null;
-  }
-  
-  const hours = parseInt(hoursStr, 10);
-  const minutes = parseInt(minutesStr, 10);
-  const seconds = parseInt(secondsStr, 10);
-  
-  if (isNaN(hours) || isNaN(minutes) || isNaN(seconds)) {
-    return null;
-  }
-  
-  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59 || seconds < 0 || seconds > 59) {
-    return null;
-  }
-  
-  return (hours * 3600) + (minutes * 60) + seconds;
-}
-
-function getCurrentTimeInTimezone(timezone) {
-  if (!timezone || typeof timezone !== 'string' || timezone.trim().length === 0) {
-    return null;
-  }
-  
-  try {
-    const now = new Date();
-    if (!now || isNaN(now.getTime())) {
-      return null;
-    }
-    
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone.trim(),
-      weekday: 'long',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    });
-    
-    const parts = formatter.formatToParts(now);
-    if (!parts || !Array.isArray(parts) || parts.length === 0) {
-      return null;
-    }
-    
-    let day = null;
-    let hour = null;
-    let minute = null;
-    let second = null;
-    
-    for (const part of parts) {
-      if (!part || typeof part !== 'object') {
-        continue;
-      }
-      if (part.type === 'weekday' && part.value) {
-        day = part.value;
-      } else if (part.type === 'hour' && part.value) {
-        hour = part.value;
-      } else if (part.type === 'minute' && part.value) {
-        minute = part.value;
-      } else if (part.type === 'second' && part.value) {
-        second = part.value;
-      }
-    }
-    
-    if (!day || !hour || !minute || !second || 
-        typeof day !== 'string' || typeof hour !== 'string' || 
-        typeof minute !== 'string' || typeof second !== 'string') {
-      return null;
-    }
-    
-    const hourNum = parseInt(hour, 10);
-    const minuteNum = parseInt(minute, 10);
-    const secondNum = parseInt(second, 10);
-    
-    if (isNaN(hourNum) || isNaN(minuteNum) || isNaN(secondNum) ||
-        hourNum < 0 || hourNum > 23 || minuteNum < 0 || minuteNum > 59 || 
-        secondNum < 0 || secondNum > 59) {
-      return null;
-    }
-    
-    const time = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}:${second.padStart(2, '0')}`;
-    
-    return {
-      day: day.trim(),
-      time: time
-    };
-  } catch (error) {
-    return null;
-  }
-}
-
-function getServiceHoursForDay(serviceHours, currentDayFull) {
-  if (!serviceHours || typeof serviceHours !== 'object' || Array.isArray(serviceHours)) {
-    return null;
-  }
-  
-  if (!serviceHours.weeklyHours || !Array.isArray(serviceHours.weeklyHours)) {
-    return null;
-  }
-  
-  if (serviceHours.weeklyHours.length === 0) {
-    return null;
-  }
-  
-  if (!currentDayFull || typeof currentDayFull !== 'string' || currentDayFull.trim().length === 0) {
-    return null;
-  }
-  
-  const currentDayAbbrev = mapFullDayToAbbreviation(currentDayFull);
-  if (!currentDayAbbrev || typeof currentDayAbbrev !== 'string') {
-    return null;
-  }
-  
-  const todayHours = serviceHours.weeklyHours.find(hours => {
-    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
-      return false;
-    }
-    if (!hours.day || typeof hours.day !== 'string') {
-      return false;
-    }
-    const dayNormalized = hours.day.trim();
-    if (dayNormalized.length === 0) {
-      return false;
-    }
-    return dayNormalized === currentDayAbbrev || dayNormalized === currentDayFull.trim();
-  });
-
-  if (!todayHours || typeof todayHours !== 'object' || Array.isArray(todayHours)) {
-    return null;
-  }
-
-  if (todayHours.isClosed === true) {
-    return null;
-  }
-
-  if (!todayHours.startTime || typeof todayHours.startTime !== 'string' || todayHours.startTime.trim().length === 0) {
-    return null;
-  }
-  
-  if (!todayHours.endTime || typeof todayHours.endTime !== 'string' || todayHours.endTime.trim().length === 0) {
-    return null;
-  }
-
-  const normalizedStartTime = normalizeTime(todayHours.startTime);
-  const normalizedEndTime = normalizeTime(todayHours.endTime);
-  
-  if (!normalizedStartTime || !normalizedEndTime || 
-      typeof normalizedStartTime !== 'string' || typeof normalizedEndTime !== 'string') {
-    return null;
-  }
-
-  return {
-    open: normalizedStartTime,
-    close: normalizedEndTime,
-    isClosed: todayHours.isClosed === true
-  };
-}
-
-function checkIfCurrentlyOpenFromServiceHours(serviceHours) {
-  if (!serviceHours || typeof serviceHours !== 'object' || Array.isArray(serviceHours)) {
-    return false;
-  }
-  
-  if (!serviceHours.weeklyHours || !Array.isArray(serviceHours.weeklyHours)) {
-    return false;
-  }
-  
-  if (serviceHours.weeklyHours.length === 0) {
-    return false;
-  }
-
-  try {
-    const timezone = validateTimezone(serviceHours.timezone, 'UTC');
-    if (!timezone || typeof timezone !== 'string') {
-      return false;
-    }
-    
-    const currentTimeInfo = getCurrentTimeInTimezone(timezone);
-    if (!currentTimeInfo || typeof currentTimeInfo !== 'object' || 
-        !currentTimeInfo.time || !currentTimeInfo.day ||
-        typeof currentTimeInfo.time !== 'string' || typeof currentTimeInfo.day !== 'string') {
-      return false;
-    }
-    
-    const currentDayFull = currentTimeInfo.day;
-    const currentTime = currentTimeInfo.time;
-    
-    const currentTimeSeconds = timeToSeconds(currentTime);
-    if (currentTimeSeconds === null || typeof currentTimeSeconds !== 'number' || 
-        isNaN(currentTimeSeconds) || currentTimeSeconds < 0 || currentTimeSeconds >= 86400) {
-      return false;
-    }
-
-    const todayHours = getServiceHoursForDay(serviceHours, currentDayFull);
-    if (!todayHours || typeof todayHours !== 'object' || Array.isArray(todayHours)) {
-      return false;
-    }
-
-    const openSeconds = timeToSeconds(todayHours.open);
-    const closeSeconds = timeToSeconds(todayHours.close);
-
-    if (openSeconds === null || typeof openSeconds !== 'number' || 
-        isNaN(openSeconds) || openSeconds < 0 || openSeconds >= 86400) {
-      return false;
-    }
-    
-    if (closeSeconds === null || typeof closeSeconds !== 'number' || 
-        isNaN(closeSeconds) || closeSeconds < 0 || closeSeconds >= 86400) {
-      return false;
-    }
-
-    if (closeSeconds < openSeconds) {
-      return currentTimeSeconds >= openSeconds || currentTimeSeconds < closeSeconds;
-    }
-
-    return currentTimeSeconds >= openSeconds && currentTimeSeconds < closeSeconds;
-  } catch (error) {
-    return false;
-  }
-}
-
 function filterByOpenedStatus(businesses) {
   if (!Array.isArray(businesses)) {
     return [];
@@ -1655,51 +1334,7 @@ function filterByOpenedStatus(businesses) {
       return false;
     }
 
-    const serviceHours = business.builderPageId.serviceHours;
-    const timezone = validateTimezone(serviceHours.timezone, 'UTC');
-    if (!timezone || typeof timezone !== 'string') {
-      return false;
-    }
-    
-    const currentTimeInfo = getCurrentTimeInTimezone(timezone);
-    if (!currentTimeInfo || typeof currentTimeInfo !== 'object' ||
-        !currentTimeInfo.time || !currentTimeInfo.day ||
-        typeof currentTimeInfo.time !== 'string' || typeof currentTimeInfo.day !== 'string') {
-      return false;
-    }
-    
-    const businessCurrentDay = currentTimeInfo.day;
-    const businessCurrentTime = currentTimeInfo.time;
-    
-    const todayHours = getServiceHoursForDay(serviceHours, businessCurrentDay);
-    if (!todayHours || typeof todayHours !== 'object' || Array.isArray(todayHours)) {
-      return false;
-    }
-
-    const currentTimeSeconds = timeToSeconds(businessCurrentTime);
-    const openSeconds = timeToSeconds(todayHours.open);
-    const closeSeconds = timeToSeconds(todayHours.close);
-
-    if (currentTimeSeconds === null || typeof currentTimeSeconds !== 'number' || 
-        isNaN(currentTimeSeconds) || currentTimeSeconds < 0 || currentTimeSeconds >= 86400) {
-      return false;
-    }
-    
-    if (openSeconds === null || typeof openSeconds !== 'number' || 
-        isNaN(openSeconds) || openSeconds < 0 || openSeconds >= 86400) {
-      return false;
-    }
-    
-    if (closeSeconds === null || typeof closeSeconds !== 'number' || 
-        isNaN(closeSeconds) || closeSeconds < 0 || closeSeconds >= 86400) {
-      return false;
-    }
-
-    if (closeSeconds < openSeconds) {
-      return currentTimeSeconds >= openSeconds || currentTimeSeconds < closeSeconds;
-    }
-
-    return currentTimeSeconds >= openSeconds && currentTimeSeconds < closeSeconds;
+    return isOpenNow(business.builderPageId.serviceHours);
   });
 }
 
@@ -1713,11 +1348,17 @@ function checkIfCurrentlyOpen(builderPage) {
     return false;
   }
   
-  return checkIfCurrentlyOpenFromServiceHours(builderPage.serviceHours);
+  return isOpenNow(builderPage.serviceHours);
 }
 
 async function hasCompleteProfileWithDetails(business) {
   try {
+    // Unpublished and expired pages drop out of the feeds
+    const page = business.builderPageId;
+    if (page && typeof page === 'object' && page.settings && !isPageLive(page)) {
+      return { isComplete: false, reason: 'pageNotLive' };
+    }
+
     if (!business.coverImage || typeof business.coverImage !== 'string' || business.coverImage.trim() === '') {
       return { isComplete: false, reason: 'noCover' };
     }
@@ -14,6 +14,7 @@ const {
   validateFavoritedBusinessWidgets,
   validateFavoritedBusinessDetails
 } = require('../utils/favoritesValidation');
+const { emitWebhookEvent } = require('../utils/webhooks');
 
 exports.addFavorite = async (req, res, next) => {
   try {
@@ -163,6 +164,18 @@ exports.addFavorite = async (req, res, next) => {
 
     await favorite.save();
 
+    // The owner learns what was favorited, not who favorited it
+    if (content.userId && content.userId.toString() !== userId.toString()) {
+      emitWebhookEvent(content.userId, 'favorite.added', {
+        favoriteId: favorite._id,
+        type,
+        targetId: widgetId,
+        productId: favorite.productId,
+        eventId: favorite.eventId,
+        createdAt: favorite.createdAt
+      });
+    }
+
     if (type === 'Page' && content && content._isBusinessProfile) {
       await BusinessProfile.findByIdAndUpdate(widgetId, {
         $inc: { 'metrics.favoriteCount': 1 }
@@ -2,10 +2,76 @@ const FormSubmission = require('../models/formSubmission.model');
 const BuilderPage = require('../models/builderPage.model');
 const Widget = require('../models/widget.model');
 const BusinessProfile = require('../models/businessProfile.model');
+const { getFormFields, validateFormSubmission } = require('../utils/formFields');
+const { uploadToCloudinary, deleteMedia } = require('../utils/cloudinary');
+const { consumeQuota, releaseQuota, bytesToMegabytes } = require('../utils/planLimits');
+const { HONEYPOT_FIELD, hashContent, checkRateLimit, scoreSubmission } = require('../utils/formSpam');
+const { notifyFormSubmission } = require('../utils/formNotifications');
+const FormNotification = require('../models/formNotification.model');
 
-function normalizePhone(phone) {
-  if (!phone) return '';
-  return phone.toString().replace(/\D/g, ''); 
+const FORM_UPLOAD_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'heic', 'pdf', 'txt', 'csv', 'doc', 'docx', 'xls', 'xlsx'];
+
+// Store a submission's files on Cloudinary, charged to the form owner's storage quota.
+// Returns the stored file details keyed by field name, or null when the quota is used up.
+async function storeFormUploads(ownerId, uploads) {
+  if (uploads.length === 0) return {};
+
+  const sizeMb = bytesToMegabytes(uploads.reduce((total, { file }) => total + file.size, 0));
+  const quota = await consumeQuota(ownerId, 'storage', sizeMb);
+  if (!quota.allowed) return null;
+
+  const stored = {};
+  try {
+    for (const { field, file } of uploads) {
+      const result = await uploadToCloudinary(file.buffer, {
+        folder: 'kunex/form-uploads',
+        resource_type: 'auto',
+        allowed_formats: FORM_UPLOAD_FORMATS,
+        transformation: []
+      });
+
+      stored[field.name] = {
+        url: result.secure_url,
+        publicId: result.public_id,
+        resourceType: result.resource_type,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      };
+    }
+  } catch (error) {
+    await Promise.all(Object.values(stored).map(file => (
+      deleteMedia(file.publicId, file.resourceType).catch(() => null)
+    )));
+    await releaseQuota(ownerId, 'storage', sizeMb);
+    throw error;
+  }
+
+  return stored;
+}
+
+// Delete a submission's stored files and give their size back to the form owner's storage quota
+async function removeFormUploads(submission) {
+  const files = Object.values(submission.formData || {}).filter(value => value && value.publicId);
+  if (files.length === 0) return;
+
+  await Promise.all(files.map(file => (
+    deleteMedia(file.publicId, file.resourceType).catch(() => null)
+  )));
+
+  // Uploads were charged to the widget's owner; the page owner is the same user
+  const owner = await Widget.findById(submission.widgetId).select('userId').lean()
+    || await BuilderPage.findById(submission.pageId).select('userId').lean();
+  if (owner) {
+    await releaseQuota(owner.userId, 'storage', bytesToMegabytes(files.reduce((total, file) => total + (file.size || 0), 0)));
+  }
+}
+
+// Business owner, or page owner for submissions without a business
+async function canManageSubmission(submission, userId) {
+  return submission.businessId
+    ? BusinessProfile.exists({ _id: submission.businessId, userId })
+    : BuilderPage.exists({ _id: submission.pageId, userId });
 }
 
 exports.submitForm = async (req, res, next) => {
@@ -13,7 +79,6 @@ exports.submitForm = async (req, res, next) => {
     const {
       pageId,
       widgetId,
-      formData,
       submissionType = 'contact',
       timeOnPage,
       formCompletionTime,
@@ -22,15 +87,33 @@ exports.submitForm = async (req, res, next) => {
       utmMedium,
       utmCampaign
     } = req.body;
+    const files = req.files || [];
+    let { formData } = req.body;
 
-    if (!pageId || !widgetId || !formData) {
+    if (!pageId || !widgetId || (!formData && files.length === 0)) {
       return res.status(400).json({
         success: false,
         message: 'Missing required fields: pageId, widgetId, formData'
       });
     }
 
-    const page = await BuilderPage.findOne({ _id: pageId });
+    // Multipart submissions (forms with file fields) may send the answers as a JSON string
+    if (typeof formData === 'string') {
+      try {
+        formData = JSON.parse(formData);
+      } catch (error) {
+        formData = null;
+      }
+    }
+
+    if (formData !== undefined && (!formData || typeof formData !== 'object' || Array.isArray(formData))) {
+      return res.status(400).json({
+        success: false,
+        message: 'formData must be an object'
+      });
+    }
+
+    const page = await BuilderPage.findOne({ _id: pageId }).select('+formNotifications');
     if (!page) {
       return res.status(404).json({
         success: false,
@@ -53,86 +136,54 @@ exports.submitForm = async (req, res, next) => {
       });
     }
 
-    const formConfig = widget.settings.specific?.form || {};
-    const formFields = [];
-
-    if (formConfig.titleTextBox) {
-      formFields.push({
-        name: 'name',
-        type: 'text',
-        label: formConfig.titleTextBox,
-        required: true
-      });
-    }
-
-    if (formConfig.hasEmail) {
-      formFields.push({
-        name: 'email',
-        type: 'email',
-        label: 'Email',
-        placeholder: formConfig.emailPlaceholder || 'Enter your email',
-        required: true,
-        validation: {
-          pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$'
-        }
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const rateLimit = await checkRateLimit(ipAddress, widget._id);
+    if (!rateLimit.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many submissions. Please try again later.',
+        code: 'FORM_RATE_LIMITED',
+        retryAfter: rateLimit.retryAfterSeconds
       });
     }
 
-    if (formConfig.hasPhoneNumber) {
-      formFields.push({
-        name: 'phone',
-        type: 'phone',
-        label: 'Phone Number',
-        placeholder: formConfig.phoneNumberPlaceholder || 'Enter your phone number',
-        required: false
-      });
-    }
+    const formFields = getFormFields(widget.settings.specific?.form);
+    const { errors, values, uploads, visibleFields } = validateFormSubmission(formFields, formData || {}, files);
 
-    if (formFields.length === 0) {
-      formFields.push({
-        name: 'message',
-        type: 'textarea',
-        label: 'Message',
-        required: true
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Form validation failed',
+        errors
       });
     }
 
-    const validationErrors = [];
-
-    for (const field of formFields) {
-
-      if (field.required && (!formData[field.name] || formData[field.name].toString().trim() === '')) {
-        validationErrors.push(`${field.name} is required`);
-        continue;
-      }
-
-      if (!formData[field.name]) continue;
-
-      let value = formData[field.name].toString().trim();
-
-      if (field.type === 'email') {
-        const regex = new RegExp(field.validation.pattern);
-        if (!regex.test(value)) {
-          validationErrors.push(`${field.name} must be a valid email address`);
-        }
-      }
-
-      if (field.type === 'phone') {
-        const cleanedPhone = normalizePhone(value);
-
-        formData[field.name] = cleanedPhone;
+    const contentHash = hashContent(widget._id, values);
+    const spamCheck = await scoreSubmission({
+      widget,
+      page,
+      widgetId: widget._id,
+      values,
+      honeypot: req.body[HONEYPOT_FIELD] ?? formData?.[HONEYPOT_FIELD],
+      formCompletionTime,
+      ipAddress,
+      userAgent: req.get('User-Agent'),
+      referrer,
+      contentHash
+    });
 
-        if (cleanedPhone.length <= 7) {
-          validationErrors.push('Phone number must be more than 7 digits');
-        }
-      }
-    }
+    // Files attached to spam are not stored; only their names are kept
+    const storedFiles = spamCheck.isSpam
+      ? Object.fromEntries(uploads.map(({ field, file }) => [
+        field.name,
+        { fileName: file.originalname, mimeType: file.mimetype, size: file.size }
+      ]))
+      : await storeFormUploads(widget.userId, uploads);
 
-    if (validationErrors.length > 0) {
-      return res.status(400).json({
+    if (!storedFiles) {
+      return res.status(403).json({
         success: false,
-        message: 'Form validation failed',
-        errors: validationErrors
+        message: 'This form cannot accept file uploads at the moment'
       });
     }
 
@@ -140,8 +191,8 @@ exports.submitForm = async (req, res, next) => {
       pageId,
       widgetId,
       businessId: page.businessId,
-      formData,
-      formFields,
+      formData: { ...values, ...storedFiles },
+      formFields: visibleFields,
       submissionType,
       timeOnPage,
       formCompletionTime,
@@ -149,14 +200,30 @@ exports.submitForm = async (req, res, next) => {
       utmSource,
       utmMedium,
       utmCampaign,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent')
+      ipAddress,
+      userAgent: req.get('User-Agent'),
+      contentHash
     };
 
+    if (spamCheck.isSpam) {
+      submissionData.status = 'spam';
+      submissionData.spam = {
+        source: 'auto',
+        score: spamCheck.score,
+        reasons: spamCheck.reasons,
+        checkedAt: new Date()
+      };
+    }
+
     const submission = new FormSubmission(submissionData);
     await submission.save();
 
-    await widget.updateAnalytics('conversions', 1);
+    // Spam gets the same response, so automated senders cannot tell they were caught
+    if (!spamCheck.isSpam) {
+      await widget.updateAnalytics('conversions', 1);
+      // The submission is stored; a notification problem must not make the visitor resubmit
+      await notifyFormSubmission(submission, page, { spamScore: spamCheck.score }).catch(() => null);
+    }
 
     res.status(201).json({
       success: true,
@@ -343,6 +410,84 @@ exports.updateSubmissionStatus = async (req, res, next) => {
   }
 };
 
+// Get the notification delivery log of a submission
+exports.getSubmissionNotifications = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const submission = await FormSubmission.findById(id).select('pageId businessId');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (!(await canManageSubmission(submission, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const notifications = await FormNotification.find({ submissionId: submission._id })
+      .select('-userId -pageId')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { notifications }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore a submission that was wrongly classified as spam
+exports.markSubmissionNotSpam = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const submission = await FormSubmission.findById(id);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (!(await canManageSubmission(submission, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (submission.status !== 'spam') {
+      return res.status(400).json({
+        success: false,
+        message: 'Submission is not marked as spam'
+      });
+    }
+
+    await submission.markAsNotSpam(userId);
+
+    // Spam never notified anyone; send what a normal submission would have
+    const page = await BuilderPage.findById(submission.pageId).select('+formNotifications');
+    if (page) await notifyFormSubmission(submission, page).catch(() => null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission restored from spam',
+      data: { submission }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get submission statistics
 exports.getSubmissionStats = async (req, res, next) => {
   try {
@@ -402,18 +547,15 @@ exports.deleteSubmission = async (req, res, next) => {
       });
     }
 
-    // Verify access
-    if (submission.businessId) {
-      const business = await BusinessProfile.findOne({ _id: submission.businessId, userId });
-      if (!business) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
+    if (!(await canManageSubmission(submission, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
     await FormSubmission.findByIdAndDelete(id);
+    await removeFormUploads(submission);
 
     res.status(200).json({
       success: true,
@@ -477,6 +619,7 @@ exports.bulkUpdateSubmissions = async (req, res, next) => {
           break;
         case 'mark_spam':
           updateData.status = 'spam';
+          updateData.spam = { source: 'manual', checkedAt: new Date() };
           break;
         default:
           return Promise.reject(new Error('Invalid action'));
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const ScheduledJob = require('../models/scheduledJob.model');
+const JobRun = require('../models/jobRun.model');
+const { getRegisteredJobs, runJobNow, runExternalTick } = require('../jobs');
+const { validateJobRunsQuery } = require('../utils/jobValidation');
+
+// Sent by the Vercel cron as a bearer token; serverless instances have no in-process scheduler
+const CRON_SECRET = process.env.CRON_SECRET;
+
+const secretsMatch = (received) => {
+  const expected = crypto.createHash('sha256').update(CRON_SECRET).digest();
+  const actual = crypto.createHash('sha256').update(String(received || '')).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Check the cron's secret before a tick runs
+exports.verifyCronSecret = (req, res, next) => {
+  if (!CRON_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'Job tick is not configured'
+    });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const received = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+
+  if (!secretsMatch(received)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret'
+    });
+  }
+  next();
+};
+
+// Run every job that is due, as the in-process scheduler would (CRON_SECRET)
+exports.runJobTick = async (req, res, next) => {
+  try {
+    const runs = await runExternalTick();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs: runs.map(run => ({
+          jobName: run.jobName,
+          status: run.status,
+          durationMs: run.durationMs,
+          error: run.error
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List registered jobs with their persisted state (jobs:run)
+exports.getJobs = async (req, res, next) => {
+  try {
+    const states = await ScheduledJob.find().lean();
+    const statesByName = new Map(states.map(state => [state.name, state]));
+
+    const jobs = getRegisteredJobs().map(definition => ({
+      name: definition.name,
+      description: definition.description,
+      intervalMs: definition.intervalMs,
+      maxRetries: definition.maxRetries,
+      state: statesByName.get(definition.name) || null
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List job runs, newest first (jobs:run)
+exports.getJobRuns = async (req, res, next) => {
+  try {
+    const { error, value } = validateJobRunsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { jobName, status, page, limit } = value;
+
+    const query = {};
+    if (jobName) query.jobName = jobName;
+    if (status) query.status = status;
+
+    const [runs, totalItems] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: runs.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run a job immediately (jobs:run)
+exports.runJob = async (req, res, next) => {
+  try {
+    const { jobName } = req.params;
+
+    if (!getRegisteredJobs().some(job => job.name === jobName)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const run = await runJobNow(jobName);
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: run.status === 'succeeded' ? 'Job completed successfully' : 'Job failed',
+      data: { run }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const LinkCheck = require('../models/linkCheck.model');
+const { validateLinkReportQuery } = require('../utils/linkHealthValidation');
+
+// Report on the health of the user's social media links and widget URLs
+exports.getLinkReport = async (req, res, next) => {
+  try {
+    const { error, value } = validateLinkReportQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { status, sourceType, pageId, page, limit } = value;
+    const userId = new mongoose.Types.ObjectId(String(req.user.id));
+
+    const query = { userId, status };
+    if (sourceType) query.sourceType = sourceType;
+    if (pageId) query.pageId = pageId;
+
+    const skip = (page - 1) * limit;
+
+    const [links, totalItems, statusCounts] = await Promise.all([
+      LinkCheck.find(query)
+        .populate('pageId', 'title slug')
+        .sort({ brokenSince: -1, lastChecked: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LinkCheck.countDocuments(query),
+      LinkCheck.aggregate([
+        { $match: { userId } },
+        { $group: { _id: '$status', count: { $sum: 1 }, lastChecked: { $max: '$lastChecked' } } }
+      ])
+    ]);
+
+    const summary = { total: 0, ok: 0, failing: 0, broken: 0, lastChecked: null };
+    statusCounts.forEach(group => {
+      summary[group._id] = group.count;
+      summary.total += group.count;
+      if (!summary.lastChecked || group.lastChecked > summary.lastChecked) {
+        summary.lastChecked = group.lastChecked;
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary,
+        links,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: links.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const { validateLoginLocksQuery } = require('../utils/loginThrottleValidation');
+
+// List accounts and IP addresses that are currently locked out (security:manage)
+exports.getLoginLocks = async (req, res, next) => {
+  try {
+    const { error, value } = validateLoginLocksQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { scope, page, limit } = value;
+
+    const query = { lockedUntil: { $gt: new Date() } };
+    if (scope) query.scope = scope;
+
+    const skip = (page - 1) * limit;
+
+    const [locks, totalItems] = await Promise.all([
+      LoginThrottle.find(query)
+        .populate('userId', 'email firstName lastName')
+        .sort({ lockedUntil: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LoginThrottle.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        locks,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: locks.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clear a lock by id, e.g. to release a shared IP address (security:manage)
+exports.deleteLoginLock = async (req, res, next) => {
+  try {
+    const { lockId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(lockId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lock ID'
+      });
+    }
+
+    const lock = await LoginThrottle.findByIdAndDelete(lockId);
+    if (!lock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lock cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlock a user account and reset its failed login counter (security:manage)
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const throttle = await LoginThrottle.findOneAndDelete({
+      scope: 'account',
+      key: LoginThrottle.normalizeKey('account', user.email)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: {
+        userId: user._id,
+        wasLocked: !!(throttle && throttle.lockedUntil && throttle.lockedUntil > new Date())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
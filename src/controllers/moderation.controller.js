@@ -0,0 +1,418 @@
+const mongoose = require('mongoose');
+const PageReport = require('../models/pagereport.model');
+const BuilderPage = require('../models/builderPage.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const { sendReportStatusEmail, sendPageModerationEmail } = require('../utils/email');
+const {
+  validateReportQuery,
+  validateReportGroupQuery,
+  validateReportStatusUpdate,
+  validatePageAction
+} = require('../utils/moderationValidation');
+
+const OPEN_STATUSES = ['pending', 'reviewed'];
+
+// Notifications are best effort; a mail failure must not undo a moderation decision
+async function notify(send) {
+  try {
+    await send();
+    return true;
+  } catch (error) {
+    console.error('Moderation notification failed:', error.message);
+    return false;
+  }
+}
+
+async function notifyReporters(reports, pageTitle, status, resolutionNote) {
+  const notified = new Set();
+  let sent = 0;
+
+  for (const report of reports) {
+    const reporter = report.userId;
+    if (!reporter || !reporter.email || notified.has(reporter.email)) {
+      continue;
+    }
+    notified.add(reporter.email);
+
+    const delivered = await notify(() => sendReportStatusEmail(reporter.email, reporter.firstName, {
+      pageTitle,
+      status,
+      resolutionNote
+    }));
+    if (delivered) sent += 1;
+  }
+
+  return sent;
+}
+
+// List page reports (reports:review)
+exports.getReports = async (req, res, next) => {
+  try {
+    const { error, value } = validateReportQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { status, category, pageId, reporterId, startDate, endDate, sortOrder, page, limit } = value;
+
+    const query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (pageId) query.pageId = pageId;
+    if (reporterId) query.userId = reporterId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = startDate;
+      if (endDate) query.createdAt.$lte = endDate;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [reports, totalItems, statusCounts] = await Promise.all([
+      PageReport.find(query)
+        .populate('pageId', 'title slug userId businessId settings.isPublished moderation')
+        .populate('userId', 'email firstName lastName')
+        .populate('reviewedBy', 'email firstName lastName')
+        .sort({ createdAt: sortOrder === 'asc' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PageReport.countDocuments(query),
+      PageReport.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        statusCounts: statusCounts.reduce((counts, { _id, count }) => {
+          counts[_id] = count;
+          return counts;
+        }, { pending: 0, reviewed: 0, resolved: 0, dismissed: 0 }),
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: reports.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List reported pages with their report counts, most open reports first (reports:review)
+exports.getReportsByPage = async (req, res, next) => {
+  try {
+    const { error, value } = validateReportGroupQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { status, category, page, limit } = value;
+
+    const match = {};
+    if (status) match.status = status;
+    if (category) match.category = category;
+
+    const [result] = await PageReport.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$pageId',
+          reportCount: { $sum: 1 },
+          openCount: {
+            $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] }
+          },
+          categories: { $addToSet: '$category' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { openCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          pages: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'builderpages',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'page'
+              }
+            },
+            { $unwind: { path: '$page', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                pageId: '$_id',
+                'page.title': 1,
+                'page.slug': 1,
+                'page.userId': 1,
+                'page.businessId': 1,
+                'page.settings.isPublished': 1,
+                'page.moderation': 1,
+                reportCount: 1,
+                openCount: 1,
+                categories: 1,
+                firstReportedAt: 1,
+                lastReportedAt: 1
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const totalItems = result.total[0] ? result.total[0].count : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pages: result.pages,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: result.pages.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single report with the reported page (reports:review)
+exports.getReport = async (req, res, next) => {
+  try {
+    const { reportId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await PageReport.findById(reportId)
+      .populate('pageId', 'title slug userId businessId settings.isPublished moderation')
+      .populate('userId', 'email firstName lastName')
+      .populate('reviewedBy', 'email firstName lastName');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const otherReportCount = await PageReport.countDocuments({
+      pageId: report.pageId?._id || report.pageId,
+      _id: { $ne: report._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report,
+        otherReportCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Move a report to a new status with a resolution note (reports:review)
+exports.updateReportStatus = async (req, res, next) => {
+  try {
+    const { reportId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const { error, value } = validateReportStatusUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { status, resolutionNote, notifyReporter } = value;
+
+    const report = await PageReport.findById(reportId)
+      .populate('userId', 'email firstName')
+      .populate('pageId', 'title');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change report status from ${report.status} to ${status}`
+      });
+    }
+
+    report.transitionTo(status, req.user.id, resolutionNote);
+    await report.save();
+
+    let reporterNotified = false;
+    if (notifyReporter) {
+      reporterNotified = await notifyReporters(
+        [report],
+        report.pageId?.title || 'a page',
+        status,
+        resolutionNote
+      ) > 0;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Report marked as ${status}`,
+      data: {
+        report,
+        reporterNotified
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Take a moderation action on a reported page (reports:review)
+exports.takePageAction = async (req, res, next) => {
+  try {
+    const { pageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(pageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid page ID'
+      });
+    }
+
+    const { error, value } = validatePageAction(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { action, note, resolveReports, notifyOwner, notifyReporters: shouldNotifyReporters } = value;
+
+    const existingPage = await BuilderPage.findById(pageId).select('_id');
+    if (!existingPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    const update = {
+      'moderation.note': note || '',
+      'moderation.actionBy': req.user.id,
+      'moderation.actionAt': new Date()
+    };
+
+    if (action === 'unpublish') {
+      update['settings.isPublished'] = false;
+      update['settings.isDraft'] = true;
+      update['moderation.isForceUnpublished'] = true;
+    } else if (action === 'hide_from_explore') {
+      update['moderation.isHiddenFromExplore'] = true;
+    } else if (action === 'restore') {
+      // Restoring lifts the restrictions; the owner decides when to publish again
+      update['moderation.isForceUnpublished'] = false;
+      update['moderation.isHiddenFromExplore'] = false;
+    }
+
+    const page = await BuilderPage.findByIdAndUpdate(pageId, { $set: update }, { new: true })
+      .populate('userId', 'email firstName');
+
+    // Explore lists business profiles, so mirror the flag on the profile using this page
+    await BusinessProfile.updateMany(
+      { builderPageId: page._id },
+      { $set: { isHiddenFromExplore: page.moderation.isHiddenFromExplore } }
+    );
+
+    let resolvedReports = [];
+    if (resolveReports && action !== 'restore') {
+      resolvedReports = await PageReport.find({ pageId: page._id, status: { $in: OPEN_STATUSES } })
+        .populate('userId', 'email firstName');
+
+      if (resolvedReports.length > 0) {
+        const now = new Date();
+        await PageReport.updateMany(
+          { _id: { $in: resolvedReports.map(report => report._id) } },
+          {
+            $set: {
+              status: 'resolved',
+              actionTaken: action,
+              resolutionNote: note || '',
+              reviewedBy: req.user.id,
+              reviewedAt: now,
+              closedAt: now
+            }
+          }
+        );
+      }
+    }
+
+    const notifications = { owner: false, reporters: 0 };
+
+    if (notifyOwner && page.userId && page.userId.email) {
+      notifications.owner = await notify(() => sendPageModerationEmail(page.userId.email, page.userId.firstName, {
+        pageTitle: page.title,
+        action,
+        note
+      }));
+    }
+
+    if (shouldNotifyReporters && resolvedReports.length > 0) {
+      notifications.reporters = await notifyReporters(resolvedReports, page.title, 'resolved', note);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Moderation action applied successfully',
+      data: {
+        pageId: page._id,
+        action,
+        moderation: page.moderation,
+        isPublished: page.settings.isPublished,
+        resolvedReportCount: resolvedReports.length,
+        notifications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const PageTemplate = require('../models/pageTemplate.model');
+const {
+  createTemplateSchema,
+  updateTemplateSchema,
+  getTemplatesSchema
+} = require('../utils/pageTemplateValidation');
+
+// Get active page templates
+exports.getPageTemplates = async (req, res, next) => {
+  try {
+    const { error, value } = getTemplatesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    const filters = {};
+    if (value.category) filters.category = value.category;
+    if (value.pageType) filters.pageType = value.pageType;
+
+    const templates = await PageTemplate.getActiveTemplates(filters);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single page template
+exports.getPageTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID',
+      });
+    }
+
+    const template = await PageTemplate.findById(templateId);
+    if (!template || !template.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create page template (templates:write)
+exports.createPageTemplate = async (req, res, next) => {
+  try {
+    const { error, value } = createTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    const existingTemplate = await PageTemplate.findOne({ slug: value.slug });
+    if (existingTemplate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template with this slug already exists',
+      });
+    }
+
+    const template = new PageTemplate({
+      ...value,
+      createdBy: req.user.id
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Page template created successfully',
+      data: { template },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update page template (templates:write)
+exports.updatePageTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID',
+      });
+    }
+
+    const { error, value } = updateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    const template = await PageTemplate.findById(templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    Object.assign(template, value);
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Page template updated successfully',
+      data: { template },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete page template (templates:write)
+exports.deletePageTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID',
+      });
+    }
+
+    // Pages keep their own copy of the template data, so removing it is safe
+    const template = await PageTemplate.findByIdAndDelete(templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Page template deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
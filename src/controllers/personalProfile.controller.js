@@ -1,6 +1,14 @@
 const PersonalProfile = require('../models/personalProfile.model');
 const User = require('../models/user.model');
 const { uploadToCloudinary, deleteImage, extractPublicId } = require('../utils/cloudinary');
+const {
+  consumeQuota,
+  releaseQuota,
+  recordStoredAsset,
+  releaseStoredAssets,
+  bytesToMegabytes,
+  planLimitExceeded
+} = require('../utils/planLimits');
 const {
   validateCreatePersonalProfile,
   validateUpdatePersonalProfile,
@@ -202,6 +210,14 @@ exports.uploadProfilePhoto = async (req, res, next) => {
       });
     }
 
+    const fileSize = bytesToMegabytes(req.file.size);
+    const storageQuota = await consumeQuota(userId, 'storage', fileSize);
+    if (!storageQuota.allowed) {
+      return planLimitExceeded(res, storageQuota);
+    }
+
+    const oldPhoto = profile.profilePhoto;
+
     // Delete old photo if exists
     if (profile.profilePhoto) {
       const oldPublicId = extractPublicId(profile.profilePhoto);
@@ -215,14 +231,24 @@ exports.uploadProfilePhoto = async (req, res, next) => {
     }
 
     // Upload new photo to Cloudinary
-    const uploadResult = await uploadToCloudinary(req.file.buffer, {
-      public_id: `kunex/profile-photos/${userId}_${Date.now()}`,
-    });
+    let uploadResult;
+    try {
+      uploadResult = await uploadToCloudinary(req.file.buffer, {
+        public_id: `kunex/profile-photos/${userId}_${Date.now()}`,
+      });
+    } catch (uploadError) {
+      await releaseQuota(userId, 'storage', fileSize);
+      throw uploadError;
+    }
 
     // Update profile with new photo URL
     profile.profilePhoto = uploadResult.secure_url;
     await profile.save();
 
+    // The new photo stays charged; the one it replaced is given back
+    await recordStoredAsset(userId, { url: uploadResult.secure_url, publicId: uploadResult.public_id, bytes: req.file.size });
+    await releaseStoredAssets(userId, [oldPhoto]);
+
     res.status(200).json({
       success: true,
       message: 'Profile photo uploaded successfully',
@@ -266,8 +292,10 @@ exports.deleteProfilePhoto = async (req, res, next) => {
     }
 
     // Remove photo URL from profile
+    const oldPhoto = profile.profilePhoto;
     profile.profilePhoto = undefined;
     await profile.save();
+    await releaseStoredAssets(userId, [oldPhoto]);
 
     res.status(200).json({
       success: true,
@@ -467,6 +495,7 @@ exports.deleteProfile = async (req, res, next) => {
 
     // Delete profile
     await PersonalProfile.findByIdAndDelete(profile._id);
+    await releaseStoredAssets(userId, [profile.profilePhoto]);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,71 @@
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const UserSettings = require('../models/userSettings.model');
+const { renderPageHtml, renderErrorHtml } = require('../utils/pageRenderer');
+const { hideExpiredContent } = require('../utils/contentSchedule');
+
+// Crawlers and link-preview bots fetch this route a lot; they should not count as page views
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|whatsapp|telegram|discord|slack/i;
+
+// The rendered page only loads images and its own inline styles; helmet's default policy blocks remote images
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "img-src https: http: data:",
+  "style-src 'unsafe-inline'",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "frame-ancestors 'self'"
+].join('; ');
+
+const getBaseUrl = (req) => (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const sendHtml = (res, status, html) => {
+  res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.type('html').status(status).send(html);
+};
+
+// Render a published builder page as HTML for crawlers and link previews
+exports.renderPublicPage = async (req, res, next) => {
+  try {
+    const { username, slug } = req.params;
+
+    const business = await BusinessProfile.findOne({ username: String(username).toLowerCase() });
+    const page = business && await BuilderPage.findOne({
+      businessId: business._id,
+      slug,
+      ...BuilderPage.liveQuery()
+    });
+
+    if (!page) {
+      return sendHtml(res, 404, renderErrorHtml('Page not found', 'This page does not exist or is no longer published.'));
+    }
+
+    if (page.settings?.requiresAuth) {
+      return sendHtml(res, 401, renderErrorHtml(page.title, 'Sign in to the app to view this page.'));
+    }
+
+    const [widgets, ownerSettings] = await Promise.all([
+      Widget.getByPage(page._id),
+      UserSettings.findOne({ userId: page.userId }).select('privacy.allowSearchEngines').lean()
+    ]);
+
+    const allowIndexing = !page.seo?.noIndex && ownerSettings?.privacy?.allowSearchEngines !== false;
+    const url = `${getBaseUrl(req)}/p/${encodeURIComponent(business.username)}/${encodeURIComponent(page.slug)}`;
+
+    if (!BOT_PATTERN.test(req.get('user-agent') || '')) {
+      await page.incrementViews();
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    sendHtml(res, 200, renderPageHtml({
+      page,
+      business,
+      widgets: hideExpiredContent(widgets).filter(widget => widget.permissions?.isPublic !== false),
+      url,
+      allowIndexing
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Role = require('../models/role.model');
+const {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  isSystemRole,
+  getRolePermissions,
+  getUserPermissions
+} = require('../utils/permissions');
+const {
+  validateRole,
+  validateRoleUpdate,
+  validateRoleGrant,
+  validateRoleGrantsQuery
+} = require('../utils/roleValidation');
+
+// `user` and `admin` are values of user.role, not grantable roles
+const RESERVED_ROLE_NAMES = ['user', 'admin'];
+
+const validationFailed = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Nobody can hand out permissions they do not hold themselves
+const withheldPermissions = (req, permissions) => permissions.filter(permission => !req.permissions.has(permission));
+
+const escalationDenied = (res, missing) => res.status(403).json({
+  success: false,
+  message: 'You cannot grant permissions you do not hold',
+  code: 'PERMISSION_DENIED',
+  missingPermissions: missing
+});
+
+const formatGrants = (user, rolePermissions) => (user.roleGrants || []).map(grant => ({
+  role: grant.role,
+  grantedBy: grant.grantedBy,
+  grantedAt: grant.grantedAt,
+  // Grants of a deleted role remain until revoked but confer nothing
+  exists: rolePermissions.has(grant.role)
+}));
+
+// Role, grants and effective permissions of a user
+const describeUserAccess = async (user) => {
+  const rolePermissions = await getRolePermissions((user.roleGrants || []).map(grant => grant.role));
+  const permissions = await getUserPermissions(user);
+
+  return {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    roleGrants: formatGrants(user, rolePermissions),
+    permissions: [...permissions].sort()
+  };
+};
+
+// List every permission (roles:manage)
+exports.getPermissions = async (req, res, next) => {
+  try {
+    const permissions = Object.entries(PERMISSIONS)
+      .map(([name, description]) => ({ name, description }));
+
+    res.status(200).json({
+      success: true,
+      data: { permissions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List system and custom roles with how many users hold each (roles:manage)
+exports.getRoles = async (req, res, next) => {
+  try {
+    const [customRoles, holderCounts] = await Promise.all([
+      Role.find().sort({ name: 1 }).lean(),
+      User.aggregate([
+        { $unwind: '$roleGrants' },
+        { $group: { _id: '$roleGrants.role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const holders = new Map(holderCounts.map(({ _id, count }) => [_id, count]));
+
+    const roles = [
+      ...Object.entries(SYSTEM_ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: true
+      })),
+      ...customRoles.map(role => ({
+        _id: role._id,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: false,
+        createdAt: role.createdAt,
+        updatedAt: role.updatedAt
+      }))
+    ].map(role => ({ ...role, userCount: holders.get(role.name) || 0 }));
+
+    res.status(200).json({
+      success: true,
+      data: { roles }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a custom role (roles:manage)
+exports.createRole = async (req, res, next) => {
+  try {
+    const { error, value } = validateRole(req.body);
+    if (error) return validationFailed(res, error);
+
+    if (RESERVED_ROLE_NAMES.includes(value.name) || isSystemRole(value.name)
+      || await Role.exists({ name: value.name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const missing = withheldPermissions(req, value.permissions);
+    if (missing.length) return escalationDenied(res, missing);
+
+    const role = await Role.create({ ...value, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a custom role; the change applies to every holder at once (roles:manage)
+exports.updateRole = async (req, res, next) => {
+  try {
+    const { error, value } = validateRoleUpdate(req.body);
+    if (error) return validationFailed(res, error);
+
+    const name = String(req.params.name).toLowerCase();
+    if (isSystemRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be changed'
+      });
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (value.permissions) {
+      // Both the permissions added and the ones removed must be held by the editor
+      const changed = [
+        ...value.permissions.filter(permission => !role.permissions.includes(permission)),
+        ...role.permissions.filter(permission => !value.permissions.includes(permission))
+      ];
+      const missing = withheldPermissions(req, changed);
+      if (missing.length) return escalationDenied(res, missing);
+    }
+
+    role.set({ ...value, updatedBy: req.user.id });
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a custom role and revoke it from every holder (roles:manage)
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const name = String(req.params.name).toLowerCase();
+    if (isSystemRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const missing = withheldPermissions(req, role.permissions);
+    if (missing.length) return escalationDenied(res, missing);
+
+    const revoked = await User.updateMany(
+      { 'roleGrants.role': name },
+      { $pull: { roleGrants: { role: name } } }
+    );
+    await role.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: { revokedFrom: revoked.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List users holding a role, or any role when none is given (roles:manage)
+exports.getRoleGrants = async (req, res, next) => {
+  try {
+    const { error, value } = validateRoleGrantsQuery(req.query);
+    if (error) return validationFailed(res, error);
+
+    const { role, page, limit } = value;
+    const query = role ? { 'roleGrants.role': role } : { 'roleGrants.0': { $exists: true } };
+
+    const [users, totalItems] = await Promise.all([
+      User.find(query)
+        .select('email firstName lastName role roleGrants')
+        .sort({ email: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: users.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Role, grants and effective permissions of a user (roles:manage)
+exports.getUserRoles = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId).select('email role roleGrants');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await describeUserAccess(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Grant a role to a user (roles:manage)
+exports.grantUserRole = async (req, res, next) => {
+  try {
+    const { error, value } = validateRoleGrant(req.body);
+    if (error) return validationFailed(res, error);
+
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const rolePermissions = (await getRolePermissions([value.role])).get(value.role);
+    if (!rolePermissions) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const missing = withheldPermissions(req, rolePermissions);
+    if (missing.length) return escalationDenied(res, missing);
+
+    const user = await User.findById(userId).select('email role roleGrants');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.roleGrants.some(grant => grant.role === value.role)) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already has this role'
+      });
+    }
+
+    user.roleGrants.push({ role: value.role, grantedBy: req.user.id, grantedAt: new Date() });
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role granted successfully',
+      data: await describeUserAccess(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a role from a user (roles:manage)
+exports.revokeUserRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const role = String(req.params.role).toLowerCase();
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId).select('email role roleGrants');
+    if (!user || !user.roleGrants.some(grant => grant.role === role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User does not have this role'
+      });
+    }
+
+    // A role that no longer exists confers nothing, so anyone may clean up its grants
+    const rolePermissions = (await getRolePermissions([role])).get(role) || [];
+    const missing = withheldPermissions(req, rolePermissions);
+    if (missing.length) return escalationDenied(res, missing);
+
+    user.roleGrants = user.roleGrants.filter(grant => grant.role !== role);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role revoked successfully',
+      data: await describeUserAccess(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
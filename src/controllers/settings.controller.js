@@ -4,8 +4,15 @@ const PaymentSettings = require('../models/paymentSettings.model');
 const PaymentMethod = require('../models/paymentMethod.model');
 const Subscription = require('../models/subscription.model');
 const Transaction = require('../models/transaction.model');
+const AccountDeletion = require('../models/accountDeletion.model');
+const DataExport = require('../models/dataExport.model');
+const Token = require('../models/token.model');
+const { hashEmail } = require('../utils/accountDeletion');
+const { recalculateUsage } = require('../utils/planLimits');
+const { getDownloadUrl, verifyDownloadToken, openExportFile } = require('../utils/dataExport');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const speakeasy = require('speakeasy');
 const { sendPasswordChangeNotification } = require('../utils/email');
 const {
   validateAccountDetails,
@@ -15,6 +22,7 @@ const {
   validateAccountDeletion,
   validateAccountDeactivation,
   validateAccountReactivation,
+  validateAccountDeletionCancellation,
   sanitizeUserInput
 } = require('../utils/settingsValidation');
 
@@ -351,6 +359,7 @@ exports.renewSubscription = async (req, res, next) => {
     subscription.cancelAtPeriodEnd = false;
     
     await subscription.save();
+    await recalculateUsage(userId);
 
     res.status(200).json({
       success: true,
@@ -651,39 +660,114 @@ exports.getTermsAndPolicies = async (req, res, next) => {
   }
 };
 
-// Export account data (GDPR compliance)
-exports.exportAccountData = async (req, res, next) => {
+// Public fields of an export request, with the download link once it is ready
+function formatDataExport(dataExport) {
+  const isAvailable = dataExport.status === 'completed' && dataExport.expiresAt > new Date();
+
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    requestedAt: dataExport.requestedAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    fileName: dataExport.fileName,
+    size: dataExport.size,
+    counts: dataExport.counts,
+    downloadUrl: isAvailable ? getDownloadUrl(dataExport) : null
+  };
+}
+
+// Request an export of all account data (GDPR compliance). The archive is built by the
+// data-export job and the user is emailed a download link when it is ready.
+exports.requestDataExport = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
-    // Get all user data
-    const user = await User.findById(userId).select('-password');
-    const userSettings = await UserSettings.findOne({ userId });
-    const paymentSettings = await PaymentSettings.findOne({ userId });
-    const subscriptions = await Subscription.find({ userId }).populate('planId');
-    const transactions = await Transaction.find({ userId });
-    const paymentMethods = await PaymentMethod.find({ userId });
-
-    const exportData = {
-      exportDate: new Date(),
-      user,
-      userSettings,
-      paymentSettings,
-      subscriptions,
-      transactions,
-      paymentMethods
-    };
+    const existingRequest = await DataExport.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+    if (existingRequest) {
+      return res.status(409).json({
+        success: false,
+        message: 'A data export is already in progress',
+        data: formatDataExport(existingRequest)
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      userId,
+      baseUrl: (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '')
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export requested. We will email you a download link when it is ready.',
+      data: formatDataExport(dataExport)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the user's data export requests, newest first
+exports.getDataExports = async (req, res, next) => {
+  try {
+    const dataExports = await DataExport.find({ userId: req.user.id })
+      .sort({ requestedAt: -1 })
+      .limit(10);
 
     res.status(200).json({
       success: true,
-      message: 'Account data exported successfully',
-      data: exportData
+      data: dataExports.map(formatDataExport)
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Download a finished export through the signed link from the email
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    const exportId = typeof req.query.token === 'string' ? verifyDownloadToken(req.query.token) : null;
+    if (!exportId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired download link'
+      });
+    }
+
+    const dataExport = await DataExport.findById(exportId);
+    if (!dataExport || dataExport.status !== 'completed' || !dataExport.fileId || dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This export is no longer available. Please request a new one.'
+      });
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Content-Length': dataExport.size,
+      'Cache-Control': 'private, no-store'
+    });
+
+    const stream = openExportFile(dataExport.fileId);
+    stream.on('error', (error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Delete account
 exports.deleteAccount = async (req, res, next) => {
   try {
@@ -718,7 +802,19 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    // Mark account as deleted instead of hard delete
+    const existingRequest = await AccountDeletion.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+    if (existingRequest) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: {
+          scheduledFor: existingRequest.scheduledFor
+        }
+      });
+    }
+
+    // Mark account as deleted; the account-deletion job removes it after the grace period.
+    // The user can still log in (deactivated) so they can cancel in the meantime.
     await UserSettings.findOneAndUpdate(
       { userId },
       { 
@@ -732,13 +828,20 @@ exports.deleteAccount = async (req, res, next) => {
       { upsert: true }
     );
 
-    // Deactivate user account
-    user.isVerified = false;
-    await user.save();
+    const deletionRequest = await AccountDeletion.create({
+      userId,
+      emailHash: hashEmail(user.email),
+      reason: reason || 'User requested deletion',
+      scheduledFor: new Date(Date.now() + AccountDeletion.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Account deletion initiated successfully'
+      message: `Account deletion scheduled. You can cancel it within ${AccountDeletion.GRACE_PERIOD_DAYS} days by logging in.`,
+      data: {
+        scheduledFor: deletionRequest.scheduledFor,
+        gracePeriodDays: AccountDeletion.GRACE_PERIOD_DAYS
+      }
     });
   } catch (error) {
     next(error);
@@ -839,11 +942,11 @@ exports.reactivateAccount = async (req, res, next) => {
 
     const settings = await UserSettings.findOne({ userId });
 
-    // Can't reactivate a deleted account
+    // Accounts scheduled for deletion are restored by cancelling the deletion
     if (settings && settings.accountStatus.isDeleted) {
       return res.status(403).json({
         success: false,
-        message: 'This account has been permanently deleted and cannot be reactivated'
+        message: 'This account is scheduled for deletion. Cancel the deletion to restore it.'
       });
     }
 
@@ -873,4 +976,117 @@ exports.reactivateAccount = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Passwordless accounts without 2FA confirm by signing in again within this window
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+// Cancel a scheduled account deletion during the grace period
+exports.cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const { error, value } = validateAccountDeletionCancellation(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { password, code } = value;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Confirm identity with the password; accounts created through OAuth have no password and
+    // confirm with a current TOTP code, or without 2FA by a session started moments ago
+    if (user.password) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is required'
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Incorrect password'
+        });
+      }
+    } else if (user.isTwoFactorEnabled) {
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code is required'
+        });
+      }
+
+      const verified = speakeasy.totp.verify({
+        secret: user.twoFactorSecret,
+        encoding: 'base32',
+        token: code
+      });
+
+      if (!verified) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+    } else {
+      const session = req.sessionId
+        ? await Token.findOne({ userId, type: 'refresh', familyId: req.sessionId }).select('sessionStartedAt')
+        : null;
+
+      if (!session || !session.sessionStartedAt || Date.now() - session.sessionStartedAt.getTime() > REAUTH_WINDOW_MS) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please sign in again to confirm it is you',
+          code: 'REAUTH_REQUIRED'
+        });
+      }
+    }
+
+    // Only a request the job has not started on can be cancelled
+    const deletionRequest = await AccountDeletion.findOneAndUpdate(
+      { userId, status: 'pending' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!deletionRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending account deletion found'
+      });
+    }
+
+    await UserSettings.findOneAndUpdate(
+      { userId },
+      {
+        $set: {
+          'accountStatus.isDeleted': false,
+          'accountStatus.deletedAt': null,
+          'accountStatus.deleteReason': null,
+          'accountStatus.isActive': true
+        }
+      },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled. Welcome back!'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
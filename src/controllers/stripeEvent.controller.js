@@ -0,0 +1,106 @@
+const StripeEvent = require('../models/stripeEvent.model');
+const { processStripeEvent } = require('./webhook.controller');
+const { validateStripeEventsQuery } = require('../utils/stripeEventValidation');
+
+// List received Stripe webhook events, newest first (payments:events)
+exports.getStripeEvents = async (req, res, next) => {
+  try {
+    const { error, value } = validateStripeEventsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { status, type, objectId, page, limit } = value;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (objectId) query.objectId = objectId;
+
+    const skip = (page - 1) * limit;
+
+    const [events, totalItems] = await Promise.all([
+      StripeEvent.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      StripeEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: events.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run a failed event's handler again from the stored payload (payments:events)
+exports.replayStripeEvent = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await StripeEvent.findOne({ eventId });
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed events can be replayed; this event is ${event.status}`
+      });
+    }
+
+    await StripeEvent.updateOne({ _id: event._id }, { $inc: { replayCount: 1 } });
+
+    let record;
+    try {
+      record = await processStripeEvent(event.payload);
+    } catch (processingError) {
+      const failed = await StripeEvent.findById(event._id).select('-payload').lean();
+      return res.status(422).json({
+        success: false,
+        message: 'Replay failed',
+        error: processingError.message,
+        data: { event: failed }
+      });
+    }
+
+    // Another delivery claimed the event between the check and the replay
+    if (!record) {
+      return res.status(409).json({
+        success: false,
+        message: 'Event is already being processed'
+      });
+    }
+
+    const { payload, ...replayed } = record.toObject();
+
+    res.status(200).json({
+      success: true,
+      message: 'Event replayed successfully',
+      data: { event: replayed }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,7 @@ const SubscriptionPlan = require('../models/subscriptionPlan.model');
 const Subscription = require('../models/subscription.model');
 const PaymentMethod = require('../models/paymentMethod.model');
 const Transaction = require('../models/transaction.model');
+const { recalculateUsage } = require('../utils/planLimits');
 const {
   subscriptionPlanValidation,
   subscriptionValidation
@@ -28,7 +29,7 @@ const subscriptionPlanController = {
     }
   },
 
-  // Get all subscription plans (admin only)
+  // Get all subscription plans (plans:write)
   getAllPlans: async (req, res) => {
     try {
       const { isActive, type } = req.query;
@@ -78,7 +79,7 @@ const subscriptionPlanController = {
     }
   },
 
-  // Create subscription plan (admin only)
+  // Create subscription plan (plans:write)
   createPlan: async (req, res) => {
     try {
       const { error } = subscriptionPlanValidation.create.validate(req.body);
@@ -151,7 +152,7 @@ const subscriptionPlanController = {
     }
   },
 
-  // Update subscription plan (admin only)
+  // Update subscription plan (plans:write)
   updatePlan: async (req, res) => {
     try {
       const { error } = subscriptionPlanValidation.update.validate(req.body);
@@ -190,7 +191,7 @@ const subscriptionPlanController = {
     }
   },
 
-  // Delete subscription plan (admin only)
+  // Delete subscription plan (plans:write)
   deletePlan: async (req, res) => {
     try {
       const { id } = req.params;
@@ -426,8 +427,11 @@ const subscriptionController = {
           intervalCount: plan.price.intervalCount
         },
         usage: {
+          pages: { current: 0, limit: plan.limits?.pages },
+          widgets: { current: 0, limit: plan.limits?.widgets },
           products: { current: 0, limit: plan.limits?.products },
-          storage: { current: 0, limit: plan.limits?.storage },
+          // Storage already used on the free tier carries over to the new plan
+          storage: { current: req.user.usage?.storage || 0, limit: plan.limits?.storage },
           bandwidth: { current: 0, limit: plan.limits?.bandwidth },
           apiCalls: { current: 0, limit: plan.limits?.apiCalls },
           teamMembers: { current: 1, limit: plan.limits?.teamMembers || 1 }
@@ -488,6 +492,9 @@ const subscriptionController = {
       const subscription = new Subscription(subscriptionData);
       await subscription.save();
 
+      // Start the plan counters from what the user already owns
+      await recalculateUsage(userId);
+
       // Create initial transaction record for paid plans
       if (plan.price.amount > 0 && status === 'active') {
         const transaction = new Transaction({
@@ -618,6 +625,7 @@ const subscriptionController = {
       }
 
       await subscription.cancel(reason, immediately);
+      await recalculateUsage(userId);
 
       res.status(200).json({
         success: true,
@@ -648,6 +656,7 @@ const subscriptionController = {
       }
 
       await subscription.reactivate();
+      await recalculateUsage(userId);
 
       res.status(200).json({
         success: true,
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const SupportTicket = require('../models/supportTicket.model');
 const SupportCategory = require('../models/supportCategory.model');
 const { uploadToCloudinary, deleteMedia, extractPublicId } = require('../utils/cloudinary');
@@ -238,7 +239,8 @@ exports.getTicketById = async (req, res, next) => {
         isImage: att.isImage,
         isVideo: att.isVideo
       })),
-      messages: ticket.messages.map(msg => ({
+      // Internal notes are for support agents only
+      messages: ticket.messages.filter(msg => !msg.isInternal).map(msg => ({
         sender: msg.sender,
         message: msg.message,
         timestamp: msg.timestamp,
@@ -360,7 +362,8 @@ exports.addMessage = async (req, res, next) => {
       status: ticket.status,
       priority: ticket.priority,
       description: ticket.description,
-      messages: ticket.messages.map(msg => ({
+      // Internal notes are for support agents only
+      messages: ticket.messages.filter(msg => !msg.isInternal).map(msg => ({
         sender: msg.sender,
         message: msg.message,
         timestamp: msg.timestamp,
@@ -492,12 +495,16 @@ exports.getTicketStats = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
-    const stats = await SupportTicket.getTicketStats(userId);
+    const [stats, sla] = await Promise.all([
+      SupportTicket.getTicketStats(userId),
+      SupportTicket.getSlaStats({ userId: new mongoose.Types.ObjectId(userId) })
+    ]);
 
     res.status(200).json({
       success: true,
       data: {
-        stats
+        stats,
+        sla
       },
     });
   } catch (error) {
@@ -591,7 +598,7 @@ exports.getTicketCategories = async (req, res, next) => {
   }
 };
 
-// Add new category
+// Add new category (support:manage)
 exports.addCategory = async (req, res, next) => {
   try {
     const { name, description, icon, color } = req.body;
@@ -0,0 +1,535 @@
+const mongoose = require('mongoose');
+const SupportTicket = require('../models/supportTicket.model');
+const SupportCannedResponse = require('../models/supportCannedResponse.model');
+const User = require('../models/user.model');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { hasPermission } = require('../utils/permissions');
+const { breachedFilter, ACTIVE_STATUSES, SLA_TARGETS } = require('../utils/supportSla');
+const {
+  validateAgentTicketQuery,
+  validateTicketAssignment,
+  validateAgentReply,
+  validateInternalNote,
+  validateAgentTicketUpdate,
+  validateCannedResponse,
+  validateCannedResponseUpdate,
+  validateCannedResponseQuery
+} = require('../utils/supportValidation');
+
+const USER_FIELDS = 'username email firstName lastName';
+const AGENT_FIELDS = 'email firstName lastName';
+
+const SORT_FIELDS = {
+  lastActivity: 'lastActivity',
+  createdAt: 'createdAt',
+  firstResponseDue: 'sla.firstResponseDueAt',
+  resolutionDue: 'sla.resolutionDueAt'
+};
+
+const validationFailed = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+const ticketNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Support ticket not found'
+});
+
+const formatAttachment = att => ({
+  fileName: att.fileName,
+  fileUrl: att.fileUrl,
+  fileType: att.fileType,
+  fileSize: att.fileSize,
+  isImage: att.isImage,
+  isVideo: att.isVideo
+});
+
+const formatPerson = person => (person && person._id ? {
+  id: person._id,
+  username: person.username,
+  email: person.email,
+  firstName: person.firstName,
+  lastName: person.lastName
+} : null);
+
+// Queue entry: what an agent needs to pick the next ticket
+const formatQueueTicket = (ticket, now) => ({
+  id: ticket._id,
+  ticketId: ticket.ticketId,
+  subject: ticket.subject,
+  category: ticket.category,
+  status: ticket.status,
+  priority: ticket.priority,
+  isUrgent: ticket.isUrgent,
+  user: formatPerson(ticket.userId),
+  assignedTo: formatPerson(ticket.assignedTo),
+  assignedAt: ticket.assignedAt,
+  messageCount: ticket.messages.length,
+  lastMessageFrom: ticket.messages.length ? ticket.messages[ticket.messages.length - 1].sender : null,
+  sla: ticket.getSlaStatus(now),
+  createdAt: ticket.createdAt,
+  lastActivity: ticket.lastActivity
+});
+
+// Full ticket for agents, including internal notes and who wrote each agent message
+const formatAgentTicket = (ticket, now = new Date()) => ({
+  ...formatQueueTicket(ticket, now),
+  description: ticket.description,
+  tags: ticket.tags,
+  attachments: ticket.attachments.map(formatAttachment),
+  messages: ticket.messages.map(msg => ({
+    id: msg._id,
+    sender: msg.sender,
+    author: formatPerson(msg.authorId),
+    message: msg.message,
+    isInternal: msg.isInternal,
+    timestamp: msg.timestamp,
+    attachments: msg.attachments.map(formatAttachment)
+  })),
+  resolution: ticket.resolution,
+  resolvedAt: ticket.resolvedAt,
+  resolvedBy: formatPerson(ticket.resolvedBy),
+  firstResponseAt: ticket.firstResponseAt,
+  estimatedResolution: ticket.estimatedResolution,
+  updatedAt: ticket.updatedAt
+});
+
+const findAgentTicket = (ticketId) => SupportTicket.findById(ticketId)
+  .populate('userId', USER_FIELDS)
+  .populate('assignedTo', AGENT_FIELDS)
+  .populate('resolvedBy', AGENT_FIELDS)
+  .populate('messages.authorId', AGENT_FIELDS);
+
+const uploadAttachments = (files = [], agentId) => Promise.all(files.map(async (file) => {
+  const uploadResult = await uploadToCloudinary(file.buffer, {
+    folder: 'kunex/support-attachments',
+    resource_type: 'auto',
+    public_id: `support_agent_${agentId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  });
+
+  return {
+    fileName: file.originalname,
+    fileUrl: uploadResult.secure_url,
+    fileType: file.mimetype.startsWith('video/') ? 'video' : 'image',
+    isImage: file.mimetype.startsWith('image/'),
+    isVideo: file.mimetype.startsWith('video/'),
+    fileSize: file.size,
+    publicId: uploadResult.public_id
+  };
+}));
+
+const agentName = agent => [agent.firstName, agent.lastName].filter(Boolean).join(' ') || agent.email;
+
+// Global ticket queue with filters (support:agent)
+exports.getAgentTickets = async (req, res, next) => {
+  try {
+    const { error, value } = validateAgentTicketQuery(req.query);
+    if (error) return validationFailed(res, error);
+
+    const {
+      status, priority, category, assignedTo, breached, isUrgent, query: search,
+      sortBy, sortOrder, page, limit
+    } = value;
+    const now = new Date();
+
+    const query = breached ? breachedFilter(breached, now) : {};
+    if (status) {
+      query.status = breached
+        ? { $in: status.filter(candidate => ACTIVE_STATUSES.includes(candidate)) }
+        : { $in: status };
+    }
+    if (priority) query.priority = { $in: priority };
+    if (category) query.categoryId = category;
+    if (isUrgent !== undefined) query.isUrgent = isUrgent;
+    if (assignedTo === 'me') query.assignedTo = req.user.id;
+    else if (assignedTo === 'unassigned') query.assignedTo = null;
+    else if (assignedTo) query.assignedTo = assignedTo;
+    if (search) {
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const searchConditions = [{ subject: searchRegex }, { description: searchRegex }, { ticketId: searchRegex }];
+      // breachedFilter already uses $or
+      if (query.$or) query.$and = [{ $or: searchConditions }];
+      else query.$or = searchConditions;
+    }
+
+    const [tickets, totalItems] = await Promise.all([
+      SupportTicket.find(query)
+        .populate('userId', USER_FIELDS)
+        .populate('assignedTo', AGENT_FIELDS)
+        .sort({ [SORT_FIELDS[sortBy]]: sortOrder === 'asc' ? 1 : -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SupportTicket.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tickets: tickets.map(ticket => formatQueueTicket(ticket, now)),
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: tickets.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Full ticket with internal notes (support:agent)
+exports.getAgentTicket = async (req, res, next) => {
+  try {
+    const { ticketId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) return ticketNotFound(res);
+
+    const ticket = await findAgentTicket(ticketId);
+    if (!ticket) return ticketNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: formatAgentTicket(ticket)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Assign, reassign or unassign a ticket (support:agent)
+exports.assignTicket = async (req, res, next) => {
+  try {
+    const { error, value } = validateTicketAssignment(req.body);
+    if (error) return validationFailed(res, error);
+
+    const { ticketId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) return ticketNotFound(res);
+
+    const ticket = await SupportTicket.findById(ticketId);
+    if (!ticket) return ticketNotFound(res);
+
+    let note;
+    if (value.assignedTo) {
+      const agent = await User.findById(value.assignedTo).select('email firstName lastName role roleGrants');
+      if (!agent || !(await hasPermission(agent, 'support:agent'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tickets can only be assigned to support agents'
+        });
+      }
+
+      ticket.assignedTo = agent._id;
+      ticket.assignedAt = new Date();
+      note = `Assigned to ${agentName(agent)}`;
+    } else {
+      ticket.assignedTo = undefined;
+      ticket.assignedAt = undefined;
+      note = 'Unassigned';
+    }
+
+    // Picking up a ticket starts work on it
+    if (value.assignedTo && ticket.status === 'Open') {
+      ticket.status = 'In Progress';
+    }
+
+    await ticket.addMessage('system', note, [], true, req.user.id);
+
+    const updated = await findAgentTicket(ticket._id);
+
+    res.status(200).json({
+      success: true,
+      message: value.assignedTo ? 'Ticket assigned successfully' : 'Ticket unassigned successfully',
+      data: formatAgentTicket(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reply to the customer as support, optionally from a canned response (support:agent)
+exports.replyToTicket = async (req, res, next) => {
+  try {
+    const { error, value } = validateAgentReply(req.body);
+    if (error) return validationFailed(res, error);
+
+    const { ticketId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) return ticketNotFound(res);
+
+    const ticket = await SupportTicket.findById(ticketId).populate('userId', USER_FIELDS);
+    if (!ticket) return ticketNotFound(res);
+
+    if (ticket.status === 'Cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reply to a cancelled ticket'
+      });
+    }
+
+    let { message } = value;
+    if (value.cannedResponseId) {
+      const canned = await SupportCannedResponse.findOne({ _id: value.cannedResponseId, isActive: true });
+      if (!canned) {
+        return res.status(404).json({
+          success: false,
+          message: 'Canned response not found'
+        });
+      }
+
+      // Text sent along with a canned response is appended to it
+      const rendered = canned.render({
+        customerName: ticket.userId?.firstName || ticket.userId?.username,
+        ticketId: ticket.ticketId,
+        subject: ticket.subject,
+        agentName: agentName(req.user)
+      });
+      message = [rendered, message].filter(Boolean).join('\n\n').slice(0, 2000);
+      await SupportCannedResponse.updateOne({ _id: canned._id }, { $inc: { usageCount: 1 } });
+    }
+
+    const attachments = await uploadAttachments(req.files, req.user.id);
+
+    if (value.status) {
+      ticket.status = value.status;
+      if (['Completed', 'Closed'].includes(value.status)) {
+        ticket.resolvedAt = new Date();
+        ticket.resolvedBy = req.user.id;
+      }
+    } else if (ticket.status === 'Open') {
+      ticket.status = 'In Progress';
+    }
+
+    await ticket.addMessage('admin', message, attachments, false, req.user.id);
+
+    const updated = await findAgentTicket(ticket._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply sent successfully',
+      data: formatAgentTicket(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a note only agents can see (support:agent)
+exports.addInternalNote = async (req, res, next) => {
+  try {
+    const { error, value } = validateInternalNote(req.body);
+    if (error) return validationFailed(res, error);
+
+    const { ticketId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) return ticketNotFound(res);
+
+    const ticket = await SupportTicket.findById(ticketId);
+    if (!ticket) return ticketNotFound(res);
+
+    const attachments = await uploadAttachments(req.files, req.user.id);
+    await ticket.addMessage('admin', value.message, attachments, true, req.user.id);
+
+    const updated = await findAgentTicket(ticket._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Internal note added successfully',
+      data: formatAgentTicket(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change status, priority, urgency, tags or the estimated resolution (support:agent)
+exports.updateAgentTicket = async (req, res, next) => {
+  try {
+    const { error, value } = validateAgentTicketUpdate(req.body);
+    if (error) return validationFailed(res, error);
+
+    const { ticketId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) return ticketNotFound(res);
+
+    const ticket = await SupportTicket.findById(ticketId);
+    if (!ticket) return ticketNotFound(res);
+
+    const { status, estimatedResolution, ...fields } = value;
+    ticket.set(fields);
+    if (estimatedResolution !== undefined) {
+      ticket.estimatedResolution = estimatedResolution || undefined;
+    }
+
+    const changes = [];
+    if (value.priority && ticket.isModified('priority')) {
+      changes.push(`Priority set to ${value.priority}`);
+    }
+
+    if (status && status !== ticket.status) {
+      changes.push(`Status set to ${status}`);
+      // updateStatus saves the other changes along with the status
+      await ticket.updateStatus(status, req.user.id);
+    } else {
+      await ticket.save();
+    }
+
+    if (changes.length) {
+      await ticket.addMessage('system', changes.join('; '), [], true, req.user.id);
+    }
+
+    const updated = await findAgentTicket(ticket._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket updated successfully',
+      data: formatAgentTicket(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Queue statistics: status counts, SLA breaches and open tickets per agent (support:agent)
+exports.getAgentStats = async (req, res, next) => {
+  try {
+    const [stats, sla, workload] = await Promise.all([
+      SupportTicket.getTicketStats(),
+      SupportTicket.getSlaStats(),
+      SupportTicket.aggregate([
+        { $match: { status: { $in: ACTIVE_STATUSES } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const agents = await User.find({ _id: { $in: workload.map(entry => entry._id).filter(Boolean) } })
+      .select(AGENT_FIELDS)
+      .lean();
+    const agentsById = new Map(agents.map(agent => [agent._id.toString(), agent]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stats,
+        sla,
+        slaTargets: SLA_TARGETS,
+        workload: workload.map(entry => ({
+          agent: entry._id ? formatPerson(agentsById.get(entry._id.toString())) : null,
+          openTickets: entry.count
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List canned responses (support:agent)
+exports.getCannedResponses = async (req, res, next) => {
+  try {
+    const { error, value } = validateCannedResponseQuery(req.query);
+    if (error) return validationFailed(res, error);
+
+    const query = {};
+    if (!value.includeInactive) query.isActive = true;
+    // Responses for the category plus the ones meant for every category
+    if (value.category) query.categoryId = { $in: [value.category, null] };
+    if (value.query) query.$text = { $search: value.query };
+
+    const responses = await SupportCannedResponse.find(query)
+      .populate('categoryId', 'name')
+      .sort({ usageCount: -1, title: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cannedResponses: responses,
+        placeholders: SupportCannedResponse.PLACEHOLDERS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a canned response (support:manage)
+exports.createCannedResponse = async (req, res, next) => {
+  try {
+    const { error, value } = validateCannedResponse(req.body);
+    if (error) return validationFailed(res, error);
+
+    const cannedResponse = await SupportCannedResponse.create({
+      ...value,
+      categoryId: value.categoryId || undefined,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Canned response created successfully',
+      data: { cannedResponse }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a canned response (support:manage)
+exports.updateCannedResponse = async (req, res, next) => {
+  try {
+    const { error, value } = validateCannedResponseUpdate(req.body);
+    if (error) return validationFailed(res, error);
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    const cannedResponse = await SupportCannedResponse.findById(id);
+    if (!cannedResponse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    cannedResponse.set({ ...value, updatedBy: req.user.id });
+    if (value.categoryId === null) cannedResponse.categoryId = undefined;
+    await cannedResponse.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response updated successfully',
+      data: { cannedResponse }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a canned response (support:manage)
+exports.deleteCannedResponse = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const cannedResponse = mongoose.Types.ObjectId.isValid(id)
+      ? await SupportCannedResponse.findByIdAndDelete(id)
+      : null;
+
+    if (!cannedResponse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
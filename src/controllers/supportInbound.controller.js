@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const SupportTicket = require('../models/supportTicket.model');
+const User = require('../models/user.model');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { parseAddress, findTicketId, extractReplyText } = require('../utils/supportEmail');
+const { validateInboundEmail } = require('../utils/supportValidation');
+
+// Shared with the mail relay; sent as X-Inbound-Secret or as the password of HTTP basic auth
+const INBOUND_SECRET = process.env.SUPPORT_INBOUND_SECRET;
+
+const secretsMatch = (received) => {
+  const expected = crypto.createHash('sha256').update(INBOUND_SECRET).digest();
+  const actual = crypto.createHash('sha256').update(String(received || '')).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// The relay gets a 200 for mail we will never accept, so it does not keep retrying it
+const rejected = (res, reason, message) => res.status(200).json({
+  success: true,
+  message,
+  data: { accepted: false, reason }
+});
+
+// Check the relay's secret before any upload is parsed
+exports.verifyInboundSecret = (req, res, next) => {
+  if (!INBOUND_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'Inbound support email is not configured'
+    });
+  }
+
+  let received = req.get('X-Inbound-Secret');
+  const authorization = req.get('Authorization') || '';
+  if (!received && authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.slice(6), 'base64').toString();
+    received = credentials.slice(credentials.indexOf(':') + 1);
+  }
+
+  if (!secretsMatch(received)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid inbound secret'
+    });
+  }
+  next();
+};
+
+// Append a reply to a support email to its ticket as a user message
+exports.receiveInboundEmail = async (req, res, next) => {
+  try {
+    const { error, value } = validateInboundEmail(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+      });
+    }
+
+    // The reply-to plus address first, then the thread headers for clients that reply to From
+    const ticketId = findTicketId([value.recipient, value.to, value.cc, value.inReplyTo, value.references]);
+    if (!ticketId) {
+      return rejected(res, 'unknown_ticket', 'No support ticket token found');
+    }
+
+    const ticket = await SupportTicket.findById(ticketId);
+    if (!ticket) {
+      return rejected(res, 'unknown_ticket', 'Support ticket not found');
+    }
+
+    // Tokens end up in forwarded mail, so only the ticket owner's own address may post with one
+    const owner = await User.findById(ticket.userId).select('email').lean();
+    if (!owner || parseAddress(value.from) !== owner.email.toLowerCase()) {
+      return rejected(res, 'sender_mismatch', 'Sender does not own this ticket');
+    }
+
+    if (value.messageId && ticket.messages.some(msg => msg.emailMessageId === value.messageId)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Email already added',
+        data: { accepted: true, duplicate: true, ticketId: ticket.ticketId }
+      });
+    }
+
+    if (ticket.status === 'Closed' || ticket.status === 'Cancelled') {
+      return rejected(res, 'ticket_closed', 'Cannot add message to closed ticket');
+    }
+
+    const files = req.files || [];
+    const message = extractReplyText(value) || (files.length > 0 ? '(Attachments sent by email)' : '');
+    if (!message) {
+      return rejected(res, 'empty_message', 'Email has no reply text');
+    }
+
+    const attachments = await Promise.all(files.map(async (file) => {
+      const uploadResult = await uploadToCloudinary(file.buffer, {
+        folder: 'kunex/support-attachments',
+        resource_type: 'auto',
+        public_id: `support_${ticket.userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      });
+
+      return {
+        fileName: file.originalname,
+        fileUrl: uploadResult.secure_url,
+        fileType: file.mimetype.startsWith('video/') ? 'video' : 'image',
+        isImage: file.mimetype.startsWith('image/'),
+        isVideo: file.mimetype.startsWith('video/'),
+        fileSize: file.size,
+        publicId: uploadResult.public_id
+      };
+    }));
+
+    // Replying to a resolved ticket reopens it
+    if (ticket.status === 'Completed') {
+      ticket.status = 'Open';
+    }
+
+    await ticket.addMessage('user', message, attachments, false, null, {
+      source: 'email',
+      emailMessageId: value.messageId || undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email added to ticket',
+      data: {
+        accepted: true,
+        ticketId: ticket.ticketId,
+        status: ticket.status,
+        attachments: attachments.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,7 +2,10 @@ const { stripe, endpointSecret } = require('../utils/stripe');
 const Subscription = require('../models/subscription.model');
 const Transaction = require('../models/transaction.model');
 const PaymentMethod = require('../models/paymentMethod.model');
+const StripeEvent = require('../models/stripeEvent.model');
 const User = require('../models/user.model');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { recalculateUsage } = require('../utils/planLimits');
 
 const webhookController = {
   // Handle Stripe webhooks
@@ -19,58 +22,12 @@ const webhookController = {
     }
 
     try {
-      // Handle the event
-      switch (event.type) {
-        case 'customer.subscription.created':
-          await handleSubscriptionCreated(event.data.object);
-          break;
-
-        case 'customer.subscription.updated':
-          await handleSubscriptionUpdated(event.data.object);
-          break;
-
-        case 'customer.subscription.deleted':
-          await handleSubscriptionDeleted(event.data.object);
-          break;
-
-        case 'invoice.payment_succeeded':
-          await handleInvoicePaymentSucceeded(event.data.object);
-          break;
-
-        case 'invoice.payment_failed':
-          await handleInvoicePaymentFailed(event.data.object);
-          break;
-
-        case 'payment_intent.succeeded':
-          await handlePaymentIntentSucceeded(event.data.object);
-          break;
-
-        case 'payment_intent.payment_failed':
-          await handlePaymentIntentFailed(event.data.object);
-          break;
-
-        case 'payment_method.attached':
-          await handlePaymentMethodAttached(event.data.object);
-          break;
-
-        case 'payment_method.detached':
-          await handlePaymentMethodDetached(event.data.object);
-          break;
-
-        case 'customer.created':
-          await handleCustomerCreated(event.data.object);
-          break;
-
-        case 'customer.updated':
-          await handleCustomerUpdated(event.data.object);
-          break;
-
-        case 'charge.dispute.created':
-          await handleChargeDisputeCreated(event.data.object);
-          break;
-
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
+      const record = await processStripeEvent(event);
+
+      // Already handled (or being handled) for an earlier delivery of the same event
+      if (!record) {
+        console.log(`Duplicate webhook event ignored: ${event.id}`);
+        return res.status(200).json({ received: true, duplicate: true });
       }
 
       res.status(200).json({ received: true });
@@ -82,346 +39,473 @@ const webhookController = {
         error: error.message
       });
     }
-  }
+  },
+
+  processStripeEvent
 };
 
-// Helper functions for handling specific webhook events
+// Record the event in the ledger and run its handler once. Returns the ledger
+// record, or null when the event was already processed; handler errors are
+// stored on the record and rethrown so Stripe retries the delivery.
+async function processStripeEvent(event) {
+  const record = await StripeEvent.claim(event);
+  if (!record) {
+    return null;
+  }
 
-async function handleSubscriptionCreated(stripeSubscription) {
-  console.log('Subscription created:', stripeSubscription.id);
-  
   try {
-    // Find existing subscription in database
-    const subscription = await Subscription.findOne({
-      'stripeData.subscriptionId': stripeSubscription.id
-    });
-
-    if (subscription) {
-      // Update subscription with Stripe data
-      subscription.status = mapStripeStatus(stripeSubscription.status);
-      subscription.currentPeriodStart = new Date(stripeSubscription.current_period_start * 1000);
-      subscription.currentPeriodEnd = new Date(stripeSubscription.current_period_end * 1000);
-      
-      if (stripeSubscription.trial_start && stripeSubscription.trial_end) {
-        subscription.trialStart = new Date(stripeSubscription.trial_start * 1000);
-        subscription.trialEnd = new Date(stripeSubscription.trial_end * 1000);
-      }
+    const outcome = await dispatchEvent(event);
 
-      await subscription.save();
+    if (outcome === undefined) {
+      console.log(`Unhandled event type: ${event.type}`);
+      await record.markProcessed('ignored', 'Unhandled event type');
+    } else {
+      await record.markProcessed('processed', outcome);
     }
+
+    return record;
   } catch (error) {
-    console.error('Error handling subscription created:', error);
+    await record.markFailed(error);
+    throw error;
+  }
+}
+
+// Run the handler for an event. Resolves to a short description of what was done,
+// or undefined when the event type is not handled.
+async function dispatchEvent(event) {
+  const eventCreatedAt = new Date(event.created * 1000);
+
+  switch (event.type) {
+    case 'customer.subscription.created':
+      return handleSubscriptionCreated(event.data.object, eventCreatedAt);
+
+    case 'customer.subscription.updated':
+      return handleSubscriptionUpdated(event.data.object, eventCreatedAt);
+
+    case 'customer.subscription.deleted':
+      return handleSubscriptionDeleted(event.data.object, eventCreatedAt);
+
+    case 'invoice.payment_succeeded':
+      return handleInvoicePaymentSucceeded(event.data.object);
+
+    case 'invoice.payment_failed':
+      return handleInvoicePaymentFailed(event.data.object, eventCreatedAt);
+
+    case 'payment_intent.succeeded':
+      return handlePaymentIntentSucceeded(event.data.object);
+
+    case 'payment_intent.payment_failed':
+      return handlePaymentIntentFailed(event.data.object);
+
+    case 'payment_method.attached':
+      return handlePaymentMethodAttached(event.data.object);
+
+    case 'payment_method.detached':
+      return handlePaymentMethodDetached(event.data.object);
+
+    case 'customer.created':
+      return handleCustomerCreated(event.data.object);
+
+    case 'customer.updated':
+      return handleCustomerUpdated(event.data.object);
+
+    case 'charge.dispute.created':
+      return handleChargeDisputeCreated(event.data.object);
+
+    default:
+      return undefined;
   }
 }
 
-async function handleSubscriptionUpdated(stripeSubscription) {
+// Stripe does not guarantee delivery order; an event older than the last one
+// applied to the subscription must not overwrite its newer state
+function isStaleEvent(subscription, eventCreatedAt) {
+  const lastEventAt = subscription.stripeData?.lastEventAt;
+  return Boolean(lastEventAt && lastEventAt > eventCreatedAt);
+}
+
+// Raise subscription.changed for the subscriber's own webhook endpoints
+function emitSubscriptionChanged(subscription, change) {
+  emitWebhookEvent(subscription.userId, 'subscription.changed', {
+    subscriptionId: subscription._id,
+    change,
+    status: subscription.status,
+    planId: subscription.planId,
+    currentPeriodEnd: subscription.currentPeriodEnd,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    canceledAt: subscription.canceledAt
+  });
+}
+
+// Helper functions for handling specific webhook events
+
+async function handleSubscriptionCreated(stripeSubscription, eventCreatedAt) {
+  console.log('Subscription created:', stripeSubscription.id);
+
+  // Find existing subscription in database
+  const subscription = await Subscription.findOne({
+    'stripeData.subscriptionId': stripeSubscription.id
+  });
+
+  if (!subscription) {
+    return 'Subscription not found';
+  }
+
+  if (isStaleEvent(subscription, eventCreatedAt)) {
+    return 'Skipped: older than the last applied event';
+  }
+
+  // Update subscription with Stripe data
+  subscription.status = mapStripeStatus(stripeSubscription.status);
+  subscription.currentPeriodStart = new Date(stripeSubscription.current_period_start * 1000);
+  subscription.currentPeriodEnd = new Date(stripeSubscription.current_period_end * 1000);
+  subscription.stripeData.lastEventAt = eventCreatedAt;
+
+  if (stripeSubscription.trial_start && stripeSubscription.trial_end) {
+    subscription.trialStart = new Date(stripeSubscription.trial_start * 1000);
+    subscription.trialEnd = new Date(stripeSubscription.trial_end * 1000);
+  }
+
+  await subscription.save();
+  await recalculateUsage(subscription.userId);
+  emitSubscriptionChanged(subscription, 'created');
+  return 'Subscription updated';
+}
+
+async function handleSubscriptionUpdated(stripeSubscription, eventCreatedAt) {
   console.log('Subscription updated:', stripeSubscription.id);
-  
-  try {
-    const subscription = await Subscription.findOne({
-      'stripeData.subscriptionId': stripeSubscription.id
-    });
 
-    if (subscription) {
-      subscription.status = mapStripeStatus(stripeSubscription.status);
-      subscription.currentPeriodStart = new Date(stripeSubscription.current_period_start * 1000);
-      subscription.currentPeriodEnd = new Date(stripeSubscription.current_period_end * 1000);
-      subscription.cancelAtPeriodEnd = stripeSubscription.cancel_at_period_end;
+  const subscription = await Subscription.findOne({
+    'stripeData.subscriptionId': stripeSubscription.id
+  });
 
-      if (stripeSubscription.canceled_at) {
-        subscription.canceledAt = new Date(stripeSubscription.canceled_at * 1000);
-      }
+  if (!subscription) {
+    return 'Subscription not found';
+  }
 
-      await subscription.save();
-    }
-  } catch (error) {
-    console.error('Error handling subscription updated:', error);
+  if (isStaleEvent(subscription, eventCreatedAt)) {
+    return 'Skipped: older than the last applied event';
   }
+
+  subscription.status = mapStripeStatus(stripeSubscription.status);
+  subscription.currentPeriodStart = new Date(stripeSubscription.current_period_start * 1000);
+  subscription.currentPeriodEnd = new Date(stripeSubscription.current_period_end * 1000);
+  subscription.cancelAtPeriodEnd = stripeSubscription.cancel_at_period_end;
+  subscription.stripeData.lastEventAt = eventCreatedAt;
+
+  if (stripeSubscription.canceled_at) {
+    subscription.canceledAt = new Date(stripeSubscription.canceled_at * 1000);
+  }
+
+  await subscription.save();
+  await recalculateUsage(subscription.userId);
+  emitSubscriptionChanged(subscription, 'updated');
+  return 'Subscription updated';
 }
 
-async function handleSubscriptionDeleted(stripeSubscription) {
+async function handleSubscriptionDeleted(stripeSubscription, eventCreatedAt) {
   console.log('Subscription deleted:', stripeSubscription.id);
-  
-  try {
-    const subscription = await Subscription.findOne({
-      'stripeData.subscriptionId': stripeSubscription.id
-    });
 
-    if (subscription) {
-      subscription.status = 'canceled';
-      subscription.canceledAt = new Date();
-      await subscription.save();
-    }
-  } catch (error) {
-    console.error('Error handling subscription deleted:', error);
+  const subscription = await Subscription.findOne({
+    'stripeData.subscriptionId': stripeSubscription.id
+  });
+
+  if (!subscription) {
+    return 'Subscription not found';
   }
+
+  // Deletion is final, so it is applied even when a newer event was seen first
+  subscription.status = 'canceled';
+  subscription.canceledAt = stripeSubscription.canceled_at
+    ? new Date(stripeSubscription.canceled_at * 1000)
+    : new Date();
+  if (!isStaleEvent(subscription, eventCreatedAt)) {
+    subscription.stripeData.lastEventAt = eventCreatedAt;
+  }
+  await subscription.save();
+  await recalculateUsage(subscription.userId);
+  emitSubscriptionChanged(subscription, 'canceled');
+  return 'Subscription canceled';
 }
 
 async function handleInvoicePaymentSucceeded(invoice) {
   console.log('Invoice payment succeeded:', invoice.id);
-  
-  try {
-    // Find subscription
-    const subscription = await Subscription.findOne({
-      'stripeData.subscriptionId': invoice.subscription
-    }).populate('planId');
-
-    if (subscription) {
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: subscription.userId,
-        subscriptionId: subscription._id,
-        paymentMethodId: subscription.paymentMethodId,
-        transactionType: 'subscription_payment',
-        status: 'completed',
-        amount: invoice.amount_paid,
-        currency: invoice.currency.toUpperCase(),
-        description: `Subscription payment for ${subscription.planId?.name || 'subscription'}`,
-        metadata: {
-          invoiceId: invoice.id,
-          subscriptionPeriod: {
-            start: subscription.currentPeriodStart,
-            end: subscription.currentPeriodEnd
-          },
-          planName: subscription.planId?.name
-        },
-        paymentProcessor: {
-          name: 'stripe',
-          transactionId: invoice.payment_intent,
-          fee: invoice.application_fee_amount || 0
-        },
-        taxDetails: {
-          taxAmount: invoice.tax || 0
-        }
-      });
 
-      await transaction.save();
+  // Find subscription
+  const subscription = await Subscription.findOne({
+    'stripeData.subscriptionId': invoice.subscription
+  }).populate('planId');
 
-      // Reset usage for new billing period if needed
-      if (subscription.status === 'active') {
-        await subscription.resetUsage();
-      }
+  if (!subscription) {
+    return 'Subscription not found';
+  }
+
+  // A paid invoice is recorded once, even if Stripe sends the event again under a new id
+  const existing = await Transaction.exists({
+    'metadata.invoiceId': invoice.id,
+    transactionType: 'subscription_payment',
+    status: 'completed'
+  });
+  if (existing) {
+    return 'Transaction already recorded';
+  }
+
+  // Create transaction record
+  const transaction = new Transaction({
+    userId: subscription.userId,
+    subscriptionId: subscription._id,
+    paymentMethodId: subscription.paymentMethodId,
+    transactionType: 'subscription_payment',
+    status: 'completed',
+    amount: invoice.amount_paid,
+    currency: invoice.currency.toUpperCase(),
+    description: `Subscription payment for ${subscription.planId?.name || 'subscription'}`,
+    metadata: {
+      invoiceId: invoice.id,
+      subscriptionPeriod: {
+        start: subscription.currentPeriodStart,
+        end: subscription.currentPeriodEnd
+      },
+      planName: subscription.planId?.name
+    },
+    paymentProcessor: {
+      name: 'stripe',
+      transactionId: invoice.payment_intent,
+      fee: invoice.application_fee_amount || 0
+    },
+    taxDetails: {
+      taxAmount: invoice.tax || 0
     }
-  } catch (error) {
-    console.error('Error handling invoice payment succeeded:', error);
+  });
+
+  await transaction.save();
+
+  // Reset usage for new billing period if needed
+  if (subscription.status === 'active') {
+    await subscription.resetUsage();
   }
+
+  return 'Transaction recorded';
 }
 
-async function handleInvoicePaymentFailed(invoice) {
+async function handleInvoicePaymentFailed(invoice, eventCreatedAt) {
   console.log('Invoice payment failed:', invoice.id);
-  
-  try {
-    // Find subscription
-    const subscription = await Subscription.findOne({
-      'stripeData.subscriptionId': invoice.subscription
-    });
 
-    if (subscription) {
-      // Update subscription status
-      subscription.status = 'past_due';
-      await subscription.save();
-
-      // Create failed transaction record
-      const transaction = new Transaction({
-        userId: subscription.userId,
-        subscriptionId: subscription._id,
-        paymentMethodId: subscription.paymentMethodId,
-        transactionType: 'subscription_payment',
-        status: 'failed',
-        amount: invoice.amount_due,
-        currency: invoice.currency.toUpperCase(),
-        description: `Failed subscription payment`,
-        metadata: {
-          invoiceId: invoice.id
-        },
-        paymentProcessor: {
-          name: 'stripe',
-          transactionId: invoice.payment_intent || invoice.id,
-          processorResponse: {
-            code: 'payment_failed',
-            message: 'Invoice payment failed'
-          }
-        }
-      });
+  // Find subscription
+  const subscription = await Subscription.findOne({
+    'stripeData.subscriptionId': invoice.subscription
+  });
 
-      await transaction.save();
-    }
-  } catch (error) {
-    console.error('Error handling invoice payment failed:', error);
+  if (!subscription) {
+    return 'Subscription not found';
+  }
+
+  // Update subscription status unless a newer event already moved it on
+  if (!isStaleEvent(subscription, eventCreatedAt)) {
+    subscription.status = 'past_due';
+    subscription.stripeData.lastEventAt = eventCreatedAt;
+    await subscription.save();
+    await recalculateUsage(subscription.userId);
   }
+
+  // Create failed transaction record
+  const transaction = new Transaction({
+    userId: subscription.userId,
+    subscriptionId: subscription._id,
+    paymentMethodId: subscription.paymentMethodId,
+    transactionType: 'subscription_payment',
+    status: 'failed',
+    amount: invoice.amount_due,
+    currency: invoice.currency.toUpperCase(),
+    description: `Failed subscription payment`,
+    metadata: {
+      invoiceId: invoice.id
+    },
+    paymentProcessor: {
+      name: 'stripe',
+      transactionId: invoice.payment_intent || invoice.id,
+      processorResponse: {
+        code: 'payment_failed',
+        message: 'Invoice payment failed'
+      }
+    }
+  });
+
+  await transaction.save();
+  return 'Failed transaction recorded';
 }
 
 async function handlePaymentIntentSucceeded(paymentIntent) {
   console.log('Payment intent succeeded:', paymentIntent.id);
-  
-  try {
-    // Find existing transaction or create new one
-    let transaction = await Transaction.findOne({
-      'paymentProcessor.transactionId': paymentIntent.id
-    });
 
-    if (!transaction && paymentIntent.metadata.userId) {
-      transaction = new Transaction({
-        userId: paymentIntent.metadata.userId,
-        transactionType: 'one_time_purchase',
-        status: 'completed',
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency.toUpperCase(),
-        description: paymentIntent.description || 'One-time payment',
-        metadata: paymentIntent.metadata,
-        paymentProcessor: {
-          name: 'stripe',
-          transactionId: paymentIntent.id,
-          fee: paymentIntent.application_fee_amount || 0
-        }
-      });
+  // Find existing transaction or create new one
+  let transaction = await Transaction.findOne({
+    'paymentProcessor.transactionId': paymentIntent.id
+  });
+
+  if (!transaction && paymentIntent.metadata.userId) {
+    transaction = new Transaction({
+      userId: paymentIntent.metadata.userId,
+      transactionType: 'one_time_purchase',
+      status: 'completed',
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency.toUpperCase(),
+      description: paymentIntent.description || 'One-time payment',
+      metadata: paymentIntent.metadata,
+      paymentProcessor: {
+        name: 'stripe',
+        transactionId: paymentIntent.id,
+        fee: paymentIntent.application_fee_amount || 0
+      }
+    });
 
-      await transaction.save();
-    } else if (transaction) {
-      transaction.status = 'completed';
-      await transaction.save();
-    }
-  } catch (error) {
-    console.error('Error handling payment intent succeeded:', error);
+    await transaction.save();
+    return 'Transaction recorded';
+  } else if (transaction) {
+    transaction.status = 'completed';
+    await transaction.save();
+    return 'Transaction completed';
   }
+
+  return 'No matching transaction';
 }
 
 async function handlePaymentIntentFailed(paymentIntent) {
   console.log('Payment intent failed:', paymentIntent.id);
-  
-  try {
-    let transaction = await Transaction.findOne({
-      'paymentProcessor.transactionId': paymentIntent.id
-    });
 
-    if (!transaction && paymentIntent.metadata.userId) {
-      transaction = new Transaction({
-        userId: paymentIntent.metadata.userId,
-        transactionType: 'one_time_purchase',
-        status: 'failed',
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency.toUpperCase(),
-        description: paymentIntent.description || 'One-time payment',
-        metadata: paymentIntent.metadata,
-        paymentProcessor: {
-          name: 'stripe',
-          transactionId: paymentIntent.id,
-          processorResponse: {
-            code: paymentIntent.last_payment_error?.code,
-            message: paymentIntent.last_payment_error?.message,
-            errorType: paymentIntent.last_payment_error?.type
-          }
+  let transaction = await Transaction.findOne({
+    'paymentProcessor.transactionId': paymentIntent.id
+  });
+
+  if (!transaction && paymentIntent.metadata.userId) {
+    transaction = new Transaction({
+      userId: paymentIntent.metadata.userId,
+      transactionType: 'one_time_purchase',
+      status: 'failed',
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency.toUpperCase(),
+      description: paymentIntent.description || 'One-time payment',
+      metadata: paymentIntent.metadata,
+      paymentProcessor: {
+        name: 'stripe',
+        transactionId: paymentIntent.id,
+        processorResponse: {
+          code: paymentIntent.last_payment_error?.code,
+          message: paymentIntent.last_payment_error?.message,
+          errorType: paymentIntent.last_payment_error?.type
         }
-      });
+      }
+    });
 
-      await transaction.save();
-    } else if (transaction) {
-      transaction.status = 'failed';
-      transaction.paymentProcessor.processorResponse = {
-        code: paymentIntent.last_payment_error?.code,
-        message: paymentIntent.last_payment_error?.message,
-        errorType: paymentIntent.last_payment_error?.type
-      };
-      await transaction.save();
+    await transaction.save();
+    return 'Failed transaction recorded';
+  } else if (transaction) {
+    // A failed attempt delivered after the payment succeeded must not undo it
+    if (transaction.status === 'completed') {
+      return 'Skipped: transaction already completed';
     }
-  } catch (error) {
-    console.error('Error handling payment intent failed:', error);
+
+    transaction.status = 'failed';
+    transaction.paymentProcessor.processorResponse = {
+      code: paymentIntent.last_payment_error?.code,
+      message: paymentIntent.last_payment_error?.message,
+      errorType: paymentIntent.last_payment_error?.type
+    };
+    await transaction.save();
+    return 'Transaction failed';
   }
+
+  return 'No matching transaction';
 }
 
 async function handlePaymentMethodAttached(paymentMethod) {
   console.log('Payment method attached:', paymentMethod.id);
-  
-  try {
-    // Update payment method status in database
-    const dbPaymentMethod = await PaymentMethod.findOne({
-      'processorData.paymentMethodId': paymentMethod.id
-    });
 
-    if (dbPaymentMethod) {
-      dbPaymentMethod.status = 'active';
-      await dbPaymentMethod.save();
-    }
-  } catch (error) {
-    console.error('Error handling payment method attached:', error);
+  // Update payment method status in database
+  const dbPaymentMethod = await PaymentMethod.findOne({
+    'processorData.paymentMethodId': paymentMethod.id
+  });
+
+  if (!dbPaymentMethod) {
+    return 'Payment method not found';
   }
+
+  dbPaymentMethod.status = 'active';
+  await dbPaymentMethod.save();
+  return 'Payment method activated';
 }
 
 async function handlePaymentMethodDetached(paymentMethod) {
   console.log('Payment method detached:', paymentMethod.id);
-  
-  try {
-    // Update or remove payment method from database
-    const dbPaymentMethod = await PaymentMethod.findOne({
-      'processorData.paymentMethodId': paymentMethod.id
-    });
 
-    if (dbPaymentMethod) {
-      await PaymentMethod.findByIdAndDelete(dbPaymentMethod._id);
-    }
-  } catch (error) {
-    console.error('Error handling payment method detached:', error);
+  // Update or remove payment method from database
+  const dbPaymentMethod = await PaymentMethod.findOne({
+    'processorData.paymentMethodId': paymentMethod.id
+  });
+
+  if (!dbPaymentMethod) {
+    return 'Payment method not found';
   }
+
+  await PaymentMethod.findByIdAndDelete(dbPaymentMethod._id);
+  return 'Payment method removed';
 }
 
 async function handleCustomerCreated(customer) {
   console.log('Customer created:', customer.id);
-  
-  try {
-    // Update user with Stripe customer ID if needed
-    if (customer.metadata.userId) {
-      const user = await User.findById(customer.metadata.userId);
-      if (user && !user.stripeCustomerId) {
-        user.stripeCustomerId = customer.id;
-        await user.save();
-      }
+
+  // Update user with Stripe customer ID if needed
+  if (customer.metadata.userId) {
+    const user = await User.findById(customer.metadata.userId);
+    if (user && !user.stripeCustomerId) {
+      user.stripeCustomerId = customer.id;
+      await user.save();
+      return 'Customer linked to user';
     }
-  } catch (error) {
-    console.error('Error handling customer created:', error);
   }
+
+  return 'No changes';
 }
 
 async function handleCustomerUpdated(customer) {
   console.log('Customer updated:', customer.id);
-  
-  try {
-    // Update user information if needed
-    if (customer.metadata.userId) {
-      const user = await User.findById(customer.metadata.userId);
-      if (user) {
-        // Update user email if changed
-        if (customer.email && customer.email !== user.email) {
-          user.email = customer.email;
-          await user.save();
-        }
+
+  // Update user information if needed
+  if (customer.metadata.userId) {
+    const user = await User.findById(customer.metadata.userId);
+    if (user) {
+      // Update user email if changed
+      if (customer.email && customer.email !== user.email) {
+        user.email = customer.email;
+        await user.save();
+        return 'User email updated';
       }
     }
-  } catch (error) {
-    console.error('Error handling customer updated:', error);
   }
+
+  return 'No changes';
 }
 
 async function handleChargeDisputeCreated(dispute) {
   console.log('Charge dispute created:', dispute.id);
-  
-  try {
-    // Find transaction and update status
-    const transaction = await Transaction.findOne({
-      'paymentProcessor.transactionId': dispute.payment_intent
-    });
 
-    if (transaction) {
-      transaction.status = 'disputed';
-      transaction.paymentProcessor.processorResponse = {
-        code: 'dispute_created',
-        message: `Dispute created: ${dispute.reason}`,
-        errorType: 'dispute'
-      };
-      await transaction.save();
-    }
-  } catch (error) {
-    console.error('Error handling charge dispute created:', error);
+  // Find transaction and update status
+  const transaction = await Transaction.findOne({
+    'paymentProcessor.transactionId': dispute.payment_intent
+  });
+
+  if (!transaction) {
+    return 'Transaction not found';
   }
+
+  transaction.status = 'disputed';
+  transaction.paymentProcessor.processorResponse = {
+    code: 'dispute_created',
+    message: `Dispute created: ${dispute.reason}`,
+    errorType: 'dispute'
+  };
+  await transaction.save();
+  return 'Transaction disputed';
 }
 
 // Helper function to map Stripe subscription status to our status
@@ -439,4 +523,4 @@ function mapStripeStatus(stripeStatus) {
   return statusMap[stripeStatus] || stripeStatus;
 }
 
-module.exports = webhookController; 
\ No newline at end of file
+module.exports = webhookController;
\ No newline at end of file
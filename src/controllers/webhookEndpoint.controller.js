@@ -0,0 +1,230 @@
+const WebhookEndpoint = require('../models/webhookEndpoint.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const {
+  validateWebhookEndpoint,
+  validateWebhookEndpointUpdate,
+  validateDeliveryQuery
+} = require('../utils/webhookValidation');
+const { generateWebhookSecret } = require('../utils/outboundWebhook');
+const { sendTestWebhook } = require('../utils/webhooks');
+
+const validationFailed = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+const endpointNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Webhook endpoint not found'
+});
+
+// List the event types endpoints can subscribe to
+exports.getWebhookEvents = async (req, res, next) => {
+  try {
+    const events = Object.entries(WebhookEndpoint.WEBHOOK_EVENTS)
+      .map(([event, description]) => ({ event, description }));
+
+    res.status(200).json({
+      success: true,
+      data: { events, testEvent: WebhookEndpoint.TEST_EVENT }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the user's webhook endpoints
+exports.getWebhookEndpoints = async (req, res, next) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { endpoints }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a webhook endpoint; the response carries its signing secret
+exports.createWebhookEndpoint = async (req, res, next) => {
+  try {
+    const { error, value } = validateWebhookEndpoint(req.body);
+    if (error) return validationFailed(res, error);
+
+    const userId = req.user.id;
+    const count = await WebhookEndpoint.countDocuments({ userId });
+    if (count >= WebhookEndpoint.MAX_ENDPOINTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${WebhookEndpoint.MAX_ENDPOINTS_PER_USER} webhook endpoints`
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.create({
+      ...value,
+      userId,
+      secret: generateWebhookSecret()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created successfully',
+      data: { endpoint }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get one webhook endpoint, with its signing secret
+exports.getWebhookEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user.id }).select('+secret');
+    if (!endpoint) return endpointNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: { endpoint }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a webhook endpoint
+exports.updateWebhookEndpoint = async (req, res, next) => {
+  try {
+    const { error, value } = validateWebhookEndpointUpdate(req.body);
+    if (error) return validationFailed(res, error);
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!endpoint) return endpointNotFound(res);
+
+    // Re-enabling starts the failure count over
+    if (value.isActive && !endpoint.isActive) {
+      endpoint.consecutiveFailures = 0;
+      endpoint.disabledAt = undefined;
+      endpoint.disabledReason = undefined;
+    }
+    if (value.isActive === false && endpoint.isActive) {
+      endpoint.disabledAt = new Date();
+      endpoint.disabledReason = 'Disabled by owner';
+      await WebhookDelivery.updateMany(
+        { endpointId: endpoint._id, status: 'pending' },
+        { $set: { status: 'cancelled', lastError: 'Endpoint disabled' }, $unset: { nextAttemptAt: 1 } }
+      );
+    }
+
+    endpoint.set(value);
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint updated successfully',
+      data: { endpoint }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Issue a new signing secret; the old one stops working immediately
+exports.rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user.id }).select('+secret');
+    if (!endpoint) return endpointNotFound(res);
+
+    endpoint.secret = generateWebhookSecret();
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: { endpoint }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a webhook endpoint and its delivery log
+exports.deleteWebhookEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!endpoint) return endpointNotFound(res);
+
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a test event to an endpoint and report the receiver's response
+exports.testWebhookEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user.id }).select('+secret');
+    if (!endpoint) return endpointNotFound(res);
+
+    const delivery = await sendTestWebhook(endpoint);
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'sent' ? 'Test event delivered' : 'Test event could not be delivered',
+      data: {
+        delivered: delivery.status === 'sent',
+        delivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delivery log of an endpoint, newest first
+exports.getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { error, value } = validateDeliveryQuery(req.query);
+    if (error) return validationFailed(res, error);
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user.id }).select('_id');
+    if (!endpoint) return endpointNotFound(res);
+
+    const { status, event, page, limit } = value;
+    const query = { endpointId: endpoint._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [deliveries, totalItems] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-userId')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          current: page,
+          total: Math.ceil(totalItems / limit),
+          count: deliveries.length,
+          totalItems
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,84 @@ const Widget = require('../models/widget.model');
 const BuilderPage = require('../models/builderPage.model');
 const BusinessProfile = require('../models/businessProfile.model');
 const { uploadToCloudinary, deleteImage } = require('../utils/cloudinary');
+const {
+  consumeQuota,
+  releaseQuota,
+  adjustQuota,
+  recordStoredAsset,
+  releaseWidgetAssets,
+  bytesToMegabytes,
+  planLimitExceeded
+} = require('../utils/planLimits');
+const {
+  getWidgetType,
+  listWidgetTypes,
+  applyWidgetDefaults,
+  validateWidgetSettings
+} = require('../utils/widgetRegistry');
+const { emitWebhookEvent } = require('../utils/webhooks');
+
+// Number of products a products widget counts against the plan quota
+const getProductCount = (widget) => {
+  const products = widget?.settings?.specific?.products;
+  return widget?.type === 'products' && Array.isArray(products) ? products.length : 0;
+};
+
+// Reserve plan quota for one widget plus the products it carries
+const reserveWidgetQuota = async (userId, productCount) => {
+  const widgetQuota = await consumeQuota(userId, 'widgets');
+  if (!widgetQuota.allowed) {
+    return widgetQuota;
+  }
+
+  const productQuota = await consumeQuota(userId, 'products', productCount);
+  if (!productQuota.allowed) {
+    await releaseQuota(userId, 'widgets');
+    return productQuota;
+  }
+
+  return widgetQuota;
+};
+
+const releaseWidgetQuota = async (userId, productCount) => {
+  await releaseQuota(userId, 'widgets');
+  await releaseQuota(userId, 'products', productCount);
+};
+
+// Products may be sent as a single object; store them as an array, each with its own id
+const normalizeProducts = (settings) => {
+  const products = settings?.specific?.products;
+  if (!products || typeof products !== 'object') {
+    return settings;
+  }
+
+  const list = Array.isArray(products) ? products : [products];
+  return {
+    ...settings,
+    specific: {
+      ...settings.specific,
+      products: list.map(product => ({
+        ...product,
+        _id: product._id || new mongoose.Types.ObjectId()
+      }))
+    }
+  };
+};
+
+// Raise widget.product_updated for the owner's webhook endpoints
+const emitProductUpdated = (widget, action, data = {}) => emitWebhookEvent(widget.userId, 'widget.product_updated', {
+  widgetId: widget._id,
+  pageId: widget.pageId,
+  action,
+  ...data,
+  products: widget.settings?.specific?.products || []
+});
+
+const settingsValidationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors
+});
 
 // Create a new widget
 exports.createWidget = async (req, res, next) => {
@@ -19,13 +97,22 @@ exports.createWidget = async (req, res, next) => {
     } = req.body;
 
     // Validate required fields
-    if (!name || !type || !category) {
+    if (!name || !type) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: name, type, category'
+        message: 'Missing required fields: name, type'
       });
     }
 
+    // Settings start from the type's defaults and must match its schema
+    const { errors, value: widgetSettings } = validateWidgetSettings(
+      type,
+      applyWidgetDefaults(type, normalizeProducts(settings || {}))
+    );
+    if (errors) {
+      return settingsValidationFailed(res, errors);
+    }
+
     // If pageId is provided, verify page ownership
     if (pageId) {
       const page = await BuilderPage.findOne({ _id: pageId, userId });
@@ -43,31 +130,25 @@ exports.createWidget = async (req, res, next) => {
       pageId,
       name,
       type,
-      category,
-      settings: settings || {},
+      category: category || getWidgetType(type).category,
+      settings: widgetSettings,
       layout: layout || {},
       order: order || 0
     };
 
-    // Special handling for products widget type - ensure products have MongoDB ObjectIds
-    if (type === 'products' && settings?.specific?.products) {
-      if (Array.isArray(settings.specific.products)) {
-        // Handle array of products
-        widgetData.settings.specific.products = settings.specific.products.map(product => ({
-          ...product,
-          _id: product._id || new mongoose.Types.ObjectId()
-        }));
-      } else if (typeof settings.specific.products === 'object') {
-        // Handle single product object (convert to array with one product)
-        widgetData.settings.specific.products = [{
-          ...settings.specific.products,
-          _id: settings.specific.products._id || new mongoose.Types.ObjectId()
-        }];
-      }
+    const productCount = getProductCount(widgetData);
+    const quota = await reserveWidgetQuota(userId, productCount);
+    if (!quota.allowed) {
+      return planLimitExceeded(res, quota);
     }
 
     const widget = new Widget(widgetData);
-    await widget.save();
+    try {
+      await widget.save();
+    } catch (saveError) {
+      await releaseWidgetQuota(userId, productCount);
+      throw saveError;
+    }
 
     res.status(201).json({
       success: true,
@@ -178,26 +259,43 @@ exports.updateWidget = async (req, res, next) => {
       });
     }
 
-    // Special handling for products widget type when updating
-    if (updateData.settings?.specific?.products) {
-      if (Array.isArray(updateData.settings.specific.products)) {
-        // Handle array of products
-        updateData.settings.specific.products = updateData.settings.specific.products.map(product => ({
-          ...product,
-          _id: product._id || new mongoose.Types.ObjectId()
-        }));
-      } else if (typeof updateData.settings.specific.products === 'object') {
-        // Handle single product object (convert to array with one product)
-        updateData.settings.specific.products = [{
-          ...updateData.settings.specific.products,
-          _id: updateData.settings.specific.products._id || new mongoose.Types.ObjectId()
-        }];
+    // New settings, or a new type, must match the type's schema
+    if (updateData.settings || updateData.type) {
+      const { errors, value } = validateWidgetSettings(
+        updateData.type || widget.type,
+        updateData.settings ? normalizeProducts(updateData.settings) : widget.toObject({ virtuals: false }).settings
+      );
+      if (errors) {
+        return settingsValidationFailed(res, errors);
+      }
+      if (updateData.settings) {
+        updateData.settings = value;
+      }
+    }
+
+    // Replacing the products array changes how many products count against the plan
+    let productDelta = 0;
+    if (widget.type === 'products' && Array.isArray(updateData.settings?.specific?.products)) {
+      productDelta = updateData.settings.specific.products.length - getProductCount(widget);
+
+      const productQuota = await adjustQuota(userId, 'products', productDelta);
+      if (!productQuota.allowed) {
+        return planLimitExceeded(res, productQuota);
       }
     }
 
     // Update widget
     Object.assign(widget, updateData);
-    await widget.save();
+    try {
+      await widget.save();
+    } catch (saveError) {
+      await adjustQuota(userId, 'products', -productDelta);
+      throw saveError;
+    }
+
+    if (widget.type === 'products' && Array.isArray(updateData.settings?.specific?.products)) {
+      emitProductUpdated(widget, 'replaced');
+    }
 
     res.status(200).json({
       success: true,
@@ -224,6 +322,8 @@ exports.deleteWidget = async (req, res, next) => {
     }
 
     await Widget.findByIdAndDelete(id);
+    await releaseWidgetQuota(userId, getProductCount(widget));
+    await releaseWidgetAssets(userId, [widget.toObject()]);
 
     res.status(200).json({
       success: true,
@@ -265,8 +365,19 @@ exports.cloneWidget = async (req, res, next) => {
     if (name) {
       clonedWidget.name = name;
     }
-    
-    await clonedWidget.save();
+
+    const productCount = getProductCount(clonedWidget);
+    const quota = await reserveWidgetQuota(userId, productCount);
+    if (!quota.allowed) {
+      return planLimitExceeded(res, quota);
+    }
+
+    try {
+      await clonedWidget.save();
+    } catch (saveError) {
+      await releaseWidgetQuota(userId, productCount);
+      throw saveError;
+    }
 
     res.status(201).json({
       success: true,
@@ -565,129 +676,9 @@ exports.getWidgetTypes = async (req, res, next) => {
   try {
     const { category } = req.query;
 
-    // Widget types configuration
-    const widgetTypes = [
-      {
-        type: 'text',
-        category: 'content',
-        name: 'Text Block',
-        description: 'Add formatted text content',
-        icon: 'text',
-        settings: {
-          required: ['content.text'],
-          optional: ['style.fontSize', 'style.textColor', 'style.fontFamily']
-        }
-      },
-      {
-        type: 'image',
-        category: 'media',
-        name: 'Image',
-        description: 'Display images with various styling options',
-        icon: 'image',
-        settings: {
-          required: ['content.url'],
-          optional: ['content.alt', 'content.caption', 'layout.size']
-        }
-      },
-      {
-        type: 'button',
-        category: 'content',
-        name: 'Button',
-        description: 'Interactive button with custom actions',
-        icon: 'button',
-        settings: {
-          required: ['content.text'],
-          optional: ['interactive.link.url', 'style.backgroundColor', 'style.textColor']
-        }
-      },
-      {
-        type: 'gallery',
-        category: 'media',
-        name: 'Image Gallery',
-        description: 'Showcase multiple images in various layouts',
-        icon: 'gallery',
-        settings: {
-          required: ['specific.images'],
-          optional: ['specific.layout', 'specific.columns']
-        }
-      },
-      {
-        type: 'form',
-        category: 'form',
-        name: 'Contact Form',
-        description: 'Collect user information and feedback',
-        icon: 'form',
-        settings: {
-          required: ['specific.fields'],
-          optional: ['specific.submitAction', 'specific.validation']
-        }
-      },
-      {
-        type: 'map',
-        category: 'utility',
-        name: 'Map',
-        description: 'Embed interactive maps',
-        icon: 'map',
-        settings: {
-          required: ['specific.location'],
-          optional: ['specific.zoom', 'specific.markers']
-        }
-      },
-      {
-        type: 'social_media',
-        category: 'social',
-        name: 'Social Media Feed',
-        description: 'Display social media content',
-        icon: 'social',
-        settings: {
-          required: ['specific.platform', 'specific.handle'],
-          optional: ['specific.feedSettings']
-        }
-      },
-      {
-        type: 'testimonial',
-        category: 'content',
-        name: 'Testimonial',
-        description: 'Customer reviews and testimonials',
-        icon: 'testimonial',
-        settings: {
-          required: ['content.text'],
-          optional: ['specific.author', 'specific.rating', 'specific.avatar']
-        }
-      },
-      {
-        type: 'pricing_table',
-        category: 'ecommerce',
-        name: 'Pricing Table',
-        description: 'Display pricing plans and features',
-        icon: 'pricing',
-        settings: {
-          required: ['specific.plans'],
-          optional: ['specific.currency', 'specific.billing']
-        }
-      },
-      {
-        type: 'countdown',
-        category: 'utility',
-        name: 'Countdown Timer',
-        description: 'Create urgency with countdown timers',
-        icon: 'countdown',
-        settings: {
-          required: ['specific.targetDate'],
-          optional: ['specific.format', 'specific.onComplete']
-        }
-      }
-    ];
-
-    let filteredTypes = widgetTypes;
-
-    if (category) {
-      filteredTypes = filteredTypes.filter(t => t.category === category);
-    }
-
     res.status(200).json({
       success: true,
-      data: { widgetTypes: filteredTypes }
+      data: { widgetTypes: listWidgetTypes(category) }
     });
   } catch (error) {
     next(error);
@@ -704,10 +695,26 @@ exports.uploadWidgetAsset = async (req, res, next) => {
       });
     }
 
-    const result = await uploadToCloudinary(req.file.buffer, {
-      folder: 'widget-assets',
-      resource_type: 'auto'
-    });
+    const userId = req.user.id;
+    const fileSize = bytesToMegabytes(req.file.size);
+
+    const storageQuota = await consumeQuota(userId, 'storage', fileSize);
+    if (!storageQuota.allowed) {
+      return planLimitExceeded(res, storageQuota);
+    }
+
+    let result;
+    try {
+      result = await uploadToCloudinary(req.file.buffer, {
+        folder: 'widget-assets',
+        resource_type: 'auto'
+      });
+    } catch (uploadError) {
+      await releaseQuota(userId, 'storage', fileSize);
+      throw uploadError;
+    }
+
+    await recordStoredAsset(userId, { url: result.secure_url, publicId: result.public_id, bytes: req.file.size });
 
     res.status(200).json({
       success: true,
@@ -800,6 +807,7 @@ exports.reorderProducts = async (req, res, next) => {
 
     // Get updated widget
     const updatedWidget = await Widget.findById(id);
+    emitProductUpdated(updatedWidget, 'reordered');
 
     res.status(200).json({
       success: true,
@@ -881,10 +889,17 @@ exports.deleteProduct = async (req, res, next) => {
       }
     );
 
+    if (updateResult.modifiedCount > 0) {
+      await releaseQuota(userId, 'products');
+    }
+
     // console.log('Delete update result:', updateResult);
 
     // Get updated widget
     const updatedWidget = await Widget.findById(id);
+    if (updateResult.modifiedCount > 0) {
+      emitProductUpdated(updatedWidget, 'deleted', { productId });
+    }
 
     res.status(200).json({
       success: true,
@@ -970,6 +985,7 @@ exports.updateProduct = async (req, res, next) => {
     // Update the product in the array
     widget.settings.specific.products[productIndex] = updatedProduct;
     await widget.save();
+    emitProductUpdated(widget, 'updated', { productId });
 
     res.status(200).json({
       success: true,
@@ -1027,6 +1043,11 @@ exports.insertProduct = async (req, res, next) => {
       widget.settings.specific.products = [];
     }
 
+    const productQuota = await consumeQuota(userId, 'products');
+    if (!productQuota.allowed) {
+      return planLimitExceeded(res, productQuota);
+    }
+
     // Create new product with generated ID
     const newProduct = {
       ...productData,
@@ -1035,7 +1056,13 @@ exports.insertProduct = async (req, res, next) => {
 
     // Add product to the array
     widget.settings.specific.products.push(newProduct);
-    await widget.save();
+    try {
+      await widget.save();
+    } catch (saveError) {
+      await releaseQuota(userId, 'products');
+      throw saveError;
+    }
+    emitProductUpdated(widget, 'added', { productId: newProduct._id });
 
     res.status(200).json({
       success: true,
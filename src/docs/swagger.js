@@ -64,6 +64,18 @@ const options = {
         name: 'Builder Pages',
         description: 'Builder page management endpoints for creating and managing custom pages'
       },
+      {
+        name: 'Public Pages',
+        description: 'Server-rendered HTML for published builder pages'
+      },
+      {
+        name: 'Link Health',
+        description: 'Broken link reports for social media links and widget URLs'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Outbound webhook endpoints, signed event deliveries and the delivery log'
+      },
       {
         name: 'Widgets',
         description: 'Widget management endpoints for creating and managing page widgets'
@@ -0,0 +1,63 @@
+const AccountDeletion = require('../models/accountDeletion.model');
+const { purgeAccount } = require('../utils/accountDeletion');
+
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const LOCK_MS = 60 * 60 * 1000;
+
+// Permanently delete accounts whose grace period has ended
+async function processAccountDeletions() {
+  const now = new Date();
+
+  // A purge interrupted by a crash is picked up again once the job lock has expired
+  await AccountDeletion.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(now.getTime() - LOCK_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  const due = await AccountDeletion.find({ status: 'pending', scheduledFor: { $lte: now } })
+    .sort({ scheduledFor: 1 })
+    .limit(BATCH_SIZE);
+
+  let completed = 0;
+  let failed = 0;
+
+  for (const request of due) {
+    // Claim the request; it may have been cancelled since it was loaded
+    const claimed = await AccountDeletion.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const result = await purgeAccount(claimed.userId);
+
+      claimed.status = 'completed';
+      claimed.completedAt = new Date();
+      claimed.lastError = undefined;
+      claimed.removed = result.removed;
+      claimed.media = result.media;
+      claimed.stripe = result.stripe;
+      await claimed.save();
+      completed += 1;
+    } catch (error) {
+      // Retried on the next run until the attempts run out, then left for an admin
+      claimed.status = claimed.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      claimed.lastError = error.message;
+      await claimed.save();
+      failed += 1;
+    }
+  }
+
+  return { due: due.length, completed, failed };
+}
+
+module.exports = {
+  name: 'account-deletion',
+  description: 'Permanently delete accounts, their data, media and Stripe customers once the deletion grace period has ended',
+  intervalMs: 60 * 60 * 1000,
+  lockMs: LOCK_MS,
+  handler: processAccountDeletions
+};
@@ -0,0 +1,149 @@
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const {
+  SCHEDULED_WIDGET_TYPES,
+  getScheduleState,
+  dueScheduleTransitionsQuery
+} = require('../utils/contentSchedule');
+const { sendContentScheduleEmail } = require('../utils/email');
+
+const BATCH_SIZE = 100;
+
+// Widgets that are due but fail to save, or have nothing to move on, wait this long before the
+// next attempt so they do not hold the front of the batch
+const WIDGET_RETRY_MS = 60 * 60 * 1000;
+
+// Email the owner unless they turned off update emails; a failed email does not undo the change
+async function notifyOwner(userId, details, counters) {
+  try {
+    const [user, settings] = await Promise.all([
+      User.findById(userId).select('email firstName').lean(),
+      UserSettings.findOne({ userId }).select('notifications.email.updates').lean()
+    ]);
+
+    if (!user || !user.email || settings?.notifications?.email?.updates === false) {
+      return;
+    }
+
+    await sendContentScheduleEmail(user.email, user.firstName, details);
+    counters.notified += 1;
+  } catch (error) {
+    counters.notificationsFailed += 1;
+  }
+}
+
+// Publish and unpublish pages at their scheduled times, and track promotions, events and
+// products going live or expiring
+async function runContentSchedule() {
+  const now = new Date();
+  const counters = {
+    published: 0,
+    unpublished: 0,
+    pagesFailed: 0,
+    itemsLive: 0,
+    itemsExpired: 0,
+    widgetsFailed: 0,
+    notified: 0,
+    notificationsFailed: 0
+  };
+
+  const toPublish = await BuilderPage.find({
+    publishAt: { $lte: now },
+    'settings.isPublished': false,
+    'moderation.isForceUnpublished': { $ne: true }
+  }).limit(BATCH_SIZE);
+
+  // One page that fails to save does not stop the rest of the run
+  for (const page of toPublish) {
+    try {
+      await page.publish();
+    } catch (error) {
+      counters.pagesFailed += 1;
+      continue;
+    }
+    counters.published += 1;
+    await notifyOwner(page.userId, { itemType: 'page', itemName: page.title, status: 'live' }, counters);
+  }
+
+  const toUnpublish = await BuilderPage.find({
+    unpublishAt: { $lte: now },
+    'settings.isPublished': true
+  }).limit(BATCH_SIZE);
+
+  for (const page of toUnpublish) {
+    try {
+      await page.unpublish();
+    } catch (error) {
+      counters.pagesFailed += 1;
+      continue;
+    }
+    counters.unpublished += 1;
+    await notifyOwner(page.userId, { itemType: 'page', itemName: page.title, status: 'expired' }, counters);
+  }
+
+  const widgets = await Widget.find({
+    $and: [
+      dueScheduleTransitionsQuery(now),
+      { $or: [{ scheduleRetryAt: null }, { scheduleRetryAt: { $lte: now } }] }
+    ]
+  })
+    .populate('pageId', 'title')
+    .limit(BATCH_SIZE);
+
+  const retryLater = widget => Widget.updateOne(
+    { _id: widget._id },
+    { $set: { scheduleRetryAt: new Date(now.getTime() + WIDGET_RETRY_MS) } }
+  );
+
+  for (const widget of widgets) {
+    const config = SCHEDULED_WIDGET_TYPES[widget.type];
+    const transitions = [];
+
+    config.getItems(widget.settings.specific).forEach(item => {
+      const state = getScheduleState(item, now);
+      if (state !== item.scheduleState) {
+        item.scheduleState = state;
+        transitions.push({ name: config.getName(item), state });
+      }
+    });
+
+    if (transitions.length === 0) {
+      await retryLater(widget);
+      continue;
+    }
+
+    // One widget that no longer saves (e.g. invalid settings) does not stop the rest of the batch
+    try {
+      await widget.save();
+    } catch (error) {
+      counters.widgetsFailed += 1;
+      await retryLater(widget).catch(() => null);
+      continue;
+    }
+
+    for (const transition of transitions) {
+      if (transition.state === 'live') counters.itemsLive += 1;
+      if (transition.state === 'expired') counters.itemsExpired += 1;
+      if (transition.state === 'scheduled') continue;
+
+      await notifyOwner(widget.userId, {
+        itemType: config.label,
+        itemName: transition.name,
+        pageTitle: widget.pageId?.title,
+        status: transition.state
+      }, counters);
+    }
+  }
+
+  return counters;
+}
+
+module.exports = {
+  name: 'content-schedule',
+  description: 'Publish and unpublish pages at their scheduled times and notify owners when promotions, events and products go live or expire',
+  intervalMs: 60 * 1000,
+  lockMs: 10 * 60 * 1000,
+  handler: runContentSchedule
+};
@@ -0,0 +1,107 @@
+const DataExport = require('../models/dataExport.model');
+const User = require('../models/user.model');
+const {
+  buildExportArchive,
+  saveExportFile,
+  deleteExportFile,
+  getDownloadUrl
+} = require('../utils/dataExport');
+const { sendDataExportReadyEmail } = require('../utils/email');
+
+const BATCH_SIZE = 5;
+const MAX_ATTEMPTS = 3;
+const LOCK_MS = 30 * 60 * 1000;
+
+// Remove archives whose download link has expired
+async function expireExports(now) {
+  const expired = await DataExport.find({ status: 'completed', expiresAt: { $lte: now } });
+
+  for (const dataExport of expired) {
+    if (dataExport.fileId) {
+      await deleteExportFile(dataExport.fileId);
+    }
+    dataExport.status = 'expired';
+    dataExport.fileId = undefined;
+    await dataExport.save();
+  }
+
+  return expired.length;
+}
+
+// Build requested data exports and email the download link
+async function processDataExports() {
+  const now = new Date();
+  const expired = await expireExports(now);
+
+  // An export interrupted by a crash is picked up again once the job lock has expired
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(now.getTime() - LOCK_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  const pending = await DataExport.find({ status: 'pending' })
+    .sort({ requestedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let completed = 0;
+  let failed = 0;
+  let emailFailed = 0;
+
+  for (const request of pending) {
+    const claimed = await DataExport.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const { buffer, counts } = await buildExportArchive(claimed.userId);
+      const fileName = `kunex-data-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      const fileId = await saveExportFile(fileName, buffer, {
+        userId: claimed.userId,
+        exportId: claimed._id
+      });
+
+      claimed.status = 'completed';
+      claimed.completedAt = new Date();
+      claimed.expiresAt = new Date(Date.now() + DataExport.EXPORT_TTL_HOURS * 60 * 60 * 1000);
+      claimed.fileId = fileId;
+      claimed.fileName = fileName;
+      claimed.size = buffer.length;
+      claimed.counts = counts;
+      claimed.lastError = undefined;
+      await claimed.save();
+      completed += 1;
+    } catch (error) {
+      claimed.status = claimed.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      claimed.lastError = error.message;
+      await claimed.save();
+      failed += 1;
+      continue;
+    }
+
+    // The archive is ready either way; the link can also be fetched from the exports endpoint
+    try {
+      const user = await User.findById(claimed.userId).select('email firstName').lean();
+      if (user) {
+        await sendDataExportReadyEmail(user.email, user.firstName, {
+          downloadUrl: getDownloadUrl(claimed),
+          expiresAt: claimed.expiresAt
+        });
+      }
+    } catch (error) {
+      emailFailed += 1;
+    }
+  }
+
+  return { pending: pending.length, completed, failed, emailFailed, expired };
+}
+
+module.exports = {
+  name: 'data-export',
+  description: 'Build requested account data exports, email their download links and remove expired archives',
+  intervalMs: 60 * 1000,
+  lockMs: LOCK_MS,
+  handler: processDataExports
+};
@@ -0,0 +1,47 @@
+const UserSettings = require('../models/userSettings.model');
+const UserSearch = require('../models/userSearch.model');
+const ClickTracking = require('../models/clickTracking.model');
+const ViewLog = require('../models/viewLog.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purge activity data each user generated that is older than their dataRetentionPeriod
+async function purgeExpiredData() {
+  const now = Date.now();
+
+  const retentionGroups = await UserSettings.aggregate([
+    { $match: { 'dataSettings.dataRetentionPeriod': { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$dataSettings.dataRetentionPeriod',
+        userIds: { $push: '$userId' }
+      }
+    }
+  ]);
+
+  const deleted = { searches: 0, clicks: 0, views: 0 };
+
+  for (const { _id: retentionDays, userIds } of retentionGroups) {
+    const cutoff = new Date(now - retentionDays * DAY_MS);
+
+    const [searches, clicks, views] = await Promise.all([
+      UserSearch.deleteMany({ userId: { $in: userIds }, createdAt: { $lt: cutoff } }),
+      ClickTracking.deleteMany({ userId: { $in: userIds }, timestamp: { $lt: cutoff } }),
+      ViewLog.deleteMany({ viewerId: { $in: userIds }, createdAt: { $lt: cutoff } })
+    ]);
+
+    deleted.searches += searches.deletedCount;
+    deleted.clicks += clicks.deletedCount;
+    deleted.views += views.deletedCount;
+  }
+
+  return { retentionGroups: retentionGroups.length, deleted };
+}
+
+module.exports = {
+  name: 'data-retention',
+  description: 'Delete search history, click and view logs older than each user\'s data retention period',
+  intervalMs: 24 * 60 * 60 * 1000,
+  lockMs: 60 * 60 * 1000,
+  handler: purgeExpiredData
+};
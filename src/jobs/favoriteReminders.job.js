@@ -0,0 +1,59 @@
+const Favorite = require('../models/favorite.model');
+const { sendFavoriteReminderEmail } = require('../utils/email');
+
+const BATCH_SIZE = 200;
+// Reminders missed for longer than this (e.g. while the scheduler was down) are not sent late
+const MAX_DELAY_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function sendFavoriteReminders() {
+  const now = new Date();
+
+  const favorites = await Favorite.find({
+    'metadata.reminderDate': { $lte: now, $gte: new Date(now.getTime() - MAX_DELAY_MS) },
+    $expr: { $ne: ['$metadata.reminderSentFor', '$metadata.reminderDate'] }
+  })
+    .populate('userId', 'email firstName')
+    .populate('widgetId', 'name')
+    .sort({ 'metadata.reminderDate': 1 })
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const favorite of favorites) {
+    const user = favorite.userId;
+    if (!user || !user.email) {
+      continue;
+    }
+
+    try {
+      await sendFavoriteReminderEmail(user.email, user.firstName, {
+        itemName: favorite.widgetId?.name || `your saved ${favorite.type.toLowerCase()}`,
+        reminderNote: favorite.metadata.reminderNote,
+        reminderDate: favorite.metadata.reminderDate
+      });
+
+      await Favorite.updateOne(
+        { _id: favorite._id },
+        { $set: { 'metadata.reminderSentFor': favorite.metadata.reminderDate } }
+      );
+      sent += 1;
+    } catch (error) {
+      failed += 1;
+    }
+  }
+
+  // Unsent reminders stay pending; fail the run so it is retried with backoff
+  if (failed > 0 && sent === 0) {
+    throw new Error(`Failed to send ${failed} favorite reminder emails`);
+  }
+
+  return { found: favorites.length, sent, failed };
+}
+
+module.exports = {
+  name: 'favorite-reminders',
+  description: 'Email users when a reminder set on a favorite is due',
+  intervalMs: 5 * 60 * 1000,
+  handler: sendFavoriteReminders
+};
@@ -0,0 +1,9 @@
+const { deliverNotifications } = require('../utils/formNotifications');
+
+module.exports = {
+  name: 'form-notifications',
+  description: 'Send queued form submission emails, auto-replies and webhooks, retrying failed deliveries',
+  intervalMs: 60 * 1000,
+  lockMs: 10 * 60 * 1000,
+  handler: () => deliverNotifications()
+};
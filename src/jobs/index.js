@@ -0,0 +1,24 @@
+const scheduler = require('./scheduler');
+const favoriteRemindersJob = require('./favoriteReminders.job');
+const renewalNoticesJob = require('./renewalNotices.job');
+const dataRetentionJob = require('./dataRetention.job');
+const accountDeletionJob = require('./accountDeletion.job');
+const dataExportJob = require('./dataExport.job');
+const contentScheduleJob = require('./contentSchedule.job');
+const linkHealthJob = require('./linkHealth.job');
+const formNotificationsJob = require('./formNotifications.job');
+const webhookDeliveriesJob = require('./webhookDeliveries.job');
+
+[
+  favoriteRemindersJob,
+  renewalNoticesJob,
+  dataRetentionJob,
+  accountDeletionJob,
+  dataExportJob,
+  contentScheduleJob,
+  linkHealthJob,
+  formNotificationsJob,
+  webhookDeliveriesJob
+].forEach(job => scheduler.registerJob(job));
+
+module.exports = scheduler;
@@ -0,0 +1,163 @@
+const SocialMediaLink = require('../models/socialMediaLink.model');
+const Widget = require('../models/widget.model');
+const LinkCheck = require('../models/linkCheck.model');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const { checkUrl, collectWidgetLinks, getSocialLinkUrl } = require('../utils/linkChecker');
+const { sendBrokenLinksDigestEmail } = require('../utils/email');
+
+const CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// A link that failed once is probed again sooner, so a breakage is confirmed within hours
+const RETRY_AFTER_MS = 60 * 60 * 1000;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Records whose source is gone stop being rechecked; they are dropped after a few missed rounds
+const STALE_AFTER_MS = 3 * CHECK_INTERVAL_MS;
+
+// Mirror the result on the social media link; pending links are only marked when they break
+async function syncSocialLink(check, now) {
+  const update = { lastChecked: now };
+  if (check.status === 'broken') update.status = 'broken';
+
+  await SocialMediaLink.updateOne({ _id: check.sourceId }, { $set: update });
+  if (check.status === 'ok') {
+    await SocialMediaLink.updateOne({ _id: check.sourceId, status: 'broken' }, { $set: { status: 'active' } });
+  }
+}
+
+async function sendDigest(userId, now, counters) {
+  const broken = await LinkCheck.find({ userId, status: 'broken' })
+    .populate('pageId', 'title')
+    .sort({ brokenSince: -1 });
+  const fresh = broken.filter(check => !check.notifiedAt);
+
+  try {
+    const [user, settings] = await Promise.all([
+      User.findById(userId).select('email firstName').lean(),
+      UserSettings.findOne({ userId }).select('notifications.email.updates').lean()
+    ]);
+
+    if (user && user.email && settings?.notifications?.email?.updates !== false) {
+      await sendBrokenLinksDigestEmail(user.email, user.firstName, {
+        links: fresh.map(check => ({
+          label: check.label,
+          url: check.url,
+          location: check.sourceType === 'social_media_link' ? 'Social media links' : check.pageId?.title,
+          error: check.error
+        })),
+        totalBroken: broken.length
+      });
+      counters.digestsSent += 1;
+    }
+  } catch (error) {
+    counters.digestsFailed += 1;
+    return;
+  }
+
+  await LinkCheck.updateMany({ _id: { $in: fresh.map(check => check._id) } }, { $set: { notifiedAt: now } });
+}
+
+// Probe social media links and the URLs in widgets, keep their health up to date and send each
+// owner a digest of newly broken links
+async function runLinkHealth() {
+  const now = new Date();
+  const dueBefore = new Date(now.getTime() - CHECK_INTERVAL_MS);
+  const counters = { checked: 0, ok: 0, failing: 0, broken: 0, removed: 0, digestsSent: 0, digestsFailed: 0 };
+
+  // The same URL is probed once per run
+  const results = new Map();
+  const probe = async (url) => {
+    if (!results.has(url)) results.set(url, await checkUrl(url));
+    return results.get(url);
+  };
+
+  const record = async (check, result) => {
+    check.recordResult(result, now);
+    await check.save();
+    counters.checked += 1;
+    counters[check.status] += 1;
+    return check;
+  };
+
+  // Find or start the record for a URL; a changed URL starts over
+  const getCheck = async (source, details) => {
+    let check = await LinkCheck.findOne({ sourceId: source.sourceId, field: source.field });
+    if (!check) {
+      check = new LinkCheck(source);
+    } else if (check.url !== details.url) {
+      check.set({ status: 'ok', consecutiveFailures: 0, brokenSince: undefined, notifiedAt: undefined });
+    }
+    return check.set(details);
+  };
+
+  const retries = await LinkCheck.find({
+    status: 'failing',
+    lastChecked: { $lte: new Date(now.getTime() - RETRY_AFTER_MS) }
+  }).limit(BATCH_SIZE);
+
+  for (const check of retries) {
+    await record(check, await probe(check.url));
+    if (check.sourceType === 'social_media_link') await syncSocialLink(check, now);
+  }
+
+  const socialLinks = await SocialMediaLink.find({ lastChecked: { $lte: dueBefore } })
+    .sort({ lastChecked: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const link of socialLinks) {
+    const url = getSocialLinkUrl(link);
+    const check = await getCheck(
+      { userId: link.userId, sourceType: 'social_media_link', sourceId: link._id, field: 'originalUrl' },
+      { url, label: link.displayName || link.handle || link.platform }
+    );
+    await record(check, await probe(url));
+    await syncSocialLink(check, now);
+  }
+
+  const widgets = await Widget.find({ $or: [{ linksCheckedAt: null }, { linksCheckedAt: { $lte: dueBefore } }] })
+    .select('userId pageId name type settings.specific settings.interactive')
+    .sort({ linksCheckedAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const widget of widgets) {
+    const links = collectWidgetLinks(widget);
+
+    for (const link of links) {
+      const check = await getCheck(
+        { userId: widget.userId, sourceType: 'widget', sourceId: widget._id, field: link.field },
+        { url: link.url, label: link.label, pageId: widget.pageId }
+      );
+      await record(check, await probe(link.url));
+    }
+
+    const removed = await LinkCheck.deleteMany({ sourceId: widget._id, field: { $nin: links.map(link => link.field) } });
+    counters.removed += removed.deletedCount || 0;
+    await Widget.updateOne({ _id: widget._id }, { $set: { linksCheckedAt: now } });
+  }
+
+  const stale = await LinkCheck.deleteMany({ lastChecked: { $lte: new Date(now.getTime() - STALE_AFTER_MS) } });
+  counters.removed += stale.deletedCount || 0;
+
+  // At most one digest per owner per day
+  const owners = await LinkCheck.distinct('userId', { status: 'broken', notifiedAt: null });
+  for (const userId of owners) {
+    const recentlyNotified = await LinkCheck.exists({
+      userId,
+      notifiedAt: { $gt: new Date(now.getTime() - DIGEST_INTERVAL_MS) }
+    });
+    if (!recentlyNotified) await sendDigest(userId, now, counters);
+  }
+
+  return counters;
+}
+
+module.exports = {
+  name: 'link-health',
+  description: 'Probe social media links and widget URLs, mark broken links and email owners a digest',
+  intervalMs: 15 * 60 * 1000,
+  lockMs: 30 * 60 * 1000,
+  handler: runLinkHealth
+};
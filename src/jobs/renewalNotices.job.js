@@ -0,0 +1,81 @@
+const Subscription = require('../models/subscription.model');
+const PaymentSettings = require('../models/paymentSettings.model');
+const { sendRenewalNoticeEmail } = require('../utils/email');
+
+// PaymentSettings.paymentReminders.daysBeforeDue allows up to 30 days
+const MAX_NOTICE_DAYS = 30;
+const DEFAULT_NOTICE_DAYS = 3;
+
+async function sendRenewalNotices() {
+  const now = new Date();
+
+  const subscriptions = (await Subscription.getExpiringSubscriptions(MAX_NOTICE_DAYS))
+    .filter(subscription => subscription.currentPeriodEnd > now)
+    .filter(subscription => {
+      const sentFor = subscription.metadata?.renewalNoticeSentFor;
+      return !sentFor || sentFor.getTime() !== subscription.currentPeriodEnd.getTime();
+    });
+
+  if (subscriptions.length === 0) {
+    return { found: 0, sent: 0, failed: 0, skipped: 0 };
+  }
+
+  const settings = await PaymentSettings.find({
+    userId: { $in: subscriptions.map(subscription => subscription.userId?._id).filter(Boolean) }
+  }).select('userId paymentReminders autoRenew').lean();
+  const settingsByUser = new Map(settings.map(setting => [setting.userId.toString(), setting]));
+
+  let sent = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  for (const subscription of subscriptions) {
+    const user = subscription.userId;
+    if (!user || !user.email) {
+      skipped += 1;
+      continue;
+    }
+
+    const userSettings = settingsByUser.get(user._id.toString());
+    const reminders = userSettings?.paymentReminders;
+    if (reminders && reminders.enabled === false) {
+      skipped += 1;
+      continue;
+    }
+
+    const noticeDays = reminders?.daysBeforeDue || DEFAULT_NOTICE_DAYS;
+    const daysUntilRenewal = (subscription.currentPeriodEnd - now) / (24 * 60 * 60 * 1000);
+    if (daysUntilRenewal > noticeDays) {
+      continue;
+    }
+
+    try {
+      await sendRenewalNoticeEmail(user.email, user.firstName, {
+        planName: subscription.planId?.name || 'current',
+        amount: subscription.formattedBillingAmount,
+        renewalDate: subscription.currentPeriodEnd
+      });
+
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $set: { 'metadata.renewalNoticeSentFor': subscription.currentPeriodEnd } }
+      );
+      sent += 1;
+    } catch (error) {
+      failed += 1;
+    }
+  }
+
+  if (failed > 0 && sent === 0) {
+    throw new Error(`Failed to send ${failed} renewal notice emails`);
+  }
+
+  return { found: subscriptions.length, sent, failed, skipped };
+}
+
+module.exports = {
+  name: 'renewal-notices',
+  description: 'Email subscribers before their subscription renews, honouring their payment reminder settings',
+  intervalMs: 60 * 60 * 1000,
+  handler: sendRenewalNotices
+};
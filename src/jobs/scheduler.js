@@ -0,0 +1,216 @@
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledJob = require('../models/scheduledJob.model');
+const JobRun = require('../models/jobRun.model');
+
+// Identifies this process when it holds a job lock
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a job definition
+ * @param {object} definition - { name, description, intervalMs, handler, lockMs, maxRetries, backoffMs }
+ */
+function registerJob(definition) {
+  if (!definition.name || typeof definition.handler !== 'function' || !definition.intervalMs) {
+    throw new Error('A job needs a name, an intervalMs and a handler');
+  }
+
+  jobs.set(definition.name, {
+    lockMs: DEFAULT_LOCK_MS,
+    maxRetries: DEFAULT_MAX_RETRIES,
+    backoffMs: DEFAULT_BACKOFF_MS,
+    ...definition
+  });
+}
+
+function getRegisteredJobs() {
+  return Array.from(jobs.values()).map(({ handler, ...definition }) => definition);
+}
+
+// Exponential backoff: backoffMs, 2x, 4x ... capped at one hour
+function getBackoffDelay(definition, attempts) {
+  return Math.min(definition.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Create job state documents for new definitions and keep intervals in sync
+async function syncJobDefinitions() {
+  await Promise.all(Array.from(jobs.values()).map(definition =>
+    ScheduledJob.updateOne(
+      { name: definition.name },
+      {
+        $set: { description: definition.description, intervalMs: definition.intervalMs },
+        $setOnInsert: { nextRunAt: new Date() }
+      },
+      { upsert: true }
+    )
+  ));
+}
+
+async function executeJob(definition, state, trigger) {
+  const startedAt = new Date();
+  const attempt = state.attempts + 1;
+
+  const run = await JobRun.create({
+    jobName: definition.name,
+    trigger,
+    attempt,
+    instanceId: INSTANCE_ID,
+    startedAt
+  });
+
+  let result;
+  let failure = null;
+
+  try {
+    result = await definition.handler({ lastSuccessAt: state.lastStatus === 'succeeded' ? state.lastFinishedAt : null });
+  } catch (error) {
+    failure = error;
+  }
+
+  const finishedAt = new Date();
+  const stateUpdate = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastFinishedAt: finishedAt
+  };
+
+  if (!failure) {
+    Object.assign(stateUpdate, {
+      attempts: 0,
+      lastStatus: 'succeeded',
+      lastError: null,
+      lastResult: result,
+      nextRunAt: new Date(finishedAt.getTime() + definition.intervalMs)
+    });
+    Object.assign(run, { status: 'succeeded', result });
+  } else {
+    const canRetry = attempt <= definition.maxRetries;
+    const nextRunAt = canRetry
+      ? new Date(finishedAt.getTime() + getBackoffDelay(definition, attempt))
+      : new Date(finishedAt.getTime() + definition.intervalMs);
+
+    // After the last retry the job waits for its next regular run
+    Object.assign(stateUpdate, {
+      attempts: canRetry ? attempt : 0,
+      lastStatus: 'failed',
+      lastError: failure.message,
+      nextRunAt
+    });
+    Object.assign(run, {
+      status: 'failed',
+      error: failure.message,
+      nextRetryAt: canRetry ? nextRunAt : undefined
+    });
+    console.error(`Job ${definition.name} failed (attempt ${attempt}):`, failure.message);
+  }
+
+  run.finishedAt = finishedAt;
+  run.durationMs = finishedAt.getTime() - startedAt.getTime();
+  await run.save();
+
+  await ScheduledJob.updateOne(
+    { _id: state._id, lockedBy: INSTANCE_ID },
+    {
+      $set: stateUpdate,
+      $inc: { runCount: 1, failureCount: failure ? 1 : 0 }
+    }
+  );
+
+  return run;
+}
+
+/**
+ * Run every registered job that is due and not locked by another instance
+ * @returns {Promise<Array<object>>} The JobRuns started by this tick
+ */
+async function runDueJobs() {
+  const runs = [];
+  if (ticking) return runs;
+  ticking = true;
+
+  try {
+    for (const definition of jobs.values()) {
+      const state = await ScheduledJob.acquireLock(definition.name, INSTANCE_ID, definition.lockMs);
+      if (state) {
+        runs.push(await executeJob(definition, state, 'schedule'));
+      }
+    }
+  } catch (error) {
+    console.error('Job scheduler error:', error.message);
+  } finally {
+    ticking = false;
+  }
+
+  return runs;
+}
+
+/**
+ * One scheduler tick triggered from outside the process (the Vercel cron), where no timer runs
+ * @returns {Promise<Array<object>>} The JobRuns started by this tick
+ */
+async function runExternalTick() {
+  await syncJobDefinitions();
+  return runDueJobs();
+}
+
+/**
+ * Run a job immediately, regardless of its schedule
+ * @returns {Promise<object|null>} The JobRun, or null when another instance holds the lock
+ */
+async function runJobNow(name) {
+  const definition = jobs.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  await syncJobDefinitions();
+
+  const state = await ScheduledJob.acquireLock(name, INSTANCE_ID, definition.lockMs, true);
+  if (!state) {
+    return null;
+  }
+
+  return executeJob(definition, state, 'manual');
+}
+
+function startScheduler() {
+  if (timer) return;
+
+  syncJobDefinitions()
+    .then(runDueJobs)
+    .catch(error => console.error('Job scheduler start error:', error.message));
+
+  timer = setInterval(runDueJobs, TICK_INTERVAL_MS);
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(`Job scheduler started (${jobs.size} jobs, instance ${INSTANCE_ID})`);
+}
+
+function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  registerJob,
+  getRegisteredJobs,
+  runDueJobs,
+  runExternalTick,
+  runJobNow,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,9 @@
+const { deliverWebhooks } = require('../utils/webhooks');
+
+module.exports = {
+  name: 'webhook-deliveries',
+  description: 'Send queued webhook events and retry failed deliveries with backoff',
+  intervalMs: 60 * 1000,
+  lockMs: 10 * 60 * 1000,
+  handler: () => deliverWebhooks()
+};
@@ -1,5 +1,7 @@
 const passport = require('passport');
 const UserSettings = require('../models/userSettings.model');
+const { meterApiCalls } = require('./planLimits.mw');
+const { getUserPermissions } = require('../utils/permissions');
 
 // Middleware to authenticate JWT token and check account status
 exports.authenticate = (req, res, next) => {
@@ -31,7 +33,7 @@ exports.authenticate = (req, res, next) => {
       return next(dbErr);
     }
 
-    next();
+    meterApiCalls(req, res, next);
   })(req, res, next);
 };
 
@@ -57,15 +59,35 @@ exports.authenticateAllowDeactivated = (req, res, next) => {
 // Alias for authenticate (commonly used as protect in routes)
 exports.protect = exports.authenticate;
 
-// Middleware to check if user has admin role
-exports.isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+/**
+ * Require every listed permission (see utils/permissions). Use after authenticate.
+ * The user's effective permissions are kept on req.permissions for the controller.
+ * @param {...string} permissions - Required permissions
+ */
+exports.requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized - Invalid or expired token',
+      });
+    }
+
+    req.permissions = req.permissions || await getUserPermissions(req.user);
+    const missing = permissions.filter(permission => !req.permissions.has(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden - Missing permission',
+        code: 'PERMISSION_DENIED',
+        missingPermissions: missing,
+      });
+    }
+
     next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Forbidden - Admin access required',
-    });
+  } catch (err) {
+    next(err);
   }
 };
 
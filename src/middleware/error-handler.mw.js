@@ -1,8 +1,21 @@
+// Mongoose schema failures are bad input; report each failing path
+const validationErrors = (err) => Object.values(err.errors).map(error => ({
+  field: error.path,
+  message: error.message
+}));
+
 const errorHandler = (err, req, res, next) => {
     console.error(err.stack);
-    res.status(err.statusCode || 500).json({
+    const isValidationError = err.name === 'ValidationError' && err.errors && !Array.isArray(err.errors);
+    const errors = isValidationError ? validationErrors(err) : Array.isArray(err.errors) ? err.errors : undefined;
+
+    // Multer rejects oversized or unexpected uploads before the controller runs
+    const isUploadError = err.name === 'MulterError';
+
+    res.status(err.statusCode || (isValidationError || isUploadError ? 400 : 500)).json({
       success: false,
       message: err.message || 'Internal Server Error',
+      ...(errors && { errors }),
       error: process.env.NODE_ENV === 'development' ? err : {},
     });
   };
@@ -0,0 +1,24 @@
+const { consumeQuota, planLimitExceeded } = require('../utils/planLimits');
+
+// Routes a user must still be able to reach after exhausting their API quota
+// (to log in, manage billing and upgrade their plan)
+const API_QUOTA_EXEMPT_PATHS = ['/api/auth', '/api/subscriptions', '/api/payments', '/api/settings'];
+
+// Middleware to count an authenticated API call against the plan's apiCalls limit
+exports.meterApiCalls = async (req, res, next) => {
+  if (!req.user || API_QUOTA_EXEMPT_PATHS.some(path => req.baseUrl.startsWith(path))) {
+    return next();
+  }
+
+  try {
+    const quota = await consumeQuota(req.user.id, 'apiCalls');
+    if (!quota.allowed) {
+      return planLimitExceeded(res, quota);
+    }
+  } catch (err) {
+    // Metering problems should never take the API down
+    console.error('Error metering API call:', err);
+  }
+
+  next();
+};
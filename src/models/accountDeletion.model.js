@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Days a user has to cancel before their data is removed
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Deletion request for an account; after the purge it stays behind as the audit record
+const accountDeletionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // The email is removed with the account; the hash still lets support match a request to it
+    emailHash: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'cancelled', 'processing', 'completed', 'failed'],
+      default: 'pending'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    scheduledFor: {
+      type: Date,
+      required: true
+    },
+    cancelledAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String
+    },
+    // Number of documents removed per collection
+    removed: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    media: {
+      deleted: {
+        type: Number,
+        default: 0
+      },
+      failed: {
+        type: Number,
+        default: 0
+      }
+    },
+    stripe: {
+      cancelledSubscriptions: [String],
+      deletedCustomers: [String]
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+accountDeletionSchema.index({ userId: 1, status: 1 });
+
+accountDeletionSchema.statics.GRACE_PERIOD_DAYS = GRACE_PERIOD_DAYS;
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
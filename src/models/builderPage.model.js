@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { getHoursStatus, getSchedule } = require('../utils/serviceHours');
+const { isPageLive } = require('../utils/contentSchedule');
+const { emitWebhookEvent } = require('../utils/webhooks');
 
 const daySchema = new mongoose.Schema({
   day: {
@@ -64,6 +67,55 @@ const eventDateSchema = new mongoose.Schema({
   }
 });
 
+// What happens when a form on the page receives a submission
+const formNotificationsSchema = new mongoose.Schema({
+  email: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    includeOwner: {
+      type: Boolean,
+      default: true
+    },
+    // Extra addresses that receive every submission
+    recipients: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  // Confirmation sent to the submitter when the form has an email field
+  autoReply: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    }
+  },
+  webhook: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    url: {
+      type: String,
+      trim: true
+    },
+    // Signs each delivery
+    secret: String
+  }
+}, { _id: false });
+
 const builderPageSchema = new mongoose.Schema(
   {
     userId: {
@@ -773,7 +825,38 @@ const builderPageSchema = new mongoose.Schema(
         min: 0
       }
     },
+    // Actions taken by admins on reported pages
+    moderation: {
+      isForceUnpublished: {
+        type: Boolean,
+        default: false
+      },
+      isHiddenFromExplore: {
+        type: Boolean,
+        default: false
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+      },
+      actionBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      actionAt: Date
+    },
+    // Not selected by default, so recipients and the webhook never reach public page responses.
+    // Read with .select('+formNotifications').
+    formNotifications: {
+      type: formNotificationsSchema,
+      default: () => ({}),
+      select: false
+    },
     publishedAt: Date,
+    // Scheduled publishing; the content-schedule job publishes and unpublishes the page
+    publishAt: Date,
+    unpublishAt: Date,
     lastModified: Date
   },
   {
@@ -790,6 +873,8 @@ builderPageSchema.index({ industryId: 1 });
 builderPageSchema.index({ pageType: 1, 'settings.isPublished': 1 });
 builderPageSchema.index({ 'template.category': 1 });
 builderPageSchema.index({ publishedAt: -1 });
+builderPageSchema.index({ publishAt: 1 }, { sparse: true });
+builderPageSchema.index({ unpublishAt: 1 }, { sparse: true });
 builderPageSchema.index({ 'analytics.pageViews': -1 });
 
 // Text search index
@@ -858,19 +943,47 @@ builderPageSchema.methods.revertToVersion = function (versionNumber) {
   return this;
 };
 
-builderPageSchema.methods.publish = function () {
+// Data sent with page.published / page.unpublished webhooks
+const pageWebhookData = (page) => ({
+  pageId: page._id,
+  title: page.title,
+  slug: page.slug,
+  pageType: page.pageType,
+  publishedAt: page.publishedAt
+});
+
+builderPageSchema.methods.publish = async function () {
+  const wasPublished = this.settings.isPublished;
   this.settings.isPublished = true;
   this.settings.isDraft = false;
+  this.publishAt = undefined;
   if (!this.publishedAt) {
     this.publishedAt = new Date();
   }
-  return this.save();
+  await this.save();
+
+  if (!wasPublished) {
+    emitWebhookEvent(this.userId, 'page.published', pageWebhookData(this));
+  }
+  return this;
 };
 
-builderPageSchema.methods.unpublish = function () {
+builderPageSchema.methods.unpublish = async function () {
+  const wasPublished = this.settings.isPublished;
   this.settings.isPublished = false;
   this.settings.isDraft = true;
-  return this.save();
+  this.unpublishAt = undefined;
+  await this.save();
+
+  if (wasPublished) {
+    emitWebhookEvent(this.userId, 'page.unpublished', pageWebhookData(this));
+  }
+  return this;
+};
+
+// Published, not force-unpublished and not past its unpublishAt time
+builderPageSchema.methods.isLive = function (now = new Date()) {
+  return isPageLive(this, now);
 };
 
 // Service Hours Methods
@@ -920,55 +1033,14 @@ builderPageSchema.methods.updateEventDate = function (eventId, updateData) {
   return this.save();
 };
 
-builderPageSchema.methods.getCurrentHours = function () {
-  const now = new Date();
-  const currentDay = now.toLocaleDateString('en-US', { weekday: 'short' });
-  const currentTime = now.toTimeString().slice(0, 5);
-
-  // Check weekly hours first
-  if (this.serviceHours.type === 'weekly' || this.serviceHours.type === 'both') {
-    const todayHours = this.serviceHours.weeklyHours.find(
-      hours => hours.day === currentDay
-    );
-
-    if (todayHours && !todayHours.isClosed) {
-      return {
-        isOpen: currentTime >= todayHours.startTime && currentTime <= todayHours.endTime,
-        startTime: todayHours.startTime,
-        endTime: todayHours.endTime,
-        type: 'weekly'
-      };
-    }
-  }
-
-  // Check event dates
-  if (this.serviceHours.type === 'event-dates' || this.serviceHours.type === 'both') {
-    const todayEvents = this.serviceHours.eventDates.filter(event => {
-      const eventDate = new Date(event.eventDate);
-      return eventDate.toDateString() === now.toDateString();
-    });
-
-    if (todayEvents.length > 0) {
-      const currentEvent = todayEvents.find(event =>
-        currentTime >= event.startTime && currentTime <= event.endTime
-      );
-
-      if (currentEvent) {
-        return {
-          isOpen: true,
-          startTime: currentEvent.startTime,
-          endTime: currentEvent.endTime,
-          eventName: currentEvent.eventName,
-          type: 'event'
-        };
-      }
-    }
-  }
+// Open/closed state evaluated in the page's timezone, including overnight ranges and recurring events
+builderPageSchema.methods.getCurrentHours = function (now = new Date()) {
+  return getHoursStatus(this.serviceHours, now);
+};
 
-  return {
-    isOpen: false,
-    type: 'closed'
-  };
+// Day-by-day opening hours for the coming days in the page's timezone
+builderPageSchema.methods.getSchedule = function (days = 7, now = new Date()) {
+  return getSchedule(this.serviceHours, days, now);
 };
 
 builderPageSchema.methods.incrementViews = function () {
@@ -977,9 +1049,18 @@ builderPageSchema.methods.incrementViews = function () {
 };
 
 // Static methods
+// Query conditions for pages visible to visitors; an expired page stays hidden even
+// before the content-schedule job has unpublished it
+builderPageSchema.statics.liveQuery = function (now = new Date()) {
+  return {
+    'settings.isPublished': true,
+    unpublishAt: { $not: { $lte: now } }
+  };
+};
+
 builderPageSchema.statics.getPublishedPages = function (filters = {}) {
   return this.find({
-    'settings.isPublished': true,
+    ...this.liveQuery(),
     ...filters
   }).sort({ publishedAt: -1 });
 };
@@ -1000,7 +1081,8 @@ builderPageSchema.statics.getDraftPages = function (userId, businessId = null) {
 builderPageSchema.statics.searchPages = function (searchTerm, filters = {}) {
   return this.find({
     $text: { $search: searchTerm },
-    'settings.isPublished': true,
+    ...this.liveQuery(),
+    'moderation.isHiddenFromExplore': { $ne: true },
     ...filters
   }).sort({ score: { $meta: 'textScore' } });
 };
@@ -296,6 +296,11 @@ const businessProfileSchema = new mongoose.Schema(
       ref: 'BuilderPage',
       default: null
     },
+    // Set by moderation when the business page is hidden from explore
+    isHiddenFromExplore: {
+      type: Boolean,
+      default: false
+    },
     metrics: {
       viewCount: {
         type: Number,
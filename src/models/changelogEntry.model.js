@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A shipped community post, as shown on the public changelog. Created when the post's
+// implementation status moves to completed (see utils/communityRoadmap).
+const changelogEntrySchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityPost',
+      required: true,
+      unique: true
+    },
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityTopic',
+      required: true
+    },
+    // Copied from the post; moderators can reword both
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    releaseNote: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    releasedAt: {
+      type: Date,
+      required: true
+    },
+    // Unpublished when the post moves back out of completed, or by a moderator
+    isPublished: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Users who liked the post are emailed once, the first time it is completed
+    notifiedAt: {
+      type: Date,
+      default: null
+    },
+    notifiedCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for better performance
+changelogEntrySchema.index({ isPublished: 1, releasedAt: -1 });
+changelogEntrySchema.index({ topicId: 1, isPublished: 1, releasedAt: -1 });
+
+const ChangelogEntry = mongoose.model('ChangelogEntry', changelogEntrySchema);
+
+module.exports = ChangelogEntry;
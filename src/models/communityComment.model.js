@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Replies to a comment this deep are added next to it instead of under it
+const MAX_DEPTH = 5;
+
+const communityCommentSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityPost',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusinessProfile',
+      default: null
+    },
+    // Comment replied to, and the top-level comment of the thread; both null for top-level comments
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityComment',
+      default: null
+    },
+    rootId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityComment',
+      default: null
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: MAX_DEPTH
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      // Cleared when the author deletes the comment
+      required: function() {
+        return !this.isDeleted;
+      }
+    },
+    // Official response badge, for replies from the community team
+    isOfficial: {
+      type: Boolean,
+      default: false
+    },
+    // Visible direct replies; deleted and hidden replies are not counted
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    editedAt: {
+      type: Date
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: {
+      type: Date
+    },
+    // Hidden by a moderator (community:moderate)
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      moderatedAt: Date,
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for better performance
+communityCommentSchema.index({ postId: 1, parentId: 1, createdAt: 1 });
+communityCommentSchema.index({ rootId: 1, createdAt: 1 });
+communityCommentSchema.index({ userId: 1 });
+
+// Deleted and hidden comments do not count towards the post's comment count
+communityCommentSchema.methods.isVisible = function() {
+  return !this.isDeleted && !this.isHidden;
+};
+
+// Instance method to soft delete; the thread below the comment stays
+communityCommentSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.content = undefined;
+  return this.save();
+};
+
+communityCommentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+const CommunityComment = mongoose.model('CommunityComment', communityCommentSchema);
+
+module.exports = CommunityComment;
@@ -34,6 +34,18 @@ const communityPostSchema = new mongoose.Schema(
       enum: ['completed', 'in-progress', 'planned'],
       default: 'planned'
     },
+    // When the post last moved to completed; its changelog entry carries the release note
+    completedAt: {
+      type: Date
+    },
+    // Moderator who last set the implementation status. Posts are on the public roadmap once one has.
+    statusSetBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    statusSetAt: {
+      type: Date
+    },
     likes: [{
       userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -50,6 +62,12 @@ const communityPostSchema = new mongoose.Schema(
       default: 0,
       min: 0
     },
+    // Visible comments and replies (see CommunityComment)
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -82,6 +100,7 @@ communityPostSchema.index({ topicId: 1, createdAt: -1 });
 communityPostSchema.index({ userId: 1 });
 communityPostSchema.index({ businessId: 1 });
 communityPostSchema.index({ implementationStatus: 1 });
+communityPostSchema.index({ isActive: 1, implementationStatus: 1, statusSetAt: 1 });
 communityPostSchema.index({ likeCount: -1 });
 communityPostSchema.index({ isActive: 1 });
 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Hours a finished archive (and its download link) stays available
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 72;
+
+// A user's request for a copy of their data; the archive itself is kept in GridFS
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+      default: 'pending'
+    },
+    // Base URL of the API the request came in on, used for the emailed download link
+    baseUrl: {
+      type: String,
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String
+    },
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    fileName: {
+      type: String
+    },
+    size: {
+      type: Number
+    },
+    // Number of records exported per collection
+    counts: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    downloadCount: {
+      type: Number,
+      default: 0
+    },
+    lastDownloadedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+dataExportSchema.index({ userId: 1, requestedAt: -1 });
+dataExportSchema.index({ status: 1, requestedAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+dataExportSchema.statics.EXPORT_TTL_HOURS = EXPORT_TTL_HOURS;
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
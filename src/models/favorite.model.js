@@ -76,7 +76,9 @@ const favoriteSchema = new mongoose.Schema(
         address: String
       },
       reminderDate: Date,
-      reminderNote: String
+      reminderNote: String,
+      // reminderDate the last reminder email was sent for
+      reminderSentFor: Date
     },
     analytics: {
       viewCount: {
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['email', 'auto_reply', 'webhook'];
+
+// Attempts per channel before a delivery is given up, and the wait before each retry
+const MAX_ATTEMPTS = {
+  email: 3,
+  auto_reply: 3,
+  webhook: 6
+};
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+
+// One notification sent for a form submission: an email to the owner or another recipient,
+// an auto-reply to the submitter, or a webhook call. Doubles as the delivery log.
+const formNotificationSchema = new mongoose.Schema(
+  {
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FormSubmission',
+      required: true
+    },
+    pageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BuilderPage',
+      required: true
+    },
+    // Page owner
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: true
+    },
+    // Email address or webhook URL
+    recipient: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    sentAt: Date,
+    responseStatus: Number,
+    lastError: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+formNotificationSchema.index({ submissionId: 1, createdAt: 1 });
+formNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+formNotificationSchema.index({ userId: 1 });
+formNotificationSchema.index({ channel: 1, recipient: 1, createdAt: -1 });
+
+/**
+ * Store the outcome of a delivery attempt and schedule the retry, if any
+ * @param {object} result - { ok, statusCode, error }
+ * @param {Date} now - Time of the attempt
+ */
+formNotificationSchema.methods.recordAttempt = function (result, now = new Date()) {
+  this.attempts += 1;
+  this.lastAttemptAt = now;
+  this.responseStatus = result.statusCode;
+
+  if (result.ok) {
+    this.status = 'sent';
+    this.sentAt = now;
+    this.lastError = undefined;
+    this.nextAttemptAt = undefined;
+    return this;
+  }
+
+  this.lastError = result.error;
+
+  if (this.attempts >= MAX_ATTEMPTS[this.channel]) {
+    this.status = 'failed';
+    this.nextAttemptAt = undefined;
+  } else {
+    const delay = RETRY_DELAYS_MS[Math.min(this.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(now.getTime() + delay);
+  }
+
+  return this;
+};
+
+formNotificationSchema.statics.CHANNELS = CHANNELS;
+formNotificationSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = mongoose.model('FormNotification', formNotificationSchema);
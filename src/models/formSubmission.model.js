@@ -47,7 +47,9 @@ const formSubmissionSchema = new mongoose.Schema(
         maxLength: Number,
         pattern: String,
         minValue: Number,
-        maxValue: Number
+        maxValue: Number,
+        fileTypes: [String],
+        maxFileSizeMb: Number
       },
       options: [String] // For select, radio, checkbox fields
     }],
@@ -70,6 +72,32 @@ const formSubmissionSchema = new mongoose.Schema(
     // IP address and user agent for spam detection
     ipAddress: String,
     userAgent: String,
+    // Hash of the answers, used to spot the same content being submitted again
+    contentHash: String,
+    // Why the submission was classified as spam, and whether the owner overruled it
+    spam: {
+      source: {
+        type: String,
+        enum: ['auto', 'manual']
+      },
+      score: Number,
+      reasons: [{
+        _id: false,
+        check: String,
+        score: Number,
+        detail: String
+      }],
+      checkedAt: Date,
+      falsePositive: {
+        type: Boolean,
+        default: false
+      },
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
     // Referrer information
     referrer: String,
     utmSource: String,
@@ -101,6 +129,9 @@ formSubmissionSchema.index({ businessId: 1, status: 1 });
 formSubmissionSchema.index({ userId: 1, createdAt: -1 });
 formSubmissionSchema.index({ status: 1, priority: 1 });
 formSubmissionSchema.index({ createdAt: -1 });
+formSubmissionSchema.index({ ipAddress: 1, createdAt: -1 });
+formSubmissionSchema.index({ ipAddress: 1, widgetId: 1, createdAt: -1 });
+formSubmissionSchema.index({ widgetId: 1, contentHash: 1, createdAt: -1 });
 
 // Text search index
 formSubmissionSchema.index({
@@ -162,6 +193,16 @@ formSubmissionSchema.methods.archive = function () {
 
 formSubmissionSchema.methods.markAsSpam = function () {
   this.status = 'spam';
+  this.spam = { source: 'manual', checkedAt: new Date() };
+  return this.save();
+};
+
+// Owner overrules a spam classification; the submission returns to the inbox as new
+formSubmissionSchema.methods.markAsNotSpam = function (userId) {
+  this.status = 'new';
+  this.spam.falsePositive = true;
+  this.spam.reviewedAt = new Date();
+  this.spam.reviewedBy = userId;
   return this.save();
 };
 
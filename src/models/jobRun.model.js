@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// History of background job executions, kept for 30 days
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running'
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      default: 'schedule'
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    instanceId: {
+      type: String
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    result: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+      type: String
+    },
+    nextRetryAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
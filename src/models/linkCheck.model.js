@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Consecutive failed probes before a link is reported as broken
+const BROKEN_AFTER_FAILURES = 2;
+
+// Health of one stored URL: a social media link, or one URL field of a widget
+const linkCheckSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    sourceType: {
+      type: String,
+      enum: ['social_media_link', 'widget'],
+      required: true
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    pageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BuilderPage'
+    },
+    // Path of the URL within the source, e.g. settings.specific.customLink.0.url
+    field: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    url: {
+      type: String,
+      required: true,
+      maxlength: 2000
+    },
+    status: {
+      type: String,
+      enum: ['ok', 'failing', 'broken'],
+      default: 'ok'
+    },
+    statusCode: Number,
+    reason: {
+      type: String,
+      enum: ['invalid_url', 'blocked', 'dns', 'timeout', 'network', 'http_status', 'too_many_redirects']
+    },
+    error: String,
+    finalUrl: String,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastChecked: Date,
+    lastOkAt: Date,
+    brokenSince: Date,
+    // Set once the owner has been told about the current breakage
+    notifiedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+linkCheckSchema.index({ sourceId: 1, field: 1 }, { unique: true });
+linkCheckSchema.index({ userId: 1, status: 1 });
+linkCheckSchema.index({ status: 1, lastChecked: 1 });
+linkCheckSchema.index({ status: 1, notifiedAt: 1 });
+
+/**
+ * Store the outcome of a probe
+ * @param {object} result - Result from checkUrl
+ * @param {Date} now - Time of the probe
+ */
+linkCheckSchema.methods.recordResult = function (result, now = new Date()) {
+  this.lastChecked = now;
+  this.statusCode = result.statusCode;
+  this.finalUrl = result.finalUrl;
+
+  if (result.ok) {
+    this.status = 'ok';
+    this.reason = undefined;
+    this.error = undefined;
+    this.consecutiveFailures = 0;
+    this.lastOkAt = now;
+    this.brokenSince = undefined;
+    this.notifiedAt = undefined;
+    return this;
+  }
+
+  this.reason = result.reason;
+  this.error = result.error;
+  this.consecutiveFailures += 1;
+
+  if (this.consecutiveFailures >= BROKEN_AFTER_FAILURES) {
+    if (this.status !== 'broken') this.brokenSince = now;
+    this.status = 'broken';
+  } else {
+    this.status = 'failing';
+  }
+
+  return this;
+};
+
+linkCheckSchema.statics.BROKEN_AFTER_FAILURES = BROKEN_AFTER_FAILURES;
+
+module.exports = mongoose.model('LinkCheck', linkCheckSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Failed login counters per account (keyed by email) and per IP address
+const THROTTLE_POLICIES = {
+  account: {
+    threshold: 5,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  },
+  ip: {
+    threshold: 20,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  }
+};
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: Object.keys(THROTTLE_POLICIES),
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    failures: {
+      type: Number,
+      default: 0
+    },
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    lastIpAddress: String,
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.statics.THROTTLE_POLICIES = THROTTLE_POLICIES;
+
+// Normalise the key the same way the User model stores emails
+loginThrottleSchema.statics.normalizeKey = function (scope, key) {
+  return scope === 'account' ? String(key).trim().toLowerCase() : String(key);
+};
+
+// Active locks for the given keys, e.g. { account: email, ip: req.ip }
+loginThrottleSchema.statics.findActiveLocks = function (keys) {
+  const conditions = Object.entries(keys)
+    .filter(([, key]) => key)
+    .map(([scope, key]) => ({ scope, key: this.normalizeKey(scope, key) }));
+
+  if (conditions.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return this.find({ $or: conditions, lockedUntil: { $gt: new Date() } });
+};
+
+// Count a failed attempt; once the threshold is reached every further failure
+// doubles the lock, up to the policy maximum
+loginThrottleSchema.statics.registerFailure = async function (scope, key, details = {}) {
+  const policy = THROTTLE_POLICIES[scope];
+  const normalizedKey = this.normalizeKey(scope, key);
+  const now = new Date();
+
+  // Start counting again when the previous failures are outside the window
+  await this.updateOne(
+    { scope, key: normalizedKey, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0 } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: {
+      lastFailureAt: now,
+      expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS + policy.maxLockMs)
+    }
+  };
+  if (details.userId) update.$set.userId = details.userId;
+  if (details.ipAddress) update.$set.lastIpAddress = details.ipAddress;
+
+  const throttle = await this.findOneAndUpdate(
+    { scope, key: normalizedKey },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failures < policy.threshold) {
+    return { throttle, locked: false, newlyLocked: false };
+  }
+
+  const lockMs = Math.min(
+    policy.baseLockMs * Math.pow(2, throttle.failures - policy.threshold),
+    policy.maxLockMs
+  );
+  throttle.lockedUntil = new Date(now.getTime() + lockMs);
+  await throttle.save();
+
+  return {
+    throttle,
+    locked: true,
+    newlyLocked: throttle.failures === policy.threshold
+  };
+};
+
+// Clear the counter, e.g. after a successful login or an admin unlock
+loginThrottleSchema.statics.clear = function (scope, key) {
+  return this.deleteOne({ scope, key: this.normalizeKey(scope, key) });
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const BuilderPage = require('./builderPage.model');
+const Widget = require('./widget.model');
+
+// Widget definition instantiated into a real Widget when a page is created from the template
+const templateWidgetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: Widget.schema.path('type').enumValues,
+    required: true
+  },
+  subType: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  category: {
+    type: String,
+    enum: Widget.schema.path('category').enumValues,
+    required: true
+  },
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  layout: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isVisible: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const pageTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9-]+$/,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    category: {
+      type: String,
+      enum: BuilderPage.schema.path('template.category').enumValues,
+      required: true
+    },
+    pageType: {
+      type: String,
+      enum: BuilderPage.schema.path('pageType').enumValues,
+      required: true
+    },
+    version: {
+      type: String,
+      default: '1.0'
+    },
+    previewImage: {
+      type: String, // URL
+      trim: true
+    },
+    features: [{
+      type: String,
+      trim: true,
+      maxlength: 100
+    }],
+    tags: [{
+      type: String,
+      trim: true,
+      maxlength: 30
+    }],
+    // Defaults copied onto the BuilderPage
+    layout: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    styling: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    seo: {
+      metaTitle: {
+        type: String,
+        trim: true,
+        maxlength: 60
+      },
+      metaDescription: {
+        type: String,
+        trim: true,
+        maxlength: 160
+      },
+      metaKeywords: [{
+        type: String,
+        trim: true,
+        maxlength: 50
+      }]
+    },
+    widgets: [templateWidgetSchema],
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    sortOrder: {
+      type: Number,
+      default: 0
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+// Note: slug index is automatically created by unique: true
+pageTemplateSchema.index({ isActive: 1, sortOrder: 1 });
+pageTemplateSchema.index({ category: 1, pageType: 1 });
+
+// Virtual for number of widgets the template creates
+pageTemplateSchema.virtual('widgetCount').get(function () {
+  return this.widgets ? this.widgets.length : 0;
+});
+
+// Static method to get active templates
+pageTemplateSchema.statics.getActiveTemplates = function (filters = {}) {
+  return this.find({ isActive: true, ...filters })
+    .sort({ sortOrder: 1, name: 1 });
+};
+
+// Instance method to build the BuilderPage fields provided by the template
+pageTemplateSchema.methods.toPageData = function () {
+  const template = this.toObject({ virtuals: false });
+  const pageData = {
+    pageType: template.pageType,
+    template: {
+      name: template.name,
+      version: template.version,
+      category: template.category
+    }
+  };
+
+  ['layout', 'styling', 'seo'].forEach(field => {
+    if (template[field] && Object.keys(template[field]).length > 0) {
+      pageData[field] = template[field];
+    }
+  });
+
+  return pageData;
+};
+
+// Instance method to build Widget documents for a page created from the template
+pageTemplateSchema.methods.toWidgetData = function (userId, pageId, businessId = null) {
+  const { widgets } = this.toObject({ virtuals: false });
+
+  return widgets.map(widget => {
+    const settings = widget.settings || {};
+
+    // Every page gets its own product ids, as createWidget does for new products widgets
+    if (widget.type === 'products' && Array.isArray(settings.specific?.products)) {
+      settings.specific.products = settings.specific.products.map(product => ({
+        ...product,
+        _id: new mongoose.Types.ObjectId()
+      }));
+    }
+
+    return {
+      userId,
+      pageId,
+      businessId: businessId || undefined,
+      name: widget.name,
+      type: widget.type,
+      subType: widget.subType,
+      category: widget.category,
+      settings,
+      layout: widget.layout || {},
+      order: widget.order,
+      isVisible: widget.isVisible
+    };
+  });
+};
+
+module.exports = mongoose.model('PageTemplate', pageTemplateSchema);
@@ -30,7 +30,23 @@ const pageReportSchema = new mongoose.Schema(
       type: String,
       enum: ['pending', 'reviewed', 'resolved', 'dismissed'],
       default: 'pending'
-    }
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    actionTaken: {
+      type: String,
+      enum: ['none', 'unpublish', 'hide_from_explore', 'restore'],
+      default: 'none'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    closedAt: Date
   },
   {
     timestamps: true,
@@ -45,5 +61,31 @@ pageReportSchema.index({ userId: 1, createdAt: -1 });
 pageReportSchema.index({ status: 1, createdAt: -1 });
 pageReportSchema.index({ createdAt: -1 });
 
+// Allowed status transitions; resolved and dismissed reports are closed
+pageReportSchema.statics.STATUS_TRANSITIONS = {
+  pending: ['reviewed', 'resolved', 'dismissed'],
+  reviewed: ['resolved', 'dismissed'],
+  resolved: [],
+  dismissed: []
+};
+
+pageReportSchema.methods.canTransitionTo = function (status) {
+  return (this.constructor.STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the report to a new status, recording who reviewed it
+pageReportSchema.methods.transitionTo = function (status, adminId, resolutionNote) {
+  this.status = status;
+  this.reviewedBy = adminId;
+  this.reviewedAt = new Date();
+  if (resolutionNote) {
+    this.resolutionNote = resolutionNote;
+  }
+  if (status === 'resolved' || status === 'dismissed') {
+    this.closedAt = new Date();
+  }
+  return this;
+};
+
 module.exports = mongoose.model('PageReport', pageReportSchema);
 
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A custom role defined by an admin; system roles live in utils/permissions
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 50,
+      match: /^[a-z][a-z0-9_]*$/
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+    permissions: [{
+      type: String
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Persisted state of a background job; the lock fields make sure only one instance runs it at a time
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    intervalMs: {
+      type: Number,
+      required: true,
+      min: 1000
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    // Consecutive failed attempts of the current run, used for backoff
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastRunAt: Date,
+    lastFinishedAt: Date,
+    lastStatus: {
+      type: String,
+      enum: ['never', 'succeeded', 'failed'],
+      default: 'never'
+    },
+    lastError: {
+      type: String
+    },
+    lastResult: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    runCount: {
+      type: Number,
+      default: 0
+    },
+    failureCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+scheduledJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Atomically claim a job that is due and not locked by another instance
+scheduledJobSchema.statics.acquireLock = function (name, instanceId, lockMs, force = false) {
+  const now = new Date();
+  const query = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  if (!force) {
+    query.enabled = true;
+    query.nextRunAt = { $lte: now };
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockMs),
+        lastRunAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// An uploaded file charged to its owner's storage quota (see utils/planLimits). The size is
+// given back when the file is replaced or deleted.
+const storedAssetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: {
+      type: String
+    },
+    // Size of the uploaded file in bytes, as charged
+    bytes: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for better performance
+storedAssetSchema.index({ userId: 1, url: 1 });
+
+const StoredAsset = mongoose.model('StoredAsset', storedAssetSchema);
+
+module.exports = StoredAsset;
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// A delivery stuck in processing this long (e.g. the instance died) may be claimed again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Ledger of received Stripe webhook events, keyed by the Stripe event id
+const stripeEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    // ID of the Stripe object the event is about (subscription, invoice, payment intent...)
+    objectId: {
+      type: String
+    },
+    livemode: {
+      type: Boolean,
+      default: false
+    },
+    // When Stripe created the event; used to ignore out-of-order updates
+    eventCreatedAt: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'ignored', 'failed'],
+      default: 'processing'
+    },
+    outcome: {
+      type: String
+    },
+    lastError: {
+      type: String
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    replayCount: {
+      type: Number,
+      default: 0
+    },
+    lockedAt: Date,
+    processedAt: Date,
+    // Full event as received, kept so failed events can be replayed
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+stripeEventSchema.index({ objectId: 1 });
+
+// Claim an event for processing. Returns null when it was already handled or
+// another delivery is working on it; failed events can be claimed again.
+stripeEventSchema.statics.claim = async function (event) {
+  const now = new Date();
+
+  try {
+    return await this.create({
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data && event.data.object && event.data.object.id,
+      livemode: Boolean(event.livemode),
+      eventCreatedAt: new Date(event.created * 1000),
+      status: 'processing',
+      attempts: 1,
+      lockedAt: now,
+      payload: event
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+stripeEventSchema.methods.markProcessed = function (status, outcome) {
+  this.status = status;
+  this.outcome = outcome;
+  this.lastError = undefined;
+  this.lockedAt = undefined;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+stripeEventSchema.methods.markFailed = function (error) {
+  this.status = 'failed';
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+  return this.save();
+};
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
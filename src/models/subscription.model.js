@@ -88,6 +88,28 @@ const subscriptionSchema = new mongoose.Schema(
       validUntil: Date
     },
     usage: {
+      pages: {
+        current: {
+          type: Number,
+          default: 0,
+          min: 0
+        },
+        limit: {
+          type: Number,
+          min: 0
+        }
+      },
+      widgets: {
+        current: {
+          type: Number,
+          default: 0,
+          min: 0
+        },
+        limit: {
+          type: Number,
+          min: 0
+        }
+      },
       products: {
         current: {
           type: Number,
@@ -159,7 +181,9 @@ const subscriptionSchema = new mongoose.Schema(
         type: String,
         trim: true,
         maxlength: 1000
-      }
+      },
+      // currentPeriodEnd the last pre-renewal notice was sent for
+      renewalNoticeSentFor: Date
     },
     // Stripe specific data
     stripeData: {
@@ -174,7 +198,9 @@ const subscriptionSchema = new mongoose.Schema(
       invoiceId: {
         type: String,
         trim: true
-      }
+      },
+      // created time of the last Stripe event applied to this subscription
+      lastEventAt: Date
     }
   },
   {
@@ -66,6 +66,14 @@ const subscriptionPlanSchema = new mongoose.Schema(
       }
     }],
     limits: {
+      pages: {
+        type: Number,
+        min: 0
+      },
+      widgets: {
+        type: Number,
+        min: 0
+      },
       products: {
         type: Number,
         min: 0
@@ -208,7 +216,7 @@ subscriptionPlanSchema.methods.compareWith = function(otherPlan) {
   });
 
   // Compare limits
-  const limitKeys = ['products', 'storage', 'bandwidth', 'apiCalls', 'teamMembers'];
+  const limitKeys = ['pages', 'widgets', 'products', 'storage', 'bandwidth', 'apiCalls', 'teamMembers'];
   limitKeys.forEach(key => {
     if (this.limits[key] !== undefined && otherPlan.limits[key] !== undefined) {
       comparison.limitDifferences[key] = this.limits[key] - otherPlan.limits[key];
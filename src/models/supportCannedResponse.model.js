@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Placeholders an agent's reply text may contain, filled in per ticket
+const PLACEHOLDERS = ['customerName', 'ticketId', 'subject', 'agentName'];
+
+// Reusable reply text for support agents
+const supportCannedResponseSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000
+    },
+    // Suggested for tickets in this category; available everywhere when empty
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SupportCategory'
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    usageCount: {
+      type: Number,
+      default: 0
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+supportCannedResponseSchema.index({ isActive: 1, categoryId: 1 });
+supportCannedResponseSchema.index({ title: 'text', body: 'text' });
+
+/**
+ * Reply text with its placeholders ({{customerName}}, {{ticketId}}, ...) filled in
+ * @param {object} values - Placeholder values
+ * @returns {string}
+ */
+supportCannedResponseSchema.methods.render = function (values = {}) {
+  return this.body.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (
+    PLACEHOLDERS.includes(key) && values[key] !== undefined && values[key] !== null
+      ? String(values[key])
+      : match
+  ));
+};
+
+supportCannedResponseSchema.statics.PLACEHOLDERS = PLACEHOLDERS;
+
+module.exports = mongoose.model('SupportCannedResponse', supportCannedResponseSchema);
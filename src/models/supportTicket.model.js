@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { ACTIVE_STATUSES, getSlaDueDates, getSlaStatus } = require('../utils/supportSla');
+const { notifyTicketReply } = require('../utils/supportEmail');
 
 const supportTicketSchema = new mongoose.Schema(
   {
@@ -121,9 +124,26 @@ const supportTicketSchema = new mongoose.Schema(
         type: Date,
         default: Date.now
       },
+      // Internal notes are only shown to support agents
       isInternal: {
         type: Boolean,
         default: false
+      },
+      // Agent who wrote an admin reply or internal note
+      authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // User messages can also arrive as replies to support emails
+      source: {
+        type: String,
+        enum: ['web', 'email'],
+        default: 'web'
+      },
+      // Message-ID of the email a message came from, so a relay retrying it does not add it twice
+      emailMessageId: {
+        type: String,
+        trim: true
       }
     }],
     
@@ -153,6 +173,16 @@ const supportTicketSchema = new mongoose.Schema(
       type: Date
     },
     
+    // SLA: due dates follow the priority (utils/supportSla); firstResponseAt is the first agent reply
+    sla: {
+      firstResponseDueAt: Date,
+      resolutionDueAt: Date
+    },
+    
+    firstResponseAt: {
+      type: Date
+    },
+    
     // Timestamps
     lastActivity: {
       type: Date,
@@ -186,6 +216,9 @@ supportTicketSchema.index({ userId: 1, status: 1 });
 supportTicketSchema.index({ status: 1, priority: 1 });
 supportTicketSchema.index({ createdAt: -1 });
 supportTicketSchema.index({ lastActivity: -1 });
+supportTicketSchema.index({ assignedTo: 1, status: 1 });
+supportTicketSchema.index({ status: 1, 'sla.firstResponseDueAt': 1 });
+supportTicketSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
 
 // Virtual for ticket age
 supportTicketSchema.virtual('ageInDays').get(function() {
@@ -194,6 +227,9 @@ supportTicketSchema.virtual('ageInDays').get(function() {
 
 // Virtual for response time
 supportTicketSchema.virtual('responseTime').get(function() {
+  if (this.firstResponseAt) {
+    return Math.floor((this.firstResponseAt - this.createdAt) / (1000 * 60 * 60));
+  }
   if (this.messages.length > 1) {
     const firstAdminMessage = this.messages.find(msg => msg.sender === 'admin');
     if (firstAdminMessage) {
@@ -227,6 +263,23 @@ supportTicketSchema.pre('save', async function(next) {
   next();
 });
 
+// Pre-save middleware to set SLA due dates from the priority
+supportTicketSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('priority') || !this.sla?.firstResponseDueAt) {
+    const dueDates = getSlaDueDates(this.priority, this.createdAt || new Date());
+    this.sla = dueDates;
+    if (this.isNew && !this.estimatedResolution) {
+      this.estimatedResolution = dueDates.resolutionDueAt;
+    }
+  }
+  // A reopened ticket is unresolved again, so its resolution timer runs on
+  if (!this.isNew && this.isModified('status') && ACTIVE_STATUSES.includes(this.status)) {
+    this.resolvedAt = undefined;
+    this.resolvedBy = undefined;
+  }
+  next();
+});
+
 // Pre-save middleware to update last activity
 supportTicketSchema.pre('save', function(next) {
   this.lastActivity = new Date();
@@ -234,15 +287,36 @@ supportTicketSchema.pre('save', function(next) {
 });
 
 // Method to add a message
-supportTicketSchema.methods.addMessage = function(sender, message, attachments = [], isInternal = false) {
+supportTicketSchema.methods.addMessage = async function(sender, message, attachments = [], isInternal = false, authorId = null, { source = 'web', emailMessageId } = {}) {
+  const timestamp = new Date();
   this.messages.push({
     sender,
     message,
     attachments,
-    timestamp: new Date(),
-    isInternal
+    timestamp,
+    isInternal,
+    authorId: authorId || undefined,
+    source,
+    emailMessageId
   });
-  return this.save();
+  if (sender === 'admin' && !isInternal && !this.firstResponseAt) {
+    this.firstResponseAt = timestamp;
+  }
+  await this.save();
+
+  // Internal notes stay internal; only replies the user can see are announced and emailed
+  if (sender === 'admin' && !isInternal) {
+    const added = this.messages[this.messages.length - 1];
+    emitWebhookEvent(this.userId, 'support_ticket.replied', {
+      ticketId: this.ticketId,
+      subject: this.subject,
+      status: this.status,
+      message,
+      repliedAt: added.timestamp
+    });
+    notifyTicketReply(this, added);
+  }
+  return this;
 };
 
 // Method to update status
@@ -286,6 +360,52 @@ supportTicketSchema.statics.getTicketStats = async function(userId = null) {
   }, {});
 };
 
+// First response and resolution SLA timers
+supportTicketSchema.methods.getSlaStatus = function(now = new Date()) {
+  return getSlaStatus(this, now);
+};
+
+// Static method to count SLA breaches, e.g. for one user's tickets or the whole queue
+supportTicketSchema.statics.getSlaStats = async function(match = {}, now = new Date()) {
+  const isActive = { $in: ['$status', ACTIVE_STATUSES] };
+  const hasFirstResponseDue = { $ne: [{ $ifNull: ['$sla.firstResponseDueAt', null] }, null] };
+  const hasResolutionDue = { $ne: [{ $ifNull: ['$sla.resolutionDueAt', null] }, null] };
+  const awaitingResponse = { $eq: [{ $ifNull: ['$firstResponseAt', null] }, null] };
+
+  // Answered late, or still unanswered past the due date
+  const firstResponseBreached = { $and: [hasFirstResponseDue, { $or: [
+    { $gt: ['$firstResponseAt', '$sla.firstResponseDueAt'] },
+    { $and: [awaitingResponse, isActive, { $lt: ['$sla.firstResponseDueAt', now] }] }
+  ] }] };
+  // Resolved late, or still open past the due date
+  const resolutionBreached = { $and: [hasResolutionDue, { $ne: ['$status', 'Cancelled'] }, { $or: [
+    { $gt: ['$resolvedAt', '$sla.resolutionDueAt'] },
+    { $and: [isActive, { $lt: ['$sla.resolutionDueAt', now] }] }
+  ] }] };
+  const activeBreached = { $and: [isActive, { $or: [
+    { $and: [hasFirstResponseDue, awaitingResponse, { $lt: ['$sla.firstResponseDueAt', now] }] },
+    { $and: [hasResolutionDue, { $lt: ['$sla.resolutionDueAt', now] }] }
+  ] }] };
+
+  const [stats] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        firstResponseBreached: { $sum: { $cond: [firstResponseBreached, 1, 0] } },
+        resolutionBreached: { $sum: { $cond: [resolutionBreached, 1, 0] } },
+        activeBreached: { $sum: { $cond: [activeBreached, 1, 0] } },
+        awaitingFirstResponse: { $sum: { $cond: [{ $and: [isActive, awaitingResponse] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const { _id, ...counts } = stats || {
+    _id: null, firstResponseBreached: 0, resolutionBreached: 0, activeBreached: 0, awaitingFirstResponse: 0
+  };
+  return counts;
+};
+
 // Static method to get tickets by user
 supportTicketSchema.statics.getUserTickets = function(userId, options = {}) {
   const {
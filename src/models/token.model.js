@@ -24,6 +24,27 @@ const tokenSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Refresh tokens issued by rotation share the familyId of the login that started the session
+    familyId: {
+      type: String,
+      index: true,
+    },
+    sessionStartedAt: {
+      type: Date,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'session_revoked', 'reuse_detected'],
+    },
   },
   {
     timestamps: true,
@@ -32,6 +53,26 @@ const tokenSchema = new mongoose.Schema(
 
 // Index to automatically expire tokens
 tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+tokenSchema.index({ userId: 1, type: 1, isUsed: 1 });
+
+// Revoke every live refresh token in a session family
+tokenSchema.statics.revokeFamily = function (userId, familyId, reason) {
+  return this.updateMany(
+    { userId, familyId, type: 'refresh', isUsed: false },
+    { $set: { isUsed: true, revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Live refresh tokens for a user; each one is the current token of a session
+tokenSchema.statics.findActiveSessions = function (userId) {
+  return this.find({
+    userId,
+    type: 'refresh',
+    isUsed: false,
+    familyId: { $exists: true },
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+};
 
 const Token = mongoose.model('Token', tokenSchema);
 
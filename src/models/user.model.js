@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Backup codes are random, so a fast hash is enough; dashes and case are ignored
+const hashBackupCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[^a-z0-9]/gi, '').toLowerCase())
+    .digest('hex');
 
 const userSchema = new mongoose.Schema(
   {
@@ -44,6 +54,20 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // One-time 2FA recovery codes, stored hashed
+    twoFactorBackupCodes: {
+      type: [
+        {
+          codeHash: String,
+          usedAt: {
+            type: Date,
+            default: null,
+          },
+        },
+      ],
+      select: false,
+    },
+    twoFactorBackupCodesGeneratedAt: Date,
     // OAuth providers
     googleId: {
       type: String,
@@ -73,6 +97,23 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user',
     },
+    // Staff roles on top of `role` (see utils/permissions); admins need none
+    roleGrants: [
+      {
+        role: {
+          type: String,
+          required: true,
+        },
+        grantedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        grantedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     loginHistory: [
       {
         timestamp: {
@@ -121,6 +162,39 @@ const userSchema = new mongoose.Schema(
       default: false
     },
 
+    // FREE TIER USAGE (users with an active Subscription track usage there instead)
+    usage: {
+      pages: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      widgets: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      products: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      storage: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      apiCalls: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      apiCallsPeriodStart: {
+        type: Date,
+        default: null
+      }
+    },
+
     // LOCATION FIELDS
     longitude: {
       type: Number,
@@ -153,6 +227,7 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ googleId: 1 }, { sparse: true });
 userSchema.index({ facebookId: 1 }, { sparse: true });
 userSchema.index({ email: 1, googleId: 1 });
+userSchema.index({ 'roleGrants.role': 1 });
 
 // Pre-save hook to hash password
 userSchema.pre('save', async function (next) {
@@ -177,6 +252,40 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Replace the 2FA backup codes; returns the plain codes, which are only shown once
+userSchema.methods.generateBackupCodes = function () {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactorBackupCodes = codes.map((code) => ({ codeHash: hashBackupCode(code) }));
+  this.twoFactorBackupCodesGeneratedAt = new Date();
+
+  return codes;
+};
+
+// Mark a 2FA backup code as used; resolves to false if it is unknown or already used.
+// The update is atomic so a code cannot be redeemed twice by concurrent requests.
+userSchema.statics.consumeBackupCode = async function (userId, code) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      twoFactorBackupCodes: {
+        $elemMatch: { codeHash: hashBackupCode(code), usedAt: null },
+      },
+    },
+    { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Number of unused 2FA backup codes. Requires twoFactorBackupCodes to be selected.
+userSchema.methods.getRemainingBackupCodes = function () {
+  return (this.twoFactorBackupCodes || []).filter((entry) => !entry.usedAt).length;
+};
+
 // Method to record login attempt
 userSchema.methods.recordLoginAttempt = function (ipAddress, userAgent, success) {
   this.loginHistory.push({
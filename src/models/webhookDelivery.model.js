@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 10;
+
+// Retries back off exponentially: 1, 2, 4, 8 ... minutes, at most 6 hours apart
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+// Delivery log entries are kept for 30 days
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One event sent (or to be sent) to one webhook endpoint
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpointId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Shared by the deliveries of one event to different endpoints
+    eventId: {
+      type: String,
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    isTest: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    sentAt: Date,
+    responseStatus: Number,
+    lastError: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ userId: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * Store the outcome of a delivery attempt and schedule the retry, if any
+ * @param {object} result - { ok, statusCode, error } from sendWebhook
+ * @param {Date} now - Time of the attempt
+ */
+webhookDeliverySchema.methods.recordAttempt = function (result, now = new Date()) {
+  this.attempts += 1;
+  this.lastAttemptAt = now;
+  this.responseStatus = result.statusCode;
+
+  if (result.ok) {
+    this.status = 'sent';
+    this.sentAt = now;
+    this.lastError = undefined;
+    this.nextAttemptAt = undefined;
+    return this;
+  }
+
+  this.lastError = result.error;
+
+  // Test sends are attempted once
+  if (this.isTest || this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'failed';
+    this.nextAttemptAt = undefined;
+  } else {
+    const delay = Math.min(BASE_RETRY_MS * 2 ** (this.attempts - 1), MAX_RETRY_MS);
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(now.getTime() + delay);
+  }
+
+  return this;
+};
+
+webhookDeliverySchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Events a user can subscribe an endpoint to
+const WEBHOOK_EVENTS = {
+  'page.published': 'A page was published, by hand or on schedule',
+  'page.unpublished': 'A page was unpublished, by hand or on schedule',
+  'form.submitted': 'A visitor submitted a form on one of your pages (spam excluded)',
+  'favorite.added': 'Someone added your business, page, product, promotion or event to their favorites',
+  'widget.product_updated': 'Products in one of your products widgets were added, changed, reordered or removed',
+  'subscription.changed': 'Your Kunex subscription was created, changed or canceled',
+  'support_ticket.replied': 'Support replied to one of your tickets'
+};
+
+// Sent by the test endpoint; endpoints receive it whatever they subscribe to
+const TEST_EVENT = 'webhook.test';
+
+// Endpoints that fail this many deliveries in a row are disabled
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20;
+
+const MAX_ENDPOINTS_PER_USER = 10;
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    events: [{
+      type: String,
+      enum: Object.keys(WEBHOOK_EVENTS)
+    }],
+    // Signs every delivery; only returned when the endpoint is created, fetched by ID or rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    disabledAt: Date,
+    disabledReason: String,
+    lastDeliveryAt: Date,
+    lastSuccessAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookEndpointSchema.index({ userId: 1, isActive: 1, events: 1 });
+
+webhookEndpointSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+webhookEndpointSchema.statics.TEST_EVENT = TEST_EVENT;
+webhookEndpointSchema.statics.DISABLE_AFTER_FAILURES = DISABLE_AFTER_FAILURES;
+webhookEndpointSchema.statics.MAX_ENDPOINTS_PER_USER = MAX_ENDPOINTS_PER_USER;
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { SCHEDULED_WIDGET_TYPES, prepareValidityWindows } = require('../utils/contentSchedule');
+const {
+  WIDGET_TYPES,
+  WIDGET_CATEGORIES,
+  validateWidgetSettings,
+  renderWidgetPreview
+} = require('../utils/widgetRegistry');
+const { FORM_FIELD_TYPES, VISIBILITY_OPERATORS } = require('../utils/formFields');
+
+// Validity window shared by promotions, events and products; scheduleState is what the
+// content-schedule job last saw, so it can notify the owner when an item goes live or expires
+const validityWindowFields = {
+  validFrom: { type: Date },
+  validUntil: { type: Date },
+  scheduleState: { type: String, enum: ['scheduled', 'live', 'expired'], default: 'live' }
+};
 
 const widgetSchema = new mongoose.Schema(
   {
@@ -23,17 +39,7 @@ const widgetSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: [
-        'text', 'image', 'video', 'youtube_video', 'audio', 'button', 'form', 'map', 'social_media',
-        'testimonial', 'gallery', 'slider', 'countdown', 'pricing_table', 'chart',
-        'embed', 'spacer', 'divider', 'icon', 'accordion', 'tabs', 'modal',
-        'calendar', 'booking', 'payment', 'newsletter', 'search', 'menu',
-        'breadcrumb', 'pagination', 'progress_bar', 'rating', 'timeline',
-        'custom_html', 'api_data', 'weather', 'clock', 'calculator',
-        'custom_link', 'media', 'promotions', 'products', 'event', 'dropdown',
-        'app_integration', 'google_reviews', 'google_maps', 'reservations',
-        'music_podcast', 'social_media_widgets', 'pdf', 'spotify', 'apple_music', 'apple_podcast', 'soundcloud'
-      ],
+      enum: Object.keys(WIDGET_TYPES),
       required: true
     },
     subType: {
@@ -43,7 +49,7 @@ const widgetSchema = new mongoose.Schema(
     },
     category: {
       type: String,
-      enum: ['content', 'media', 'form', 'navigation', 'ecommerce', 'social', 'utility', 'custom'],
+      enum: WIDGET_CATEGORIES,
       required: true
     },
     settings: {
@@ -317,7 +323,34 @@ const widgetSchema = new mongoose.Schema(
           hasEmail: { type: Boolean, default: false },
           emailPlaceholder: { type: String, default: 'abc@123gmail.cm' },
           hasPhoneNumber: { type: Boolean, default: false },
-          phoneNumberPlaceholder: { type: String, default: '' }
+          phoneNumberPlaceholder: { type: String, default: '' },
+          // Custom fields in display order; when present they replace the email / phone layout
+          fields: [{
+            name: { type: String, required: true, trim: true },
+            type: { type: String, enum: FORM_FIELD_TYPES, required: true },
+            label: { type: String, default: '' },
+            placeholder: { type: String, default: '' },
+            helpText: { type: String, default: '' },
+            required: { type: Boolean, default: false },
+            options: [String], // select, radio and checkbox choices
+            validation: {
+              minLength: Number,
+              maxLength: Number,
+              pattern: String,
+              patternMessage: String,
+              minValue: Number,
+              maxValue: Number,
+              fileTypes: [String], // mime types, wildcards (image/*) or extensions (.pdf)
+              maxFileSizeMb: Number
+            },
+            // Only shown (and validated) when an earlier field matches
+            visibleWhen: {
+              field: String,
+              operator: { type: String, enum: VISIBILITY_OPERATORS },
+              value: mongoose.Schema.Types.Mixed
+            }
+          }],
+          submitButtonText: { type: String, default: 'Submit' }
         },
 
         // Promotions fields
@@ -326,7 +359,8 @@ const widgetSchema = new mongoose.Schema(
           title: { type: String, default: '' },
           url: { type: String, default: '' },
           startDate: { type: String, default: '' }, // MM/DD/YYYY format
-          endDate: { type: String, default: '' }    // MM/DD/YYYY format
+          endDate: { type: String, default: '' },   // MM/DD/YYYY format
+          ...validityWindowFields
         },
 
         // Products fields
@@ -338,7 +372,8 @@ const widgetSchema = new mongoose.Schema(
             price: { type: String, default: '' },
             currency: { type: String, enum: ['USD', 'EUR', 'GBP', 'CAD'], default: 'USD' },
             productUrl: { type: String, default: '' },
-            order: { type: Number, default: 0 }
+            order: { type: Number, default: 0 },
+            ...validityWindowFields
           }
         ],
 
@@ -351,7 +386,8 @@ const widgetSchema = new mongoose.Schema(
             location: { type: String, default: '' },
             ticketUrl: { type: String, default: '' },
             enddate: { type: String, default: '' },
-            category: { type: String, default: '' }
+            category: { type: String, default: '' },
+            ...validityWindowFields
           }
         ],
 
@@ -432,7 +468,38 @@ const widgetSchema = new mongoose.Schema(
             handle: { type: String, default: '' },
             title: { type: String, default: '' } // optional
           }
-        }
+        },
+
+        // Types below are shaped only by their Joi schema in utils/widgetRegistry
+        map: { type: mongoose.Schema.Types.Mixed },
+        socialFeed: { type: mongoose.Schema.Types.Mixed },
+        testimonial: { type: mongoose.Schema.Types.Mixed },
+        gallery: { type: mongoose.Schema.Types.Mixed },
+        slider: { type: mongoose.Schema.Types.Mixed },
+        countdown: { type: mongoose.Schema.Types.Mixed },
+        pricingTable: { type: mongoose.Schema.Types.Mixed },
+        chart: { type: mongoose.Schema.Types.Mixed },
+        embed: { type: mongoose.Schema.Types.Mixed },
+        spacer: { type: mongoose.Schema.Types.Mixed },
+        divider: { type: mongoose.Schema.Types.Mixed },
+        icon: { type: mongoose.Schema.Types.Mixed },
+        accordion: { type: mongoose.Schema.Types.Mixed },
+        tabs: { type: mongoose.Schema.Types.Mixed },
+        modal: { type: mongoose.Schema.Types.Mixed },
+        calendar: { type: mongoose.Schema.Types.Mixed },
+        booking: { type: mongoose.Schema.Types.Mixed },
+        payment: { type: mongoose.Schema.Types.Mixed },
+        newsletter: { type: mongoose.Schema.Types.Mixed },
+        search: { type: mongoose.Schema.Types.Mixed },
+        menu: { type: mongoose.Schema.Types.Mixed },
+        breadcrumb: { type: mongoose.Schema.Types.Mixed },
+        pagination: { type: mongoose.Schema.Types.Mixed },
+        progressBar: { type: mongoose.Schema.Types.Mixed },
+        rating: { type: mongoose.Schema.Types.Mixed },
+        timeline: { type: mongoose.Schema.Types.Mixed },
+        weather: { type: mongoose.Schema.Types.Mixed },
+        clock: { type: mongoose.Schema.Types.Mixed },
+        calculator: { type: mongoose.Schema.Types.Mixed }
       }
     },
     layout: {
@@ -638,7 +705,12 @@ const widgetSchema = new mongoose.Schema(
         type: Number,
         default: 0
       }
-    }
+    },
+    // Last time the link-health job probed the URLs in this widget
+    linksCheckedAt: Date,
+    // Set by the content-schedule job when this widget was due but could not be moved on;
+    // it is left out of the job's runs until then, or until its settings are edited
+    scheduleRetryAt: Date
   },
   {
     timestamps: true,
@@ -671,6 +743,7 @@ widgetSchema.index({ type: 1, category: 1 });
 widgetSchema.index({ status: 1, isVisible: 1 });
 widgetSchema.index({ 'metadata.tags': 1 });
 widgetSchema.index({ order: 1 });
+widgetSchema.index({ linksCheckedAt: 1 });
 
 // Text search index
 widgetSchema.index({
@@ -698,16 +771,35 @@ widgetSchema.pre('save', async function (next) {
     }
 
     // Auto-populate businessId from BuilderPage if pageId exists and businessId is missing
+    let page = null;
     if (this.pageId && !this.businessId) {
       const BuilderPage = mongoose.model('BuilderPage');
-      const page = await BuilderPage.findById(this.pageId).select('businessId').lean();
+      page = await BuilderPage.findById(this.pageId).select('businessId serviceHours.timezone').lean();
       if (page && page.businessId) {
         this.businessId = page.businessId;
       }
     }
 
-    // Validate specific settings based on type
-    this.validateTypeSpecificSettings();
+    // Validate specific settings based on type; saves that leave them alone (analytics, counters)
+    // must not fail on legacy widgets saved before the registry's rules
+    if (this.isNew || this.isModified('settings') || this.isModified('type')) {
+      this.validateTypeSpecificSettings();
+    }
+
+    // Edited links are probed on the next link-health run, and edited dates on the next
+    // content-schedule run
+    if (!this.isNew && this.isModified('settings')) {
+      this.linksCheckedAt = undefined;
+      this.scheduleRetryAt = undefined;
+    }
+
+    // Calendar dates on promotions and events are read in the page's timezone
+    if (SCHEDULED_WIDGET_TYPES[this.type]) {
+      if (!page && this.pageId) {
+        page = await mongoose.model('BuilderPage').findById(this.pageId).select('serviceHours.timezone').lean();
+      }
+      prepareValidityWindows(this, page?.serviceHours?.timezone);
+    }
 
     next();
   } catch (error) {
@@ -716,78 +808,14 @@ widgetSchema.pre('save', async function (next) {
 });
 
 // Instance methods
+// Check settings against the widget type's schema in the registry; failures are 400s listing each field
 widgetSchema.methods.validateTypeSpecificSettings = function () {
-  const { type, settings } = this;
-
-  switch (type) {
-    case 'image':
-      if (!settings.content?.url) {
-        throw new Error('Image widget requires a URL');
-      }
-      break;
-    case 'button':
-      if (!settings.content?.text) {
-        throw new Error('Button widget requires text');
-      }
-      break;
-
-    case 'media':
-      const mediaType = settings.specific.media?.mediaType;
-      if (mediaType === 'photo') {
-        const photoType = settings.specific.media?.photoType;
-        if (photoType === 'carousel' && !settings.specific.media?.carousel?.title) {
-          throw new Error('Photo carousel requires a title');
-        }
-        if (photoType === 'grid' && !settings.specific.media?.grid?.gridTitle) {
-          throw new Error('Photo grid requires a title');
-        }
-      } else if (mediaType === 'video') {
-        // if (!settings.specific.media?.video?.videoTitle) {
-        //   throw new Error('Video widget requires a title');
-        // }
-      }
-      break;
-    case 'form':
-      if (!settings.specific.form?.titleTextBox) {
-        throw new Error('Form widget requires a title text box');
-      }
-      break;
-    case 'promotions':
-      if (!settings.specific.promotions?.title) {
-        throw new Error('Promotions widget requires a title');
-      }
-      break;
-    case 'products':
-      // Products can be either a single object or an array - no validation needed
-      // The controller will handle converting single object to array
-      break;
-    case 'event':
-      // if (!settings.specific.event?.title) {
-      //   throw new Error('Event widget requires a title');
-      // }
-      break;
-    case 'dropdown':
-      if (!settings.specific.dropdown?.headings || !Array.isArray(settings.specific.dropdown.headings)) {
-        throw new Error('Dropdown widget requires headings array');
-      }
-      break;
-    case 'google_maps':
-      if (!settings.specific.googleMaps?.location) {
-        throw new Error('Google Maps widget requires a location');
-      }
-      break;
-    case 'social_media_widgets':
-      const widgetType = settings.specific.socialMedia?.widgetType;
-      if (widgetType === 'instagram_feed' && !settings.specific.socialMedia?.instagram?.handle) {
-        throw new Error('Instagram Feed requires a handle');
-      }
-      if (widgetType === 'tiktok_profile' && !settings.specific.socialMedia?.tiktok?.handle) {
-        throw new Error('TikTok Profile requires a handle');
-      }
-      if (widgetType === 'facebook_profile' && !settings.specific.socialMedia?.facebook?.handle) {
-        throw new Error('Facebook Profile requires a handle');
-      }
-      break;
+  const { errors } = validateWidgetSettings(this.type, this.toObject({ virtuals: false }).settings || {});
+  if (errors) {
+    const error = new Error(`Invalid settings for ${this.type} widget`);
+    error.statusCode = 400;
+    error.errors = errors;
+    throw error;
   }
 };
 
@@ -830,7 +858,7 @@ widgetSchema.methods.generatePreview = function () {
     preview: {
       width: layout.size.width,
       height: layout.size.height,
-      content: settings.content.text || settings.content.title || 'Widget Preview',
+      content: renderWidgetPreview(this.toObject({ virtuals: false })),
       style: {
         backgroundColor: settings.style.backgroundColor,
         textColor: settings.style.textColor,
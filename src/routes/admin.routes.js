@@ -0,0 +1,1026 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate: auth, requirePermission } = require('../middleware/auth.mw');
+const {
+  getReports,
+  getReportsByPage,
+  getReport,
+  updateReportStatus,
+  takePageAction
+} = require('../controllers/moderation.controller');
+const {
+  getJobs,
+  getJobRuns,
+  runJob,
+  verifyCronSecret,
+  runJobTick
+} = require('../controllers/jobs.controller');
+const { getLoginLocks, deleteLoginLock, unlockAccount } = require('../controllers/loginThrottle.controller');
+const { getAccountDeletions } = require('../controllers/accountDeletion.controller');
+const { getStripeEvents, replayStripeEvent } = require('../controllers/stripeEvent.controller');
+const {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getRoleGrants,
+  getUserRoles,
+  grantUserRole,
+  revokeUserRole
+} = require('../controllers/role.controller');
+
+/**
+ * @swagger
+ * /api/admin/jobs/tick:
+ *   get:
+ *     summary: Run every background job that is due
+ *     description: |
+ *       Called by the Vercel cron (see vercel.json), since serverless instances run no in-process
+ *       scheduler. Authenticate with `Authorization: Bearer <CRON_SECRET>`; Vercel sends this header
+ *       when CRON_SECRET is set on the project.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Tick finished; lists the jobs that ran and their status
+ *       401:
+ *         description: Invalid cron secret
+ *       503:
+ *         description: CRON_SECRET is not configured
+ */
+// Authenticated with CRON_SECRET rather than a user, so it is registered before the auth middleware
+router.get('/jobs/tick', verifyCronSecret, runJobTick);
+
+// Every other admin route requires authentication and its own permission; admins hold them all
+router.use(auth);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administrative endpoints. Each requires the permission named in its description; admins hold every permission.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PageReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         pageId:
+ *           type: object
+ *           description: Reported page (title, slug, owner, publish and moderation state)
+ *         userId:
+ *           type: object
+ *           description: Reporter (email, firstName, lastName)
+ *         category:
+ *           type: string
+ *         description:
+ *           type: string
+ *         attachment:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, reviewed, resolved, dismissed]
+ *         resolutionNote:
+ *           type: string
+ *         actionTaken:
+ *           type: string
+ *           enum: [none, unpublish, hide_from_explore, restore]
+ *         reviewedBy:
+ *           type: object
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: List page reports
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewed, resolved, dismissed]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pageId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reporterId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PageReport'
+ *                     statusCounts:
+ *                       type: object
+ *                       description: Number of reports in each status
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (reports:review)
+ */
+router.get('/reports', requirePermission('reports:review'), getReports);
+
+/**
+ * @swagger
+ * /api/admin/reports/pages:
+ *   get:
+ *     summary: List reported pages grouped with their report counts
+ *     description: Pages with the most open (pending or reviewed) reports come first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewed, resolved, dismissed]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reported pages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     pages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           pageId:
+ *                             type: string
+ *                           page:
+ *                             type: object
+ *                           reportCount:
+ *                             type: integer
+ *                           openCount:
+ *                             type: integer
+ *                           categories:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           firstReportedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastReportedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (reports:review)
+ */
+router.get('/reports/pages', requirePermission('reports:review'), getReportsByPage);
+
+/**
+ * @swagger
+ * /api/admin/reports/pages/{pageId}/action:
+ *   post:
+ *     summary: Take a moderation action on a reported page
+ *     description: |
+ *       - unpublish: unpublishes the page and prevents the owner from publishing it again
+ *       - hide_from_explore: removes the page and its business profile from explore and page search
+ *       - restore: lifts both restrictions (the owner decides when to publish again)
+ *
+ *       Open reports for the page are resolved with the note unless resolveReports is false. The page owner and reporters are notified by email.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [unpublish, hide_from_explore, restore]
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *               resolveReports:
+ *                 type: boolean
+ *                 default: true
+ *               notifyOwner:
+ *                 type: boolean
+ *                 default: true
+ *               notifyReporters:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Moderation action applied successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (reports:review)
+ *       404:
+ *         description: Page not found
+ */
+router.post('/reports/pages/:pageId/action', requirePermission('reports:review'), takePageAction);
+
+/**
+ * @swagger
+ * /api/admin/reports/{reportId}:
+ *   get:
+ *     summary: Get a page report
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       403:
+ *         description: Missing permission (reports:review)
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:reportId', requirePermission('reports:review'), getReport);
+
+/**
+ * @swagger
+ * /api/admin/reports/{reportId}/status:
+ *   patch:
+ *     summary: Change the status of a page report
+ *     description: Pending reports can move to reviewed, resolved or dismissed; reviewed reports to resolved or dismissed. Resolved and dismissed reports are closed. The reporter is notified by email.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [reviewed, resolved, dismissed]
+ *               resolutionNote:
+ *                 type: string
+ *                 maxLength: 1000
+ *               notifyReporter:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Report status updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (reports:review)
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Status transition not allowed
+ */
+router.patch('/reports/:reportId/status', requirePermission('reports:review'), updateReportStatus);
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List background jobs with their schedule and lock state
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           intervalMs:
+ *                             type: integer
+ *                           maxRetries:
+ *                             type: integer
+ *                           state:
+ *                             type: object
+ *                             description: Persisted state (nextRunAt, lockedBy, lockedUntil, attempts, lastStatus, lastError, lastResult, runCount, failureCount)
+ *       403:
+ *         description: Missing permission (jobs:run)
+ */
+router.get('/jobs', requirePermission('jobs:run'), getJobs);
+
+/**
+ * @swagger
+ * /api/admin/jobs/runs:
+ *   get:
+ *     summary: List job runs, newest first
+ *     description: Runs are kept for 30 days.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: jobName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (jobs:run)
+ */
+router.get('/jobs/runs', requirePermission('jobs:run'), getJobRuns);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{jobName}/run:
+ *   post:
+ *     summary: Run a background job immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobName
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [favorite-reminders, renewal-notices, data-retention, account-deletion, data-export, content-schedule, link-health, form-notifications, webhook-deliveries]
+ *     responses:
+ *       200:
+ *         description: Job run finished (see run.status)
+ *       403:
+ *         description: Missing permission (jobs:run)
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running on another instance
+ */
+router.post('/jobs/:jobName/run', requirePermission('jobs:run'), runJob);
+
+/**
+ * @swagger
+ * /api/admin/login-locks:
+ *   get:
+ *     summary: List accounts and IP addresses locked out after failed logins
+ *     description: Accounts lock after 5 failed attempts and IP addresses after 20 within an hour. Every further failure doubles the lock, up to one hour.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [account, ip]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Login locks retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (security:manage)
+ */
+router.get('/login-locks', requirePermission('security:manage'), getLoginLocks);
+
+/**
+ * @swagger
+ * /api/admin/login-locks/{lockId}:
+ *   delete:
+ *     summary: Clear a login lock and its failed attempt counter
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lock cleared successfully
+ *       403:
+ *         description: Missing permission (security:manage)
+ *       404:
+ *         description: Lock not found
+ */
+router.delete('/login-locks/:lockId', requirePermission('security:manage'), deleteLoginLock);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock a user account locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       403:
+ *         description: Missing permission (security:manage)
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/unlock', requirePermission('security:manage'), unlockAccount);
+
+/**
+ * @swagger
+ * /api/admin/account-deletions:
+ *   get:
+ *     summary: List account deletion requests with their audit records
+ *     description: Completed requests record how many documents were removed per collection, Cloudinary assets deleted or failed, and the Stripe subscriptions and customers removed. The email is only kept as a SHA-256 hash.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, cancelled, processing, completed, failed]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Account deletions retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (accounts:audit)
+ */
+router.get('/account-deletions', requirePermission('accounts:audit'), getAccountDeletions);
+
+/**
+ * @swagger
+ * /api/admin/stripe-events:
+ *   get:
+ *     summary: List received Stripe webhook events with their processing outcome
+ *     description: Every webhook delivery is recorded by Stripe event id. Duplicate deliveries are not processed again, and subscription updates older than the last applied event are skipped.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, processed, ignored, failed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Stripe event type, e.g. invoice.payment_succeeded
+ *       - in: query
+ *         name: objectId
+ *         schema:
+ *           type: string
+ *         description: ID of the Stripe object the event is about
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Stripe events retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (payments:events)
+ */
+router.get('/stripe-events', requirePermission('payments:events'), getStripeEvents);
+
+/**
+ * @swagger
+ * /api/admin/stripe-events/{eventId}/replay:
+ *   post:
+ *     summary: Replay a failed Stripe webhook event from its stored payload
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stripe event id (evt_...)
+ *     responses:
+ *       200:
+ *         description: Event replayed successfully
+ *       403:
+ *         description: Missing permission (payments:events)
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event has not failed or is already being processed
+ *       422:
+ *         description: Replay failed; the error is stored on the event
+ */
+router.post('/stripe-events/:eventId/replay', requirePermission('payments:events'), replayStripeEvent);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: community_helper
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [plans:write, community:moderate, support:agent, support:manage, reports:review, templates:write, jobs:run, security:manage, accounts:audit, payments:events, roles:manage]
+ *         isSystem:
+ *           type: boolean
+ *           description: System roles (moderator, support_agent, support_manager, billing_manager, content_manager) are built in and cannot be changed
+ *         userCount:
+ *           type: integer
+ *     UserAccess:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           description: Admins hold every permission
+ *         roleGrants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *               grantedBy:
+ *                 type: string
+ *               grantedAt:
+ *                 type: string
+ *                 format: date-time
+ *               exists:
+ *                 type: boolean
+ *                 description: False when the role was deleted; such a grant confers nothing
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: List every permission
+ *     description: Requires `roles:manage`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names and descriptions
+ *       403:
+ *         description: Missing permission (roles:manage)
+ */
+router.get('/permissions', requirePermission('roles:manage'), getPermissions);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List system and custom roles with their holder counts
+ *     description: Requires `roles:manage`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Role'
+ *       403:
+ *         description: Missing permission (roles:manage)
+ *   post:
+ *     summary: Create a custom role
+ *     description: Requires `roles:manage`, and the caller must hold every permission the role carries.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, permissions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Lowercase letters, digits and underscores, starting with a letter
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (roles:manage), or the role carries permissions the caller does not hold
+ *       409:
+ *         description: A role with this name already exists
+ */
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+router.post('/roles', requirePermission('roles:manage'), createRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   put:
+ *     summary: Update a custom role
+ *     description: Changes apply to every holder immediately. Requires `roles:manage`, and the caller must hold every permission added or removed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error, or a system role
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role and revoke it from every holder
+ *     description: Requires `roles:manage`, and the caller must hold every permission the role carries.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: System roles cannot be deleted
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: Role not found
+ */
+router.put('/roles/:name', requirePermission('roles:manage'), updateRole);
+router.delete('/roles/:name', requirePermission('roles:manage'), deleteRole);
+
+/**
+ * @swagger
+ * /api/admin/role-grants:
+ *   get:
+ *     summary: List users holding a role, or any role
+ *     description: Requires `roles:manage`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Users with their role grants
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (roles:manage)
+ */
+router.get('/role-grants', requirePermission('roles:manage'), getRoleGrants);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/roles:
+ *   get:
+ *     summary: Get a user's role, role grants and effective permissions
+ *     description: Requires `roles:manage`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User access
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UserAccess'
+ *       403:
+ *         description: Missing permission (roles:manage)
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Grant a role to a user
+ *     description: Requires `roles:manage`, and the caller must hold every permission the role carries.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role granted; returns the user's access
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User or role not found
+ *       409:
+ *         description: User already has this role
+ */
+router.get('/users/:userId/roles', requirePermission('roles:manage'), getUserRoles);
+router.post('/users/:userId/roles', requirePermission('roles:manage'), grantUserRole);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/roles/{role}:
+ *   delete:
+ *     summary: Revoke a role from a user
+ *     description: Requires `roles:manage`, and the caller must hold every permission the role carries.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role revoked; returns the user's access
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User does not have this role
+ */
+router.delete('/users/:userId/roles/:role', requirePermission('roles:manage'), revokeUserRole);
+
+module.exports = router;
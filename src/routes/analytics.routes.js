@@ -934,6 +934,20 @@ router.get('/real-time', auth.authenticate, getRealTimeAnalytics);
  *                     generatedAt:
  *                       type: string
  *                       format: date-time
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One titled section per metric (and raw data when requested)
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *               description: Workbook with a summary sheet and one sheet per metric
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *             description: Attachment file name for csv and xlsx exports
  *       400:
  *         description: Validation error
  */
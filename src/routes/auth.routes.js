@@ -90,6 +90,8 @@ router.get('/verify-email/:token', authController.verifyEmail);
  *         description: Login successful
  *       401:
  *         description: Authentication failed
+ *       429:
+ *         description: Too many failed attempts; the account or IP address is temporarily locked (code LOGIN_LOCKED, see Retry-After)
  */
 router.post('/login', authController.login);
 
@@ -107,17 +109,22 @@ router.post('/login', authController.login);
  *             type: object
  *             required:
  *               - tempToken
- *               - code
  *             properties:
  *               tempToken:
  *                 type: string
  *               code:
  *                 type: string
+ *                 description: TOTP code from the authenticator app
+ *               backupCode:
+ *                 type: string
+ *                 description: One-time backup code, used when code is not provided
  *     responses:
  *       200:
- *         description: 2FA verification successful
+ *         description: 2FA verification successful (backupCodesRemaining is included when a backup code was used)
  *       401:
  *         description: Invalid code or token
+ *       429:
+ *         description: Too many failed attempts; the account or IP address is temporarily locked (code LOGIN_LOCKED, see Retry-After)
  */
 router.post('/verify-2fa', authController.verify2FA);
 
@@ -158,7 +165,7 @@ router.post('/setup-2fa', authenticate, authController.setup2FA);
  *                 type: string
  *     responses:
  *       200:
- *         description: 2FA enabled successfully
+ *         description: 2FA enabled successfully; the response includes one-time backup codes that are only shown once
  *       401:
  *         description: Invalid code or unauthorized
  */
@@ -191,6 +198,71 @@ router.post('/enable-2fa', authenticate, authController.enable2FA);
  */
 router.post('/disable-2fa', authenticate, authController.disable2FA);
 
+/**
+ * @swagger
+ * /api/auth/backup-codes:
+ *   get:
+ *     summary: Get the number of unused 2FA backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backup code status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 backupCodes:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
+ *                     generatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: 2FA is not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/backup-codes', authenticate, authController.getBackupCodesStatus);
+
+/**
+ * @swagger
+ * /api/auth/regenerate-backup-codes:
+ *   post:
+ *     summary: Regenerate 2FA backup codes
+ *     description: Replaces all existing backup codes. Requires the account password; accounts without a password confirm with a current TOTP code instead.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Backup codes regenerated; the new codes are only shown once
+ *       400:
+ *         description: 2FA is not enabled, password missing or incorrect
+ *       401:
+ *         description: Invalid code or unauthorized
+ */
+router.post('/regenerate-backup-codes', authenticate, authController.regenerateBackupCodes);
+
 /**
  * @swagger
  * /api/auth/forgot-password:
@@ -266,11 +338,12 @@ router.post('/reset-password/:token', authController.resetPassword);
  *             properties:
  *               refreshToken:
  *                 type: string
+ *     description: Rotates the refresh token. Presenting a refresh token that was already rotated revokes the whole session (code REFRESH_TOKEN_REUSED).
  *     responses:
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired or reused refresh token
  */
 router.post('/refresh-token', authController.refreshToken);
 
@@ -341,6 +414,7 @@ router.get('/login-history', authenticate, authController.getLoginHistory);
  * /api/auth/me:
  *   get:
  *     summary: Get current user
+ *     description: Includes the user's granted staff roles and effective permissions.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -377,6 +451,100 @@ router.get('/me', authenticate, authController.getCurrentUser);
  */
 router.post('/logout', authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Each login starts a session whose refresh token is rotated on every refresh. Device and location are derived from the IP address and user agent of the login.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       device:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           os:
+ *                             type: string
+ *                           browser:
+ *                             type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       location:
+ *                         type: object
+ *                       startedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastActiveAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       isCurrent:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Revoke all other sessions
+ *     description: Revokes the refresh tokens of every session except the one making the request. Access tokens already issued stay valid until they expire.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Revokes the session's refresh token. Access tokens already issued stay valid until they expire.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticate, authController.revokeSession);
+
 /**
  * @swagger
  * /api/auth/test-email:
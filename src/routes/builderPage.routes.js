@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate: auth } = require('../middleware/auth.mw');
+const { authenticate: auth, requirePermission } = require('../middleware/auth.mw');
 const builderPageController = require('../controllers/builderPage.controller');
+const {
+  getPageTemplates,
+  getPageTemplate,
+  createPageTemplate,
+  updatePageTemplate,
+  deletePageTemplate
+} = require('../controllers/pageTemplate.controller');
 
 // Destructure functions from the controller
 const {
@@ -13,23 +20,27 @@ const {
   deletePage,
   publishPage,
   unpublishPage,
+  schedulePage,
   clonePage,
   getPageVersions,
   revertToVersion,
   getPageAnalytics,
   searchPages,
-  getPageTemplates,
+  createPageFromTemplate,
   getSocialLinks,
   updateSocialLinks,
   getCallToAction,
   updateCallToAction,
   getPageFormData,
+  getFormNotifications,
+  updateFormNotifications,
   getServiceHours,
   updateWeeklyHours,
   addEventDate,
   updateEventDate,
   removeEventDate,
   getCurrentHours,
+  getServiceSchedule,
   reportPage
 } = builderPageController;
 
@@ -135,6 +146,105 @@ const {
  *           type: string
  *           description: Optional business profile ID
  *
+ *     HoursStatus:
+ *       type: object
+ *       properties:
+ *         isOpen:
+ *           type: boolean
+ *         type:
+ *           type: string
+ *           enum: [weekly, event, closed]
+ *         startTime:
+ *           type: string
+ *         endTime:
+ *           type: string
+ *         eventName:
+ *           type: string
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone the hours are evaluated in
+ *         localDate:
+ *           type: string
+ *         localTime:
+ *           type: string
+ *         nextOpen:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         nextClose:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *
+ *     PageTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - slug
+ *         - category
+ *         - pageType
+ *       properties:
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Unique identifier, cannot be changed after creation
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [business, portfolio, ecommerce, blog, restaurant, agency, personal]
+ *         pageType:
+ *           type: string
+ *           enum: [landing, product, service, about, contact, portfolio, blog, custom]
+ *         version:
+ *           type: string
+ *         previewImage:
+ *           type: string
+ *         features:
+ *           type: array
+ *           items:
+ *             type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         layout:
+ *           type: object
+ *           description: Default page layout
+ *         styling:
+ *           type: object
+ *           description: Default page styling
+ *         seo:
+ *           type: object
+ *           description: Default SEO settings
+ *         widgets:
+ *           type: array
+ *           description: Widgets created on pages built from this template
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               subType:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               settings:
+ *                 type: object
+ *               layout:
+ *                 type: object
+ *               order:
+ *                 type: integer
+ *               isVisible:
+ *                 type: boolean
+ *         isActive:
+ *           type: boolean
+ *         sortOrder:
+ *           type: integer
+ *
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -327,10 +437,176 @@ router.get('/search', searchPages);
  *                     templates:
  *                       type: array
  *                       items:
- *                         type: object
+ *                         $ref: '#/components/schemas/PageTemplate'
  */
 router.get('/templates', getPageTemplates);
 
+/**
+ * @swagger
+ * /api/builder/pages/templates:
+ *   post:
+ *     summary: Create a page template (templates:write)
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PageTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (templates:write)
+ *       409:
+ *         description: Template slug already exists
+ */
+router.post('/templates', auth, requirePermission('templates:write'), createPageTemplate);
+
+/**
+ * @swagger
+ * /api/builder/pages/templates/{templateId}:
+ *   get:
+ *     summary: Get a page template with its widget definitions
+ *     tags: [Builder Pages]
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Template not found
+ */
+router.get('/templates/:templateId', getPageTemplate);
+
+/**
+ * @swagger
+ * /api/builder/pages/templates/{templateId}:
+ *   put:
+ *     summary: Update a page template (templates:write)
+ *     description: Any template field except slug can be updated. Sending widgets replaces the whole widget list.
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PageTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (templates:write)
+ *       404:
+ *         description: Template not found
+ */
+router.put('/templates/:templateId', auth, requirePermission('templates:write'), updatePageTemplate);
+
+/**
+ * @swagger
+ * /api/builder/pages/templates/{templateId}:
+ *   delete:
+ *     summary: Delete a page template (templates:write)
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       403:
+ *         description: Missing permission (templates:write)
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/templates/:templateId', auth, requirePermission('templates:write'), deletePageTemplate);
+
+/**
+ * @swagger
+ * /api/builder/pages/from-template/{templateId}:
+ *   post:
+ *     summary: Create a page and its widgets from a template
+ *     description: Creates the BuilderPage with the template's layout, styling and SEO defaults, then one Widget per template widget definition. Counts against the plan's page, widget and product limits.
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - slug
+ *             properties:
+ *               title:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               businessId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Page created from template successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       $ref: '#/components/schemas/BuilderPage'
+ *                     widgets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Validation error or duplicate slug
+ *       402:
+ *         description: Plan limit exceeded
+ *       404:
+ *         description: Template not found
+ */
+router.post('/from-template/:templateId', auth, createPageFromTemplate);
+
 /**
  * @swagger
  * /api/builder/pages/{pageId}:
@@ -481,6 +757,53 @@ router.post('/:pageId/publish', auth, publishPage);
  */
 router.post('/:pageId/unpublish', auth, unpublishPage);
 
+/**
+ * @swagger
+ * /api/builder/pages/{pageId}/schedule:
+ *   put:
+ *     summary: Schedule publishing and unpublishing of a page
+ *     description: |
+ *       The content-schedule job publishes an unpublished page at publishAt and unpublishes it at unpublishAt,
+ *       emailing the owner each time. A page past its unpublishAt time is hidden right away. Send null to clear a time.
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Page ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Page schedule updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Page was unpublished by a moderator
+ *       404:
+ *         description: Page not found
+ *       409:
+ *         description: Page is already published
+ */
+router.put('/:pageId/schedule', auth, schedulePage);
+
 /**
  * @swagger
  * /api/builder/pages/{pageId}/clone:
@@ -1114,6 +1437,127 @@ router.put('/:pageId/call-to-action', auth, updateCallToAction);
  */
 router.get('/:pageId/form-data', auth, getPageFormData);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FormNotificationSettings:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: true
+ *             includeOwner:
+ *               type: boolean
+ *               default: true
+ *               description: Send to the page owner's account email
+ *             recipients:
+ *               type: array
+ *               maxItems: 10
+ *               items:
+ *                 type: string
+ *                 format: email
+ *         autoReply:
+ *           type: object
+ *           description: Confirmation sent to the submitter when the form has an email field
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             subject:
+ *               type: string
+ *             message:
+ *               type: string
+ *         webhook:
+ *           type: object
+ *           description: |
+ *             Each submission is POSTed as JSON (event form.submission.created) and retried with backoff on failure.
+ *             Verify the X-Kunex-Signature header (t=<unix time>,v1=<HMAC-SHA256 of "<t>.<raw body>" with the secret>).
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             url:
+ *               type: string
+ *               format: uri
+ *             secret:
+ *               type: string
+ *               readOnly: true
+ *               description: Signing secret, generated when the webhook is first enabled
+ */
+
+/**
+ * @swagger
+ * /api/builder/pages/{pageId}/form-notifications:
+ *   get:
+ *     summary: Get the notification rules for the page's form submissions
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     formNotifications:
+ *                       $ref: '#/components/schemas/FormNotificationSettings'
+ *       404:
+ *         description: Page not found
+ *   put:
+ *     summary: Update the notification rules for the page's form submissions
+ *     description: Only the sections and settings sent are changed
+ *     tags: [Builder Pages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FormNotificationSettings'
+ *               - type: object
+ *                 properties:
+ *                   webhook:
+ *                     type: object
+ *                     properties:
+ *                       rotateSecret:
+ *                         type: boolean
+ *                         description: Issue a new signing secret
+ *     responses:
+ *       200:
+ *         description: Notification rules updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Page not found
+ */
+router.get('/:pageId/form-notifications', auth, getFormNotifications);
+router.put('/:pageId/form-notifications', auth, updateFormNotifications);
+
 // Service Hours Routes
 
 /**
@@ -1386,7 +1830,7 @@ router.delete('/:pageId/service-hours/events/:eventId', auth, removeEventDate);
  *                   type: object
  *                   properties:
  *                     currentHours:
- *                       type: object
+ *                       $ref: '#/components/schemas/HoursStatus'
  *                     isCurrentlyOpen:
  *                       type: boolean
  *                     serviceHoursType:
@@ -1396,6 +1840,104 @@ router.delete('/:pageId/service-hours/events/:eventId', auth, removeEventDate);
  */
 router.get('/:pageId/service-hours/current', auth, getCurrentHours);
 
+/**
+ * @swagger
+ * /api/builder/pages/{pageId}/service-hours/schedule:
+ *   get:
+ *     summary: Get next opening/closing time and upcoming schedule
+ *     description: Hours are evaluated in the page's timezone. Ranges whose end time is before the start time run past midnight, and recurring events are expanded onto each day they occur. Only published pages are served.
+ *     tags: [Builder Pages]
+ *     parameters:
+ *       - in: path
+ *         name: pageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Page ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           default: 7
+ *         description: Number of days to include, starting today
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                     isCurrentlyOpen:
+ *                       type: boolean
+ *                     nextOpen:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     nextClose:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     currentHours:
+ *                       $ref: '#/components/schemas/HoursStatus'
+ *                     schedule:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             example: '2024-05-06'
+ *                           day:
+ *                             type: string
+ *                             example: Mon
+ *                           dayName:
+ *                             type: string
+ *                             example: Monday
+ *                           isToday:
+ *                             type: boolean
+ *                           isClosed:
+ *                             type: boolean
+ *                           hours:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 type:
+ *                                   type: string
+ *                                   enum: [weekly, event]
+ *                                 startTime:
+ *                                   type: string
+ *                                 endTime:
+ *                                   type: string
+ *                                 overnight:
+ *                                   type: boolean
+ *                                 opensAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 closesAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 eventName:
+ *                                   type: string
+ *                                 isRecurring:
+ *                                   type: boolean
+ *       400:
+ *         description: Invalid days parameter
+ *       404:
+ *         description: Page not found or not published
+ */
+router.get('/:pageId/service-hours/schedule', getServiceSchedule);
+
 /**
  * @swagger
  * /api/builder/pages/{pageId}/report:
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate: auth } = require('../middleware/auth.mw');
+const { authenticate: auth, requirePermission } = require('../middleware/auth.mw');
 
 // Import controllers
 const {
@@ -27,6 +27,20 @@ const {
   adminUpdatePost
 } = require('../controllers/communityPost.controller');
 
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  moderateComment
+} = require('../controllers/communityComment.controller');
+
+const {
+  getRoadmap,
+  getChangelog,
+  updateChangelogEntry
+} = require('../controllers/communityRoadmap.controller');
+
 /**
  * @swagger
  * components:
@@ -104,6 +118,10 @@ const {
  *           enum: [completed, in-progress, planned]
  *           description: Implementation status of the post
  *           default: planned
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the post moved to completed (its changelog release date)
  *         likes:
  *           type: array
  *           items:
@@ -119,6 +137,10 @@ const {
  *           type: number
  *           description: Total number of likes
  *           default: 0
+ *         commentCount:
+ *           type: number
+ *           description: Number of visible comments and replies
+ *           default: 0
  *         isActive:
  *           type: boolean
  *           description: Whether the post is active
@@ -145,6 +167,58 @@ const {
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *
+ *     CommunityComment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         postId:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *           description: Comment this one replies to (null for top-level comments)
+ *         depth:
+ *           type: number
+ *           description: Nesting level, 0 for top-level comments (at most 5)
+ *         content:
+ *           type: string
+ *           nullable: true
+ *           description: Null for deleted and hidden comments, which stay in the thread while they have replies
+ *           maxLength: 2000
+ *         isOfficial:
+ *           type: boolean
+ *           description: Official response badge, for comments from the community team
+ *         authorId:
+ *           type: string
+ *         authorName:
+ *           type: string
+ *         authorType:
+ *           type: string
+ *           enum: [user, business]
+ *         authorLogo:
+ *           type: string
+ *           nullable: true
+ *         isEdited:
+ *           type: boolean
+ *         isDeleted:
+ *           type: boolean
+ *         isHidden:
+ *           type: boolean
+ *         replyCount:
+ *           type: number
+ *         replies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CommunityComment'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  */
 
 // ==================== TOPIC ROUTES ====================
@@ -202,10 +276,12 @@ const {
  *                       $ref: '#/components/schemas/CommunityTopic'
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Missing permission (community:moderate)
  *       409:
  *         description: Topic name already exists
  */
-router.post('/topics', auth, createTopic);
+router.post('/topics', auth, requirePermission('community:moderate'), createTopic);
 
 /**
  * @swagger
@@ -364,12 +440,14 @@ router.get('/topics/:topicId', getTopic);
  *     responses:
  *       200:
  *         description: Topic updated successfully
+ *       403:
+ *         description: Missing permission (community:moderate)
  *       404:
  *         description: Topic not found
  *       409:
  *         description: Topic name already exists
  */
-router.put('/topics/:topicId', auth, updateTopic);
+router.put('/topics/:topicId', auth, requirePermission('community:moderate'), updateTopic);
 
 /**
  * @swagger
@@ -391,10 +469,12 @@ router.put('/topics/:topicId', auth, updateTopic);
  *         description: Topic deleted successfully
  *       400:
  *         description: Cannot delete topic with posts
+ *       403:
+ *         description: Missing permission (community:moderate)
  *       404:
  *         description: Topic not found
  */
-router.delete('/topics/:topicId', auth, deleteTopic);
+router.delete('/topics/:topicId', auth, requirePermission('community:moderate'), deleteTopic);
 
 // ==================== POST ROUTES ====================
 
@@ -432,7 +512,7 @@ router.delete('/topics/:topicId', auth, deleteTopic);
  *               implementationStatus:
  *                 type: string
  *                 enum: [completed, in-progress, planned]
- *                 description: Optional - defaults to 'planned' if not provided
+ *                 description: Optional - defaults to 'planned'. Only community moderators can set it; it is ignored for other users
  *                 example: "planned"
  *               metadata:
  *                 type: object
@@ -586,6 +666,7 @@ router.get('/posts/:postId', getPost);
  *               implementationStatus:
  *                 type: string
  *                 enum: [completed, in-progress, planned]
+ *                 description: Only community moderators can set it; it is ignored for other users
  *               isActive:
  *                 type: boolean
  *               metadata:
@@ -681,10 +762,12 @@ router.delete('/posts/:postId', auth, deletePost);
  *     responses:
  *       200:
  *         description: Post updated successfully by admin
+ *       403:
+ *         description: Missing permission (community:moderate)
  *       404:
  *         description: Post not found
  */
-router.put('/posts/:postId/admin', auth, adminUpdatePost);
+router.put('/posts/:postId/admin', auth, requirePermission('community:moderate'), adminUpdatePost);
 
 // ==================== LIKE ROUTES ====================
 
@@ -748,6 +831,228 @@ router.post('/posts/:postId/like', auth, toggleLike);
  */
 router.get('/posts/:postId/likes', getPostLikes);
 
+// ==================== COMMENT ROUTES ====================
+
+/**
+ * @swagger
+ * /api/community/posts/{postId}/comments:
+ *   get:
+ *     summary: Get post comments
+ *     description: A page of top-level comments, each with all of its replies nested under it
+ *     tags: [Community Comments]
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Top-level comments per page
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Order of top-level comments; replies are always oldest first
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CommunityComment'
+ *                     commentCount:
+ *                       type: number
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         count:
+ *                           type: integer
+ *                         totalItems:
+ *                           type: integer
+ *       404:
+ *         description: Post not found
+ *   post:
+ *     summary: Comment on a post or reply to a comment
+ *     description: |
+ *       The post's author is emailed about the comment. Comments from community moderators carry
+ *       the official response badge unless they send official false. Replies to comments nested
+ *       5 levels deep are added next to the comment replied to.
+ *     tags: [Community Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *               parentId:
+ *                 type: string
+ *                 description: Comment to reply to
+ *               official:
+ *                 type: boolean
+ *                 description: Community moderators only; defaults to true for them
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comment:
+ *                       $ref: '#/components/schemas/CommunityComment'
+ *       400:
+ *         description: Validation error, or the parent comment was deleted or hidden
+ *       404:
+ *         description: Post or parent comment not found
+ */
+router.get('/posts/:postId/comments', getComments);
+router.post('/posts/:postId/comments', auth, createComment);
+
+/**
+ * @swagger
+ * /api/community/comments/{commentId}:
+ *   put:
+ *     summary: Edit own comment
+ *     tags: [Community Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       404:
+ *         description: Comment not found or no permission
+ *   delete:
+ *     summary: Delete own comment
+ *     description: Replies are kept; the deleted comment stays in the thread without content while it has any
+ *     tags: [Community Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       404:
+ *         description: Comment not found or no permission
+ */
+router.put('/comments/:commentId', auth, updateComment);
+router.delete('/comments/:commentId', auth, deleteComment);
+
+/**
+ * @swagger
+ * /api/community/comments/{commentId}/moderate:
+ *   put:
+ *     summary: Hide or restore a comment
+ *     tags: [Community Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [hide, restore]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Comment hidden or restored, with its content and moderation details
+ *       403:
+ *         description: Missing permission (community:moderate)
+ *       404:
+ *         description: Comment not found
+ */
+router.put('/comments/:commentId/moderate', auth, requirePermission('community:moderate'), moderateComment);
+
 // ==================== STATUS ROUTES ====================
 
 /**
@@ -777,13 +1082,245 @@ router.get('/posts/:postId/likes', getPostLikes);
  *               implementationStatus:
  *                 type: string
  *                 enum: [completed, in-progress, planned]
+ *               releaseNote:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Changelog release note when completing; defaults to the post description
+ *               releasedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Changelog release date when completing; defaults to now
  *     responses:
  *       200:
- *         description: Status updated successfully
+ *         description: |
+ *           Status updated successfully. Completing a post publishes its changelog entry (returned
+ *           as changelogEntry) and emails the users who liked it; moving it back unpublishes the entry.
+ *       403:
+ *         description: Missing permission (community:moderate)
  *       404:
- *         description: Post not found or no permission
+ *         description: Post not found
+ */
+router.put('/posts/:postId/status', auth, requirePermission('community:moderate'), updateStatus);
+
+// ==================== ROADMAP ROUTES ====================
+
+/**
+ * @swagger
+ * /api/community/roadmap:
+ *   get:
+ *     summary: Get the public roadmap
+ *     description: |
+ *       Active posts in planned, in progress and completed columns, grouped by topic. Open columns
+ *       list high priority posts first, then the most liked; completed lists the latest first.
+ *     tags: [Community Roadmap]
+ *     parameters:
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *         description: Only this topic
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Posts per column
+ *     responses:
+ *       200:
+ *         description: Roadmap retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     columns:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                             enum: [planned, in-progress, completed]
+ *                           label:
+ *                             type: string
+ *                           count:
+ *                             type: number
+ *                             description: All posts in the column, including those past the limit
+ *                           topics:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 _id:
+ *                                   type: string
+ *                                 name:
+ *                                   type: string
+ *                                 description:
+ *                                   type: string
+ *                                 metadata:
+ *                                   type: object
+ *                                 posts:
+ *                                   type: array
+ *                                   items:
+ *                                     type: object
+ *                                     properties:
+ *                                       _id:
+ *                                         type: string
+ *                                       title:
+ *                                         type: string
+ *                                       description:
+ *                                         type: string
+ *                                       implementationStatus:
+ *                                         type: string
+ *                                       metadata:
+ *                                         type: object
+ *                                       likeCount:
+ *                                         type: number
+ *                                       commentCount:
+ *                                         type: number
+ *                                       completedAt:
+ *                                         type: string
+ *                                         format: date-time
+ *       404:
+ *         description: Topic not found
+ */
+router.get('/roadmap', getRoadmap);
+
+/**
+ * @swagger
+ * /api/community/changelog:
+ *   get:
+ *     summary: Get the public changelog
+ *     description: Completed community posts with their release notes, newest release first
+ *     tags: [Community Roadmap]
+ *     parameters:
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Changelog retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           releaseNote:
+ *                             type: string
+ *                           releasedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           topic:
+ *                             $ref: '#/components/schemas/CommunityTopic'
+ *                           postId:
+ *                             type: string
+ *                           likeCount:
+ *                             type: number
+ *                           commentCount:
+ *                             type: number
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         count:
+ *                           type: integer
+ *                         totalItems:
+ *                           type: integer
+ */
+router.get('/changelog', getChangelog);
+
+/**
+ * @swagger
+ * /api/community/changelog/{entryId}:
+ *   put:
+ *     summary: Edit a changelog entry
+ *     tags: [Community Roadmap]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Changelog entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *               releaseNote:
+ *                 type: string
+ *                 maxLength: 2000
+ *               releasedAt:
+ *                 type: string
+ *                 format: date-time
+ *               isPublished:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Changelog entry updated successfully
+ *       400:
+ *         description: Validation error, or publishing an entry whose post is not completed
+ *       403:
+ *         description: Missing permission (community:moderate)
+ *       404:
+ *         description: Changelog entry not found
  */
-router.put('/posts/:postId/status', auth, updateStatus);
+router.put('/changelog/:entryId', auth, requirePermission('community:moderate'), updateChangelogEntry);
 
 // ==================== USER/TOPIC SPECIFIC ROUTES ====================
 
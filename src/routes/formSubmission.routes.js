@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate: auth } = require('../middleware/auth.mw');
 const formSubmissionController = require('../controllers/formSubmission.controller');
+const { uploadFormFiles } = require('../utils/cloudinary');
 
 // Destructure functions from the controller
 const {
@@ -9,6 +10,8 @@ const {
   getSubmissions,
   getSubmissionById,
   updateSubmissionStatus,
+  markSubmissionNotSpam,
+  getSubmissionNotifications,
   getSubmissionStats,
   deleteSubmission,
   bulkUpdateSubmissions
@@ -96,6 +99,35 @@ const {
  *           type: number
  *         formCompletionTime:
  *           type: number
+ *         spam:
+ *           type: object
+ *           description: Spam classification details
+ *           properties:
+ *             source:
+ *               type: string
+ *               enum: [auto, manual]
+ *             score:
+ *               type: number
+ *             reasons:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   check:
+ *                     type: string
+ *                     example: fill_time
+ *                   score:
+ *                     type: number
+ *                   detail:
+ *                     type: string
+ *             checkedAt:
+ *               type: string
+ *               format: date-time
+ *             falsePositive:
+ *               type: boolean
+ *             reviewedAt:
+ *               type: string
+ *               format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -118,7 +150,7 @@ const {
  *           description: ID of the form widget
  *         formData:
  *           type: object
- *           description: Form data to submit
+ *           description: Answers keyed by field name. Answers to hidden or unknown fields are dropped.
  *         submissionType:
  *           type: string
  *           enum: [contact, newsletter, booking, inquiry, feedback, custom]
@@ -127,7 +159,10 @@ const {
  *           description: Time spent on page before submission (seconds)
  *         formCompletionTime:
  *           type: number
- *           description: Time taken to fill the form (seconds)
+ *           description: Time taken to fill the form (seconds). Missing or very short times count towards the spam score.
+ *         _hp:
+ *           type: string
+ *           description: Honeypot. Render as a hidden input and leave empty; submissions that fill it are stored as spam.
  *         referrer:
  *           type: string
  *         utmSource:
@@ -173,6 +208,11 @@ const {
  * /api/forms/submit:
  *   post:
  *     summary: Submit form data from a user-built page
+ *     description: |
+ *       Answers are validated against the form widget's fields. Submissions are rate limited per IP
+ *       address and scored for spam (honeypot, fill time, duplicate content and any registered checks);
+ *       spam is stored with status spam and gets the same success response. Forms with file fields are sent as
+ *       multipart/form-data, with each file under its field name (one file per field, 10MB at most).
  *     tags: [Form Submissions]
  *     requestBody:
  *       required: true
@@ -180,6 +220,23 @@ const {
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/SubmitFormRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pageId
+ *               - widgetId
+ *             properties:
+ *               pageId:
+ *                 type: string
+ *               widgetId:
+ *                 type: string
+ *               formData:
+ *                 type: string
+ *                 description: Answers as a JSON object string
+ *             additionalProperties:
+ *               type: string
+ *               format: binary
  *     responses:
  *       201:
  *         description: Form submitted successfully
@@ -201,10 +258,33 @@ const {
  *                       type: string
  *       400:
  *         description: Validation error or missing fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       403:
+ *         description: The form owner's storage is full, so files cannot be accepted
+ *       429:
+ *         description: Too many submissions from this IP address
  *       404:
  *         description: Page or form widget not found
  */
-router.post('/submit', submitForm);
+router.post('/submit', uploadFormFiles.any(), submitForm);
 
 /**
  * @swagger
@@ -388,6 +468,114 @@ router.get('/submissions/:id', auth, getSubmissionById);
  */
 router.put('/submissions/:id/status', auth, updateSubmissionStatus);
 
+/**
+ * @swagger
+ * /api/forms/submissions/{id}/not-spam:
+ *   put:
+ *     summary: Restore a submission wrongly classified as spam
+ *     description: Returns the submission to the inbox as new and records the classification as a false positive
+ *     tags: [Form Submissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Submission ID
+ *     responses:
+ *       200:
+ *         description: Submission restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     submission:
+ *                       $ref: '#/components/schemas/FormSubmission'
+ *       400:
+ *         description: Submission is not marked as spam
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Submission not found
+ */
+router.put('/submissions/:id/not-spam', auth, markSubmissionNotSpam);
+
+/**
+ * @swagger
+ * /api/forms/submissions/{id}/notifications:
+ *   get:
+ *     summary: Get the notification delivery log of a submission
+ *     description: Emails, auto-replies and webhook calls sent for the submission, with their attempts and errors
+ *     tags: [Form Submissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Submission ID
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           channel:
+ *                             type: string
+ *                             enum: [email, auto_reply, webhook]
+ *                           recipient:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [pending, sent, failed, cancelled]
+ *                           attempts:
+ *                             type: integer
+ *                           nextAttemptAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastAttemptAt:
+ *                             type: string
+ *                             format: date-time
+ *                           sentAt:
+ *                             type: string
+ *                             format: date-time
+ *                           responseStatus:
+ *                             type: integer
+ *                           lastError:
+ *                             type: string
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Submission not found
+ */
+router.get('/submissions/:id/notifications', auth, getSubmissionNotifications);
+
 /**
  * @swagger
  * /api/forms/submissions/{id}:
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { getLinkReport } = require('../controllers/linkHealth.controller');
+const { protect } = require('../middleware/auth.mw');
+
+/**
+ * @swagger
+ * /api/link-health/report:
+ *   get:
+ *     summary: Broken links report for the current user
+ *     description: |
+ *       Social media links and the URLs in the user's widgets (custom links, promotions,
+ *       products, event tickets, app and music links) are probed daily. A link is `failing`
+ *       after one failed probe and `broken` after two in a row; owners receive an email digest
+ *       of newly broken links at most once a day.
+ *     tags: [Link Health]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [broken, failing, ok]
+ *           default: broken
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *           enum: [social_media_link, widget]
+ *       - in: query
+ *         name: pageId
+ *         schema:
+ *           type: string
+ *         description: Only links in widgets on this page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Link health summary and matching links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         ok:
+ *                           type: integer
+ *                         failing:
+ *                           type: integer
+ *                         broken:
+ *                           type: integer
+ *                         lastChecked:
+ *                           type: string
+ *                           format: date-time
+ *                     links:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sourceType:
+ *                             type: string
+ *                           sourceId:
+ *                             type: string
+ *                           field:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           url:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                           statusCode:
+ *                             type: integer
+ *                           reason:
+ *                             type: string
+ *                             enum: [invalid_url, blocked, dns, timeout, network, http_status, too_many_redirects]
+ *                           error:
+ *                             type: string
+ *                           lastChecked:
+ *                             type: string
+ *                             format: date-time
+ *                           brokenSince:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/report', protect, getLinkReport);
+
+module.exports = router;
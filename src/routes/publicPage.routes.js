@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { renderPublicPage } = require('../controllers/publicPage.controller');
+
+/**
+ * @swagger
+ * /p/{username}/{slug}:
+ *   get:
+ *     summary: Server-rendered HTML for a published builder page
+ *     description: |
+ *       Renders the page layout and its visible widgets as HTML with meta, Open Graph,
+ *       Twitter card and JSON-LD LocalBusiness markup for crawlers and link previews.
+ *       The robots meta tag is `noindex` when the page has `seo.noIndex` set or its owner
+ *       disabled `privacy.allowSearchEngines`.
+ *     tags: [Public Pages]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Business username
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Page slug
+ *     responses:
+ *       200:
+ *         description: Rendered page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Page requires sign in
+ *       404:
+ *         description: Page or business not found, or page not published
+ */
+router.get('/:username/:slug', renderPublicPage);
+
+module.exports = router;
@@ -661,14 +661,32 @@ router.get('/terms', settingsController.getTermsAndPolicies);
 /**
  * @swagger
  * /api/settings/export-data:
+ *   post:
+ *     summary: Request an export of all account data (GDPR compliance)
+ *     description: |
+ *       Queues a ZIP archive of everything the account owns: user and settings, personal and business profiles,
+ *       builder pages (with versions) and widgets, social links, favorites and folders, form submissions received,
+ *       community posts, support tickets, billing records, searches and view logs. Collections are included as
+ *       JSON, and tabular ones also as CSV. The user is emailed a signed download link when the archive is ready;
+ *       the link and archive expire after DATA_EXPORT_TTL_HOURS (default 72).
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Data export requested
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A data export is already in progress
  *   get:
- *     summary: Export account data (GDPR compliance)
+ *     summary: List data export requests with their status and download links
  *     tags: [Settings]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Account data exported successfully
+ *         description: Data exports retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -676,36 +694,65 @@ router.get('/terms', settingsController.getTermsAndPolicies);
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
  *                 data:
- *                   type: object
- *                   properties:
- *                     exportDate:
- *                       type: string
- *                       format: date-time
- *                     user:
- *                       type: object
- *                     userSettings:
- *                       type: object
- *                     paymentSettings:
- *                       type: object
- *                     subscriptions:
- *                       type: array
- *                       items:
- *                         type: object
- *                     transactions:
- *                       type: array
- *                       items:
- *                         type: object
- *                     paymentMethods:
- *                       type: array
- *                       items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, processing, completed, failed, expired]
+ *                       requestedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       completedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       size:
+ *                         type: number
+ *                       counts:
  *                         type: object
+ *                       downloadUrl:
+ *                         type: string
+ *                         nullable: true
  *       401:
  *         description: Unauthorized
  */
-router.get('/export-data', authenticate, settingsController.exportAccountData);
+router.post('/export-data', authenticate, settingsController.requestDataExport);
+router.get('/export-data', authenticate, settingsController.getDataExports);
+
+/**
+ * @swagger
+ * /api/settings/export-data/download:
+ *   get:
+ *     summary: Download a data export archive through its signed link
+ *     tags: [Settings]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token from the download link
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Invalid or expired download link
+ *       410:
+ *         description: Export has expired or is no longer available
+ */
+router.get('/export-data/download', settingsController.downloadDataExport);
 
 /**
  * @swagger
@@ -770,7 +817,7 @@ router.patch('/deactivate-account', authenticate, settingsController.deactivateA
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Account permanently deleted and cannot be reactivated
+ *         description: Account is scheduled for deletion (use cancel-account-deletion)
  *       404:
  *         description: User not found
  *       409:
@@ -782,7 +829,8 @@ router.patch('/reactivate-account', authenticateAllowDeactivated, settingsContro
  * @swagger
  * /api/settings/delete-account:
  *   post:
- *     summary: Delete user account (permanent)
+ *     summary: Delete user account (permanent after a grace period)
+ *     description: The account is deactivated immediately and permanently deleted, together with its pages, profiles, widgets, favorites, submissions, media and Stripe customer, once the grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30) ends. Until then the user can log in and cancel.
  *     tags: [Settings]
  *     security:
  *       - bearerAuth: []
@@ -801,14 +849,49 @@ router.patch('/reactivate-account', authenticateAllowDeactivated, settingsContro
  *                 type: string
  *     responses:
  *       200:
- *         description: Account deletion initiated successfully
+ *         description: Account deletion scheduled successfully
  *       400:
  *         description: Incorrect password
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: User not found
+ *       409:
+ *         description: Account deletion is already scheduled
  */
 router.post('/delete-account', authenticate, settingsController.deleteAccount);
 
+/**
+ * @swagger
+ * /api/settings/cancel-account-deletion:
+ *   post:
+ *     summary: Cancel a scheduled account deletion and reactivate the account
+ *     description: Requires the account password. Accounts without a password confirm with a current TOTP code, or without 2FA by calling this with a token from a sign-in made in the last 10 minutes.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP code, for accounts without a password
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled successfully
+ *       400:
+ *         description: Password or code missing, or incorrect password
+ *       401:
+ *         description: Unauthorized, invalid code, or a fresh sign-in is required (code REAUTH_REQUIRED)
+ *       404:
+ *         description: No pending account deletion found
+ */
+router.post('/cancel-account-deletion', authenticateAllowDeactivated, settingsController.cancelAccountDeletion);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth.mw.js');
+const { authenticate, requirePermission } = require('../middleware/auth.mw.js');
 const {
   subscriptionPlanController,
   subscriptionController
@@ -53,6 +53,10 @@ const {
  *         limits:
  *           type: object
  *           properties:
+ *             pages:
+ *               type: number
+ *             widgets:
+ *               type: number
  *             products:
  *               type: number
  *             storage:
@@ -161,6 +165,20 @@ const {
  *         usage:
  *           type: object
  *           properties:
+ *             pages:
+ *               type: object
+ *               properties:
+ *                 current:
+ *                   type: number
+ *                 limit:
+ *                   type: number
+ *             widgets:
+ *               type: object
+ *               properties:
+ *                 current:
+ *                   type: number
+ *                 limit:
+ *                   type: number
  *             products:
  *               type: object
  *               properties:
@@ -254,7 +272,7 @@ router.get('/plans', subscriptionPlanController.getPublicPlans);
  * @swagger
  * /api/subscriptions/plans/admin:
  *   get:
- *     summary: Get all subscription plans (admin only)
+ *     summary: Get all subscription plans (plans:write)
  *     tags: [Subscription Plans]
  *     security:
  *       - bearerAuth: []
@@ -286,10 +304,12 @@ router.get('/plans', subscriptionPlanController.getPublicPlans);
  *                     $ref: '#/components/schemas/SubscriptionPlan'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Missing permission (plans:write)
  *       500:
  *         description: Server error
  */
-router.get('/plans/admin', authenticate, subscriptionPlanController.getAllPlans);
+router.get('/plans/admin', authenticate, requirePermission('plans:write'), subscriptionPlanController.getAllPlans);
 
 /**
  * @swagger
@@ -327,7 +347,7 @@ router.get('/plans/:id', subscriptionPlanController.getPlan);
  * @swagger
  * /api/subscriptions/plans:
  *   post:
- *     summary: Create subscription plan (admin only)
+ *     summary: Create subscription plan (plans:write)
  *     tags: [Subscription Plans]
  *     security:
  *       - bearerAuth: []
@@ -396,16 +416,18 @@ router.get('/plans/:id', subscriptionPlanController.getPlan);
  *         description: Validation error or Stripe error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Missing permission (plans:write)
  *       500:
  *         description: Server error
  */
-router.post('/plans', authenticate, subscriptionPlanController.createPlan);
+router.post('/plans', authenticate, requirePermission('plans:write'), subscriptionPlanController.createPlan);
 
 /**
  * @swagger
  * /api/subscriptions/plans/{id}:
  *   put:
- *     summary: Update subscription plan (admin only)
+ *     summary: Update subscription plan (plans:write)
  *     tags: [Subscription Plans]
  *     security:
  *       - bearerAuth: []
@@ -459,18 +481,20 @@ router.post('/plans', authenticate, subscriptionPlanController.createPlan);
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Missing permission (plans:write)
  *       404:
  *         description: Subscription plan not found
  *       500:
  *         description: Server error
  */
-router.put('/plans/:id', authenticate, subscriptionPlanController.updatePlan);
+router.put('/plans/:id', authenticate, requirePermission('plans:write'), subscriptionPlanController.updatePlan);
 
 /**
  * @swagger
  * /api/subscriptions/plans/{id}:
  *   delete:
- *     summary: Delete subscription plan (admin only)
+ *     summary: Delete subscription plan (plans:write)
  *     tags: [Subscription Plans]
  *     security:
  *       - bearerAuth: []
@@ -497,12 +521,14 @@ router.put('/plans/:id', authenticate, subscriptionPlanController.updatePlan);
  *         description: Cannot delete plan with active subscriptions
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Missing permission (plans:write)
  *       404:
  *         description: Subscription plan not found
  *       500:
  *         description: Server error
  */
-router.delete('/plans/:id', authenticate, subscriptionPlanController.deletePlan);
+router.delete('/plans/:id', authenticate, requirePermission('plans:write'), subscriptionPlanController.deletePlan);
 
 /**
  * @swagger
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate: auth } = require('../middleware/auth.mw');
+const { authenticate: auth, requirePermission } = require('../middleware/auth.mw');
 const { uploadSupport } = require('../utils/cloudinary');
 const {
   createTicket,
@@ -15,6 +15,20 @@ const {
   addCategory,
   getTicketPriorities
 } = require('../controllers/support.controller');
+const {
+  getAgentTickets,
+  getAgentTicket,
+  assignTicket,
+  replyToTicket,
+  addInternalNote,
+  updateAgentTicket,
+  getAgentStats,
+  getCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse
+} = require('../controllers/supportAgent.controller');
+const { verifyInboundSecret, receiveInboundEmail } = require('../controllers/supportInbound.controller');
 
 
 /**
@@ -122,6 +136,18 @@ const {
  *         estimatedResolution:
  *           type: string
  *           format: date-time
+ *         sla:
+ *           type: object
+ *           properties:
+ *             firstResponseDueAt:
+ *               type: string
+ *               format: date-time
+ *             resolutionDueAt:
+ *               type: string
+ *               format: date-time
+ *         firstResponseAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -129,6 +155,70 @@ const {
  *           type: string
  *           format: date-time
  *     
+ *     SlaStats:
+ *       type: object
+ *       description: |
+ *         SLA targets per priority (first response / resolution): Urgent 1h / 8h, High 4h / 24h,
+ *         Medium 8h / 72h, Low 24h / 168h, counted from when the ticket was opened.
+ *       properties:
+ *         firstResponseBreached:
+ *           type: integer
+ *           description: Tickets answered late or still unanswered past the due date
+ *         resolutionBreached:
+ *           type: integer
+ *           description: Tickets resolved late or still open past the due date
+ *         activeBreached:
+ *           type: integer
+ *           description: Open or in-progress tickets currently past a due date
+ *         awaitingFirstResponse:
+ *           type: integer
+ *     
+ *     AgentTicket:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         ticketId:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         status:
+ *           type: string
+ *         priority:
+ *           type: string
+ *         isUrgent:
+ *           type: boolean
+ *         user:
+ *           type: object
+ *         assignedTo:
+ *           type: object
+ *           nullable: true
+ *         sla:
+ *           type: object
+ *           properties:
+ *             firstResponse:
+ *               type: object
+ *               properties:
+ *                 dueAt:
+ *                   type: string
+ *                   format: date-time
+ *                 completedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 breached:
+ *                   type: boolean
+ *                 remainingMs:
+ *                   type: integer
+ *             resolution:
+ *               type: object
+ *             breached:
+ *               type: boolean
+ *         messages:
+ *           type: array
+ *           description: Includes internal notes (isInternal) and system entries; only in the single-ticket view
+ *           items:
+ *             type: object
+ *     
  *     CreateTicketRequest:
  *       type: object
  *       required:
@@ -538,6 +628,8 @@ router.delete('/tickets/:ticketId', auth, deleteTicket);
  *                     stats:
  *                       type: object
  *                       description: Ticket counts by status
+ *                     sla:
+ *                       $ref: '#/components/schemas/SlaStats'
  *       401:
  *         description: Unauthorized
  */
@@ -694,8 +786,10 @@ router.get('/categories', auth, getTicketCategories);
  *         description: Category already exists
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Missing permission (support:manage)
  */
-router.post('/categories', auth, addCategory);
+router.post('/categories', auth, requirePermission('support:manage'), addCategory);
 
 /**
  * @swagger
@@ -732,4 +826,580 @@ router.post('/categories', auth, addCategory);
  */
 router.get('/priorities', auth, getTicketPriorities);
 
+// ==================== AGENT CONSOLE ====================
+
+/**
+ * @swagger
+ * /api/support/agent/tickets:
+ *   get:
+ *     summary: Global ticket queue for support agents
+ *     description: Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Open, In Progress, Completed, Closed, Cancelled]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Low, Medium, High, Urgent]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: An agent's user ID, `me` or `unassigned`
+ *       - in: query
+ *         name: breached
+ *         schema:
+ *           type: string
+ *           enum: [first_response, resolution, any]
+ *         description: Only open tickets currently past the given SLA due date
+ *       - in: query
+ *         name: isUrgent
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: Search subject, description and ticket ID
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [lastActivity, createdAt, firstResponseDue, resolutionDue]
+ *           default: lastActivity
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Tickets with SLA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tickets:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AgentTicket'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (support:agent)
+ */
+router.get('/agent/tickets', auth, requirePermission('support:agent'), getAgentTickets);
+
+/**
+ * @swagger
+ * /api/support/agent/stats:
+ *   get:
+ *     summary: Queue statistics with SLA breaches and open tickets per agent
+ *     description: Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stats:
+ *                       type: object
+ *                       description: Ticket counts by status
+ *                     sla:
+ *                       $ref: '#/components/schemas/SlaStats'
+ *                     slaTargets:
+ *                       type: object
+ *                     workload:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           agent:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Null for unassigned tickets
+ *                           openTickets:
+ *                             type: integer
+ *       403:
+ *         description: Missing permission (support:agent)
+ */
+router.get('/agent/stats', auth, requirePermission('support:agent'), getAgentStats);
+
+/**
+ * @swagger
+ * /api/support/agent/tickets/{ticketId}:
+ *   get:
+ *     summary: Get a ticket with internal notes
+ *     description: Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AgentTicket'
+ *       403:
+ *         description: Missing permission (support:agent)
+ *       404:
+ *         description: Ticket not found
+ *   put:
+ *     summary: Update a ticket's status, priority, urgency, tags or estimated resolution
+ *     description: Changing the priority moves the SLA due dates. Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Open, In Progress, Completed, Closed, Cancelled]
+ *               priority:
+ *                 type: string
+ *                 enum: [Low, Medium, High, Urgent]
+ *               isUrgent:
+ *                 type: boolean
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               estimatedResolution:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               resolution:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ticket updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (support:agent)
+ *       404:
+ *         description: Ticket not found
+ */
+router.get('/agent/tickets/:ticketId', auth, requirePermission('support:agent'), getAgentTicket);
+router.put('/agent/tickets/:ticketId', auth, requirePermission('support:agent'), updateAgentTicket);
+
+/**
+ * @swagger
+ * /api/support/agent/tickets/{ticketId}/assign:
+ *   put:
+ *     summary: Assign, reassign or unassign a ticket
+ *     description: The assignee must hold `support:agent`. Assigning an open ticket moves it to In Progress. Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [assignedTo]
+ *             properties:
+ *               assignedTo:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Agent user ID, or null to unassign
+ *     responses:
+ *       200:
+ *         description: Ticket assigned
+ *       400:
+ *         description: Validation error, or the assignee is not a support agent
+ *       403:
+ *         description: Missing permission (support:agent)
+ *       404:
+ *         description: Ticket not found
+ */
+router.put('/agent/tickets/:ticketId/assign', auth, requirePermission('support:agent'), assignTicket);
+
+/**
+ * @swagger
+ * /api/support/agent/tickets/{ticketId}/replies:
+ *   post:
+ *     summary: Reply to the customer as support
+ *     description: |
+ *       Send `message`, a `cannedResponseId`, or both (the message is appended to the canned text).
+ *       The first reply stops the first-response SLA timer. Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               cannedResponseId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [Open, In Progress, Completed, Closed]
+ *                 description: Status to set with the reply; an open ticket otherwise moves to In Progress
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Reply sent
+ *       400:
+ *         description: Validation error or cancelled ticket
+ *       403:
+ *         description: Missing permission (support:agent)
+ *       404:
+ *         description: Ticket or canned response not found
+ */
+router.post('/agent/tickets/:ticketId/replies', auth, requirePermission('support:agent'), uploadSupport.array('files', 10), replyToTicket);
+
+/**
+ * @swagger
+ * /api/support/agent/tickets/{ticketId}/notes:
+ *   post:
+ *     summary: Add an internal note the customer never sees
+ *     description: Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Note added
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (support:agent)
+ *       404:
+ *         description: Ticket not found
+ */
+router.post('/agent/tickets/:ticketId/notes', auth, requirePermission('support:agent'), uploadSupport.array('files', 10), addInternalNote);
+
+/**
+ * @swagger
+ * /api/support/agent/canned-responses:
+ *   get:
+ *     summary: List canned responses
+ *     description: |
+ *       Response bodies may contain the placeholders {{customerName}}, {{ticketId}}, {{subject}}
+ *       and {{agentName}}, filled in when used in a reply. Requires `support:agent`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Responses for this category plus the ones for every category
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Canned responses, most used first
+ *       403:
+ *         description: Missing permission (support:agent)
+ *   post:
+ *     summary: Create a canned response
+ *     description: Requires `support:manage`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, body]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               categoryId:
+ *                 type: string
+ *                 nullable: true
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Canned response created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (support:manage)
+ */
+router.get('/agent/canned-responses', auth, requirePermission('support:agent'), getCannedResponses);
+router.post('/agent/canned-responses', auth, requirePermission('support:manage'), createCannedResponse);
+
+/**
+ * @swagger
+ * /api/support/agent/canned-responses/{id}:
+ *   put:
+ *     summary: Update a canned response
+ *     description: Requires `support:manage`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Canned response updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission (support:manage)
+ *       404:
+ *         description: Canned response not found
+ *   delete:
+ *     summary: Delete a canned response
+ *     description: Requires `support:manage`.
+ *     tags: [Support]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Canned response deleted
+ *       403:
+ *         description: Missing permission (support:manage)
+ *       404:
+ *         description: Canned response not found
+ */
+router.put('/agent/canned-responses/:id', auth, requirePermission('support:manage'), updateCannedResponse);
+router.delete('/agent/canned-responses/:id', auth, requirePermission('support:manage'), deleteCannedResponse);
+
+// ==================== INBOUND EMAIL ====================
+
+/**
+ * @swagger
+ * /api/support/inbound-email:
+ *   post:
+ *     summary: Receive a reply to a support email
+ *     description: |
+ *       Called by the mail relay (SMTP relay or inbound parse webhook) with a parsed email. The
+ *       ticket is found from the token in the reply-to address, or in In-Reply-To / References,
+ *       and the reply is added as a user message when the sender is the ticket owner. Quoted
+ *       text is removed. Replying to a completed ticket reopens it. Mail that can never be
+ *       accepted gets a 200 with accepted false, so the relay does not retry it.
+ *       Authenticate with the X-Inbound-Secret header or HTTP basic auth (any user name,
+ *       SUPPORT_INBOUND_SECRET as password).
+ *     tags: [Support]
+ *     parameters:
+ *       - in: header
+ *         name: X-Inbound-Secret
+ *         schema:
+ *           type: string
+ *         description: SUPPORT_INBOUND_SECRET
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 example: Jane Doe <jane@example.com>
+ *               to:
+ *                 type: string
+ *               cc:
+ *                 type: string
+ *               recipient:
+ *                 type: string
+ *                 description: Envelope recipient, if the relay sends it
+ *               subject:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *                 description: Plain text body (also accepted as body-plain)
+ *               html:
+ *                 type: string
+ *                 description: HTML body, used when there is no text body (also accepted as body-html)
+ *               strippedText:
+ *                 type: string
+ *                 description: Reply without quoted text, if the relay strips it (also accepted as stripped-text)
+ *               messageId:
+ *                 type: string
+ *                 description: Message-ID header; the same email is only added once
+ *               inReplyTo:
+ *                 type: string
+ *               references:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Image and video attachments, under any field name
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *     responses:
+ *       200:
+ *         description: Email added to the ticket, or rejected with a reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accepted:
+ *                       type: boolean
+ *                     reason:
+ *                       type: string
+ *                       enum: [unknown_ticket, sender_mismatch, ticket_closed, empty_message]
+ *                     duplicate:
+ *                       type: boolean
+ *                     ticketId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     attachments:
+ *                       type: integer
+ *       400:
+ *         description: Validation error or unsupported attachment
+ *       401:
+ *         description: Invalid inbound secret
+ *       503:
+ *         description: Inbound email is not configured
+ */
+router.post('/inbound-email', verifyInboundSecret, uploadSupport.any(), receiveInboundEmail);
+
 module.exports = router;
@@ -0,0 +1,391 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhookEvents,
+  getWebhookEndpoints,
+  createWebhookEndpoint,
+  getWebhookEndpoint,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  testWebhookEndpoint,
+  getWebhookDeliveries
+} = require('../controllers/webhookEndpoint.controller');
+const { protect } = require('../middleware/auth.mw');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEndpoint:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           example: https://example.com/hooks/kunex
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [page.published, page.unpublished, form.submitted, favorite.added, widget.product_updated, subscription.changed, support_ticket.replied]
+ *         secret:
+ *           type: string
+ *           description: Signing secret (whsec_...). Only returned on create, get by ID and rotate.
+ *         isActive:
+ *           type: boolean
+ *         consecutiveFailures:
+ *           type: integer
+ *         disabledAt:
+ *           type: string
+ *           format: date-time
+ *         disabledReason:
+ *           type: string
+ *         lastDeliveryAt:
+ *           type: string
+ *           format: date-time
+ *         lastSuccessAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Sent as X-Kunex-Delivery
+ *         endpointId:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           description: Shared by the deliveries of one event to different endpoints
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             event:
+ *               type: string
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             data:
+ *               type: object
+ *         isTest:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [pending, sent, failed, cancelled]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         responseStatus:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *     WebhookEndpointInput:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: http(s) URL on a public host
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ */
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/integrations/webhooks/events:
+ *   get:
+ *     summary: List the events webhook endpoints can subscribe to
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event names and descriptions
+ */
+router.get('/events', getWebhookEvents);
+
+/**
+ * @swagger
+ * /api/integrations/webhooks:
+ *   get:
+ *     summary: List the current user's webhook endpoints
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Endpoints, without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     endpoints:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookEndpoint'
+ *   post:
+ *     summary: Create a webhook endpoint
+ *     description: |
+ *       Every delivery is a JSON POST with the headers `X-Kunex-Event`, `X-Kunex-Delivery`
+ *       and `X-Kunex-Signature: t=<unix time>,v1=<hex>`, where the signature is the
+ *       HMAC-SHA256 of `<unix time>.<raw body>` with the endpoint's secret. Any 2xx
+ *       response counts as delivered; other responses are retried with exponential backoff
+ *       for up to 10 attempts. Endpoints that fail 20 deliveries in a row are disabled and
+ *       the owner is emailed. A user can have at most 10 endpoints.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookEndpointInput'
+ *               - required: [url, events]
+ *     responses:
+ *       201:
+ *         description: Endpoint created; the response includes its secret
+ *       400:
+ *         description: Validation error or endpoint limit reached
+ */
+router.route('/')
+  .get(getWebhookEndpoints)
+  .post(createWebhookEndpoint);
+
+/**
+ * @swagger
+ * /api/integrations/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook endpoint, including its secret
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Endpoint
+ *       404:
+ *         description: Webhook endpoint not found
+ *   put:
+ *     summary: Update a webhook endpoint
+ *     description: Setting `isActive` to true re-enables a disabled endpoint and resets its failure count.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookEndpointInput'
+ *               - type: object
+ *                 properties:
+ *                   isActive:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Endpoint updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Webhook endpoint not found
+ *   delete:
+ *     summary: Delete a webhook endpoint and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Endpoint deleted
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.route('/:id')
+  .get(getWebhookEndpoint)
+  .put(updateWebhookEndpoint)
+  .delete(deleteWebhookEndpoint);
+
+/**
+ * @swagger
+ * /api/integrations/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace an endpoint's signing secret
+ *     description: The old secret stops working immediately, including for retries still queued.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Secret rotated; the response includes the new secret
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/integrations/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test event to an endpoint
+ *     description: |
+ *       Sends a `webhook.test` event once, whatever the endpoint subscribes to. The attempt is
+ *       logged but not retried and does not count towards disabling the endpoint.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Outcome of the test delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     delivered:
+ *                       type: boolean
+ *                     delivery:
+ *                       $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.post('/:id/test', testWebhookEndpoint);
+
+/**
+ * @swagger
+ * /api/integrations/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of an endpoint
+ *     description: Deliveries are kept for 30 days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed, cancelled]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         count:
+ *                           type: integer
+ *                         totalItems:
+ *                           type: integer
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+module.exports = router;
@@ -54,7 +54,7 @@ const {
  *           maxLength: 100
  *         type:
  *           type: string
- *           enum: [text, image, video, audio, button, form, map, social_media, testimonial, gallery, slider, countdown, pricing_table, chart, embed, spacer, divider, icon, accordion, tabs, modal, calendar, booking, payment, newsletter, search, menu, breadcrumb, pagination, progress_bar, rating, timeline, custom_html, api_data, weather, clock, calculator, custom_link, media, promotions, products, event, dropdown, app_integration, google_reviews, google_maps, reservations, music_podcast, social_media_widgets]
+ *           enum: [text, image, video, youtube_video, audio, button, form, map, social_media, testimonial, gallery, slider, countdown, pricing_table, chart, embed, spacer, divider, icon, accordion, tabs, modal, calendar, booking, payment, newsletter, search, menu, breadcrumb, pagination, progress_bar, rating, timeline, custom_html, api_data, weather, clock, calculator, custom_link, media, promotions, products, event, dropdown, app_integration, google_reviews, google_maps, reservations, music_podcast, social_media_widgets, pdf, spotify, apple_music, apple_podcast, soundcloud]
  *           description: Widget type
  *         category:
  *           type: string
@@ -114,16 +114,17 @@ const {
  *           description: Widget name
  *         type:
  *           type: string
- *           enum: [text, image, video, audio, button, form, map, social_media, testimonial, gallery, slider, countdown, pricing_table, chart, embed, spacer, divider, icon, accordion, tabs, modal, calendar, booking, payment, newsletter, search, menu, breadcrumb, pagination, progress_bar, rating, timeline, custom_html, api_data, weather, clock, calculator, custom_link, media, promotions, products, event, dropdown, app_integration, google_reviews, google_maps, reservations, music_podcast, social_media_widgets]
+ *           enum: [text, image, video, youtube_video, audio, button, form, map, social_media, testimonial, gallery, slider, countdown, pricing_table, chart, embed, spacer, divider, icon, accordion, tabs, modal, calendar, booking, payment, newsletter, search, menu, breadcrumb, pagination, progress_bar, rating, timeline, custom_html, api_data, weather, clock, calculator, custom_link, media, promotions, products, event, dropdown, app_integration, google_reviews, google_maps, reservations, music_podcast, social_media_widgets, pdf, spotify, apple_music, apple_podcast, soundcloud]
  *         pageId:
  *           type: string
  *           description: Page ID this widget belongs to
  *         category:
  *           type: string
  *           enum: [content, media, form, navigation, ecommerce, social, utility, custom]
+ *           description: Defaults to the category of the widget type
  *         settings:
  *           type: object
- *           description: Widget settings
+ *           description: Widget settings, validated against the type's schema (see GET /api/builder/widgets/types). Missing type settings are filled from the type's defaults.
  *           properties:
  *             content:
  *               type: object
@@ -162,9 +163,98 @@ const {
  *               order:
  *                 type: number
  *
+ *     WidgetValidationError:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *           example: Validation error
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: settings.specific.countdown.targetDate
+ *               message:
+ *                 type: string
+ *                 example: '"targetDate" is required'
+ *
+ *     FormFieldDefinition:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Key of the answer in formData; letters, numbers and underscores, unique within the form
+ *         type:
+ *           type: string
+ *           enum: [text, email, phone, textarea, select, checkbox, radio, file, date, number, url]
+ *         label:
+ *           type: string
+ *         placeholder:
+ *           type: string
+ *         helpText:
+ *           type: string
+ *         required:
+ *           type: boolean
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Choices for select and radio (required) and checkbox fields. A checkbox without options is a single yes/no box.
+ *         validation:
+ *           type: object
+ *           properties:
+ *             minLength:
+ *               type: integer
+ *             maxLength:
+ *               type: integer
+ *             pattern:
+ *               type: string
+ *               description: Regular expression the answer must match
+ *             patternMessage:
+ *               type: string
+ *               description: Error shown when the pattern does not match
+ *             minValue:
+ *               type: number
+ *             maxValue:
+ *               type: number
+ *             fileTypes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: [image/*, .pdf]
+ *             maxFileSizeMb:
+ *               type: number
+ *               maximum: 10
+ *         visibleWhen:
+ *           type: object
+ *           description: Show the field only when an earlier field matches
+ *           properties:
+ *             field:
+ *               type: string
+ *             operator:
+ *               type: string
+ *               enum: [equals, not_equals, contains, filled, empty]
+ *               default: equals
+ *             value:
+ *               oneOf:
+ *                 - type: string
+ *                 - type: number
+ *                 - type: boolean
+ *
  *     WidgetSpecificSettings:
  *       type: object
- *       description: Type-specific widget settings
+ *       description: |
+ *         Type-specific widget settings. Types without a property below (countdown, pricingTable,
+ *         gallery, booking, calculator, timeline, ...) are described by GET /api/builder/widgets/types.
  *       properties:
  *         customLink:
  *           type: object
@@ -247,6 +337,14 @@ const {
  *               description: Include phone number field
  *             phoneNumberPlaceholder:
  *               type: string
+ *             fields:
+ *               type: array
+ *               description: Custom fields in display order. When present they replace the email and phone fields.
+ *               items:
+ *                 $ref: '#/components/schemas/FormFieldDefinition'
+ *             submitButtonText:
+ *               type: string
+ *               default: Submit
  *         promotions:
  *           type: object
  *           description: Promotions widget settings
@@ -460,6 +558,10 @@ const {
  *                       $ref: '#/components/schemas/Widget'
  *       400:
  *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WidgetValidationError'
  *       401:
  *         description: Unauthorized
  *       404:
@@ -625,6 +727,10 @@ router.get('/:id', auth, getWidgetById);
  *                       $ref: '#/components/schemas/Widget'
  *       400:
  *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WidgetValidationError'
  *       401:
  *         description: Unauthorized
  *       404:
@@ -1127,7 +1233,15 @@ router.get('/:id/preview', auth, getWidgetPreview);
  * /api/builder/widgets/types:
  *   get:
  *     summary: Get available widget types
+ *     description: Every widget type with its category, defaults and the setting paths its schema requires
  *     tags: [Widgets]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [content, media, form, navigation, ecommerce, social, utility, custom]
+ *         description: Only types in this category
  *     responses:
  *       200:
  *         description: Widget types retrieved successfully
@@ -1141,11 +1255,13 @@ router.get('/:id/preview', auth, getWidgetPreview);
  *                 data:
  *                   type: object
  *                   properties:
- *                     types:
+ *                     widgetTypes:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
+ *                           type:
+ *                             type: string
  *                           name:
  *                             type: string
  *                           category:
@@ -1154,8 +1270,23 @@ router.get('/:id/preview', auth, getWidgetPreview);
  *                             type: string
  *                           icon:
  *                             type: string
+ *                           specificKey:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Key under settings.specific holding the type's settings
+ *                           defaults:
+ *                             description: Initial settings for a new widget of this type
  *                           settings:
  *                             type: object
+ *                             properties:
+ *                               required:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               optional:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
  */
 router.get('/types', getWidgetTypes);
 
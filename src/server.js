@@ -11,6 +11,11 @@ if (process.env.VERCEL !== '1') {
     .connect(process.env.MONGODB_URI)
     .then(() => {
       console.log('Connected to MongoDB');
+
+      // Background jobs (reminders, renewal notices, data retention)
+      if (process.env.JOBS_ENABLED !== 'false') {
+        require('./jobs').startScheduler();
+      }
       // Start server
       const PORT = process.env.PORT || 3000;
       const server = app.listen(PORT, () => {
@@ -31,7 +36,8 @@ if (process.env.VERCEL !== '1') {
       process.exit(1);
     });
 } else {
-  // For Vercel serverless, connect to MongoDB without starting server
+  // For Vercel serverless, connect to MongoDB without starting server. Background jobs run from
+  // the cron in vercel.json, which calls GET /api/admin/jobs/tick.
   mongoose
     .connect(process.env.MONGODB_URI)
     .then(() => {
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const Token = require('../models/token.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const PersonalProfile = require('../models/personalProfile.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const SocialMediaLink = require('../models/socialMediaLink.model');
+const Favorite = require('../models/favorite.model');
+const Folder = require('../models/folder.model');
+const FormSubmission = require('../models/formSubmission.model');
+const PageReport = require('../models/pagereport.model');
+const CommunityPost = require('../models/communityPost.model');
+const CommunityComment = require('../models/communityComment.model');
+const ChangelogEntry = require('../models/changelogEntry.model');
+const SupportTicket = require('../models/supportTicket.model');
+const Subscription = require('../models/subscription.model');
+const PaymentMethod = require('../models/paymentMethod.model');
+const PaymentSettings = require('../models/paymentSettings.model');
+const PaymentHistory = require('../models/paymentHistory.model');
+const Transaction = require('../models/transaction.model');
+const UserSearch = require('../models/userSearch.model');
+const ClickTracking = require('../models/clickTracking.model');
+const ViewLog = require('../models/viewLog.model');
+const DataExport = require('../models/dataExport.model');
+const LinkCheck = require('../models/linkCheck.model');
+const FormNotification = require('../models/formNotification.model');
+const WebhookEndpoint = require('../models/webhookEndpoint.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const StoredAsset = require('../models/storedAsset.model');
+const { stripe } = require('./stripe');
+const { deleteMedia, getMediaFromUrl } = require('./cloudinary');
+const { deleteExportFile } = require('./dataExport');
+
+const CLOSED_SUBSCRIPTION_STATUSES = ['canceled', 'incomplete_expired'];
+
+const hashEmail = (email) =>
+  crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+
+// Stripe objects that are already gone count as removed
+const ignoreMissing = (error) => {
+  if (error && error.code === 'resource_missing') return null;
+  throw error;
+};
+
+// Collect every Cloudinary asset referenced anywhere in the given documents
+function collectMedia(documents, media = new Map()) {
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      const asset = getMediaFromUrl(value);
+      if (asset) media.set(asset.publicId, asset);
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+      Object.values(value).forEach(visit);
+    }
+  };
+
+  documents.forEach(visit);
+  return media;
+}
+
+// Cancel the user's Stripe subscriptions and delete their Stripe customers.
+// Runs before any local data is removed so a failure can be retried with the IDs still known.
+async function removeStripeData(user, subscriptions) {
+  const cancelledSubscriptions = [];
+  const deletedCustomers = [];
+
+  for (const subscription of subscriptions) {
+    const subscriptionId = subscription.stripeData?.subscriptionId;
+    if (!subscriptionId || CLOSED_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      continue;
+    }
+
+    await stripe.subscriptions.cancel(subscriptionId).catch(ignoreMissing);
+    cancelledSubscriptions.push(subscriptionId);
+  }
+
+  const customerIds = new Set(
+    subscriptions.map(subscription => subscription.stripeData?.customerId).filter(Boolean)
+  );
+
+  // Payment intents create customers by email without storing the ID locally
+  if (user && user.email) {
+    const customers = await stripe.customers.list({ email: user.email, limit: 100 });
+    customers.data.forEach(customer => customerIds.add(customer.id));
+  }
+
+  for (const customerId of customerIds) {
+    await stripe.customers.del(customerId).catch(ignoreMissing);
+    deletedCustomers.push(customerId);
+  }
+
+  return { cancelledSubscriptions, deletedCustomers };
+}
+
+// Remove Cloudinary assets one by one; a failed asset is counted but does not stop the purge
+async function removeMedia(media) {
+  const result = { deleted: 0, failed: 0 };
+
+  for (const { publicId, resourceType } of media.values()) {
+    try {
+      await deleteMedia(publicId, resourceType);
+      result.deleted += 1;
+    } catch (error) {
+      result.failed += 1;
+    }
+  }
+
+  return result;
+}
+
+// Permanently remove a user and everything they own. Returns what was removed for the audit record.
+async function purgeAccount(id) {
+  const userId = new mongoose.Types.ObjectId(String(id));
+  const user = await User.findById(userId).lean();
+
+  const subscriptions = await Subscription.find({ userId }).lean();
+  const stripeResult = await removeStripeData(user, subscriptions);
+
+  const [personalProfiles, businessProfiles, pages, widgets, posts, tickets, storedAssets] = await Promise.all([
+    PersonalProfile.find({ userId }).lean(),
+    BusinessProfile.find({ userId }).lean(),
+    BuilderPage.find({ userId }).lean(),
+    Widget.find({ userId }).lean(),
+    CommunityPost.find({ userId }),
+    SupportTicket.find({ userId }).lean(),
+    // Every recorded upload, including widget assets never placed in a widget
+    StoredAsset.find({ userId }).select('url').lean()
+  ]);
+
+  // Files visitors uploaded through the user's forms
+  const submissions = await FormSubmission.find({ pageId: { $in: pages.map(page => page._id) } })
+    .select('formData')
+    .lean();
+
+  const media = collectMedia([
+    user,
+    ...personalProfiles,
+    ...businessProfiles,
+    ...pages,
+    ...widgets,
+    ...posts.map(post => post.toObject()),
+    ...tickets,
+    ...submissions,
+    ...storedAssets
+  ].filter(Boolean));
+  const mediaResult = await removeMedia(media);
+
+  const pageIds = pages.map(page => page._id);
+  const businessIds = businessProfiles.map(profile => profile._id);
+  const favoriteTargetIds = [...pageIds, ...businessIds, ...widgets.map(widget => widget._id)];
+
+  const removed = {};
+  const record = (name, result) => {
+    removed[name] = (removed[name] || 0) + (result?.deletedCount || 0);
+  };
+
+  // Other users' favorites of this user's pages, profiles and widgets; keep their folder counts right
+  const foreignFavorites = await Favorite.aggregate([
+    { $match: { widgetId: { $in: favoriteTargetIds }, userId: { $ne: userId } } },
+    { $group: { _id: '$folderId', count: { $sum: 1 } } }
+  ]);
+  record('favorites', await Favorite.deleteMany({ widgetId: { $in: favoriteTargetIds }, userId: { $ne: userId } }));
+  if (foreignFavorites.length > 0) {
+    await Folder.bulkWrite(foreignFavorites.filter(group => group._id).map(group => ({
+      updateOne: {
+        filter: { _id: group._id },
+        update: { $inc: { itemCount: -group.count } }
+      }
+    })));
+  }
+
+  // Community posts go one at a time so topic post counts are updated
+  for (const post of posts) {
+    await post.deleteOne();
+  }
+  removed.communityPosts = posts.length;
+
+  // Comments on the user's posts go with them. Their comments on other posts become deleted
+  // placeholders, so other people's replies keep their place in the thread.
+  const postIds = posts.map(post => post._id);
+  const foreignComments = await CommunityComment.aggregate([
+    { $match: { userId, postId: { $nin: postIds }, isDeleted: false, isHidden: false } },
+    { $group: { _id: '$postId', count: { $sum: 1 } } }
+  ]);
+  if (foreignComments.length > 0) {
+    await CommunityPost.bulkWrite(foreignComments.map(group => ({
+      updateOne: {
+        filter: { _id: group._id },
+        update: { $inc: { commentCount: -group.count } }
+      }
+    })));
+  }
+  await CommunityComment.updateMany(
+    { userId, postId: { $nin: postIds }, isDeleted: false },
+    { $set: { isDeleted: true, deletedAt: new Date() }, $unset: { content: 1, businessId: 1 } }
+  );
+
+  // Export archives hold a full copy of the account
+  const dataExports = await DataExport.find({ userId, fileId: { $exists: true } }).select('fileId').lean();
+  for (const dataExport of dataExports) {
+    await deleteExportFile(dataExport.fileId);
+  }
+  await CommunityPost.updateMany(
+    { 'likes.userId': userId },
+    { $pull: { likes: { userId } }, $inc: { likeCount: -1 } }
+  );
+
+  const [
+    favorites, folders, formSubmissions, pageReports, widgetsRemoved, pagesRemoved,
+    businessProfilesRemoved, personalProfilesRemoved, socialMediaLinks, supportTickets,
+    subscriptionsRemoved, paymentMethods, paymentSettings, paymentHistory, transactions,
+    searches, clicks, views, tokens, settings, exportsRemoved, linkChecks, formNotifications,
+    webhookEndpoints, webhookDeliveries, communityComments, changelogEntries, storedAssetsRemoved
+  ] = await Promise.all([
+    Favorite.deleteMany({ userId }),
+    Folder.deleteMany({ userId }),
+    FormSubmission.deleteMany({ $or: [{ pageId: { $in: pageIds } }, { userId }] }),
+    PageReport.deleteMany({ $or: [{ pageId: { $in: pageIds } }, { userId }] }),
+    Widget.deleteMany({ userId }),
+    BuilderPage.deleteMany({ userId }),
+    BusinessProfile.deleteMany({ userId }),
+    PersonalProfile.deleteMany({ userId }),
+    SocialMediaLink.deleteMany({ userId }),
+    SupportTicket.deleteMany({ userId }),
+    Subscription.deleteMany({ userId }),
+    PaymentMethod.deleteMany({ userId }),
+    PaymentSettings.deleteMany({ userId }),
+    PaymentHistory.deleteMany({ userId }),
+    Transaction.deleteMany({ userId }),
+    UserSearch.deleteMany({ userId }),
+    ClickTracking.deleteMany({ $or: [{ userId }, { targetOwnerId: userId }] }),
+    ViewLog.deleteMany({ $or: [{ viewerId: userId }, { targetId: { $in: [...pageIds, ...businessIds] } }] }),
+    Token.deleteMany({ userId }),
+    UserSettings.deleteMany({ userId }),
+    DataExport.deleteMany({ userId }),
+    LinkCheck.deleteMany({ userId }),
+    FormNotification.deleteMany({ userId }),
+    WebhookEndpoint.deleteMany({ userId }),
+    WebhookDelivery.deleteMany({ userId }),
+    CommunityComment.deleteMany({ postId: { $in: postIds } }),
+    ChangelogEntry.deleteMany({ postId: { $in: postIds } }),
+    StoredAsset.deleteMany({ userId })
+  ]);
+
+  record('favorites', favorites);
+  record('folders', folders);
+  record('formSubmissions', formSubmissions);
+  record('pageReports', pageReports);
+  record('widgets', widgetsRemoved);
+  record('builderPages', pagesRemoved);
+  record('businessProfiles', businessProfilesRemoved);
+  record('personalProfiles', personalProfilesRemoved);
+  record('socialMediaLinks', socialMediaLinks);
+  record('supportTickets', supportTickets);
+  record('subscriptions', subscriptionsRemoved);
+  record('paymentMethods', paymentMethods);
+  record('paymentSettings', paymentSettings);
+  record('paymentHistory', paymentHistory);
+  record('transactions', transactions);
+  record('userSearches', searches);
+  record('clickTracking', clicks);
+  record('viewLogs', views);
+  record('tokens', tokens);
+  record('userSettings', settings);
+  record('dataExports', exportsRemoved);
+  record('linkChecks', linkChecks);
+  record('formNotifications', formNotifications);
+  record('webhookEndpoints', webhookEndpoints);
+  record('webhookDeliveries', webhookDeliveries);
+  record('communityComments', communityComments);
+  record('changelogEntries', changelogEntries);
+  record('storedAssets', storedAssetsRemoved);
+
+  if (user) {
+    record('loginThrottles', await LoginThrottle.deleteMany({ scope: 'account', key: LoginThrottle.normalizeKey('account', user.email) }));
+  }
+  record('users', await User.deleteOne({ _id: userId }));
+
+  return {
+    removed,
+    media: mediaResult,
+    stripe: stripeResult
+  };
+}
+
+module.exports = {
+  hashEmail,
+  purgeAccount
+};
@@ -0,0 +1,18 @@
+const Joi = require('joi');
+
+// Validate account deletion audit listing filters
+exports.validateAccountDeletionsQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('pending', 'cancelled', 'processing', 'completed', 'failed').optional(),
+    userId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'userId must be a valid MongoDB ObjectId'
+      }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+
+// Order in which metric sections are written to the export file
+const EXPORT_SECTIONS = ['views', 'clicks', 'engagement', 'locations', 'devices', 'referrals', 'peakHours', 'rawData'];
+
+// Human readable sheet names (Excel limits sheet names to 31 characters)
+const SECTION_LABELS = {
+  views: 'Views',
+  clicks: 'Clicks',
+  engagement: 'Engagement',
+  locations: 'Locations',
+  devices: 'Devices',
+  referrals: 'Referrals',
+  peakHours: 'Peak Hours',
+  rawData: 'Raw Data'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Spreadsheet apps read text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Visitor-controlled text (referrers, UTM values, page titles) must stay text when the file is
+// opened, so it gets a leading apostrophe
+const escapeFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+const toRawCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const cell = toRawCellValue(item);
+      return cell !== null && typeof cell === 'object' ? JSON.stringify(cell) : cell;
+    }).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Convert a single value into something a spreadsheet cell can hold
+ * @param {*} value - Raw value from an aggregation result
+ * @returns {string|number|boolean|null} Cell value
+ */
+const toCellValue = (value) => {
+  const cell = toRawCellValue(value);
+  return typeof cell === 'string' ? escapeFormula(cell) : cell;
+};
+
+/**
+ * Flatten a nested document into dot-notated columns
+ * @param {object} doc - Document or aggregation row
+ * @param {string} prefix - Column prefix for nested keys
+ * @param {object} row - Accumulator
+ * @returns {object} Flat row
+ */
+const flattenRow = (doc, prefix = '', row = {}) => {
+  Object.entries(doc || {}).forEach(([key, value]) => {
+    // Totals computed with `_id: null` carry no useful group key
+    if (!prefix && key === '_id' && value === null) return;
+
+    const isNested = value &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      !(value instanceof Date) &&
+      !(value instanceof mongoose.Types.ObjectId);
+
+    // Aggregation group keys ({ year, month, day }) read better without the _id prefix
+    const column = prefix ? `${prefix}.${key}` : (key === '_id' && isNested ? '' : key);
+
+    if (isNested) {
+      flattenRow(value, column, row);
+    } else {
+      row[column] = toCellValue(value);
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Turn the collected export data into one list of flat rows per section
+ * @param {object} exportData - Metric name => aggregation result
+ * @returns {Array<{name: string, rows: Array<object>}>} Sections in export order
+ */
+const buildExportSections = (exportData) => {
+  return EXPORT_SECTIONS
+    .filter(section => exportData[section] !== undefined)
+    .map(section => {
+      const data = exportData[section];
+      const rows = (Array.isArray(data) ? data : [data]).map(item => flattenRow(item));
+      return { name: section, rows };
+    });
+};
+
+/**
+ * Build a worksheet for a section, keeping a header row even when empty
+ * @param {Array<object>} rows - Flat rows
+ * @returns {object} XLSX worksheet
+ */
+const buildSheet = (rows) => {
+  if (rows.length === 0) {
+    return XLSX.utils.aoa_to_sheet([['No data for the selected period']]);
+  }
+
+  // Collect every column seen across rows so sparse rows line up
+  const header = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!header.includes(key)) header.push(key);
+    });
+  });
+
+  return XLSX.utils.json_to_sheet(rows, { header });
+};
+
+/**
+ * Generate an XLSX workbook with one sheet per metric
+ * @param {object} exportData - Metric name => aggregation result
+ * @param {object} exportInfo - Export metadata (target, dates, metrics)
+ * @returns {Buffer} XLSX file contents
+ */
+const generateXlsx = (exportData, exportInfo = {}) => {
+  const workbook = XLSX.utils.book_new();
+
+  const summary = XLSX.utils.aoa_to_sheet([
+    ['Target ID', toCellValue(exportInfo.targetId)],
+    ['Target Type', toCellValue(exportInfo.targetType)],
+    ['Start Date', toCellValue(exportInfo.startDate)],
+    ['End Date', toCellValue(exportInfo.endDate)],
+    ['Group By', toCellValue(exportInfo.groupBy)],
+    ['Metrics', toCellValue(exportInfo.metrics)],
+    ['Generated At', toCellValue(exportInfo.generatedAt || new Date())]
+  ]);
+  XLSX.utils.book_append_sheet(workbook, summary, 'Summary');
+
+  buildExportSections(exportData).forEach(({ name, rows }) => {
+    XLSX.utils.book_append_sheet(workbook, buildSheet(rows), SECTION_LABELS[name]);
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Generate a CSV document with one titled section per metric
+ * @param {object} exportData - Metric name => aggregation result
+ * @returns {string} CSV contents
+ */
+const generateCsv = (exportData) => {
+  return buildExportSections(exportData)
+    .map(({ name, rows }) => {
+      const csv = XLSX.utils.sheet_to_csv(buildSheet(rows));
+      return `# ${SECTION_LABELS[name]}\n${csv}`;
+    })
+    .join('\n\n');
+};
+
+/**
+ * Build a download file name for an export
+ * @param {string} targetId - Exported target ID
+ * @param {string} format - csv or xlsx
+ * @returns {string} File name
+ */
+const getExportFileName = (targetId, format) => {
+  const date = new Date().toISOString().split('T')[0];
+  return `analytics-${targetId}-${date}.${format}`;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  flattenRow,
+  buildExportSections,
+  generateXlsx,
+  generateCsv,
+  getExportFileName
+};
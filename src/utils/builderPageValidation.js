@@ -0,0 +1,41 @@
+const Joi = require('joi');
+
+// Validate scheduled publishing; null clears a scheduled time
+exports.validatePageSchedule = (data) => {
+  const schema = Joi.object({
+    publishAt: Joi.date().iso().greater('now').allow(null).optional(),
+    unpublishAt: Joi.date().iso().greater('now').allow(null).optional()
+      .when('publishAt', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('publishAt')).messages({
+          'date.greater': 'unpublishAt must be after publishAt'
+        })
+      })
+  }).min(1);
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate a page's form notification rules; only the sections sent are changed
+exports.validateFormNotifications = (data) => {
+  const schema = Joi.object({
+    email: Joi.object({
+      enabled: Joi.boolean(),
+      includeOwner: Joi.boolean(),
+      recipients: Joi.array().items(Joi.string().trim().lowercase().email()).max(10).unique()
+    }),
+    autoReply: Joi.object({
+      enabled: Joi.boolean(),
+      subject: Joi.string().trim().max(200).allow(''),
+      message: Joi.string().trim().max(5000).allow('')
+    }),
+    webhook: Joi.object({
+      enabled: Joi.boolean(),
+      url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).allow(''),
+      // Issue a new signing secret; the old one stops working immediately
+      rotateSecret: Joi.boolean()
+    })
+  }).min(1);
+
+  return schema.validate(data, { abortEarly: false });
+};
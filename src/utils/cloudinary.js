@@ -1,5 +1,11 @@
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
+const {
+  FORM_UPLOAD_MIME_TYPES,
+  MAX_FILE_SIZE_MB,
+  MAX_FILES_PER_SUBMISSION,
+  matchesFileType
+} = require('./formFields');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -59,6 +65,25 @@ const uploadSupport = multer({
   },
 });
 
+// Create multer upload middleware for files attached to form submissions. Each form field can
+// narrow the accepted types further; see utils/formFields.
+const uploadFormFiles = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES_PER_SUBMISSION,
+  },
+  fileFilter: (req, file, cb) => {
+    if (matchesFileType(file, FORM_UPLOAD_MIME_TYPES)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only images, PDFs, text, Word and Excel files are allowed!');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  },
+});
+
 // Helper function to upload image to Cloudinary
 const uploadToCloudinary = async (fileBuffer, options = {}) => {
   return new Promise((resolve, reject) => {
@@ -128,13 +153,32 @@ const extractPublicId = (url) => {
   return publicId;
 };
 
+// Helper function to get the public ID and resource type of any Cloudinary delivery URL,
+// skipping transformations and the version segment. Returns null for other URLs.
+const getMediaFromUrl = (url) => {
+  if (typeof url !== 'string') return null;
+
+  const match = url.match(
+    /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:[a-z]{1,3}_[^/]+\/)*(?:v\d+\/)?([^?#]+)/i
+  );
+  if (!match) return null;
+
+  const resourceType = match[1].toLowerCase();
+  // Raw files keep their extension as part of the public ID
+  const publicId = resourceType === 'raw' ? match[2] : match[2].replace(/\.[a-z0-9]+$/i, '');
+
+  return { publicId, resourceType };
+};
+
 module.exports = {
   cloudinary,
   upload,
   uploadMedia,
   uploadSupport,
+  uploadFormFiles,
   uploadToCloudinary,
   deleteImage,
   deleteMedia,
   extractPublicId,
+  getMediaFromUrl,
 }; 
\ No newline at end of file
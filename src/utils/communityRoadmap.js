@@ -0,0 +1,124 @@
+const CommunityPost = require('../models/communityPost.model');
+const ChangelogEntry = require('../models/changelogEntry.model');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const { sendRoadmapReleaseEmail } = require('./email');
+
+// Roadmap columns, in display order
+const ROADMAP_COLUMNS = [
+  { status: 'planned', label: 'Planned' },
+  { status: 'in-progress', label: 'In Progress' },
+  { status: 'completed', label: 'Completed' }
+];
+
+// Email everyone who liked a shipped post, except whoever completed it. Claims the entry first so
+// completing a post twice, or two requests at once, never email anyone twice. Never throws.
+async function notifyLikers(entry, post, actorId) {
+  try {
+    const claimed = await ChangelogEntry.findOneAndUpdate(
+      { _id: entry._id, notifiedAt: null },
+      { $set: { notifiedAt: new Date() } }
+    );
+    if (!claimed) return 0;
+
+    const likerIds = (post.likes || [])
+      .map(like => like.userId)
+      .filter(id => String(id) !== String(actorId));
+    if (likerIds.length === 0) return 0;
+
+    const [users, optedOut] = await Promise.all([
+      User.find({ _id: { $in: likerIds } }).select('email firstName').lean(),
+      UserSettings.find({ userId: { $in: likerIds }, 'notifications.email.updates': false }).select('userId').lean()
+    ]);
+    const skipped = new Set(optedOut.map(settings => String(settings.userId)));
+
+    let sent = 0;
+    for (const user of users) {
+      if (!user.email || skipped.has(String(user._id))) continue;
+      try {
+        await sendRoadmapReleaseEmail(user.email, user.firstName, {
+          postTitle: entry.title,
+          releaseNote: entry.releaseNote,
+          releasedAt: entry.releasedAt
+        });
+        sent += 1;
+      } catch (error) {
+        // One bad address does not stop the rest
+      }
+    }
+
+    await ChangelogEntry.updateOne({ _id: entry._id }, { $set: { notifiedCount: sent } });
+    return sent;
+  } catch (error) {
+    console.error('Roadmap notification error:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Record a moderator setting a post's implementation status. The post joins the roadmap; moving
+ * it to completed stamps it, publishes its changelog entry (created on first completion) and
+ * emails the users who liked it; moving it back out of completed unpublishes the entry.
+ * Only call this for changes made by a community moderator.
+ * @param {object} post - The post after the change, with its likes
+ * @param {string|null} previousStatus - Status before the change, null for new posts
+ * @param {object} options - Options
+ * @param {string} options.releaseNote - Release note; defaults to the post's description on first completion
+ * @param {Date} options.releasedAt - Release date; defaults to now
+ * @param {string} options.userId - Moderator who made the change
+ * @returns {Promise<object|null>} The changelog entry, when the post was completed
+ */
+async function recordStatusChange(post, previousStatus, { releaseNote, releasedAt, userId } = {}) {
+  const statusSet = { statusSetBy: userId, statusSetAt: new Date() };
+
+  if (post.implementationStatus !== 'completed') {
+    const leftCompleted = previousStatus === 'completed';
+
+    await Promise.all([
+      CommunityPost.updateOne(
+        { _id: post._id },
+        { $set: statusSet, ...(leftCompleted && { $unset: { completedAt: 1 } }) }
+      ),
+      leftCompleted
+        ? ChangelogEntry.updateOne({ postId: post._id }, { $set: { isPublished: false, updatedBy: userId } })
+        : null
+    ]);
+    return null;
+  }
+
+  if (previousStatus === 'completed') {
+    await CommunityPost.updateOne({ _id: post._id }, { $set: statusSet });
+    return null;
+  }
+
+  const completedAt = releasedAt || new Date();
+  await CommunityPost.updateOne({ _id: post._id }, { $set: { ...statusSet, completedAt } });
+
+  // Wording a moderator gave the entry is kept when the post is completed again
+  const entry = await ChangelogEntry.findOneAndUpdate(
+    { postId: post._id },
+    {
+      $set: {
+        topicId: post.topicId?._id || post.topicId,
+        releasedAt: completedAt,
+        isPublished: true,
+        updatedBy: userId,
+        ...(releaseNote && { releaseNote })
+      },
+      $setOnInsert: {
+        title: post.title,
+        createdBy: userId,
+        ...(!releaseNote && { releaseNote: post.description })
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  notifyLikers(entry, post, userId);
+  return entry;
+}
+
+module.exports = {
+  ROADMAP_COLUMNS,
+  recordStatusChange
+};
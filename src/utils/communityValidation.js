@@ -216,6 +216,20 @@ const updateStatusSchema = Joi.object({
     .messages({
       'any.only': 'Implementation status must be one of: completed, in-progress, planned',
       'any.required': 'Implementation status is required'
+    }),
+  // Used for the changelog entry when the post moves to completed
+  releaseNote: Joi.string()
+    .trim()
+    .max(2000)
+    .optional()
+    .messages({
+      'string.max': 'Release note cannot exceed 2000 characters'
+    }),
+  releasedAt: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'Release date must be an ISO date'
     })
 });
 
@@ -322,6 +336,180 @@ const getTopicsSchema = Joi.object({
     })
 });
 
+// Validation for commenting on a post or replying to a comment
+const createCommentSchema = Joi.object({
+  content: Joi.string()
+    .trim()
+    .min(1)
+    .max(2000)
+    .required()
+    .messages({
+      'string.empty': 'Comment is required',
+      'string.max': 'Comment cannot exceed 2000 characters',
+      'any.required': 'Comment is required'
+    }),
+  parentId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Parent comment ID must be a valid MongoDB ObjectId'
+    }),
+  // Only honoured for community moderators, whose comments are official by default
+  official: Joi.boolean()
+    .optional()
+});
+
+// Validation for editing a comment
+const updateCommentSchema = Joi.object({
+  content: Joi.string()
+    .trim()
+    .min(1)
+    .max(2000)
+    .required()
+    .messages({
+      'string.empty': 'Comment is required',
+      'string.max': 'Comment cannot exceed 2000 characters',
+      'any.required': 'Comment is required'
+    })
+});
+
+// Validation for moderating a comment
+const moderateCommentSchema = Joi.object({
+  action: Joi.string()
+    .valid('hide', 'restore')
+    .required()
+    .messages({
+      'any.only': 'Action must be one of: hide, restore',
+      'any.required': 'Action is required'
+    }),
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+});
+
+// Validation for listing a post's comments
+const getCommentsSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .optional()
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50'
+    }),
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .optional()
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+// Validation for the roadmap
+const getRoadmapSchema = Joi.object({
+  topicId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Topic ID must be a valid MongoDB ObjectId'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .default(50)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+// Validation for the changelog
+const getChangelogSchema = Joi.object({
+  topicId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Topic ID must be a valid MongoDB ObjectId'
+    }),
+  from: Joi.date()
+    .iso()
+    .optional(),
+  to: Joi.date()
+    .iso()
+    .optional(),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+// Validation for editing a changelog entry
+const updateChangelogSchema = Joi.object({
+  title: Joi.string()
+    .trim()
+    .min(1)
+    .max(200)
+    .optional()
+    .messages({
+      'string.max': 'Title cannot exceed 200 characters'
+    }),
+  releaseNote: Joi.string()
+    .trim()
+    .max(2000)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Release note cannot exceed 2000 characters'
+    }),
+  releasedAt: Joi.date()
+    .iso()
+    .optional(),
+  isPublished: Joi.boolean()
+    .optional()
+}).min(1);
+
 module.exports = {
   createTopicSchema,
   updateTopicSchema,
@@ -329,5 +517,12 @@ module.exports = {
   updatePostSchema,
   updateStatusSchema,
   getPostsSchema,
-  getTopicsSchema
+  getTopicsSchema,
+  createCommentSchema,
+  updateCommentSchema,
+  moderateCommentSchema,
+  getCommentsSchema,
+  getRoadmapSchema,
+  getChangelogSchema,
+  updateChangelogSchema
 };
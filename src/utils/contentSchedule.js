@@ -0,0 +1,197 @@
+const { zonedTimeToDate } = require('./serviceHours');
+const { validateTimezone } = require('./timezoneValidation');
+
+const LEGACY_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Widget types with dated items, and how to reach those items. Promotions keep their
+ * original MM/DD/YYYY strings; validFrom/validUntil are the dates that are enforced.
+ */
+const SCHEDULED_WIDGET_TYPES = {
+  promotions: {
+    label: 'promotion',
+    getItems: (specific) => (specific && specific.promotions ? [specific.promotions] : []),
+    getName: (item) => item.title,
+    legacyFrom: 'startDate',
+    legacyUntil: 'endDate'
+  },
+  event: {
+    label: 'event',
+    getItems: (specific) => (specific && Array.isArray(specific.event) ? specific.event : []),
+    getName: (item) => item.title,
+    // Events stay listed before they start; they expire once their (end) date is over
+    legacyUntil: ['enddate', 'date']
+  },
+  products: {
+    label: 'product',
+    getItems: (specific) => (specific && Array.isArray(specific.products) ? specific.products : []),
+    getName: (item) => item.productName
+  }
+};
+
+/**
+ * Parse a date entered on a widget. Calendar dates (MM/DD/YYYY or YYYY-MM-DD) are read in the
+ * page's timezone; an end date covers the whole day.
+ * @param {string|Date} value - Date value
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} endOfDay - Return the end of the calendar day instead of its start
+ * @returns {Date|null}
+ */
+function parseScheduleDate(value, timezone = 'UTC', endOfDay = false) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  let dateKey = null;
+
+  const legacy = text.match(LEGACY_DATE_PATTERN);
+  if (legacy) {
+    dateKey = `${legacy[3]}-${legacy[1].padStart(2, '0')}-${legacy[2].padStart(2, '0')}`;
+  } else if (ISO_DATE_PATTERN.test(text)) {
+    dateKey = text;
+  }
+
+  if (dateKey) {
+    const date = zonedTimeToDate(dateKey, endOfDay ? MINUTES_PER_DAY : 0, validateTimezone(timezone, 'UTC'));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Where a dated item stands at the given instant
+ * @param {object} item - Object with optional validFrom/validUntil
+ * @param {Date} now - Reference instant
+ * @returns {'scheduled'|'live'|'expired'}
+ */
+function getScheduleState(item, now = new Date()) {
+  if (item.validUntil && new Date(item.validUntil) <= now) return 'expired';
+  if (item.validFrom && new Date(item.validFrom) > now) return 'scheduled';
+  return 'live';
+}
+
+const scheduleError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Fill in and check the validity windows of a widget's dated items before it is saved.
+ * Missing dates are taken from the legacy strings; the stored state is brought up to date
+ * without notifying, since the owner is making the change.
+ * @param {object} widget - Widget document
+ * @param {string} timezone - Timezone of the widget's page
+ * @param {Date} now - Reference instant
+ */
+function prepareValidityWindows(widget, timezone, now = new Date()) {
+  const config = SCHEDULED_WIDGET_TYPES[widget.type];
+  if (!config) return;
+
+  const legacyUntil = [].concat(config.legacyUntil || []);
+
+  config.getItems(widget.settings && widget.settings.specific).forEach((item, index) => {
+    if (!item.validFrom && config.legacyFrom) {
+      item.validFrom = parseScheduleDate(item[config.legacyFrom], timezone) || undefined;
+    }
+
+    if (!item.validUntil && legacyUntil.length > 0) {
+      const source = legacyUntil.find(field => item[field]);
+      item.validUntil = source ? parseScheduleDate(item[source], timezone, true) || undefined : undefined;
+    }
+
+    if (item.validFrom && item.validUntil && new Date(item.validUntil) <= new Date(item.validFrom)) {
+      throw scheduleError(`${config.label} ${index + 1}: validUntil must be after validFrom`);
+    }
+
+    item.scheduleState = getScheduleState(item, now);
+  });
+}
+
+/**
+ * Drop content that is not live from widgets shown to visitors: promotions outside their
+ * window are removed, events and products are filtered.
+ * @param {Array<object>} widgets - Widget documents or plain objects
+ * @param {Date} now - Reference instant
+ * @returns {Array<object>} Plain widget objects
+ */
+function hideExpiredContent(widgets, now = new Date()) {
+  return widgets
+    .map(widget => (widget.toObject ? widget.toObject() : widget))
+    .filter(widget => {
+      if (widget.type !== 'promotions') return true;
+      const promotion = widget.settings && widget.settings.specific && widget.settings.specific.promotions;
+      return !promotion || getScheduleState(promotion, now) === 'live';
+    })
+    .map(widget => {
+      const specific = widget.settings && widget.settings.specific;
+      if (!specific || (widget.type !== 'event' && widget.type !== 'products')) return widget;
+
+      const key = widget.type === 'event' ? 'event' : 'products';
+      if (!Array.isArray(specific[key])) return widget;
+
+      return {
+        ...widget,
+        settings: {
+          ...widget.settings,
+          specific: {
+            ...specific,
+            [key]: specific[key].filter(item => getScheduleState(item, now) === 'live')
+          }
+        }
+      };
+    });
+}
+
+/**
+ * Mongo filter for widgets with at least one item whose stored state is behind the clock
+ * @param {Date} now - Reference instant
+ * @returns {object}
+ */
+function dueScheduleTransitionsQuery(now = new Date()) {
+  const dueItem = {
+    $or: [
+      { scheduleState: 'scheduled', validFrom: { $lte: now } },
+      { scheduleState: { $in: ['scheduled', 'live'] }, validUntil: { $lte: now } }
+    ]
+  };
+
+  return {
+    $or: [
+      {
+        type: 'promotions',
+        $or: dueItem.$or.map(condition => Object.fromEntries(
+          Object.entries(condition).map(([field, value]) => [`settings.specific.promotions.${field}`, value])
+        ))
+      },
+      { type: 'event', 'settings.specific.event': { $elemMatch: dueItem } },
+      { type: 'products', 'settings.specific.products': { $elemMatch: dueItem } }
+    ]
+  };
+}
+
+/**
+ * Whether a published page is visible to visitors at the given instant
+ * @param {object} page - BuilderPage document or plain object
+ * @param {Date} now - Reference instant
+ * @returns {boolean}
+ */
+function isPageLive(page, now = new Date()) {
+  if (!page || !page.settings || !page.settings.isPublished) return false;
+  if (page.moderation && page.moderation.isForceUnpublished) return false;
+  return !(page.unpublishAt && new Date(page.unpublishAt) <= now);
+}
+
+module.exports = {
+  SCHEDULED_WIDGET_TYPES,
+  parseScheduleDate,
+  getScheduleState,
+  prepareValidityWindows,
+  hideExpiredContent,
+  dueScheduleTransitionsQuery,
+  isPageLive
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const UserSettings = require('../models/userSettings.model');
+const PersonalProfile = require('../models/personalProfile.model');
+const BusinessProfile = require('../models/businessProfile.model');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const SocialMediaLink = require('../models/socialMediaLink.model');
+const Favorite = require('../models/favorite.model');
+const Folder = require('../models/folder.model');
+const FormSubmission = require('../models/formSubmission.model');
+const CommunityPost = require('../models/communityPost.model');
+const CommunityComment = require('../models/communityComment.model');
+const SupportTicket = require('../models/supportTicket.model');
+const Subscription = require('../models/subscription.model');
+const PaymentMethod = require('../models/paymentMethod.model');
+const PaymentSettings = require('../models/paymentSettings.model');
+const PaymentHistory = require('../models/paymentHistory.model');
+const Transaction = require('../models/transaction.model');
+const UserSearch = require('../models/userSearch.model');
+const ViewLog = require('../models/viewLog.model');
+const { createZip } = require('./zip');
+
+const BUCKET_NAME = 'dataExports';
+const DOWNLOAD_TOKEN_PURPOSE = 'data-export';
+
+// Credentials and one-time codes are never part of an export
+const USER_EXCLUDED_FIELDS = [
+  '-password',
+  '-twoFactorSecret',
+  '-verificationToken',
+  '-verificationTokenExpires',
+  '-resetPasswordToken',
+  '-resetPasswordExpires',
+  '-forgotPasswordCode',
+  '-forgotPasswordCodeValidation'
+].join(' ');
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+// Flatten nested objects into dot-separated columns; arrays are kept as JSON
+function flatten(value, prefix = '', row = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value._bsontype) {
+    Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, row));
+  } else if (prefix) {
+    row[prefix] = value;
+  }
+  return row;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? JSON.stringify(value) : value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(documents) {
+  const rows = documents.map(document => flatten(document));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n');
+}
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+// Support tickets as the customer sees them: no internal notes, and no agent IDs on replies
+const customerTicket = ({ messages = [], ...ticket }) => ({
+  ...ticket,
+  messages: messages
+    .filter(message => !message.isInternal)
+    .map(({ isInternal, authorId, ...message }) => message)
+});
+
+/**
+ * Gather everything a user owns or has generated
+ * @param {string} id - User ID
+ * @returns {Promise<object>} Collections keyed by name
+ */
+async function collectAccountData(id) {
+  const userId = new mongoose.Types.ObjectId(String(id));
+
+  const [user, settings, personalProfiles, businessProfiles, pages] = await Promise.all([
+    User.findById(userId).select(USER_EXCLUDED_FIELDS).lean(),
+    UserSettings.findOne({ userId }).lean(),
+    PersonalProfile.find({ userId }).lean(),
+    BusinessProfile.find({ userId }).lean(),
+    BuilderPage.find({ userId }).lean()
+  ]);
+
+  const pageIds = pages.map(page => page._id);
+
+  const [
+    widgets, socialMediaLinks, favorites, folders, submissionsReceived, submissionsSent,
+    communityPosts, communityComments, supportTickets, subscriptions, paymentMethods,
+    paymentSettings, paymentHistory, transactions, searches, viewLogs
+  ] = await Promise.all([
+    Widget.find({ userId }).lean(),
+    SocialMediaLink.find({ userId }).lean(),
+    Favorite.find({ userId }).lean(),
+    Folder.find({ userId }).lean(),
+    FormSubmission.find({ pageId: { $in: pageIds } }).lean(),
+    FormSubmission.find({ userId, pageId: { $nin: pageIds } }).lean(),
+    CommunityPost.find({ userId }).lean(),
+    CommunityComment.find({ userId, isDeleted: false }).lean(),
+    SupportTicket.find({ userId }).lean(),
+    Subscription.find({ userId }).populate('planId', 'name type price').lean(),
+    PaymentMethod.find({ userId }).lean(),
+    PaymentSettings.findOne({ userId }).lean(),
+    PaymentHistory.find({ userId }).lean(),
+    Transaction.find({ userId }).lean(),
+    UserSearch.find({ userId }).lean(),
+    ViewLog.find({ viewerId: userId }).lean()
+  ]);
+
+  return {
+    user,
+    settings,
+    personalProfiles,
+    businessProfiles,
+    pages,
+    widgets,
+    socialMediaLinks,
+    favorites,
+    folders,
+    submissionsReceived,
+    submissionsSent,
+    communityPosts,
+    communityComments,
+    supportTickets: supportTickets.map(customerTicket),
+    subscriptions,
+    paymentMethods,
+    paymentSettings,
+    paymentHistory,
+    transactions,
+    searches,
+    viewLogs
+  };
+}
+
+/**
+ * Build the export ZIP: one JSON file per collection, plus CSV copies of the tabular ones
+ * @param {string} userId - User ID
+ * @returns {Promise<{buffer: Buffer, counts: object}>}
+ */
+async function buildExportArchive(userId) {
+  const data = await collectAccountData(userId);
+
+  const files = [
+    { name: 'account/user.json', data: toJson(data.user) },
+    { name: 'account/settings.json', data: toJson(data.settings) },
+    { name: 'profiles/personal-profiles.json', data: toJson(data.personalProfiles) },
+    { name: 'profiles/business-profiles.json', data: toJson(data.businessProfiles) },
+    { name: 'profiles/social-media-links.json', data: toJson(data.socialMediaLinks) },
+    // Page versions are stored on the page documents
+    { name: 'pages/builder-pages.json', data: toJson(data.pages) },
+    { name: 'pages/widgets.json', data: toJson(data.widgets) },
+    { name: 'favorites/favorites.json', data: toJson(data.favorites) },
+    { name: 'favorites/favorites.csv', data: toCsv(data.favorites) },
+    { name: 'favorites/folders.json', data: toJson(data.folders) },
+    { name: 'forms/submissions-received.json', data: toJson(data.submissionsReceived) },
+    { name: 'forms/submissions-received.csv', data: toCsv(data.submissionsReceived) },
+    { name: 'forms/submissions-sent.json', data: toJson(data.submissionsSent) },
+    { name: 'community/posts.json', data: toJson(data.communityPosts) },
+    { name: 'community/comments.json', data: toJson(data.communityComments) },
+    { name: 'support/tickets.json', data: toJson(data.supportTickets) },
+    { name: 'billing/subscriptions.json', data: toJson(data.subscriptions) },
+    { name: 'billing/payment-methods.json', data: toJson(data.paymentMethods) },
+    { name: 'billing/payment-settings.json', data: toJson(data.paymentSettings) },
+    { name: 'billing/payment-history.json', data: toJson(data.paymentHistory) },
+    { name: 'billing/transactions.json', data: toJson(data.transactions) },
+    { name: 'billing/transactions.csv', data: toCsv(data.transactions) },
+    { name: 'activity/searches.json', data: toJson(data.searches) },
+    { name: 'activity/searches.csv', data: toCsv(data.searches) },
+    { name: 'activity/view-logs.json', data: toJson(data.viewLogs) },
+    { name: 'activity/view-logs.csv', data: toCsv(data.viewLogs) }
+  ];
+
+  const counts = {};
+  Object.entries(data).forEach(([name, value]) => {
+    counts[name] = Array.isArray(value) ? value.length : value ? 1 : 0;
+  });
+
+  files.unshift({
+    name: 'manifest.json',
+    data: toJson({ exportedAt: new Date(), userId: String(userId), counts, files: files.map(file => file.name) })
+  });
+
+  return { buffer: createZip(files), counts };
+}
+
+// Store an archive in GridFS and resolve to its file id
+function saveExportFile(fileName, buffer, metadata = {}) {
+  return new Promise((resolve, reject) => {
+    const upload = getBucket().openUploadStream(fileName, { contentType: 'application/zip', metadata });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(upload.id));
+    upload.end(buffer);
+  });
+}
+
+const openExportFile = (fileId) => getBucket().openDownloadStream(new mongoose.Types.ObjectId(String(fileId)));
+
+// Remove a stored archive; an already missing file is not an error
+async function deleteExportFile(fileId) {
+  try {
+    await getBucket().delete(new mongoose.Types.ObjectId(String(fileId)));
+  } catch (error) {
+    if (!/file not found/i.test(error.message)) throw error;
+  }
+}
+
+/**
+ * Signed download link, valid until the export expires
+ * @param {object} dataExport - DataExport document
+ * @returns {string} URL
+ */
+function getDownloadUrl(dataExport) {
+  const expiresIn = Math.max(Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000), 1);
+  const token = jwt.sign(
+    { exportId: String(dataExport._id), purpose: DOWNLOAD_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+
+  return `${dataExport.baseUrl}/api/settings/export-data/download?token=${encodeURIComponent(token)}`;
+}
+
+// Export id from a download token, or null when it is invalid or expired
+function verifyDownloadToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === DOWNLOAD_TOKEN_PURPOSE ? decoded.exportId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  buildExportArchive,
+  saveExportFile,
+  openExportFile,
+  deleteExportFile,
+  getDownloadUrl,
+  verifyDownloadToken
+};
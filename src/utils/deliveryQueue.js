@@ -0,0 +1,45 @@
+// How long a delivery stays claimed by one worker before another may retry it
+const CLAIM_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Work through the due deliveries of a queue (form notifications, webhook deliveries). Each
+ * one is claimed first, so the job and the request that queued it never send it twice. The
+ * model needs status, nextAttemptAt and a recordAttempt(result) method.
+ * @param {object} Model - Mongoose model of the queue
+ * @param {Array<string>} ids - Limit to these deliveries (e.g. the ones just queued)
+ * @param {Function} deliver - async (delivery) => void; attempts or cancels the delivery and saves it
+ * @returns {Promise<object>} Counters for the run
+ */
+async function processDueDeliveries(Model, ids, deliver) {
+  const counters = { sent: 0, retrying: 0, failed: 0, cancelled: 0 };
+  const filter = { status: 'pending', nextAttemptAt: { $lte: new Date() } };
+  if (ids) filter._id = { $in: ids };
+
+  for (let processed = 0; processed < BATCH_SIZE; processed += 1) {
+    const delivery = await Model.findOneAndUpdate(
+      filter,
+      { $set: { nextAttemptAt: new Date(Date.now() + CLAIM_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    try {
+      await deliver(delivery);
+    } catch (error) {
+      delivery.recordAttempt({ ok: false, error: error.message });
+      await delivery.save();
+    }
+
+    if (delivery.status === 'sent') counters.sent += 1;
+    else if (delivery.status === 'failed') counters.failed += 1;
+    else if (delivery.status === 'cancelled') counters.cancelled += 1;
+    else counters.retrying += 1;
+  }
+
+  return counters;
+}
+
+module.exports = {
+  processDueDeliveries
+};
@@ -40,6 +40,14 @@ const createTransporter = () => {
   }
 };
 
+// Escape user supplied text (page titles, notes) before putting it into email HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Send verification email
 exports.sendVerificationEmail = async (email, token) => {
   const transporter = createTransporter();
@@ -151,3 +159,419 @@ exports.sendOtpToResetPassword = async (email, otp) => {
     throw new Error(`Failed to send password reset email: ${error.message}`);
   }
 };
+
+const REPORT_STATUS_MESSAGES = {
+  reviewed: 'Our moderation team is reviewing your report.',
+  resolved: 'Our moderation team has reviewed your report and taken action.',
+  dismissed: 'Our moderation team has reviewed your report and found that the page does not break our guidelines.'
+};
+
+// Send page report status update to the reporter
+exports.sendReportStatusEmail = async (email, firstName, { pageTitle, status, resolutionNote }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: `Your report about "${pageTitle}" has been ${status}`,
+    html: `
+      <h1>Report Update</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>Thank you for reporting the page "${escapeHtml(pageTitle)}".</p>
+      <p>${REPORT_STATUS_MESSAGES[status] || `Your report is now ${status}.`}</p>
+      ${resolutionNote ? `<p><strong>Moderator note:</strong> ${escapeHtml(resolutionNote)}</p>` : ''}
+      <p>Best regards,<br>Your Moderation Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send report status email: ${error.message}`);
+  }
+};
+
+const MODERATION_ACTION_MESSAGES = {
+  unpublish: 'has been unpublished by our moderation team and can no longer be published',
+  hide_from_explore: 'has been hidden from explore and search by our moderation team',
+  restore: 'has been restored by our moderation team and can be published and discovered again'
+};
+
+// Send moderation action notice to the page owner
+exports.sendPageModerationEmail = async (email, firstName, { pageTitle, action, note }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: `Moderation update for your page "${pageTitle}"`,
+    html: `
+      <h1>Page Moderation Update</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>Your page "${escapeHtml(pageTitle)}" ${MODERATION_ACTION_MESSAGES[action]}.</p>
+      ${note ? `<p><strong>Reason:</strong> ${escapeHtml(note)}</p>` : ''}
+      <p>If you believe this is a mistake, please contact our support team.</p>
+      <p>Best regards,<br>Your Moderation Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send page moderation email: ${error.message}`);
+  }
+};
+
+// Send favorite reminder email
+exports.sendFavoriteReminderEmail = async (email, firstName, { itemName, reminderNote, reminderDate }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: `Reminder: ${itemName}`,
+    html: `
+      <h1>Favorite Reminder</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>You asked us to remind you about "${escapeHtml(itemName)}" on ${new Date(reminderDate).toLocaleDateString()}.</p>
+      ${reminderNote ? `<p><strong>Your note:</strong> ${escapeHtml(reminderNote)}</p>` : ''}
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send favorite reminder email: ${error.message}`);
+  }
+};
+
+// Send notice before a subscription renews
+exports.sendRenewalNoticeEmail = async (email, firstName, { planName, amount, renewalDate }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: 'Your subscription renews soon',
+    html: `
+      <h1>Upcoming Renewal</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>Your ${escapeHtml(planName)} subscription will renew on ${new Date(renewalDate).toLocaleDateString()}${amount ? ` for ${amount}` : ''}.</p>
+      <p>If you want to change or cancel your plan, you can do so from your subscription settings before the renewal date.</p>
+      <p>Best regards,<br>Your Billing Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send renewal notice email: ${error.message}`);
+  }
+};
+
+// Send notice that an account was temporarily locked after failed logins
+exports.sendAccountLockedEmail = async (email, firstName, { lockedUntil, ipAddress }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: 'Your account was temporarily locked',
+    html: `
+      <h1>Account Temporarily Locked</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>We locked sign-in to your account until ${new Date(lockedUntil).toLocaleString()} after several failed login attempts${ipAddress ? ` from IP address ${escapeHtml(ipAddress)}` : ''}.</p>
+      <p>If this was you, you can try again once the lock expires or reset your password.</p>
+      <p>If this was not you, we recommend:</p>
+      <ul>
+        <li>Changing your password once the lock expires</li>
+        <li>Enabling two-factor authentication</li>
+        <li>Reviewing your active sessions</li>
+      </ul>
+      <p>Best regards,<br>Your Security Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send account locked email: ${error.message}`);
+  }
+};
+
+// Send the download link for a finished account data export
+exports.sendDataExportReadyEmail = async (email, firstName, { downloadUrl, expiresAt }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: 'Your data export is ready',
+    html: `
+      <h1>Your Data Export Is Ready</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>The copy of your account data you requested is ready to download:</p>
+      <a href="${escapeHtml(downloadUrl)}">Download your data</a>
+      <p>The link works until ${new Date(expiresAt).toLocaleString()}. After that the archive is deleted and you can request a new export from your account settings.</p>
+      <p>If you did not request this export, please change your password and review your active sessions.</p>
+      <p>Best regards,<br>Your Privacy Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send data export email: ${error.message}`);
+  }
+};
+
+// Send notice that scheduled content (a page, promotion, event or product) went live or expired
+exports.sendContentScheduleEmail = async (email, firstName, { itemType, itemName, pageTitle, status }) => {
+  const transporter = createTransporter();
+  const isLive = status === 'live';
+  const subjectName = itemName || `your ${itemType}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: isLive ? `${subjectName} is now live` : `${subjectName} has expired`,
+    html: `
+      <h1>${isLive ? 'Scheduled Content Is Live' : 'Scheduled Content Expired'}</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>Your ${escapeHtml(itemType)}${itemName ? ` "${escapeHtml(itemName)}"` : ''}${pageTitle && itemType !== 'page' ? ` on "${escapeHtml(pageTitle)}"` : ''} ${isLive ? 'is now visible to visitors' : 'has reached its end date and is no longer visible to visitors'}.</p>
+      <p>You can change its schedule at any time from the page builder.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send content schedule email: ${error.message}`);
+  }
+};
+
+// Send a digest of links that stopped working
+exports.sendBrokenLinksDigestEmail = async (email, firstName, { links, totalBroken }) => {
+  const transporter = createTransporter();
+
+  const items = links.map(link => `
+        <li>
+          <strong>${escapeHtml(link.label || 'Link')}</strong>${link.location ? ` (${escapeHtml(link.location)})` : ''}<br>
+          ${escapeHtml(link.url)}${link.error ? ` - ${escapeHtml(link.error)}` : ''}
+        </li>`).join('');
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: links.length === 1 ? 'A link on your page is broken' : `${links.length} links on your pages are broken`,
+    html: `
+      <h1>Broken Links Found</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>Visitors following these links are not reaching a working page:</p>
+      <ul>${items}
+      </ul>
+      ${totalBroken > links.length ? `<p>You have ${totalBroken} broken links in total.</p>` : ''}
+      <p>Update or remove them from your social media links and page builder. We will check them again automatically.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send broken links email: ${error.message}`);
+  }
+};
+
+// Send a page owner (or one of their recipients) a new form submission
+exports.sendFormSubmissionEmail = async (email, { pageTitle, formName, fields, submittedAt }) => {
+  const transporter = createTransporter();
+
+  const rows = fields.map(field => `
+        <tr>
+          <td style="padding: 4px 12px 4px 0; vertical-align: top;"><strong>${escapeHtml(field.label)}</strong></td>
+          <td style="padding: 4px 0;">${field.url
+            ? `<a href="${escapeHtml(field.url)}">${escapeHtml(field.value)}</a>`
+            : escapeHtml(field.value).replace(/\n/g, '<br>')}</td>
+        </tr>`).join('');
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: `New submission: ${formName || 'Form'} on ${pageTitle || 'your page'}`,
+    html: `
+      <h1>New Form Submission</h1>
+      <p>Someone filled in ${formName ? `"${escapeHtml(formName)}"` : 'a form'} on ${pageTitle ? `"${escapeHtml(pageTitle)}"` : 'your page'} on ${new Date(submittedAt).toUTCString()}.</p>
+      <table>${rows}
+      </table>
+      <p>You can view and reply to all submissions from your dashboard.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send form submission email: ${error.message}`);
+  }
+};
+
+// Send the submitter the page owner's confirmation message
+exports.sendFormAutoReplyEmail = async (email, { pageTitle, subject, message }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: subject || `Thanks for contacting ${pageTitle || 'us'}`,
+    html: `
+      <p>${escapeHtml(message || 'We have received your message and will get back to you soon.').replace(/\n/g, '<br>')}</p>
+      ${pageTitle ? `<p>${escapeHtml(pageTitle)}</p>` : ''}
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send form auto-reply email: ${error.message}`);
+  }
+};
+
+// Send notice that a webhook endpoint was turned off after repeated failures
+exports.sendWebhookDisabledEmail = async (email, firstName, { url, reason }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: 'A webhook endpoint was disabled',
+    html: `
+      <h1>Webhook Endpoint Disabled</h1>
+      <p>Hello ${firstName || 'User'},</p>
+      <p>We stopped sending events to <strong>${escapeHtml(url)}</strong> because ${escapeHtml(reason)}.</p>
+      <p>Once the endpoint is working again, re-enable it from your integration settings. Events raised while it was disabled are not sent.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send webhook disabled email: ${error.message}`);
+  }
+};
+
+// Send a ticket owner a support reply. Replies to this email are appended to the ticket
+// (see utils/supportEmail), so only the text above the marker is kept.
+const SUPPORT_REPLY_MARKER = '-- Reply above this line --';
+exports.SUPPORT_REPLY_MARKER = SUPPORT_REPLY_MARKER;
+
+exports.sendSupportReplyEmail = async (email, firstName, { ticketId, subject, message, agentName, replyTo, messageId, references }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: `Re: [Ticket ${ticketId}] ${subject}`,
+    html: `
+      ${replyTo ? `<p style="color: #888888;">${SUPPORT_REPLY_MARKER}</p>` : ''}
+      <p>Hello ${escapeHtml(firstName || 'User')},</p>
+      <p>${agentName ? escapeHtml(agentName) : 'Our support team'} replied to your ticket ${escapeHtml(ticketId)} "${escapeHtml(subject)}":</p>
+      <blockquote style="border-left: 3px solid #dddddd; margin: 0; padding-left: 12px;">${escapeHtml(message).replace(/\n/g, '<br>')}</blockquote>
+      <p>${replyTo ? 'Reply to this email or view' : 'View'} the conversation in the Help Center.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+    ...(replyTo && { replyTo }),
+    ...(messageId && { messageId }),
+    // Threads every reply on a ticket under its first email
+    ...(references && { inReplyTo: references, references }),
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send support reply email: ${error.message}`);
+  }
+};
+
+// Tell a community post's author someone commented on it
+exports.sendCommunityCommentEmail = async (email, firstName, { postTitle, authorName, comment, isOfficial }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: isOfficial
+      ? `Official response on "${postTitle}"`
+      : `${authorName} commented on "${postTitle}"`,
+    html: `
+      <h1>${isOfficial ? 'Official Response' : 'New Comment'}</h1>
+      <p>Hello ${escapeHtml(firstName || 'User')},</p>
+      <p>${isOfficial ? 'The Kunex team' : `<strong>${escapeHtml(authorName)}</strong>`} commented on your community post "${escapeHtml(postTitle)}":</p>
+      <blockquote style="border-left: 3px solid #dddddd; margin: 0; padding-left: 12px;">${escapeHtml(comment).replace(/\n/g, '<br>')}</blockquote>
+      <p>Join the discussion in the community.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send community comment email: ${error.message}`);
+  }
+};
+
+// Tell someone who liked a community post that it shipped
+exports.sendRoadmapReleaseEmail = async (email, firstName, { postTitle, releaseNote, releasedAt }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: email,
+    subject: `Shipped: ${postTitle}`,
+    html: `
+      <h1>It's Here</h1>
+      <p>Hello ${escapeHtml(firstName || 'User')},</p>
+      <p>"${escapeHtml(postTitle)}", a community request you liked, was completed on ${new Date(releasedAt).toDateString()}.</p>
+      ${releaseNote ? `<blockquote style="border-left: 3px solid #dddddd; margin: 0; padding-left: 12px;">${escapeHtml(releaseNote).replace(/\n/g, '<br>')}</blockquote>` : ''}
+      <p>See everything that shipped recently in the changelog.</p>
+      <p>Best regards,<br>Your Team</p>
+    `,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    return result;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    throw new Error(`Failed to send roadmap release email: ${error.message}`);
+  }
+};
@@ -0,0 +1,381 @@
+const vm = require('vm');
+
+const FORM_FIELD_TYPES = ['text', 'email', 'phone', 'textarea', 'select', 'checkbox', 'radio', 'file', 'date', 'number', 'url'];
+const VISIBILITY_OPERATORS = ['equals', 'not_equals', 'contains', 'filled', 'empty'];
+
+// Field types that hold one choice from, or several of, the field's options
+const OPTION_FIELD_TYPES = ['select', 'radio', 'checkbox'];
+const TEXT_FIELD_TYPES = ['text', 'textarea', 'email', 'phone', 'url'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/[^\s/$.?#][^\s]*$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Hard caps applied whatever the field definition says
+const MAX_TEXT_LENGTH = 10000;
+const MAX_FILE_SIZE_MB = 10;
+const MAX_FILES_PER_SUBMISSION = 10;
+
+// Owner-supplied patterns only ever run on answers up to this long, and are stopped after this
+// many milliseconds (see testPattern)
+const MAX_PATTERN_INPUT_LENGTH = 500;
+const PATTERN_TIMEOUT_MS = 50;
+
+// Owner patterns run in their own context so a run can be stopped with a timeout
+const patternContext = vm.createContext({});
+const patternTest = new vm.Script('pattern.test(value)');
+
+// Uploads a form may accept at all; a field can narrow this with validation.fileTypes
+const FORM_UPLOAD_MIME_TYPES = [
+  'image/*',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+function normalizePhone(phone) {
+  if (!phone) return '';
+  return phone.toString().replace(/\D/g, '');
+}
+
+const isEmpty = (value) => (
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+const isChecked = (value) => value === true || ['true', 'on', '1', 'yes'].includes(String(value).toLowerCase());
+
+/**
+ * Whether a mime type matches an accepted type: an exact type, a wildcard such as image/*,
+ * or a file extension such as .pdf
+ * @param {object} file - Uploaded file with mimetype and originalname
+ * @param {string[]} accepted - Accepted types
+ * @returns {boolean}
+ */
+function matchesFileType(file, accepted) {
+  const mimeType = (file.mimetype || '').toLowerCase();
+  const name = (file.originalname || '').toLowerCase();
+
+  return accepted.some((type) => {
+    const expected = type.toLowerCase().trim();
+    if (expected.startsWith('.')) return name.endsWith(expected);
+    if (expected.endsWith('/*')) return mimeType.startsWith(expected.slice(0, -1));
+    return mimeType === expected;
+  });
+}
+
+/**
+ * Whether an owner-supplied pattern is free of repeated groups that repeat inside, such as
+ * (a+)+ or (\w*)*, or that have alternatives, such as (a|aa)+. Both can backtrack for seconds
+ * on a short answer.
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function isSafePattern(pattern) {
+  // One entry per open group: whether anything inside it repeats, and whether it has alternatives
+  const groups = [{ repeats: false, alternates: false }];
+  const isQuantifier = (char) => char === '*' || char === '+' || char === '{';
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '[') {
+      // Character classes cannot nest; skip to the closing bracket
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i += 1) {
+        if (pattern[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      if (isQuantifier(pattern[i + 1])) {
+        if (group.repeats || group.alternates) return false;
+        parent.repeats = true;
+      } else if (group.repeats) {
+        parent.repeats = true;
+      }
+      if (group.alternates) parent.alternates = true;
+    } else if (isQuantifier(char)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return true;
+}
+
+// Owner-supplied patterns are compiled defensively; one that does not compile, or is not
+// safe to run, is ignored
+function compilePattern(pattern) {
+  if (!pattern || !isSafePattern(pattern)) return null;
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Test an answer against an owner pattern. isSafePattern cannot catch every slow pattern (e.g.
+// \d*\d*\d*x), so a run that takes too long counts as not matching.
+function testPattern(pattern, value) {
+  patternContext.pattern = pattern;
+  patternContext.value = value;
+  try {
+    return patternTest.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    return false;
+  } finally {
+    patternContext.pattern = null;
+    patternContext.value = null;
+  }
+}
+
+/**
+ * The ordered field definition of a form widget. Forms built before custom fields keep
+ * their title / email / phone layout.
+ * @param {object} formConfig - settings.specific.form of the widget
+ * @returns {Array<object>} Field definitions
+ */
+function getFormFields(formConfig = {}) {
+  if (Array.isArray(formConfig.fields) && formConfig.fields.length > 0) {
+    return formConfig.fields.map(field => (
+      typeof field.toObject === 'function' ? field.toObject() : { ...field }
+    ));
+  }
+
+  const formFields = [];
+
+  if (formConfig.titleTextBox) {
+    formFields.push({
+      name: 'name',
+      type: 'text',
+      label: formConfig.titleTextBox,
+      required: true
+    });
+  }
+
+  if (formConfig.hasEmail) {
+    formFields.push({
+      name: 'email',
+      type: 'email',
+      label: 'Email',
+      placeholder: formConfig.emailPlaceholder || 'Enter your email',
+      required: true
+    });
+  }
+
+  if (formConfig.hasPhoneNumber) {
+    formFields.push({
+      name: 'phone',
+      type: 'phone',
+      label: 'Phone Number',
+      placeholder: formConfig.phoneNumberPlaceholder || 'Enter your phone number',
+      required: false
+    });
+  }
+
+  if (formFields.length === 0) {
+    formFields.push({
+      name: 'message',
+      type: 'textarea',
+      label: 'Message',
+      required: true
+    });
+  }
+
+  return formFields;
+}
+
+/**
+ * Whether a field is shown, given the values of the fields before it
+ * @param {object} field - Field definition
+ * @param {object} values - Accepted values of the visible fields so far
+ * @returns {boolean}
+ */
+function isFieldVisible(field, values) {
+  const condition = field.visibleWhen;
+  if (!condition || !condition.field) return true;
+
+  const value = values[condition.field];
+  const matches = (candidate) => String(candidate) === String(condition.value);
+
+  switch (condition.operator) {
+    case 'filled':
+      return !isEmpty(value) && value !== false;
+    case 'empty':
+      return isEmpty(value) || value === false;
+    case 'not_equals':
+      return Array.isArray(value) ? !value.some(matches) : isEmpty(value) || !matches(value);
+    case 'contains':
+      return Array.isArray(value)
+        ? value.some(matches)
+        : !isEmpty(value) && String(value).toLowerCase().includes(String(condition.value).toLowerCase());
+    case 'equals':
+    default:
+      return Array.isArray(value) ? value.some(matches) : !isEmpty(value) && matches(value);
+  }
+}
+
+// Check one non-file answer; returns [error, value]
+function validateValue(field, raw) {
+  const label = field.label || field.name;
+  const rules = field.validation || {};
+  const options = field.options || [];
+
+  if (field.type === 'checkbox' && options.length === 0) {
+    const checked = isChecked(raw);
+    return field.required && !checked ? [`${label} must be checked`] : [null, checked];
+  }
+
+  if (field.type === 'checkbox') {
+    const selected = (Array.isArray(raw) ? raw : [raw]).map(String);
+    if (selected.some(choice => !options.includes(choice))) {
+      return [`${label} must be one of: ${options.join(', ')}`];
+    }
+    return [null, [...new Set(selected)]];
+  }
+
+  if (typeof raw === 'object') {
+    return [`${label} is invalid`];
+  }
+
+  let value = String(raw).trim();
+
+  if (OPTION_FIELD_TYPES.includes(field.type)) {
+    return options.includes(value) ? [null, value] : [`${label} must be one of: ${options.join(', ')}`];
+  }
+
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return [`${label} must be a number`];
+    if (rules.minValue != null && number < rules.minValue) return [`${label} must be at least ${rules.minValue}`];
+    if (rules.maxValue != null && number > rules.maxValue) return [`${label} must be at most ${rules.maxValue}`];
+    return [null, number];
+  }
+
+  if (field.type === 'date') {
+    return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+      ? [null, value]
+      : [`${label} must be a valid date`];
+  }
+
+  if (value.length > MAX_TEXT_LENGTH) return [`${label} must be at most ${MAX_TEXT_LENGTH} characters`];
+  if (rules.minLength != null && value.length < rules.minLength) {
+    return [`${label} must be at least ${rules.minLength} characters`];
+  }
+  if (rules.maxLength != null && value.length > rules.maxLength) {
+    return [`${label} must be at most ${rules.maxLength} characters`];
+  }
+
+  if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return [`${label} must be a valid email address`];
+  if (field.type === 'url' && !URL_PATTERN.test(value)) return [`${label} must be a valid URL`];
+
+  const pattern = compilePattern(rules.pattern);
+  if (pattern && value.length > MAX_PATTERN_INPUT_LENGTH) {
+    return [`${label} must be at most ${MAX_PATTERN_INPUT_LENGTH} characters`];
+  }
+  if (pattern && !testPattern(pattern, value)) {
+    return [rules.patternMessage || `${label} is not in the expected format`];
+  }
+
+  if (field.type === 'phone') {
+    value = normalizePhone(value);
+    if (value.length <= 7) return ['Phone number must be more than 7 digits'];
+  }
+
+  return [null, value];
+}
+
+// Check the upload for a file field; returns [error, file]
+function validateFile(field, files) {
+  const label = field.label || field.name;
+  const rules = field.validation || {};
+
+  if (files.length > 1) return [`${label} accepts a single file`];
+
+  const [file] = files;
+  const maxSizeMb = Math.min(rules.maxFileSizeMb || MAX_FILE_SIZE_MB, MAX_FILE_SIZE_MB);
+  if (file.size > maxSizeMb * 1024 * 1024) return [`${label} must be ${maxSizeMb}MB or smaller`];
+
+  const accepted = rules.fileTypes && rules.fileTypes.length ? rules.fileTypes : FORM_UPLOAD_MIME_TYPES;
+  if (!matchesFileType(file, accepted)) return [`${label} must be one of: ${accepted.join(', ')}`];
+
+  return [null, file];
+}
+
+/**
+ * Validate a submission against a form's fields. Hidden fields are skipped and their answers
+ * dropped, as are answers to fields the form does not define.
+ * @param {Array<object>} fields - Field definitions from getFormFields
+ * @param {object} formData - Submitted answers keyed by field name
+ * @param {Array<object>} files - Uploaded files (multer), matched to fields by fieldname
+ * @returns {{errors: Array<{field: string, message: string}>, values: object, uploads: Array<{field: object, file: object}>, visibleFields: Array<object>}}
+ */
+function validateFormSubmission(fields, formData = {}, files = []) {
+  const errors = [];
+  const values = {};
+  const uploads = [];
+  const visibleFields = [];
+
+  const fieldNames = new Set(fields.map(field => field.name));
+  files
+    .filter(file => !fieldNames.has(file.fieldname) || fields.find(field => field.name === file.fieldname).type !== 'file')
+    .forEach(file => errors.push({ field: file.fieldname, message: `${file.fieldname} does not accept files` }));
+
+  for (const field of fields) {
+    if (!isFieldVisible(field, values)) continue;
+    visibleFields.push(field);
+
+    const label = field.label || field.name;
+
+    if (field.type === 'file') {
+      const fieldFiles = files.filter(file => file.fieldname === field.name);
+      if (fieldFiles.length === 0) {
+        if (field.required) errors.push({ field: field.name, message: `${label} is required` });
+        continue;
+      }
+
+      const [error, file] = validateFile(field, fieldFiles);
+      if (error) errors.push({ field: field.name, message: error });
+      else uploads.push({ field, file });
+      continue;
+    }
+
+    const raw = formData[field.name];
+    if (isEmpty(raw) && !(field.type === 'checkbox' && !(field.options || []).length)) {
+      if (field.required) errors.push({ field: field.name, message: `${label} is required` });
+      continue;
+    }
+
+    const [error, value] = validateValue(field, raw);
+    if (error) errors.push({ field: field.name, message: error });
+    else values[field.name] = value;
+  }
+
+  return { errors, values, uploads, visibleFields };
+}
+
+module.exports = {
+  FORM_FIELD_TYPES,
+  VISIBILITY_OPERATORS,
+  OPTION_FIELD_TYPES,
+  TEXT_FIELD_TYPES,
+  FORM_UPLOAD_MIME_TYPES,
+  MAX_FILE_SIZE_MB,
+  MAX_FILES_PER_SUBMISSION,
+  matchesFileType,
+  isSafePattern,
+  getFormFields,
+  isFieldVisible,
+  validateFormSubmission
+};
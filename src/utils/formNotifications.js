@@ -0,0 +1,199 @@
+const FormNotification = require('../models/formNotification.model');
+const FormSubmission = require('../models/formSubmission.model');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const User = require('../models/user.model');
+const { sendFormSubmissionEmail, sendFormAutoReplyEmail } = require('./email');
+const { sendWebhook } = require('./outboundWebhook');
+const { emitWebhookEvent } = require('./webhooks');
+const { processDueDeliveries } = require('./deliveryQueue');
+
+const WEBHOOK_EVENT = 'form.submission.created';
+
+// Anyone can type any address into a form, so one address gets at most this many auto-replies a
+// day across all forms; otherwise forms could be used to mail strangers the owner's text
+const AUTO_REPLY_DAILY_LIMIT = parseInt(process.env.FORM_AUTO_REPLY_DAILY_LIMIT, 10) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether the address can be sent another auto-reply today
+async function canAutoReply(recipient) {
+  const sentToday = await FormNotification.countDocuments({
+    channel: 'auto_reply',
+    recipient,
+    status: { $ne: 'cancelled' },
+    createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+  });
+  return sentToday < AUTO_REPLY_DAILY_LIMIT;
+}
+
+// The submitter's address: the first email field they filled in
+function getSubmitterEmail(submission) {
+  const field = (submission.formFields || []).find(candidate => (
+    candidate.type === 'email' && typeof submission.formData?.[candidate.name] === 'string'
+  ));
+  return field ? submission.formData[field.name] : null;
+}
+
+// Answers as label / value pairs in form order, for emails
+function describeAnswers(submission) {
+  const formData = submission.formData || {};
+
+  return (submission.formFields || [])
+    .filter(field => formData[field.name] !== undefined)
+    .map((field) => {
+      const value = formData[field.name];
+      const label = field.label || field.name;
+
+      if (field.type === 'file') {
+        return { label, value: value.fileName || 'File', url: value.url };
+      }
+      if (Array.isArray(value)) return { label, value: value.join(', ') };
+      if (typeof value === 'boolean') return { label, value: value ? 'Yes' : 'No' };
+      return { label, value: String(value) };
+    });
+}
+
+// Submission data sent to the page's form webhook and to form.submitted subscribers
+const submissionWebhookData = (submission) => ({
+  submissionId: submission._id,
+  pageId: submission.pageId,
+  widgetId: submission.widgetId,
+  submissionType: submission.submissionType,
+  formData: submission.formData,
+  fields: (submission.formFields || []).map(({ name, type, label }) => ({ name, type, label })),
+  submittedAt: submission.createdAt
+});
+
+/**
+ * Create the deliveries a submission triggers under its page's notification rules.
+ * Nothing is sent here; see deliverNotifications.
+ * @param {object} submission - Stored FormSubmission
+ * @param {object} page - BuilderPage the form is on
+ * @param {object} options - Options
+ * @param {number} options.spamScore - Spam score of the submission; any score skips the auto-reply
+ * @returns {Promise<Array<object>>} Queued FormNotification documents
+ */
+async function queueFormNotifications(submission, page, { spamScore = 0 } = {}) {
+  const rules = page.formNotifications || {};
+  const base = { submissionId: submission._id, pageId: page._id, userId: page.userId, nextAttemptAt: new Date() };
+  const deliveries = [];
+
+  if (rules.email?.enabled) {
+    const recipients = [...(rules.email.recipients || [])];
+    if (rules.email.includeOwner !== false) {
+      const owner = await User.findById(page.userId).select('email').lean();
+      if (owner?.email) recipients.unshift(owner.email);
+    }
+
+    [...new Set(recipients.map(address => address.toLowerCase()))]
+      .forEach(recipient => deliveries.push({ ...base, channel: 'email', recipient }));
+  }
+
+  const submitterEmail = getSubmitterEmail(submission)?.trim().toLowerCase();
+  if (rules.autoReply?.enabled && submitterEmail && spamScore <= 0 && await canAutoReply(submitterEmail)) {
+    deliveries.push({ ...base, channel: 'auto_reply', recipient: submitterEmail });
+  }
+
+  if (rules.webhook?.enabled && rules.webhook.url) {
+    deliveries.push({ ...base, channel: 'webhook', recipient: rules.webhook.url });
+  }
+
+  return deliveries.length ? FormNotification.insertMany(deliveries) : [];
+}
+
+// Send one claimed delivery; returns { ok, statusCode, error } or null when it no longer applies
+async function send(notification) {
+  const [submission, page] = await Promise.all([
+    FormSubmission.findById(notification.submissionId).lean(),
+    BuilderPage.findById(notification.pageId).select('+formNotifications').lean()
+  ]);
+
+  if (!submission || !page || submission.status === 'spam') return null;
+
+  const rules = page.formNotifications || {};
+
+  if (notification.channel === 'webhook') {
+    const webhook = rules.webhook || {};
+    if (!webhook.enabled || webhook.url !== notification.recipient || !webhook.secret) return null;
+
+    return sendWebhook(webhook.url, {
+      id: String(notification._id),
+      event: WEBHOOK_EVENT,
+      createdAt: new Date().toISOString(),
+      data: submissionWebhookData(submission)
+    }, { secret: webhook.secret, event: WEBHOOK_EVENT, deliveryId: notification._id });
+  }
+
+  if (notification.channel === 'auto_reply') {
+    if (!rules.autoReply?.enabled) return null;
+
+    await sendFormAutoReplyEmail(notification.recipient, {
+      pageTitle: page.title,
+      subject: rules.autoReply.subject,
+      message: rules.autoReply.message
+    });
+    return { ok: true };
+  }
+
+  if (!rules.email?.enabled) return null;
+
+  const widget = await Widget.findById(submission.widgetId).select('name').lean();
+  await sendFormSubmissionEmail(notification.recipient, {
+    pageTitle: page.title,
+    formName: widget?.name,
+    fields: describeAnswers(submission),
+    submittedAt: submission.createdAt
+  });
+  return { ok: true };
+}
+
+// Send one claimed delivery and record the outcome; deliveries that no longer apply are cancelled
+async function deliverNotification(notification) {
+  let result;
+  try {
+    result = await send(notification);
+  } catch (error) {
+    result = { ok: false, error: error.message };
+  }
+
+  if (result) {
+    notification.recordAttempt(result);
+  } else {
+    notification.status = 'cancelled';
+    notification.nextAttemptAt = undefined;
+  }
+
+  await notification.save();
+}
+
+/**
+ * Send due deliveries
+ * @param {Array<string>} ids - Limit to these deliveries (e.g. the ones just queued)
+ * @returns {Promise<object>} Counters for the run
+ */
+const deliverNotifications = (ids) => processDueDeliveries(FormNotification, ids, deliverNotification);
+
+/**
+ * Queue a submission's notifications and send them in the background, and raise
+ * form.submitted for the owner's webhook endpoints
+ * @param {object} submission - Stored FormSubmission
+ * @param {object} page - BuilderPage the form is on
+ * @param {object} options - Passed to queueFormNotifications
+ */
+async function notifyFormSubmission(submission, page, options) {
+  emitWebhookEvent(page.userId, 'form.submitted', submissionWebhookData(submission));
+
+  const queued = await queueFormNotifications(submission, page, options);
+  if (queued.length === 0) return;
+
+  // The submitter does not wait for emails or webhooks; failures are retried by the job
+  deliverNotifications(queued.map(notification => notification._id)).catch(() => null);
+}
+
+module.exports = {
+  WEBHOOK_EVENT,
+  AUTO_REPLY_DAILY_LIMIT,
+  queueFormNotifications,
+  deliverNotifications,
+  notifyFormSubmission
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const FormSubmission = require('../models/formSubmission.model');
+
+// Hidden input that people never fill in; form field names must start with a letter, so it
+// cannot clash with a field the owner defined
+const HONEYPOT_FIELD = '_hp';
+
+// Submissions completed faster than this (formCompletionTime, seconds) are treated as automated
+const MIN_FILL_SECONDS = parseFloat(process.env.FORM_MIN_FILL_SECONDS) || 3;
+
+// A submission whose checks add up to this score is stored as spam
+const SPAM_SCORE_THRESHOLD = parseFloat(process.env.FORM_SPAM_SCORE_THRESHOLD) || 1;
+
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Per-IP limits, counted from stored submissions so they hold across server instances
+const RATE_LIMITS = {
+  widget: {
+    windowMs: 10 * 60 * 1000,
+    max: parseInt(process.env.FORM_RATE_LIMIT_PER_WIDGET, 10) || 5
+  },
+  ip: {
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.FORM_RATE_LIMIT_PER_IP, 10) || 30
+  }
+};
+
+// Stable hash of the answers, so resubmitting the same content is recognised whatever the key order
+function hashContent(widgetId, values) {
+  const normalized = Object.keys(values)
+    .sort()
+    .map(key => [key, typeof values[key] === 'string' ? values[key].trim().toLowerCase() : values[key]]);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([String(widgetId), normalized]))
+    .digest('hex');
+}
+
+/**
+ * Check the per-IP limits before a submission is accepted
+ * @param {string} ipAddress - Submitter's IP address
+ * @param {string} widgetId - Form widget ID
+ * @returns {Promise<{allowed: boolean, scope?: string, retryAfterSeconds?: number}>}
+ */
+async function checkRateLimit(ipAddress, widgetId) {
+  if (!ipAddress) return { allowed: true };
+
+  const now = Date.now();
+  const checks = [
+    ['widget', { ipAddress, widgetId }],
+    ['ip', { ipAddress }]
+  ];
+
+  for (const [scope, filter] of checks) {
+    const { windowMs, max } = RATE_LIMITS[scope];
+    const recent = await FormSubmission.find({ ...filter, createdAt: { $gt: new Date(now - windowMs) } })
+      .select('createdAt')
+      .sort({ createdAt: 1 })
+      .limit(max)
+      .lean();
+
+    if (recent.length >= max) {
+      const retryAfterMs = recent[0].createdAt.getTime() + windowMs - now;
+      return { allowed: false, scope, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Built-in checks. Each returns null or { score, detail }.
+const builtInChecks = [
+  {
+    name: 'honeypot',
+    check: ({ honeypot }) => (
+      honeypot !== undefined && honeypot !== null && String(honeypot).trim() !== ''
+        ? { score: 1, detail: 'Hidden field was filled in' }
+        : null
+    )
+  },
+  {
+    name: 'fill_time',
+    check: ({ formCompletionTime }) => {
+      if (formCompletionTime === undefined || formCompletionTime === null || formCompletionTime === '') {
+        return { score: 0.5, detail: 'Completion time was not reported' };
+      }
+      const seconds = Number(formCompletionTime);
+      if (!Number.isFinite(seconds) || seconds < MIN_FILL_SECONDS) {
+        return { score: 1, detail: `Form was completed in under ${MIN_FILL_SECONDS} seconds` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'duplicate',
+    check: async ({ widgetId, contentHash }) => {
+      const duplicate = await FormSubmission.exists({
+        widgetId,
+        contentHash,
+        createdAt: { $gt: new Date(Date.now() - DUPLICATE_WINDOW_MS) }
+      });
+      return duplicate ? { score: 1, detail: 'Same content was submitted in the last 24 hours' } : null;
+    }
+  }
+];
+
+const customChecks = [];
+
+/**
+ * Add a check to the spam score, e.g. a call to an external spam filter. The check receives
+ * { widget, page, widgetId, values, honeypot, formCompletionTime, ipAddress, userAgent, referrer,
+ * contentHash } and returns null or { score, detail }. A check that throws is ignored.
+ * @param {string} name - Name recorded in the spam reasons
+ * @param {Function} check - Sync or async check
+ */
+function registerSpamCheck(name, check) {
+  if (typeof check !== 'function') {
+    throw new Error('Spam check must be a function');
+  }
+  customChecks.push({ name, check });
+}
+
+/**
+ * Score a submission against the built-in and registered checks
+ * @param {object} context - Submission details (see registerSpamCheck)
+ * @returns {Promise<{isSpam: boolean, score: number, reasons: Array<{check: string, score: number, detail: string}>}>}
+ */
+async function scoreSubmission(context) {
+  const reasons = [];
+
+  for (const { name, check } of [...builtInChecks, ...customChecks]) {
+    let result;
+    try {
+      result = await check(context);
+    } catch (error) {
+      continue;
+    }
+
+    const score = Number(result && result.score);
+    if (Number.isFinite(score) && score > 0) {
+      reasons.push({ check: name, score, detail: result.detail || '' });
+    }
+  }
+
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+  return { isSpam: score >= SPAM_SCORE_THRESHOLD, score, reasons };
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  RATE_LIMITS,
+  hashContent,
+  checkRateLimit,
+  registerSpamCheck,
+  scoreSubmission
+};
@@ -1,20 +1,29 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import Token from "../models/token.model.js";
 
 
-export const generateTokens = async (user) => {
+// Issue an access token and a refresh token for a session. Pass the familyId
+// and sessionStartedAt of an existing session when rotating its refresh token;
+// omit them to start a new session.
+export const generateTokens = async (user, session = {}) => {
+  const familyId = session.familyId || crypto.randomUUID();
+
   // Generate JWT token
   const token = jwt.sign(
-    { id: user._id, email: user.email, role: user.role },
+    { id: user._id, email: user.email, role: user.role, sid: familyId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || "1h" }
   );
 
-  // Generate refresh token
+  // Generate refresh token (jwtid keeps tokens signed in the same second unique)
   const refreshToken = jwt.sign(
-    { id: user._id },
+    { id: user._id, sid: familyId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d" }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
+      jwtid: crypto.randomUUID(),
+    }
   );
 
   // Save refresh token to database
@@ -23,8 +32,12 @@ export const generateTokens = async (user) => {
     token: refreshToken,
     type: "refresh",
     expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+    familyId,
+    sessionStartedAt: session.sessionStartedAt || new Date(),
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
   });
   await newToken.save();
 
-  return { token, refreshToken };
+  return { token, refreshToken, sessionId: familyId };
 };
@@ -0,0 +1,13 @@
+const Joi = require('joi');
+
+// Validate job run listing filters
+exports.validateJobRunsQuery = (data) => {
+  const schema = Joi.object({
+    jobName: Joi.string().trim().max(100).optional(),
+    status: Joi.string().valid('running', 'succeeded', 'failed').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
@@ -0,0 +1,260 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LINK_CHECK_TIMEOUT_MS, 10) || 10000;
+const MAX_REDIRECTS = 5;
+const ALLOWED_PORTS = ['', '80', '443', '8080', '8443'];
+const USER_AGENT = 'Mozilla/5.0 (compatible; LinkHealthChecker/1.0)';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// The site answered but turns away automated requests; the link itself works for visitors
+const REACHABLE_STATUSES = [401, 403, 429];
+
+// Servers that reject HEAD are asked again with GET
+const HEAD_REJECTED_STATUSES = [403, 405, 501];
+
+// Private, loopback, link-local and reserved ranges (and unusual ports) are never probed. Local
+// HTTP stubs used in tests can be allowed with LINK_CHECK_ALLOW_PRIVATE_HOSTS=true.
+const ALLOW_PRIVATE_HOSTS = process.env.LINK_CHECK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+class LinkCheckError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Whether an address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  // IPv4-mapped IPv6 (::ffff:a.b.c.d or ::ffff:xxxx:xxxx) is judged by its IPv4 address
+  const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    if (mapped[1]) return isPrivateAddress(mapped[1]);
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Only absolute http(s) URLs are probed; mailto:, tel: and relative links are skipped
+const isCheckableUrl = (url) => typeof url === 'string' && /^https?:\/\/[^\s]+$/i.test(url.trim());
+
+// Resolve a host once and refuse it when any of its addresses is not public
+async function resolveHost(hostname, allowPrivateHosts) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw new LinkCheckError('dns', `Could not resolve ${host}`);
+    }
+  }
+
+  if (!allowPrivateHosts && addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new LinkCheckError('blocked', `${host} resolves to a private address`);
+  }
+
+  return addresses[0];
+}
+
+/**
+ * Send one request to a URL that passes the SSRF rules: http(s) only, ordinary ports, no
+ * credentials, and a host that resolves to public addresses only. The connection goes to the
+ * address that was checked. Redirects are not followed and the body is not read.
+ * @param {URL} url - Parsed URL
+ * @param {object} options - Options
+ * @param {string} options.method - HTTP method
+ * @param {object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeoutMs - Time to wait for the response
+ * @param {boolean} options.allowPrivateHosts - Allow loopback and private addresses (test stubs)
+ * @returns {Promise<{statusCode: number, location?: string}>} Rejects with a LinkCheckError
+ */
+async function sendPinnedRequest(url, { method = 'GET', headers = {}, body, timeoutMs, allowPrivateHosts = false } = {}) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new LinkCheckError('blocked', `Unsupported protocol ${url.protocol}`);
+  }
+  if (!allowPrivateHosts && !ALLOWED_PORTS.includes(url.port)) {
+    throw new LinkCheckError('blocked', `Port ${url.port} is not allowed`);
+  }
+  if (url.username || url.password) {
+    throw new LinkCheckError('blocked', 'URLs with credentials are not allowed');
+  }
+
+  const target = await resolveHost(url.hostname, allowPrivateHosts);
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+
+    const req = client.request(url, {
+      method,
+      headers,
+      timeout: timeoutMs,
+      // Connect to the address that was checked rather than resolving the name again
+      lookup: (hostname, options, callback) => (
+        options && options.all
+          ? callback(null, [target])
+          : callback(null, target.address, target.family)
+      )
+    }, (res) => {
+      resolve({ statusCode: res.statusCode, location: res.headers.location });
+      res.destroy();
+    });
+
+    req.on('timeout', () => req.destroy(new LinkCheckError('timeout', `No response within ${timeoutMs}ms`)));
+    req.on('error', (error) => reject(
+      error instanceof LinkCheckError ? error : new LinkCheckError('network', error.code || error.message)
+    ));
+    req.end(body);
+  });
+}
+
+/**
+ * Probe a URL the way a visitor's browser would reach it. Redirects are followed manually so
+ * every hop is checked against the private address ranges.
+ * @param {string} rawUrl - URL to probe
+ * @param {object} options - Options
+ * @param {boolean} options.allowPrivateHosts - Allow loopback and private addresses (test stubs)
+ * @returns {Promise<{ok: boolean, statusCode?: number, reason?: string, error?: string, finalUrl?: string}>}
+ */
+async function checkUrl(rawUrl, { allowPrivateHosts = ALLOW_PRIVATE_HOSTS } = {}) {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch (error) {
+    return { ok: false, reason: 'invalid_url', error: 'Invalid URL' };
+  }
+
+  let method = 'HEAD';
+  let redirects = 0;
+
+  try {
+    while (true) {
+      const { statusCode, location } = await sendPinnedRequest(url, {
+        method,
+        headers: { 'User-Agent': USER_AGENT, Accept: '*/*' },
+        timeoutMs: REQUEST_TIMEOUT_MS,
+        allowPrivateHosts
+      });
+
+      if (REDIRECT_STATUSES.includes(statusCode) && location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new LinkCheckError('too_many_redirects', `More than ${MAX_REDIRECTS} redirects`);
+        }
+        redirects += 1;
+        url = new URL(location, url);
+        continue;
+      }
+
+      if (method === 'HEAD' && HEAD_REJECTED_STATUSES.includes(statusCode)) {
+        method = 'GET';
+        continue;
+      }
+
+      const ok = statusCode < 400 || REACHABLE_STATUSES.includes(statusCode);
+      return ok
+        ? { ok, statusCode, finalUrl: url.toString() }
+        : { ok, statusCode, reason: 'http_status', error: `HTTP ${statusCode}`, finalUrl: url.toString() };
+    }
+  } catch (error) {
+    if (!(error instanceof LinkCheckError)) {
+      return { ok: false, reason: 'invalid_url', error: error.message, finalUrl: url.toString() };
+    }
+    return { ok: false, reason: error.reason, error: error.message, finalUrl: url.toString() };
+  }
+}
+
+const specificLinkFields = [
+  { key: 'customLink', list: true, url: 'url', label: 'title' },
+  { key: 'promotions', url: 'url', label: 'title' },
+  { key: 'products', list: true, url: 'productUrl', label: 'productName' },
+  { key: 'event', list: true, url: 'ticketUrl', label: 'title' },
+  { key: 'appIntegration', url: 'appleStoreUrl', name: 'App Store link' },
+  { key: 'appIntegration', url: 'googlePlayUrl', name: 'Google Play link' },
+  { key: 'reservations', url: 'reservationUrl', name: 'Reservation link' },
+  { key: 'musicPodcast', url: 'musicPodcastUrl', name: 'Podcast link' },
+  { key: 'spotify', url: 'url', name: 'Spotify link' },
+  { key: 'appleMusic', url: 'url', name: 'Apple Music link' },
+  { key: 'applePodcast', url: 'url', name: 'Apple Podcasts link' },
+  { key: 'soundcloud', url: 'url', name: 'SoundCloud link' }
+];
+
+/**
+ * URLs a widget sends visitors to
+ * @param {object} widget - Widget document or plain object
+ * @returns {Array<{field: string, url: string, label: string}>}
+ */
+function collectWidgetLinks(widget) {
+  const settings = widget.settings || {};
+  const specific = settings.specific || {};
+  const links = [];
+
+  const add = (field, url, label) => {
+    if (isCheckableUrl(url)) {
+      links.push({ field, url: url.trim(), label: label || widget.name || widget.type });
+    }
+  };
+
+  specificLinkFields.forEach(({ key, list, url, label, name }) => {
+    const value = specific[key];
+    if (!value) return;
+
+    if (list) {
+      if (!Array.isArray(value)) return;
+      value.forEach((item, index) => add(`settings.specific.${key}.${index}.${url}`, item && item[url], item && item[label]));
+    } else {
+      add(`settings.specific.${key}.${url}`, value[url], label ? value[label] : name);
+    }
+  });
+
+  if (settings.interactive && settings.interactive.clickable) {
+    add('settings.interactive.link.url', settings.interactive.link && settings.interactive.link.url);
+  }
+
+  return links;
+}
+
+// Social links are stored with their normalized https:// form
+const getSocialLinkUrl = (link) => {
+  const url = link.normalizedUrl || link.originalUrl || '';
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+};
+
+module.exports = {
+  ALLOWED_PORTS,
+  LinkCheckError,
+  isPrivateAddress,
+  resolveHost,
+  sendPinnedRequest,
+  isCheckableUrl,
+  checkUrl,
+  collectWidgetLinks,
+  getSocialLinkUrl
+};
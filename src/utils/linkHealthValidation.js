@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+// Validate broken links report filters
+exports.validateLinkReportQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('broken', 'failing', 'ok').default('broken'),
+    sourceType: Joi.string().valid('social_media_link', 'widget').optional(),
+    pageId: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
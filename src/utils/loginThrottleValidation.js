@@ -0,0 +1,12 @@
+const Joi = require('joi');
+
+// Validate login lock listing filters
+exports.validateLoginLocksQuery = (data) => {
+  const schema = Joi.object({
+    scope: Joi.string().valid('account', 'ip').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+
+const REPORT_STATUSES = ['pending', 'reviewed', 'resolved', 'dismissed'];
+const MODERATION_ACTIONS = ['unpublish', 'hide_from_explore', 'restore'];
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a valid MongoDB ObjectId'
+  });
+
+// Validate report listing filters
+exports.validateReportQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid(...REPORT_STATUSES).optional(),
+    category: Joi.string().trim().max(100).optional(),
+    pageId: objectId.optional(),
+    reporterId: objectId.optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
+
+// Validate grouped-by-page listing filters
+exports.validateReportGroupQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid(...REPORT_STATUSES).optional(),
+    category: Joi.string().trim().max(100).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
+
+// Validate report status transition
+exports.validateReportStatusUpdate = (data) => {
+  const schema = Joi.object({
+    status: Joi.string()
+      .valid('reviewed', 'resolved', 'dismissed')
+      .required()
+      .messages({
+        'any.only': 'Status must be one of reviewed, resolved or dismissed',
+        'any.required': 'Status is required'
+      }),
+    resolutionNote: Joi.string().trim().max(1000).allow('').optional(),
+    notifyReporter: Joi.boolean().default(true)
+  });
+
+  return schema.validate(data);
+};
+
+// Validate moderation action on a reported page
+exports.validatePageAction = (data) => {
+  const schema = Joi.object({
+    action: Joi.string()
+      .valid(...MODERATION_ACTIONS)
+      .required()
+      .messages({
+        'any.only': `Action must be one of ${MODERATION_ACTIONS.join(', ')}`,
+        'any.required': 'Action is required'
+      }),
+    note: Joi.string().trim().max(1000).allow('').optional(),
+    resolveReports: Joi.boolean().default(true),
+    notifyOwner: Joi.boolean().default(true),
+    notifyReporters: Joi.boolean().default(true)
+  });
+
+  return schema.validate(data);
+};
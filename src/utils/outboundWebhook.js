@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+const { sendPinnedRequest } = require('./linkChecker');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const USER_AGENT = 'Kunex-Webhooks/1.0';
+
+// Webhook URLs are held to the same rules as link checks: public addresses on ordinary ports.
+// Local receivers used in tests can be allowed with WEBHOOK_ALLOW_PRIVATE_HOSTS=true.
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Generate the secret a receiver uses to verify signatures
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret,
+ * sent as X-Kunex-Signature: t=<timestamp>,v1=<hex digest>
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex digest
+ */
+const signWebhookPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * POST a signed JSON payload. Redirects are not followed; any 2xx response is a success.
+ * @param {string} rawUrl - Receiver URL
+ * @param {object} payload - JSON payload
+ * @param {object} options - Options
+ * @param {string} options.secret - Signing secret
+ * @param {string} options.event - Event name, sent as X-Kunex-Event
+ * @param {string} options.deliveryId - Delivery ID, sent as X-Kunex-Delivery so receivers can deduplicate
+ * @param {boolean} options.allowPrivateHosts - Allow loopback and private addresses (test receivers)
+ * @returns {Promise<{ok: boolean, statusCode?: number, error?: string}>}
+ */
+async function sendWebhook(rawUrl, payload, { secret, event, deliveryId, allowPrivateHosts = ALLOW_PRIVATE_HOSTS } = {}) {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch (error) {
+    return { ok: false, error: 'Invalid URL' };
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'User-Agent': USER_AGENT,
+    'X-Kunex-Event': event,
+    'X-Kunex-Delivery': String(deliveryId),
+    'X-Kunex-Signature': `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`
+  };
+
+  try {
+    const { statusCode } = await sendPinnedRequest(url, {
+      method: 'POST',
+      headers,
+      body,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      allowPrivateHosts
+    });
+    return statusCode >= 200 && statusCode < 300
+      ? { ok: true, statusCode }
+      : { ok: false, statusCode, error: `HTTP ${statusCode}` };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+module.exports = {
+  generateWebhookSecret,
+  signWebhookPayload,
+  sendWebhook
+};
@@ -0,0 +1,395 @@
+const { getSchedule } = require('./serviceHours');
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|tel:)/i;
+const HEX_COLOR_PATTERN = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+// Custom CSS may only load inline images and images uploaded to the app
+const CSS_URL_PATTERN = /^(data:image\/|https:\/\/res\.cloudinary\.com\/)/i;
+const CSS_ESCAPE_PATTERN = /\\([0-9a-f]{1,6})\s?|\\([\s\S])/gi;
+const CSS_URL_TOKEN_PATTERN = /url\(\s*(['"]?)([^'"()\s]*)\1\s*\)|url\(/gi;
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Only allow links and media that cannot run script (http(s), mailto and tel)
+ * @param {string} url - User supplied URL
+ * @returns {string|null} The trimmed URL or null when unsafe or empty
+ */
+const safeUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  return SAFE_URL_PATTERN.test(trimmed) ? trimmed : null;
+};
+
+/**
+ * Custom CSS from the page owner, minus anything that makes visitors' browsers call a third
+ * party: @import rules, url()s to other hosts and image-set(). Escapes are decoded and
+ * backslashes dropped first so neither can be spelled in a way the checks miss.
+ * @param {string} css - Owner supplied CSS
+ * @returns {string} CSS safe to put in the page's style block
+ */
+const safeCss = (css) => String(css || '')
+  .replace(CSS_ESCAPE_PATTERN, (match, hex, char) => {
+    if (char !== undefined) return char;
+    const codePoint = parseInt(hex, 16);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+  })
+  .replace(/[\\<]/g, '')
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/@import[^;]*;?/gi, '')
+  .replace(/(-webkit-)?image-set\(/gi, 'none(')
+  .replace(CSS_URL_TOKEN_PATTERN, (match, quote, target) => (
+    target !== undefined && CSS_URL_PATTERN.test(target) ? `url("${target}")` : 'none'
+  ));
+
+const safeColor = (color, fallback) => (HEX_COLOR_PATTERN.test(color || '') ? color : fallback);
+
+// Font stacks end up inside a style block; keep only characters a font-family needs
+const safeFont = (font, fallback) => {
+  const cleaned = String(font || '').replace(/[^a-zA-Z0-9 ,'"-]/g, '').trim();
+  return cleaned || fallback;
+};
+
+const link = (url, text, className = '') => {
+  const href = safeUrl(url);
+  if (!href) return text ? `<span class="${className}">${escapeHtml(text)}</span>` : '';
+  return `<a class="${className}" href="${escapeHtml(href)}" rel="noopener nofollow" target="_blank">${escapeHtml(text || href)}</a>`;
+};
+
+const image = (url, alt = '') => {
+  const src = safeUrl(url);
+  return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy">` : '';
+};
+
+const heading = (text) => (text ? `<h2>${escapeHtml(text)}</h2>` : '');
+
+const paragraph = (text) => (text ? `<p>${escapeHtml(text)}</p>` : '');
+
+// Cover image plus link, shared by the single-link widgets (reservations, music, podcasts)
+const imageLink = (imageUrl, url, title) => `${image(imageUrl, title)}${link(url, title || 'Open', 'button')}`;
+
+/**
+ * Widget renderers keyed by Widget.type. Each returns the inner HTML of the widget;
+ * types without a renderer fall back to their content title and description.
+ */
+const WIDGET_RENDERERS = {
+  text: (widget, { content }) => `${heading(content.title)}${paragraph(content.text)}`,
+  image: (widget, { content }) => `${image(content.url, content.alt)}${paragraph(content.caption)}`,
+  button: (widget, { content, interactive }) => link(interactive.link && interactive.link.url || content.url, content.title || widget.name, 'button'),
+  youtube_video: (widget, { content }) => `${heading(content.title)}${link(content.url, content.title || 'Watch video')}`,
+  video: (widget, { content }) => `${heading(content.title)}${link(content.url, content.title || 'Watch video')}`,
+  custom_link: (widget, { specific }) => (specific.customLink || [])
+    .map(item => `${image(item.imageUrl, item.title)}${link(item.url, item.title, 'button')}`)
+    .join(''),
+  media: (widget, { specific }) => {
+    const media = specific.media || {};
+
+    if (media.mediaType === 'video') {
+      return (media.video || [])
+        .map(video => `${image(video.thumbnailUrl, video.videoTitle)}${link(video.videoUrl, video.videoTitle || 'Watch video')}`)
+        .join('');
+    }
+
+    if (media.mediaType === 'pdf') {
+      return (media.pdfs || [])
+        .map(pdf => `${image(pdf.pdfImage, pdf.title)}${link(pdf.pdfFile, pdf.title || 'Open PDF')}`)
+        .join('');
+    }
+
+    if (media.photoType === 'grid') {
+      const grid = media.grid || {};
+      return `${heading(grid.gridTitle)}<div class="grid">${(grid.photos || []).map(photo => image(photo.url, photo.alt)).join('')}</div>`;
+    }
+
+    const carousel = media.carousel || {};
+    return `${heading(carousel.title)}<div class="grid">${(carousel.url || []).map(url => image(url, carousel.title)).join('')}</div>`;
+  },
+  promotions: (widget, { specific }) => {
+    const promotion = specific.promotions || {};
+    const dates = [promotion.startDate, promotion.endDate].filter(Boolean).join(' - ');
+    return `${image(promotion.coverImage, promotion.title)}${heading(promotion.title)}${paragraph(dates)}${link(promotion.url, 'View promotion', 'button')}`;
+  },
+  products: (widget, { specific }) => `<ul class="items">${[...(specific.products || [])]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(product => `<li>${image(product.productImage, product.productName)}${link(product.productUrl, product.productName)}${product.price ? ` <span class="price">${escapeHtml(product.currency)} ${escapeHtml(product.price)}</span>` : ''}</li>`)
+    .join('')}</ul>`,
+  event: (widget, { specific }) => `<ul class="items">${(specific.event || [])
+    .map(event => `<li>${image(event.eventImage, event.title)}<strong>${escapeHtml(event.title)}</strong>${paragraph([event.date, event.location].filter(Boolean).join(' · '))}${link(event.ticketUrl, 'Tickets')}</li>`)
+    .join('')}</ul>`,
+  dropdown: (widget, { specific }) => ((specific.dropdown && specific.dropdown.headings) || [])
+    .map(item => `<details><summary>${escapeHtml(item.text)}</summary>${paragraph(item.description)}</details>`)
+    .join(''),
+  app_integration: (widget, { specific }) => {
+    const apps = specific.appIntegration || {};
+    return `${link(apps.appleStoreUrl, 'App Store', 'button')}${link(apps.googlePlayUrl, 'Google Play', 'button')}`;
+  },
+  google_maps: (widget, { specific }) => {
+    const map = specific.googleMaps || {};
+    const query = map.lat !== undefined && map.lng !== undefined ? `${map.lat},${map.lng}` : map.location;
+    return query
+      ? link(`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`, map.location || 'View on map')
+      : '';
+  },
+  google_reviews: (widget, { specific }) => {
+    const reviews = specific.googleReviews || {};
+    return `${heading(reviews.name)}${reviews.rating ? `<p class="rating">${escapeHtml(reviews.rating)} / 5 (${escapeHtml(reviews.user_ratings_total || 0)} reviews)</p>` : ''}${(reviews.reviews || [])
+      .map(review => `<blockquote>${paragraph(review.text)}<cite>${escapeHtml(review.author_name)}</cite></blockquote>`)
+      .join('')}`;
+  },
+  reservations: (widget, { specific }) => imageLink(specific.reservations && specific.reservations.reservationImage, specific.reservations && specific.reservations.reservationUrl, 'Book a reservation'),
+  music_podcast: (widget, { specific }) => imageLink(specific.musicPodcast && specific.musicPodcast.podcastImage, specific.musicPodcast && specific.musicPodcast.musicPodcastUrl, widget.name),
+  spotify: (widget, { specific }) => imageLink(specific.spotify && specific.spotify.image, specific.spotify && specific.spotify.url, 'Listen on Spotify'),
+  apple_music: (widget, { specific }) => imageLink(specific.appleMusic && specific.appleMusic.image, specific.appleMusic && specific.appleMusic.url, 'Listen on Apple Music'),
+  apple_podcast: (widget, { specific }) => imageLink(specific.applePodcast && specific.applePodcast.image, specific.applePodcast && specific.applePodcast.url, 'Listen on Apple Podcasts'),
+  soundcloud: (widget, { specific }) => imageLink(specific.soundcloud && specific.soundcloud.image, specific.soundcloud && specific.soundcloud.url, 'Listen on SoundCloud'),
+  // Forms are submitted through the API by the app; crawlers only need the heading
+  form: (widget, { specific }) => heading(specific.form && specific.form.titleTextBox || widget.name),
+  // Raw HTML and scripts are never rendered server-side
+  custom_html: () => '',
+  embed: () => ''
+};
+
+/**
+ * Render a single widget to an HTML section
+ * @param {object} widget - Widget document or plain object
+ * @returns {string} HTML
+ */
+const renderWidget = (widget) => {
+  const settings = widget.settings || {};
+  const parts = {
+    content: settings.content || {},
+    interactive: settings.interactive || {},
+    specific: settings.specific || {}
+  };
+
+  const renderer = WIDGET_RENDERERS[widget.type];
+  const body = renderer
+    ? renderer(widget, parts)
+    : `${heading(parts.content.title)}${paragraph(parts.content.description || parts.content.text)}`;
+
+  if (!body) return '';
+
+  return `<section class="widget widget-${escapeHtml(widget.type)}" data-widget-id="${escapeHtml(widget._id)}">${body}</section>`;
+};
+
+/**
+ * Weekly opening hours as schema.org OpeningHoursSpecification entries
+ * @param {object} serviceHours - BuilderPage.serviceHours
+ * @returns {Array<object>}
+ */
+const buildOpeningHours = (serviceHours) => {
+  if (!serviceHours || serviceHours.type === 'event-dates') return [];
+
+  return getSchedule(serviceHours, 7).days.flatMap(day => day.hours
+    .filter(range => range.type === 'weekly')
+    .map(range => ({
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: day.dayName,
+      opens: range.startTime,
+      closes: range.endTime === '24:00' ? '23:59' : range.endTime
+    })));
+};
+
+/**
+ * schema.org LocalBusiness markup for a business profile
+ * @param {object} business - BusinessProfile document
+ * @param {object} page - BuilderPage document
+ * @param {string} url - Canonical page URL
+ * @returns {object|null}
+ */
+const buildLocalBusinessJsonLd = (business, page, url) => {
+  if (!business) return null;
+
+  const location = business.location || {};
+  const contact = business.contactInfo || {};
+  const coordinates = location.coordinates && location.coordinates.coordinates;
+  const description = (business.description && (business.description.full || business.description.short)) || page.description;
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'LocalBusiness',
+    name: business.businessName,
+    url,
+    description: description || undefined,
+    image: safeUrl(page.seo && page.seo.ogImage) || safeUrl(business.coverImage) || safeUrl(business.logo) || undefined,
+    logo: safeUrl(business.logo) || undefined,
+    telephone: contact.phone || undefined,
+    email: contact.email || undefined,
+    priceRange: business.priceRange || page.priceRange || undefined,
+    sameAs: (page.socialLinks || [])
+      .filter(socialLink => socialLink.isActive !== false)
+      .map(socialLink => safeUrl(socialLink.url))
+      .filter(Boolean)
+  };
+
+  if (!location.isOnlineOnly && (location.address || location.city)) {
+    jsonLd.address = {
+      '@type': 'PostalAddress',
+      streetAddress: location.address || undefined,
+      addressLocality: location.city || undefined,
+      addressRegion: location.state || undefined,
+      postalCode: location.postalCode || undefined,
+      addressCountry: location.country || undefined
+    };
+  }
+
+  // [0, 0] is the schema default, not a real location
+  if (Array.isArray(coordinates) && coordinates.length === 2 && (coordinates[0] !== 0 || coordinates[1] !== 0)) {
+    jsonLd.geo = {
+      '@type': 'GeoCoordinates',
+      latitude: coordinates[1],
+      longitude: coordinates[0]
+    };
+  }
+
+  const openingHours = buildOpeningHours(page.serviceHours);
+  if (openingHours.length > 0) {
+    jsonLd.openingHoursSpecification = openingHours;
+  }
+
+  if (jsonLd.sameAs.length === 0) {
+    delete jsonLd.sameAs;
+  }
+
+  return jsonLd;
+};
+
+// JSON inside a script element must not be able to close the element
+const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+/**
+ * Render a published builder page to a complete HTML document with SEO, Open Graph,
+ * Twitter card and JSON-LD markup
+ * @param {object} options
+ * @param {object} options.page - BuilderPage document
+ * @param {object} options.business - BusinessProfile document (optional)
+ * @param {Array<object>} options.widgets - Visible widgets, in display order
+ * @param {string} options.url - Canonical URL of the rendered page
+ * @param {boolean} options.allowIndexing - False when the page or its owner opted out of search engines
+ * @returns {string} HTML document
+ */
+const renderPageHtml = ({ page, business, widgets, url, allowIndexing }) => {
+  const seo = page.seo || {};
+  const styling = page.styling || {};
+  const colors = styling.themeColors || {};
+  const typography = styling.typography || {};
+  const fontSize = typography.fontSize || {};
+
+  const siteName = business ? business.businessName : page.title;
+  const title = seo.metaTitle || (business && business.businessName !== page.title ? `${page.title} | ${business.businessName}` : page.title);
+  const description = seo.metaDescription || page.description ||
+    (business && business.description && business.description.short) || '';
+  const canonicalUrl = safeUrl(seo.canonicalUrl) || url;
+  const ogImage = safeUrl(seo.ogImage) || safeUrl(page.cover) || safeUrl(business && business.coverImage) ||
+    safeUrl(page.logo) || safeUrl(business && business.logo);
+  const logo = safeUrl(page.logo) || safeUrl(business && business.logo);
+  const jsonLd = buildLocalBusinessJsonLd(business, page, canonicalUrl);
+
+  const meta = [
+    `<meta name="robots" content="${allowIndexing ? 'index, follow' : 'noindex, nofollow'}">`,
+    description ? `<meta name="description" content="${escapeHtml(description)}">` : '',
+    seo.metaKeywords && seo.metaKeywords.length ? `<meta name="keywords" content="${escapeHtml(seo.metaKeywords.join(', '))}">` : '',
+    `<link rel="canonical" href="${escapeHtml(canonicalUrl)}">`,
+    '<meta property="og:type" content="website">',
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    description ? `<meta property="og:description" content="${escapeHtml(description)}">` : '',
+    `<meta property="og:url" content="${escapeHtml(canonicalUrl)}">`,
+    `<meta property="og:site_name" content="${escapeHtml(siteName)}">`,
+    ogImage ? `<meta property="og:image" content="${escapeHtml(ogImage)}">` : '',
+    `<meta name="twitter:card" content="${ogImage ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    description ? `<meta name="twitter:description" content="${escapeHtml(description)}">` : '',
+    ogImage ? `<meta name="twitter:image" content="${escapeHtml(ogImage)}">` : '',
+    jsonLd ? `<script type="application/ld+json">${serializeJsonLd(jsonLd)}</script>` : ''
+  ].filter(Boolean).join('\n    ');
+
+  const styles = `
+      :root {
+        --primary: ${safeColor(colors.primary, '#222220')};
+        --secondary: ${safeColor(colors.secondary, '#6c757d')};
+        --accent: ${safeColor(colors.accent, '#ffffff')};
+        --background: ${safeColor(colors.background, '#111111')};
+        --text: ${safeColor(colors.text, '#ffffff')};
+      }
+      body { margin: 0; background: var(--background); color: var(--text); font-family: ${safeFont(typography.bodyFont, 'Arial, sans-serif')}; font-size: ${Number(fontSize.base) || 16}px; }
+      h1, h2, h3 { font-family: ${safeFont(typography.headingFont, 'Arial, sans-serif')}; }
+      h1 { font-size: ${Number(fontSize.h1) || 32}px; }
+      h2 { font-size: ${Number(fontSize.h2) || 28}px; }
+      main { max-width: 720px; margin: 0 auto; padding: 16px; }
+      header { text-align: center; }
+      img { max-width: 100%; height: auto; }
+      .cover { width: 100%; max-height: 320px; object-fit: cover; }
+      .logo { width: 96px; height: 96px; border-radius: 50%; object-fit: cover; }
+      .widget { margin: ${Number(styling.spacing && styling.spacing.elementMargin) || 20}px 0; }
+      .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 8px; }
+      .items { list-style: none; padding: 0; }
+      .button { display: block; margin: 8px 0; padding: 12px; border-radius: 8px; text-align: center; background: var(--primary); color: var(--accent); text-decoration: none; }
+      a { color: inherit; }
+      ${safeCss(styling.customCSS)}
+    `;
+
+  const socialLinks = (page.socialLinks || [])
+    .filter(socialLink => socialLink.isActive !== false)
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(socialLink => link(socialLink.url, socialLink.displayName || socialLink.platform))
+    .filter(Boolean)
+    .join(' ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    ${meta}
+    <style>${styles}</style>
+  </head>
+  <body>
+    ${page.cover && safeUrl(page.cover) ? `<img class="cover" src="${escapeHtml(safeUrl(page.cover))}" alt="">` : ''}
+    <main>
+      <header>
+        ${logo ? `<img class="logo" src="${escapeHtml(logo)}" alt="${escapeHtml(siteName)}">` : ''}
+        <h1>${escapeHtml(page.title)}</h1>
+        ${paragraph(page.description)}
+        ${page.location ? `<p class="location">${escapeHtml(page.location)}</p>` : ''}
+        ${socialLinks ? `<nav class="social">${socialLinks}</nav>` : ''}
+      </header>
+      ${widgets.map(renderWidget).join('\n      ')}
+    </main>
+  </body>
+</html>`;
+};
+
+/**
+ * Minimal HTML page for errors on public routes
+ * @param {string} title - Page title and heading
+ * @param {string} message - Body text
+ * @returns {string} HTML document
+ */
+const renderErrorHtml = (title, message) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+  </body>
+</html>`;
+
+module.exports = {
+  escapeHtml,
+  safeUrl,
+  safeCss,
+  renderWidget,
+  buildLocalBusinessJsonLd,
+  renderPageHtml,
+  renderErrorHtml
+};
@@ -0,0 +1,87 @@
+const Joi = require('joi');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+
+const TEMPLATE_CATEGORIES = BuilderPage.schema.path('template.category').enumValues;
+const PAGE_TYPES = BuilderPage.schema.path('pageType').enumValues;
+const WIDGET_TYPES = Widget.schema.path('type').enumValues;
+const WIDGET_CATEGORIES = Widget.schema.path('category').enumValues;
+
+const templateWidgetSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  type: Joi.string().valid(...WIDGET_TYPES).required(),
+  subType: Joi.string().trim().max(50).optional(),
+  category: Joi.string().valid(...WIDGET_CATEGORIES).required(),
+  settings: Joi.object().unknown(true).optional(),
+  layout: Joi.object().unknown(true).optional(),
+  order: Joi.number().integer().min(0).optional(),
+  isVisible: Joi.boolean().optional()
+});
+
+const seoSchema = Joi.object({
+  metaTitle: Joi.string().trim().max(60).allow('').optional(),
+  metaDescription: Joi.string().trim().max(160).allow('').optional(),
+  metaKeywords: Joi.array().items(Joi.string().trim().max(50)).optional()
+});
+
+// Validation for creating a page template
+const createTemplateSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9-]+$/)
+    .max(100)
+    .required()
+    .messages({
+      'string.pattern.base': 'Slug can only contain lowercase letters, numbers and hyphens'
+    }),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  category: Joi.string().valid(...TEMPLATE_CATEGORIES).required(),
+  pageType: Joi.string().valid(...PAGE_TYPES).required(),
+  version: Joi.string().trim().max(20).optional(),
+  previewImage: Joi.string().uri().allow('', null).optional(),
+  features: Joi.array().items(Joi.string().trim().max(100)).optional(),
+  tags: Joi.array().items(Joi.string().trim().max(30)).optional(),
+  layout: Joi.object().unknown(true).optional(),
+  styling: Joi.object().unknown(true).optional(),
+  seo: seoSchema.optional(),
+  widgets: Joi.array().items(templateWidgetSchema).max(100).optional(),
+  isActive: Joi.boolean().optional(),
+  sortOrder: Joi.number().integer().optional()
+});
+
+// Validation for updating a page template (slug cannot change once pages reference it)
+const updateTemplateSchema = createTemplateSchema
+  .fork(['name', 'category', 'pageType'], schema => schema.optional())
+  .keys({ slug: Joi.forbidden() })
+  .min(1);
+
+// Validation for listing page templates
+const getTemplatesSchema = Joi.object({
+  category: Joi.string().valid(...TEMPLATE_CATEGORIES).optional(),
+  pageType: Joi.string().valid(...PAGE_TYPES).optional()
+});
+
+// Validation for creating a page from a template
+const createPageFromTemplateSchema = Joi.object({
+  title: Joi.string().trim().max(200).required(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9-]+$/)
+    .max(100)
+    .required()
+    .messages({
+      'string.pattern.base': 'Slug can only contain lowercase letters, numbers and hyphens'
+    }),
+  description: Joi.string().trim().max(140).allow('').optional(),
+  businessId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+module.exports = {
+  createTemplateSchema,
+  updateTemplateSchema,
+  getTemplatesSchema,
+  createPageFromTemplateSchema
+};
@@ -228,6 +228,8 @@ const subscriptionPlanValidation = {
       highlighted: Joi.boolean()
     })),
     limits: Joi.object({
+      pages: Joi.number().min(0),
+      widgets: Joi.number().min(0),
       products: Joi.number().min(0),
       storage: Joi.number().min(0),
       bandwidth: Joi.number().min(0),
@@ -261,6 +263,8 @@ const subscriptionPlanValidation = {
       highlighted: Joi.boolean()
     })),
     limits: Joi.object({
+      pages: Joi.number().min(0),
+      widgets: Joi.number().min(0),
       products: Joi.number().min(0),
       storage: Joi.number().min(0),
       bandwidth: Joi.number().min(0),
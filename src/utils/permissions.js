@@ -0,0 +1,100 @@
+const Role = require('../models/role.model');
+
+// Every permission a privileged route can require
+const PERMISSIONS = {
+  'plans:write': 'Create, update and delete subscription plans, and list inactive plans',
+  'community:moderate': 'Manage community topics and edit any community post',
+  'support:agent': 'Work the support queue: assign tickets, reply, add internal notes and use canned responses',
+  'support:manage': 'Manage support ticket categories and canned responses',
+  'reports:review': 'Review page reports and take moderation actions on pages',
+  'templates:write': 'Create, update and delete page templates',
+  'jobs:run': 'View background jobs and run them on demand',
+  'security:manage': 'View and clear login lockouts',
+  'accounts:audit': 'View account deletion requests and their audit records',
+  'payments:events': 'View and replay Stripe webhook events',
+  'roles:manage': 'Manage roles and grant them to users'
+};
+
+// Roles shipped with the app. Admins (user.role === 'admin') hold every permission without a grant.
+const SYSTEM_ROLES = {
+  moderator: {
+    description: 'Moderates the community and reviews reported pages',
+    permissions: ['community:moderate', 'reports:review']
+  },
+  support_agent: {
+    description: 'Answers support tickets',
+    permissions: ['support:agent']
+  },
+  support_manager: {
+    description: 'Answers support tickets and manages ticket categories and canned responses',
+    permissions: ['support:agent', 'support:manage']
+  },
+  billing_manager: {
+    description: 'Manages subscription plans and Stripe events',
+    permissions: ['plans:write', 'payments:events']
+  },
+  content_manager: {
+    description: 'Manages page templates',
+    permissions: ['templates:write']
+  }
+};
+
+const isSystemRole = (name) => Object.prototype.hasOwnProperty.call(SYSTEM_ROLES, name);
+
+/**
+ * Permissions held by each of the given roles; unknown roles are left out
+ * @param {Array<string>} roleNames - System or custom role names
+ * @returns {Promise<Map<string, Array<string>>>} Role name to permissions
+ */
+async function getRolePermissions(roleNames) {
+  const result = new Map();
+  const customNames = [];
+
+  roleNames.forEach((name) => {
+    if (isSystemRole(name)) result.set(name, SYSTEM_ROLES[name].permissions);
+    else customNames.push(name);
+  });
+
+  if (customNames.length) {
+    const roles = await Role.find({ name: { $in: customNames } }).select('name permissions').lean();
+    roles.forEach(role => result.set(role.name, role.permissions));
+  }
+
+  return result;
+}
+
+/**
+ * Effective permissions of a user: all of them for admins, otherwise the union of their granted roles
+ * @param {object} user - User document
+ * @returns {Promise<Set<string>>}
+ */
+async function getUserPermissions(user) {
+  if (!user) return new Set();
+  if (user.role === 'admin') return new Set(Object.keys(PERMISSIONS));
+
+  const roleNames = (user.roleGrants || []).map(grant => grant.role);
+  if (roleNames.length === 0) return new Set();
+
+  const rolePermissions = await getRolePermissions(roleNames);
+  return new Set([...rolePermissions.values()].flat());
+}
+
+/**
+ * Whether a user holds every one of the given permissions
+ * @param {object} user - User document
+ * @param {...string} permissions - Required permissions
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(user, ...permissions) {
+  const held = await getUserPermissions(user);
+  return permissions.every(permission => held.has(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  isSystemRole,
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission
+};
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription.model');
+const SubscriptionPlan = require('../models/subscriptionPlan.model');
+const User = require('../models/user.model');
+const BuilderPage = require('../models/builderPage.model');
+const Widget = require('../models/widget.model');
+const StoredAsset = require('../models/storedAsset.model');
+
+// Resources whose usage is counted against SubscriptionPlan.limits
+const QUOTA_RESOURCES = ['pages', 'widgets', 'products', 'storage', 'apiCalls'];
+
+const API_CALLS_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+const bytesToMegabytes = (bytes) => (bytes || 0) / (1024 * 1024);
+
+async function getActiveSubscription(userId) {
+  return Subscription.findOne({
+    userId,
+    status: { $in: ['active', 'trialing'] }
+  }).sort({ createdAt: -1 });
+}
+
+// Users without a subscription fall back to the limits of the active free plan.
+// If no free plan is configured every resource is unlimited.
+async function getFreePlanLimits() {
+  const freePlan = await SubscriptionPlan.getByType('free');
+  return freePlan && freePlan.limits ? freePlan.limits : {};
+}
+
+function isUnlimited(limit) {
+  return limit === undefined || limit === null;
+}
+
+function withinLimitExpr(currentPath, amount, limit) {
+  return {
+    $lte: [
+      { $add: [{ $ifNull: [`$${currentPath}`, 0] }, amount] },
+      limit
+    ]
+  };
+}
+
+async function resetFreeApiCallsPeriod(userId) {
+  const periodCutoff = new Date(Date.now() - API_CALLS_PERIOD_MS);
+
+  await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'usage.apiCallsPeriodStart': null },
+        { 'usage.apiCallsPeriodStart': { $lt: periodCutoff } }
+      ]
+    },
+    { $set: { 'usage.apiCalls': 0, 'usage.apiCallsPeriodStart': new Date() } }
+  );
+}
+
+/**
+ * Atomically reserve `amount` units of a resource for a user.
+ * The usage counter is only incremented when the result stays within the plan limit.
+ * @returns {Promise<object>} { allowed, resource, current, limit, requested }
+ */
+async function consumeQuota(userId, resource, amount = 1) {
+  if (!QUOTA_RESOURCES.includes(resource)) {
+    throw new Error(`Unknown quota resource: ${resource}`);
+  }
+
+  if (!amount || amount <= 0) {
+    return { allowed: true, resource, requested: 0 };
+  }
+
+  const subscription = await getActiveSubscription(userId);
+
+  if (subscription) {
+    const currentPath = `usage.${resource}.current`;
+    const limitPath = `usage.${resource}.limit`;
+
+    const updated = await Subscription.findOneAndUpdate(
+      {
+        _id: subscription._id,
+        $or: [
+          { [limitPath]: null },
+          { $expr: withinLimitExpr(currentPath, amount, `$${limitPath}`) }
+        ]
+      },
+      { $inc: { [currentPath]: amount } },
+      { new: true }
+    );
+
+    if (updated) {
+      return {
+        allowed: true,
+        resource,
+        current: updated.usage[resource].current,
+        limit: updated.usage[resource].limit,
+        requested: amount
+      };
+    }
+
+    const usage = subscription.usage[resource] || {};
+    return {
+      allowed: false,
+      resource,
+      current: usage.current || 0,
+      limit: usage.limit,
+      requested: amount
+    };
+  }
+
+  const limit = (await getFreePlanLimits())[resource];
+
+  // Unlimited API calls on the free tier are not worth a write per request
+  if (resource === 'apiCalls') {
+    if (isUnlimited(limit)) {
+      return { allowed: true, resource, limit: null, requested: amount };
+    }
+    await resetFreeApiCallsPeriod(userId);
+  }
+
+  const filter = { _id: userId };
+  if (!isUnlimited(limit)) {
+    filter.$expr = withinLimitExpr(`usage.${resource}`, amount, limit);
+  }
+
+  const updated = await User.findOneAndUpdate(
+    filter,
+    { $inc: { [`usage.${resource}`]: amount } },
+    { new: true }
+  ).select('usage');
+
+  if (updated) {
+    return {
+      allowed: true,
+      resource,
+      current: updated.usage[resource],
+      limit: isUnlimited(limit) ? null : limit,
+      requested: amount
+    };
+  }
+
+  const user = await User.findById(userId).select('usage');
+  return {
+    allowed: false,
+    resource,
+    current: user?.usage?.[resource] || 0,
+    limit,
+    requested: amount
+  };
+}
+
+/**
+ * Give back `amount` units of a resource (never drops below zero)
+ */
+async function releaseQuota(userId, resource, amount = 1) {
+  if (!QUOTA_RESOURCES.includes(resource) || !amount || amount <= 0) {
+    return;
+  }
+
+  const decrement = (currentPath) => ({
+    $max: [0, { $subtract: [{ $ifNull: [`$${currentPath}`, 0] }, amount] }]
+  });
+
+  const subscription = await getActiveSubscription(userId);
+
+  if (subscription) {
+    const currentPath = `usage.${resource}.current`;
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      [{ $set: { [currentPath]: decrement(currentPath) } }]
+    );
+    return;
+  }
+
+  const currentPath = `usage.${resource}`;
+  await User.updateOne(
+    { _id: userId },
+    [{ $set: { [currentPath]: decrement(currentPath) } }]
+  );
+}
+
+/**
+ * Remember the size of an upload already charged to the user's storage quota, so it can be
+ * given back by releaseStoredAssets when the file is replaced or deleted
+ * @param {string} userId - Owner charged for the upload
+ * @param {object} asset - { url, publicId, bytes }
+ */
+async function recordStoredAsset(userId, { url, publicId, bytes }) {
+  if (!url) return;
+  await StoredAsset.create({ userId, url, publicId, bytes: bytes || 0 });
+}
+
+/**
+ * Give back the storage charged for uploads that were replaced or deleted. URLs with no
+ * recorded upload (set by hand, or uploaded before storage was charged) release nothing.
+ * @param {string} userId - Owner charged for the uploads
+ * @param {string[]} urls - URLs of the removed files
+ */
+async function releaseStoredAssets(userId, urls) {
+  const removed = (urls || []).filter(Boolean);
+  if (removed.length === 0) return;
+
+  // Each record is removed on its own so a file released twice at once is only given back once
+  let bytes = 0;
+  for (const url of removed) {
+    const asset = await StoredAsset.findOneAndDelete({ userId, url }).select('bytes');
+    if (asset) bytes += asset.bytes;
+  }
+
+  await releaseQuota(userId, 'storage', bytesToMegabytes(bytes));
+}
+
+// Every string anywhere in the given values, which is where widget settings keep upload URLs
+function collectStrings(value, strings = new Set()) {
+  if (typeof value === 'string') {
+    strings.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, strings));
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    Object.values(value).forEach(item => collectStrings(item, strings));
+  }
+  return strings;
+}
+
+/**
+ * Give back the storage of uploads used by deleted widgets. Clones share their uploads, so a
+ * file still used by another of the user's widgets stays charged.
+ * @param {string} userId - Owner of the widgets
+ * @param {Array<object>} widgets - The deleted widgets, as plain objects
+ */
+async function releaseWidgetAssets(userId, widgets) {
+  const urls = collectStrings(widgets.map(widget => widget.settings));
+  if (urls.size === 0) return;
+
+  const assets = await StoredAsset.find({ userId, url: { $in: [...urls] } }).select('url').lean();
+  if (assets.length === 0) return;
+
+  const remaining = await Widget.find({ userId, _id: { $nin: widgets.map(widget => widget._id) } })
+    .select('settings')
+    .lean();
+  const stillUsed = collectStrings(remaining.map(widget => widget.settings));
+
+  await releaseStoredAssets(userId, assets.map(asset => asset.url).filter(url => !stillUsed.has(url)));
+}
+
+/**
+ * Consume a positive delta or release a negative one
+ */
+async function adjustQuota(userId, resource, delta) {
+  if (delta > 0) {
+    return consumeQuota(userId, resource, delta);
+  }
+
+  await releaseQuota(userId, resource, -delta);
+  return { allowed: true, resource, requested: delta };
+}
+
+/**
+ * Count products stored in a user's products widgets
+ */
+async function countProducts(filter) {
+  const [result] = await Widget.aggregate([
+    { $match: { ...filter, type: 'products' } },
+    {
+      $project: {
+        count: {
+          $cond: [
+            { $isArray: '$settings.specific.products' },
+            { $size: '$settings.specific.products' },
+            0
+          ]
+        }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$count' } } }
+  ]);
+
+  return result ? result.total : 0;
+}
+
+/**
+ * Recompute countable usage (pages, widgets, products) from the source collections.
+ * Called whenever a subscription changes status: counts made while subscribed are only kept on
+ * the subscription, so the free-tier counters on the user, or a new subscription's, start from reality.
+ */
+async function recalculateUsage(userId) {
+  const [pages, widgets, products] = await Promise.all([
+    BuilderPage.countDocuments({ userId }),
+    Widget.countDocuments({ userId }),
+    countProducts({ userId: new mongoose.Types.ObjectId(userId.toString()) })
+  ]);
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'usage.pages': pages, 'usage.widgets': widgets, 'usage.products': products } }
+  );
+
+  const subscription = await getActiveSubscription(userId);
+  if (subscription) {
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      {
+        $set: {
+          'usage.pages.current': pages,
+          'usage.widgets.current': widgets,
+          'usage.products.current': products
+        }
+      }
+    );
+  }
+
+  return { pages, widgets, products };
+}
+
+// Send the structured error returned whenever a plan limit blocks an action
+function planLimitExceeded(res, quota) {
+  return res.status(402).json({
+    success: false,
+    message: `Your plan's ${quota.resource} limit has been reached. Upgrade your plan to continue.`,
+    code: 'PLAN_LIMIT_EXCEEDED',
+    limit: {
+      resource: quota.resource,
+      current: quota.current,
+      limit: quota.limit,
+      requested: quota.requested
+    }
+  });
+}
+
+module.exports = {
+  QUOTA_RESOURCES,
+  bytesToMegabytes,
+  countProducts,
+  consumeQuota,
+  releaseQuota,
+  adjustQuota,
+  recordStoredAsset,
+  releaseStoredAssets,
+  releaseWidgetAssets,
+  recalculateUsage,
+  planLimitExceeded
+};
@@ -0,0 +1,49 @@
+const Joi = require('joi');
+const { PERMISSIONS } = require('./permissions');
+
+const permissions = () => Joi.array()
+  .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+  .min(1)
+  .unique();
+
+// Validate a new custom role
+exports.validateRole = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]*$/).max(50).required()
+      .messages({ 'string.pattern.base': 'name must start with a letter and contain only lowercase letters, digits and underscores' }),
+    description: Joi.string().trim().max(300).allow('').optional(),
+    permissions: permissions().required()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate changes to a custom role
+exports.validateRoleUpdate = (data) => {
+  const schema = Joi.object({
+    description: Joi.string().trim().max(300).allow('').optional(),
+    permissions: permissions().optional()
+  }).min(1);
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate a role grant
+exports.validateRoleGrant = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().trim().lowercase().max(50).required()
+  });
+
+  return schema.validate(data);
+};
+
+// Validate role grant listing filters
+exports.validateRoleGrantsQuery = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().trim().lowercase().max(50).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
@@ -0,0 +1,404 @@
+const { validateTimezone } = require('./timezoneValidation');
+
+// Indexed by Date#getUTCDay(), using the abbreviations stored in weeklyHours
+const DAY_ABBREVIATIONS = ['Sun', 'Mon', 'Tues', 'Wed', 'Thur', 'Fri', 'Sat'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+const DEFAULT_SCHEDULE_DAYS = 7;
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Parse an "HH:MM" string into minutes after midnight ("24:00" is allowed as end of day)
+ * @param {string} timeStr - Time string
+ * @returns {number|null} Minutes or null when invalid
+ */
+function parseTime(timeStr) {
+  if (!timeStr || typeof timeStr !== 'string') {
+    return null;
+  }
+
+  const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours === 24 && minutes === 0) {
+    return MINUTES_PER_DAY;
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+function formatMinutes(totalMinutes) {
+  const minutes = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(minutes / 60);
+  return `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {object} { dateKey: 'YYYY-MM-DD', minutes, weekday, seconds }
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    dateKey,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10),
+    weekday: getWeekday(dateKey)
+  };
+}
+
+function dateKeyToUtcMs(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function addDays(dateKey, days) {
+  return new Date(dateKeyToUtcMs(dateKey) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+function getWeekday(dateKey) {
+  return new Date(dateKeyToUtcMs(dateKey)).getUTCDay();
+}
+
+// Offset (local - UTC) of a timezone at the given instant, in milliseconds
+function getTimezoneOffset(date, timezone) {
+  const { dateKey, minutes, seconds } = getZonedParts(date, timezone);
+  const localAsUtc = dateKeyToUtcMs(dateKey) + (minutes * 60 + seconds) * 1000;
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time on a date in a timezone into an instant.
+ * Minutes past 24:00 roll into the next day (used for overnight ranges).
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate(dateKey, minutes, timezone) {
+  const localAsUtc = dateKeyToUtcMs(dateKey) + minutes * 60 * 1000;
+
+  // Re-check the offset at the computed instant so DST transitions land correctly
+  const firstOffset = getTimezoneOffset(new Date(localAsUtc), timezone);
+  let instant = localAsUtc - firstOffset;
+  const secondOffset = getTimezoneOffset(new Date(instant), timezone);
+  if (secondOffset !== firstOffset) {
+    instant = localAsUtc - secondOffset;
+  }
+
+  return new Date(instant);
+}
+
+// Event dates are saved as calendar dates (midnight UTC), so read them back in UTC
+function getEventDateKey(date) {
+  const eventDate = new Date(date);
+  if (isNaN(eventDate.getTime())) {
+    return null;
+  }
+  return eventDate.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether an event (or one of its recurrences) takes place on a local date
+ * @param {object} event - Event date subdocument
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+function eventOccursOn(event, dateKey) {
+  const startKey = getEventDateKey(event.eventDate);
+  if (!startKey || dateKey < startKey) {
+    return false;
+  }
+  if (dateKey === startKey) {
+    return true;
+  }
+  if (!event.isRecurring) {
+    return false;
+  }
+
+  if (event.recurringEndDate) {
+    const endKey = getEventDateKey(event.recurringEndDate);
+    if (endKey && dateKey > endKey) {
+      return false;
+    }
+  }
+
+  const [, startMonth, startDay] = startKey.split('-').map(Number);
+  const [, month, day] = dateKey.split('-').map(Number);
+
+  switch (event.recurringPattern || 'weekly') {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return Math.round((dateKeyToUtcMs(dateKey) - dateKeyToUtcMs(startKey)) / MS_PER_DAY) % 7 === 0;
+    case 'monthly':
+      // Months without the start day (e.g. the 31st) are skipped
+      return day === startDay;
+    case 'yearly':
+      return month === startMonth && day === startDay;
+    default:
+      return false;
+  }
+}
+
+function buildRange(dateKey, startTime, endTime, timezone, details) {
+  const start = parseTime(startTime);
+  let end = parseTime(endTime);
+
+  if (start === null || end === null || start >= MINUTES_PER_DAY) {
+    return null;
+  }
+
+  // An end time at or before the start time runs past midnight (e.g. 18:00-02:00)
+  if (end <= start) {
+    end += MINUTES_PER_DAY;
+  }
+
+  return {
+    ...details,
+    date: dateKey,
+    startTime: formatMinutes(start),
+    endTime: end === MINUTES_PER_DAY ? '24:00' : formatMinutes(end),
+    overnight: end > MINUTES_PER_DAY,
+    opensAt: zonedTimeToDate(dateKey, start, timezone),
+    closesAt: zonedTimeToDate(dateKey, end, timezone)
+  };
+}
+
+/**
+ * Opening ranges that start on a local date, from weekly hours and (recurring) events
+ * @param {object} serviceHours - BuilderPage.serviceHours
+ * @param {string} dateKey - Local date 'YYYY-MM-DD'
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} weeklyOnly - Ignore the hours type and event dates
+ * @returns {Array<object>} Ranges sorted by opening time
+ */
+function getRangesForDate(serviceHours, dateKey, timezone, weeklyOnly = false) {
+  const ranges = [];
+  const type = weeklyOnly ? 'weekly' : (serviceHours.type || 'weekly');
+
+  if (type === 'weekly' || type === 'both') {
+    const weekday = getWeekday(dateKey);
+
+    if (serviceHours.is24Hours) {
+      ranges.push(buildRange(dateKey, '00:00', '24:00', timezone, { type: 'weekly' }));
+    } else {
+      const dayHours = (serviceHours.weeklyHours || []).find(hours =>
+        hours && (hours.day === DAY_ABBREVIATIONS[weekday] || hours.day === DAY_NAMES[weekday])
+      );
+
+      if (dayHours && !dayHours.isClosed) {
+        const useCommonHours = serviceHours.sameForAll &&
+          serviceHours.commonHours &&
+          serviceHours.commonHours.startTime &&
+          serviceHours.commonHours.endTime;
+        const hours = useCommonHours ? serviceHours.commonHours : dayHours;
+
+        ranges.push(buildRange(dateKey, hours.startTime, hours.endTime, timezone, { type: 'weekly' }));
+      }
+    }
+  }
+
+  if (type === 'event-dates' || type === 'both') {
+    (serviceHours.eventDates || [])
+      .filter(event => event && eventOccursOn(event, dateKey))
+      .forEach(event => {
+        ranges.push(buildRange(dateKey, event.startTime, event.endTime, timezone, {
+          type: 'event',
+          eventId: event._id,
+          eventName: event.eventName,
+          description: event.description,
+          isRecurring: !!event.isRecurring
+        }));
+      });
+  }
+
+  return ranges
+    .filter(Boolean)
+    .sort((a, b) => a.opensAt - b.opensAt);
+}
+
+function getRangesBetween(serviceHours, fromDateKey, days, timezone) {
+  const ranges = [];
+  for (let offset = 0; offset < days; offset++) {
+    ranges.push(...getRangesForDate(serviceHours, addDays(fromDateKey, offset), timezone));
+  }
+  return ranges.sort((a, b) => a.opensAt - b.opensAt);
+}
+
+/**
+ * Open/closed state of service hours at an instant, evaluated in the hours' timezone
+ * @param {object} serviceHours - BuilderPage.serviceHours
+ * @param {Date} now - Instant to evaluate (defaults to the current time)
+ * @returns {object} { isOpen, type, startTime, endTime, eventName, timezone, localDate, localTime, nextOpen, nextClose }
+ */
+function getHoursStatus(serviceHours, now = new Date()) {
+  const timezone = validateTimezone(serviceHours && serviceHours.timezone, 'UTC');
+  const local = getZonedParts(now, timezone);
+
+  const status = {
+    isOpen: false,
+    type: 'closed',
+    timezone,
+    localDate: local.dateKey,
+    localTime: formatMinutes(local.minutes),
+    nextOpen: null,
+    nextClose: null
+  };
+
+  if (!serviceHours) {
+    return status;
+  }
+
+  // Start from yesterday so ranges running past midnight are included
+  const ranges = getRangesBetween(serviceHours, addDays(local.dateKey, -1), DEFAULT_SCHEDULE_DAYS + 2, timezone);
+
+  const current = ranges
+    .filter(range => range.opensAt <= now && now < range.closesAt)
+    .sort((a, b) => b.closesAt - a.closesAt)[0];
+
+  let closedFrom = now;
+
+  if (current) {
+    // Overlapping or back-to-back ranges keep the page open
+    let closesAt = current.closesAt;
+    ranges.forEach(range => {
+      if (range.opensAt <= closesAt && range.closesAt > closesAt) {
+        closesAt = range.closesAt;
+      }
+    });
+
+    Object.assign(status, {
+      isOpen: true,
+      type: current.type,
+      startTime: current.startTime,
+      endTime: current.endTime,
+      nextClose: closesAt
+    });
+    if (current.type === 'event') {
+      status.eventName = current.eventName;
+    }
+
+    closedFrom = closesAt;
+  }
+
+  const next = ranges.find(range => range.opensAt > closedFrom);
+  if (next) {
+    status.nextOpen = next.opensAt;
+    if (!current) {
+      status.nextClose = next.closesAt;
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Day-by-day schedule in the hours' timezone, starting today
+ * @param {object} serviceHours - BuilderPage.serviceHours
+ * @param {number} days - Number of days (defaults to 7)
+ * @param {Date} now - Reference instant
+ * @returns {object} { timezone, days: [{ date, day, dayName, isToday, isClosed, hours }] }
+ */
+function getSchedule(serviceHours, days = DEFAULT_SCHEDULE_DAYS, now = new Date()) {
+  const timezone = validateTimezone(serviceHours && serviceHours.timezone, 'UTC');
+  const today = getZonedParts(now, timezone).dateKey;
+  const schedule = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const dateKey = addDays(today, offset);
+    const weekday = getWeekday(dateKey);
+    const hours = serviceHours ? getRangesForDate(serviceHours, dateKey, timezone) : [];
+
+    schedule.push({
+      date: dateKey,
+      day: DAY_ABBREVIATIONS[weekday],
+      dayName: DAY_NAMES[weekday],
+      isToday: offset === 0,
+      isClosed: hours.length === 0,
+      hours: hours.map(({ date, ...range }) => range)
+    });
+  }
+
+  return { timezone, days: schedule };
+}
+
+/**
+ * Weekly hours for the current local day of the hours' timezone
+ * @param {object} serviceHours - BuilderPage.serviceHours
+ * @param {Date} now - Reference instant
+ * @returns {object|null} { open, close, isClosed } or null when closed all day
+ */
+function getTodayHours(serviceHours, now = new Date()) {
+  if (!serviceHours) {
+    return null;
+  }
+
+  const timezone = validateTimezone(serviceHours.timezone, 'UTC');
+  const today = getZonedParts(now, timezone).dateKey;
+  const weekly = getRangesForDate(serviceHours, today, timezone, true)[0];
+
+  if (!weekly) {
+    return null;
+  }
+
+  return {
+    open: weekly.startTime,
+    close: weekly.endTime,
+    isClosed: false
+  };
+}
+
+function isOpenNow(serviceHours, now = new Date()) {
+  try {
+    return getHoursStatus(serviceHours, now).isOpen;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  DAY_ABBREVIATIONS,
+  parseTime,
+  zonedTimeToDate,
+  eventOccursOn,
+  getHoursStatus,
+  getSchedule,
+  getTodayHours,
+  isOpenNow
+};
@@ -120,6 +120,13 @@ const accountReactivationSchema = Joi.object({
   password: Joi.string().required()
 });
 
+// Validation schema for cancelling a scheduled account deletion
+// Accounts without a password (OAuth) confirm with a TOTP code, or by having just signed in
+const accountDeletionCancellationSchema = Joi.object({
+  password: Joi.string(),
+  code: Joi.string().trim()
+});
+
 // Main user settings validation schema
 const userSettingsSchema = Joi.object({
   preferences: preferencesSchema,
@@ -158,6 +165,10 @@ exports.validateAccountReactivation = (data) => {
   return accountReactivationSchema.validate(data, { allowUnknown: false });
 };
 
+exports.validateAccountDeletionCancellation = (data) => {
+  return accountDeletionCancellationSchema.validate(data, { allowUnknown: false });
+};
+
 // Individual component validators
 exports.validatePreferences = (data) => {
   return preferencesSchema.validate(data, { allowUnknown: false, stripUnknown: true });
@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+// Validate Stripe webhook event ledger filters
+exports.validateStripeEventsQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('processing', 'processed', 'ignored', 'failed').optional(),
+    type: Joi.string().trim().max(100).optional(),
+    objectId: Joi.string().trim().max(255).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
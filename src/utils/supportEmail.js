@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const { sendSupportReplyEmail, SUPPORT_REPLY_MARKER } = require('./email');
+
+// Mailbox the inbound relay forwards to us, e.g. support@reply.kunex.app. Replies are sent to a
+// plus address on it that carries the ticket token; without it, reply emails are not offered.
+const REPLY_ADDRESS = process.env.SUPPORT_REPLY_ADDRESS;
+const TOKEN_SECRET = process.env.SUPPORT_EMAIL_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// A ticket token is "<ticket _id>-<signature>"; the signature stops senders guessing other tickets
+const TOKEN_PATTERN = /([a-f0-9]{24})-([a-f0-9]{16})/gi;
+
+const signTicketId = (id) => crypto
+  .createHmac('sha256', TOKEN_SECRET || '')
+  .update(`support-ticket:${id}`)
+  .digest('hex')
+  .slice(0, 16);
+
+// Bare address from "Jane Doe <jane@example.com>" or "jane@example.com", lower case
+const parseAddress = (value) => {
+  const text = String(value || '').trim();
+  const match = text.match(/<([^<>\s]+@[^<>\s]+)>/) || text.match(/([^<>\s"]+@[^<>\s"]+)/);
+  return match ? match[1].toLowerCase() : null;
+};
+
+const EMAIL_DOMAIN = (parseAddress(REPLY_ADDRESS || process.env.EMAIL_FROM || process.env.EMAIL_USER) || '@kunex.app').split('@')[1];
+
+const createTicketToken = (ticket) => `${ticket._id}-${signTicketId(ticket._id)}`;
+
+/**
+ * Find the ticket a reply belongs to from the strings it was addressed or threaded with
+ * @param {Array<string>} values - Recipient addresses, In-Reply-To and References headers
+ * @returns {string|null} Ticket _id, if one carries a valid token
+ */
+function findTicketId(values) {
+  for (const value of values) {
+    for (const [, id, signature] of String(value || '').matchAll(TOKEN_PATTERN)) {
+      const expected = Buffer.from(signTicketId(id.toLowerCase()));
+      const received = Buffer.from(signature.toLowerCase());
+      if (crypto.timingSafeEqual(expected, received)) return id.toLowerCase();
+    }
+  }
+  return null;
+}
+
+// support+<token>@domain, or null when reply emails are not set up
+const getReplyToAddress = (ticket) => {
+  if (!REPLY_ADDRESS) return null;
+  const [local, domain] = parseAddress(REPLY_ADDRESS).split('@');
+  return `${local.split('+')[0]}+${createTicketToken(ticket)}@${domain}`;
+};
+
+// Message-IDs carry the token too, so replies that drop the plus address still find their ticket
+const getThreadId = (ticket) => `<ticket-${createTicketToken(ticket)}@${EMAIL_DOMAIN}>`;
+const getMessageId = (ticket, message) => `<ticket-${createTicketToken(ticket)}.${message._id}@${EMAIL_DOMAIN}>`;
+
+const htmlToText = (html) => String(html)
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<blockquote[\s\S]*<\/blockquote>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * The new part of a reply: text above our marker, the "On ... wrote:" line, a forwarded or
+ * original message header, or a signature delimiter, without quoted (">") lines
+ * @param {object} email - { text, html, strippedText }; strippedText comes from relays that strip quotes themselves
+ * @returns {string} Reply text, at most 2000 characters
+ */
+function extractReplyText({ text, html, strippedText }) {
+  const source = strippedText || text || (html ? htmlToText(html) : '');
+  const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index].trim();
+    const twoLines = `${line} ${(lines[index + 1] || '').trim()}`;
+
+    if (line.includes(SUPPORT_REPLY_MARKER)) break;
+    if (/^On\s.+wrote:$/i.test(line) || /^On\s.+wrote:$/i.test(twoLines)) break;
+    if (/^-{2,}\s*(Original|Forwarded) Message\s*-{2,}$/i.test(line)) break;
+    if (/^_{10,}$/.test(line)) break;
+    if (/^From:\s/i.test(line) && /^(Sent|Date|To):\s/i.test((lines[index + 1] || '').trim())) break;
+    if (/^--\s?$/.test(lines[index])) break;
+    if (line.startsWith('>')) continue;
+
+    kept.push(lines[index].trimEnd());
+  }
+
+  const reply = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return reply.length > MAX_MESSAGE_LENGTH ? `${reply.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : reply;
+}
+
+/**
+ * Email the ticket owner a support reply, threaded under the ticket and with a reply-to address
+ * that routes their answer back to it. Never throws: the reply is already stored.
+ * @param {object} ticket - SupportTicket document
+ * @param {object} message - The admin message that was added
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+async function notifyTicketReply(ticket, message) {
+  try {
+    const [user, agent] = await Promise.all([
+      User.findById(ticket.userId).select('email firstName').lean(),
+      message.authorId ? User.findById(message.authorId).select('firstName').lean() : null
+    ]);
+    if (!user?.email) return false;
+
+    await sendSupportReplyEmail(user.email, user.firstName, {
+      ticketId: ticket.ticketId,
+      subject: ticket.subject,
+      message: message.message,
+      agentName: agent?.firstName,
+      replyTo: getReplyToAddress(ticket),
+      messageId: getMessageId(ticket, message),
+      references: getThreadId(ticket)
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseAddress,
+  findTicketId,
+  getReplyToAddress,
+  extractReplyText,
+  notifyTicketReply
+};
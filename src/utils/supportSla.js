@@ -0,0 +1,91 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours within which a ticket must get its first agent reply and be resolved, per priority
+const SLA_TARGETS = {
+  Urgent: { firstResponseHours: 1, resolutionHours: 8 },
+  High: { firstResponseHours: 4, resolutionHours: 24 },
+  Medium: { firstResponseHours: 8, resolutionHours: 72 },
+  Low: { firstResponseHours: 24, resolutionHours: 168 }
+};
+
+// Tickets an agent still has to act on; SLA timers only run for these
+const ACTIVE_STATUSES = ['Open', 'In Progress'];
+
+/**
+ * Due dates for a ticket of the given priority opened at `from`
+ * @param {string} priority - Ticket priority
+ * @param {Date} from - When the ticket was opened
+ * @returns {{firstResponseDueAt: Date, resolutionDueAt: Date}}
+ */
+const getSlaDueDates = (priority, from) => {
+  const target = SLA_TARGETS[priority] || SLA_TARGETS.Medium;
+  const start = new Date(from).getTime();
+
+  return {
+    firstResponseDueAt: new Date(start + target.firstResponseHours * HOUR_MS),
+    resolutionDueAt: new Date(start + target.resolutionHours * HOUR_MS)
+  };
+};
+
+// State of one timer: met or breached once completed, otherwise running or breached
+const timerStatus = (dueAt, completedAt, isActive, now) => {
+  if (!dueAt) return null;
+
+  if (completedAt) {
+    return { dueAt, completedAt, breached: completedAt > dueAt };
+  }
+
+  return {
+    dueAt,
+    completedAt: null,
+    breached: isActive && now > dueAt,
+    remainingMs: isActive ? dueAt.getTime() - now.getTime() : null
+  };
+};
+
+/**
+ * First response and resolution timers of a ticket
+ * @param {object} ticket - SupportTicket document or plain object
+ * @param {Date} now - Reference time
+ * @returns {{firstResponse: object|null, resolution: object|null, breached: boolean}}
+ */
+const getSlaStatus = (ticket, now = new Date()) => {
+  const isActive = ACTIVE_STATUSES.includes(ticket.status);
+  const firstResponse = timerStatus(ticket.sla?.firstResponseDueAt, ticket.firstResponseAt, isActive, now);
+  const resolution = ticket.status === 'Cancelled'
+    ? null
+    : timerStatus(ticket.sla?.resolutionDueAt, ticket.resolvedAt, isActive, now);
+
+  return {
+    firstResponse,
+    resolution,
+    breached: Boolean(firstResponse?.breached || resolution?.breached)
+  };
+};
+
+/**
+ * Filter for active tickets currently breaching their SLA
+ * @param {string} timer - 'first_response', 'resolution' or 'any'
+ * @param {Date} now - Reference time
+ * @returns {object} MongoDB filter
+ */
+const breachedFilter = (timer, now = new Date()) => {
+  const firstResponse = { firstResponseAt: null, 'sla.firstResponseDueAt': { $lt: now } };
+  const resolution = { 'sla.resolutionDueAt': { $lt: now } };
+
+  const conditions = {
+    first_response: [firstResponse],
+    resolution: [resolution],
+    any: [firstResponse, resolution]
+  }[timer];
+
+  return { status: { $in: ACTIVE_STATUSES }, $or: conditions };
+};
+
+module.exports = {
+  SLA_TARGETS,
+  ACTIVE_STATUSES,
+  getSlaDueDates,
+  getSlaStatus,
+  breachedFilter
+};
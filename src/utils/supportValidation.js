@@ -259,3 +259,143 @@ exports.validateTicketSearch = (data) => {
 
   return schema.validate(data);
 };
+
+const objectId = () => Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': '{{#label}} must be a valid MongoDB ObjectId'
+});
+
+// Validate agent queue filters
+exports.validateAgentTicketQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.array()
+      .items(Joi.string().valid('Open', 'In Progress', 'Completed', 'Closed', 'Cancelled'))
+      .single()
+      .optional(),
+    priority: Joi.array()
+      .items(Joi.string().valid('Low', 'Medium', 'High', 'Urgent'))
+      .single()
+      .optional(),
+    category: objectId().optional(),
+    // An agent's user ID, `me` or `unassigned`
+    assignedTo: Joi.alternatives().try(objectId(), Joi.string().valid('me', 'unassigned')).optional(),
+    breached: Joi.string().valid('first_response', 'resolution', 'any').optional(),
+    isUrgent: Joi.boolean().optional(),
+    query: Joi.string().trim().max(100).optional(),
+    sortBy: Joi.string().valid('lastActivity', 'createdAt', 'firstResponseDue', 'resolutionDue').default('lastActivity'),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
+
+// Validate ticket assignment; null unassigns
+exports.validateTicketAssignment = (data) => {
+  const schema = Joi.object({
+    assignedTo: objectId().allow(null).required()
+  });
+
+  return schema.validate(data);
+};
+
+// Validate an agent reply; the text comes from `message` or a canned response
+exports.validateAgentReply = (data) => {
+  const schema = Joi.object({
+    message: Joi.string().trim().min(1).max(2000),
+    cannedResponseId: objectId(),
+    status: Joi.string().valid('Open', 'In Progress', 'Completed', 'Closed').optional()
+  }).or('message', 'cannedResponseId');
+
+  return schema.validate(data);
+};
+
+// Validate an internal note
+exports.validateInternalNote = (data) => {
+  const schema = Joi.object({
+    message: Joi.string().trim().min(1).max(2000).required()
+  });
+
+  return schema.validate(data);
+};
+
+// Validate agent changes to a ticket
+exports.validateAgentTicketUpdate = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('Open', 'In Progress', 'Completed', 'Closed', 'Cancelled'),
+    priority: Joi.string().valid('Low', 'Medium', 'High', 'Urgent'),
+    isUrgent: Joi.boolean(),
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(20),
+    estimatedResolution: Joi.date().iso().allow(null),
+    resolution: Joi.string().trim().max(1000)
+  }).min(1);
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate a canned response
+exports.validateCannedResponse = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().max(100).required(),
+    body: Joi.string().trim().max(2000).required(),
+    categoryId: objectId().allow(null).optional(),
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(20).optional(),
+    isActive: Joi.boolean().optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate changes to a canned response
+exports.validateCannedResponseUpdate = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().max(100),
+    body: Joi.string().trim().max(2000),
+    categoryId: objectId().allow(null),
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(20),
+    isActive: Joi.boolean()
+  }).min(1);
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate canned response filters
+exports.validateCannedResponseQuery = (data) => {
+  const schema = Joi.object({
+    category: objectId().optional(),
+    query: Joi.string().trim().max(100).optional(),
+    includeInactive: Joi.boolean().default(false)
+  });
+
+  return schema.validate(data);
+};
+
+// Validate a parsed inbound email posted by the mail relay. Field names follow our own shape;
+// the common relay spellings (Mailgun "body-plain", "stripped-text", "Message-Id" ...) are accepted too.
+exports.validateInboundEmail = (data) => {
+  const header = Joi.string().trim().max(5000).allow('');
+  const schema = Joi.object({
+    from: Joi.string().trim().max(500).required(),
+    to: header.optional(),
+    cc: header.optional(),
+    recipient: header.optional(),
+    subject: Joi.string().trim().max(1000).allow('').optional(),
+    text: Joi.string().max(200000).allow('').optional(),
+    html: Joi.string().max(500000).allow('').optional(),
+    strippedText: Joi.string().max(200000).allow('').optional(),
+    messageId: Joi.string().trim().max(1000).allow('').optional(),
+    inReplyTo: header.optional(),
+    references: header.optional()
+  })
+    .rename('To', 'to', { ignoreUndefined: true })
+    .rename('Cc', 'cc', { ignoreUndefined: true })
+    .rename('body-plain', 'text', { ignoreUndefined: true })
+    .rename('body-html', 'html', { ignoreUndefined: true })
+    .rename('stripped-text', 'strippedText', { ignoreUndefined: true })
+    .rename('Message-Id', 'messageId', { ignoreUndefined: true })
+    .rename('In-Reply-To', 'inReplyTo', { ignoreUndefined: true })
+    .rename('References', 'references', { ignoreUndefined: true })
+    .unknown(true);
+
+  return schema.validate(data, { abortEarly: false });
+};
@@ -0,0 +1,40 @@
+const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('../models/webhookEndpoint.model');
+
+const url = () => Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000);
+const events = () => Joi.array().items(Joi.string().valid(...Object.keys(WEBHOOK_EVENTS))).min(1).unique();
+
+// Validate a new webhook endpoint
+exports.validateWebhookEndpoint = (data) => {
+  const schema = Joi.object({
+    url: url().required(),
+    description: Joi.string().trim().max(200).allow('').optional(),
+    events: events().required()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate changes to a webhook endpoint; isActive: true re-enables a disabled endpoint
+exports.validateWebhookEndpointUpdate = (data) => {
+  const schema = Joi.object({
+    url: url().optional(),
+    description: Joi.string().trim().max(200).allow('').optional(),
+    events: events().optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1);
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validate delivery log filters
+exports.validateDeliveryQuery = (data) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('pending', 'sent', 'failed', 'cancelled').optional(),
+    event: Joi.string().trim().max(100).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  });
+
+  return schema.validate(data);
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/webhookEndpoint.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const User = require('../models/user.model');
+const { sendWebhook } = require('./outboundWebhook');
+const { sendWebhookDisabledEmail } = require('./email');
+const { processDueDeliveries } = require('./deliveryQueue');
+
+const buildPayload = (eventId, event, data) => ({
+  id: eventId,
+  event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+// Turn off an endpoint that keeps failing, drop what is still queued for it and tell the owner
+async function disableEndpoint(endpoint, reason) {
+  const disabled = await WebhookEndpoint.findOneAndUpdate(
+    { _id: endpoint._id, isActive: true },
+    { $set: { isActive: false, disabledAt: new Date(), disabledReason: reason } },
+    { new: true }
+  );
+  if (!disabled) return;
+
+  await WebhookDelivery.updateMany(
+    { endpointId: endpoint._id, status: 'pending' },
+    { $set: { status: 'cancelled', lastError: 'Endpoint disabled' }, $unset: { nextAttemptAt: 1 } }
+  );
+
+  try {
+    const user = await User.findById(endpoint.userId).select('email firstName').lean();
+    if (user?.email) {
+      await sendWebhookDisabledEmail(user.email, user.firstName, { url: endpoint.url, reason });
+    }
+  } catch (error) {
+    // The endpoint stays disabled; the owner also sees it in the endpoint list
+  }
+}
+
+/**
+ * Make one attempt at a delivery and update the endpoint's health
+ * @param {object} delivery - WebhookDelivery document
+ * @param {object} endpoint - WebhookEndpoint document, with its secret
+ * @returns {Promise<object>} The delivery after the attempt
+ */
+async function attemptDelivery(delivery, endpoint) {
+  const result = await sendWebhook(endpoint.url, delivery.payload, {
+    secret: endpoint.secret,
+    event: delivery.event,
+    deliveryId: delivery._id
+  });
+
+  const now = new Date();
+  delivery.recordAttempt(result, now);
+  await delivery.save();
+
+  if (result.ok) {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now } }
+    );
+    return delivery;
+  }
+
+  const updated = await WebhookEndpoint.findOneAndUpdate(
+    { _id: endpoint._id },
+    { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now } },
+    { new: true }
+  );
+
+  if (updated && updated.consecutiveFailures >= WebhookEndpoint.DISABLE_AFTER_FAILURES) {
+    await disableEndpoint(updated, `${updated.consecutiveFailures} deliveries in a row failed (last: ${result.error})`);
+  }
+
+  return delivery;
+}
+
+// Send one claimed delivery; deliveries for disabled or deleted endpoints are cancelled
+async function deliverWebhook(delivery) {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+  if (!endpoint || !endpoint.isActive) {
+    delivery.status = 'cancelled';
+    delivery.nextAttemptAt = undefined;
+    delivery.lastError = endpoint ? 'Endpoint disabled' : 'Endpoint deleted';
+    await delivery.save();
+    return;
+  }
+
+  await attemptDelivery(delivery, endpoint);
+}
+
+/**
+ * Send due deliveries
+ * @param {Array<string>} ids - Limit to these deliveries (e.g. the ones just queued)
+ * @returns {Promise<object>} Counters for the run
+ */
+const deliverWebhooks = (ids) => processDueDeliveries(WebhookDelivery, ids, deliverWebhook);
+
+/**
+ * Queue an event for every active endpoint of the user that subscribes to it, then send in
+ * the background. Never throws: webhooks must not break the action that raised the event.
+ * @param {string} userId - Owner of the endpoints (the business the event is about)
+ * @param {string} event - One of WebhookEndpoint.WEBHOOK_EVENTS
+ * @param {object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(userId, event, data) {
+  try {
+    if (!userId) return 0;
+
+    const endpoints = await WebhookEndpoint.find({ userId, isActive: true, events: event }).select('_id').lean();
+    if (endpoints.length === 0) return 0;
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = buildPayload(eventId, event, data);
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpointId: endpoint._id,
+      userId,
+      eventId,
+      event,
+      payload,
+      nextAttemptAt: new Date()
+    })));
+
+    deliverWebhooks(deliveries.map(delivery => delivery._id)).catch(() => null);
+    return deliveries.length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Send a test event to an endpoint right away. Test sends are logged but not retried, and do
+ * not count towards disabling the endpoint.
+ * @param {object} endpoint - WebhookEndpoint document, with its secret
+ * @returns {Promise<object>} The delivery
+ */
+async function sendTestWebhook(endpoint) {
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+  const delivery = new WebhookDelivery({
+    endpointId: endpoint._id,
+    userId: endpoint.userId,
+    eventId,
+    event: WebhookEndpoint.TEST_EVENT,
+    payload: buildPayload(eventId, WebhookEndpoint.TEST_EVENT, {
+      endpointId: endpoint._id,
+      message: 'This is a test event from Kunex'
+    }),
+    isTest: true
+  });
+
+  const result = await sendWebhook(endpoint.url, delivery.payload, {
+    secret: endpoint.secret,
+    event: delivery.event,
+    deliveryId: delivery._id
+  });
+
+  delivery.recordAttempt(result);
+  await delivery.save();
+  return delivery;
+}
+
+module.exports = {
+  emitWebhookEvent,
+  deliverWebhooks,
+  sendTestWebhook
+};
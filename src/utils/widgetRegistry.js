@@ -0,0 +1,1055 @@
+const Joi = require('joi');
+const { isValidIANATimezone } = require('./timezoneValidation');
+const {
+  FORM_FIELD_TYPES,
+  VISIBILITY_OPERATORS,
+  OPTION_FIELD_TYPES,
+  MAX_FILE_SIZE_MB,
+  isSafePattern
+} = require('./formFields');
+
+const WIDGET_CATEGORIES = ['content', 'media', 'form', 'navigation', 'ecommerce', 'social', 'utility', 'custom'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD'];
+const HEX_COLOR_PATTERN = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+// Field helpers. Types that predate the registry keep accepting whatever strings they stored;
+// newer types require absolute http(s) URLs.
+const text = (max = 500) => Joi.string().trim().allow('').max(max);
+const anyUrl = () => Joi.string().trim().allow('').max(2000);
+const webUrl = () => Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000);
+const hexColor = () => Joi.string().pattern(HEX_COLOR_PATTERN).messages({
+  'string.pattern.base': '{{#label}} must be a hex color such as #1A2B3C'
+});
+const timezone = () => Joi.string().trim().custom((value, helpers) => (
+  isValidIANATimezone(value) ? value : helpers.error('any.invalid')
+)).messages({ 'any.invalid': '{{#label}} must be a valid IANA timezone' });
+
+const profileHandle = () => Joi.object({ handle: Joi.string().trim().max(100).required() }).unknown(true).required();
+
+// One field of a custom form. Fields are shown in array order; visibleWhen may only refer to
+// a field earlier in the form.
+const formField = Joi.object({
+  name: Joi.string().trim().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).max(50).required().messages({
+    'string.pattern.base': '{{#label}} must start with a letter and contain only letters, numbers and underscores'
+  }),
+  type: Joi.string().valid(...FORM_FIELD_TYPES).required(),
+  label: text(200),
+  placeholder: text(200),
+  helpText: text(500),
+  required: Joi.boolean(),
+  options: Joi.when('type', {
+    is: Joi.valid(...OPTION_FIELD_TYPES),
+    then: Joi.array().items(Joi.string().trim().max(200)).unique().max(100),
+    otherwise: Joi.array().max(0)
+  }),
+  validation: Joi.object({
+    minLength: Joi.number().integer().min(0).allow(null),
+    maxLength: Joi.number().integer().min(1).allow(null),
+    pattern: Joi.string().max(200).allow('', null).custom((value, helpers) => {
+      try {
+        if (value) new RegExp(value);
+      } catch (error) {
+        return helpers.error('any.invalid');
+      }
+      return !value || isSafePattern(value) ? value : helpers.error('string.unsafePattern');
+    }).messages({
+      'any.invalid': '{{#label}} must be a valid regular expression',
+      'string.unsafePattern': '{{#label}} must not repeat a group that itself repeats or has alternatives, such as (a+)+ or (a|aa)+'
+    }),
+    patternMessage: text(200).allow(null),
+    minValue: Joi.number().allow(null),
+    maxValue: Joi.number().allow(null),
+    fileTypes: Joi.array().items(Joi.string().trim().pattern(/^(\.[a-z0-9]+|[a-z]+\/[a-z0-9.+*-]+)$/i).max(100)).max(20),
+    maxFileSizeMb: Joi.number().positive().max(MAX_FILE_SIZE_MB).allow(null)
+  }).unknown(true),
+  visibleWhen: Joi.object({
+    field: Joi.string().trim().required(),
+    operator: Joi.string().valid(...VISIBILITY_OPERATORS).default('equals'),
+    value: Joi.alternatives(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null)
+  }).allow(null)
+}).unknown(true)
+  .when(Joi.object({ type: Joi.valid('select', 'radio') }).unknown(), {
+    then: Joi.object({ options: Joi.array().min(1).required() })
+  });
+
+const formFields = () => Joi.array().items(formField).max(50).unique('name').custom((fields, helpers) => {
+  const seen = new Set();
+  for (const field of fields) {
+    if (field.visibleWhen && field.visibleWhen.field && !seen.has(field.visibleWhen.field)) {
+      return helpers.message(`"${field.name}" can only depend on a field that comes before it`);
+    }
+    seen.add(field.name);
+  }
+  return fields;
+});
+
+const validityWindow = {
+  validFrom: Joi.date().allow(null).optional(),
+  validUntil: Joi.date().allow(null).optional()
+};
+
+// Small helpers for the preview renderers
+const count = (items, noun) => `${(items || []).length} ${noun}${(items || []).length === 1 ? '' : 's'}`;
+const firstOf = (...values) => values.find(value => typeof value === 'string' && value.trim()) || '';
+
+const imageLinkType = (name, description, specificKey, imageField, urlField, label) => ({
+  name,
+  description,
+  category: 'media',
+  icon: specificKey,
+  specificKey,
+  schema: Joi.object({
+    [imageField]: anyUrl(),
+    [urlField]: anyUrl()
+  }).unknown(true),
+  defaults: { [imageField]: '', [urlField]: '' },
+  preview: ({ specific }) => (specific[urlField] ? `${label}: ${specific[urlField]}` : label)
+});
+
+/**
+ * Widget types keyed by Widget.type.
+ *
+ * name, description, category, icon - shown in the builder's widget picker
+ * specificKey   - key under settings.specific that holds the type's data, if any
+ * schema        - Joi schema for settings.specific[specificKey]
+ * contentSchema - Joi schema for settings.content, for types built on the generic content fields
+ * defaults      - initial settings.specific[specificKey] (or settings.content) for a new widget
+ * preview       - one-line summary of the widget for previews: ({ content, specific }, widget) => string
+ */
+const WIDGET_TYPES = {
+  text: {
+    name: 'Text Block',
+    description: 'Add formatted text content',
+    category: 'content',
+    icon: 'text',
+    contentSchema: Joi.object({
+      title: text(200),
+      text: text(10000),
+      html: text(20000),
+      markdown: text(20000)
+    }).unknown(true),
+    defaults: { text: '' },
+    preview: ({ content }) => firstOf(content.title, content.text)
+  },
+  image: {
+    name: 'Image',
+    description: 'Display images with various styling options',
+    category: 'media',
+    icon: 'image',
+    contentSchema: Joi.object({
+      url: Joi.string().trim().max(2000).required(),
+      alt: text(200),
+      caption: text(500)
+    }).unknown(true),
+    defaults: { url: '', alt: '' },
+    preview: ({ content }) => firstOf(content.caption, content.alt, content.url)
+  },
+  video: {
+    name: 'Video',
+    description: 'Embed an uploaded or hosted video',
+    category: 'media',
+    icon: 'video',
+    contentSchema: Joi.object({ url: anyUrl(), title: text(200) }).unknown(true),
+    defaults: { url: '' },
+    preview: ({ content }) => firstOf(content.title, content.url)
+  },
+  youtube_video: {
+    name: 'YouTube Video',
+    description: 'Embed a YouTube video',
+    category: 'media',
+    icon: 'youtube',
+    contentSchema: Joi.object({
+      url: anyUrl().pattern(/^$|youtube\.com|youtu\.be/i).messages({
+        'string.pattern.base': '{{#label}} must be a YouTube link'
+      }),
+      title: text(200)
+    }).unknown(true),
+    defaults: { url: '' },
+    preview: ({ content }) => firstOf(content.title, content.url)
+  },
+  audio: {
+    name: 'Audio',
+    description: 'Play an audio file',
+    category: 'media',
+    icon: 'audio',
+    contentSchema: Joi.object({ url: anyUrl(), title: text(200) }).unknown(true),
+    defaults: { url: '' },
+    preview: ({ content }) => firstOf(content.title, content.url)
+  },
+  button: {
+    name: 'Button',
+    description: 'Interactive button with custom actions',
+    category: 'content',
+    icon: 'button',
+    contentSchema: Joi.object({
+      text: Joi.string().trim().max(100).required(),
+      url: anyUrl()
+    }).unknown(true),
+    defaults: { text: 'Click here' },
+    preview: ({ content }) => content.text
+  },
+  form: {
+    name: 'Contact Form',
+    description: 'Collect user information and feedback',
+    category: 'form',
+    icon: 'form',
+    specificKey: 'form',
+    schema: Joi.object({
+      addMedia: anyUrl(),
+      titleTextBox: Joi.string().trim().max(200).required(),
+      hasEmail: Joi.boolean(),
+      emailPlaceholder: text(100),
+      hasPhoneNumber: Joi.boolean(),
+      phoneNumberPlaceholder: text(100),
+      fields: formFields(),
+      submitButtonText: text(50)
+    }).unknown(true),
+    defaults: { titleTextBox: 'Contact us', hasEmail: true, hasPhoneNumber: false },
+    preview: ({ specific }) => (
+      specific.fields && specific.fields.length
+        ? `${specific.titleTextBox} (${count(specific.fields, 'field')})`
+        : specific.titleTextBox
+    )
+  },
+  map: {
+    name: 'Map',
+    description: 'Embed interactive maps',
+    category: 'utility',
+    icon: 'map',
+    specificKey: 'map',
+    schema: Joi.object({
+      location: Joi.string().trim().max(300).required(),
+      lat: Joi.number().min(-90).max(90),
+      lng: Joi.number().min(-180).max(180),
+      zoom: Joi.number().integer().min(1).max(20).default(14)
+    }),
+    defaults: { location: '', zoom: 14 },
+    preview: ({ specific }) => specific.location
+  },
+  social_media: {
+    name: 'Social Media Feed',
+    description: 'Display social media content',
+    category: 'social',
+    icon: 'social',
+    specificKey: 'socialFeed',
+    schema: Joi.object({
+      platform: Joi.string().valid('instagram', 'tiktok', 'facebook', 'twitter', 'youtube', 'linkedin').required(),
+      handle: Joi.string().trim().max(100).required(),
+      feedSettings: Joi.object({
+        maxPosts: Joi.number().integer().min(1).max(50).default(6),
+        layout: Joi.string().valid('grid', 'carousel', 'list').default('grid')
+      }).default()
+    }),
+    defaults: { platform: 'instagram', handle: '' },
+    preview: ({ specific }) => `${specific.platform} @${specific.handle}`
+  },
+  testimonial: {
+    name: 'Testimonial',
+    description: 'Customer reviews and testimonials',
+    category: 'content',
+    icon: 'testimonial',
+    specificKey: 'testimonial',
+    schema: Joi.object({
+      items: Joi.array().items(Joi.object({
+        quote: Joi.string().trim().max(1000).required(),
+        author: text(100),
+        role: text(100),
+        avatarUrl: webUrl().allow(''),
+        rating: Joi.number().min(0).max(5)
+      })).min(1).max(50).required()
+    }),
+    defaults: { items: [] },
+    preview: ({ specific }) => count(specific.items, 'testimonial')
+  },
+  gallery: {
+    name: 'Image Gallery',
+    description: 'Showcase multiple images in various layouts',
+    category: 'media',
+    icon: 'gallery',
+    specificKey: 'gallery',
+    schema: Joi.object({
+      images: Joi.array().items(Joi.object({
+        url: webUrl().required(),
+        alt: text(200),
+        caption: text(300)
+      })).min(1).max(100).required(),
+      layout: Joi.string().valid('grid', 'masonry', 'carousel').default('grid'),
+      columns: Joi.number().integer().min(1).max(6).default(3)
+    }),
+    defaults: { images: [], layout: 'grid', columns: 3 },
+    preview: ({ specific }) => count(specific.images, 'image')
+  },
+  slider: {
+    name: 'Slider',
+    description: 'Rotate through slides with images and calls to action',
+    category: 'media',
+    icon: 'slider',
+    specificKey: 'slider',
+    schema: Joi.object({
+      slides: Joi.array().items(Joi.object({
+        imageUrl: webUrl().required(),
+        title: text(200),
+        text: text(500),
+        linkUrl: webUrl().allow('')
+      })).min(1).max(20).required(),
+      autoplay: Joi.boolean().default(true),
+      intervalMs: Joi.number().integer().min(1000).max(30000).default(5000)
+    }),
+    defaults: { slides: [], autoplay: true, intervalMs: 5000 },
+    preview: ({ specific }) => count(specific.slides, 'slide')
+  },
+  countdown: {
+    name: 'Countdown Timer',
+    description: 'Create urgency with countdown timers',
+    category: 'utility',
+    icon: 'countdown',
+    specificKey: 'countdown',
+    schema: Joi.object({
+      targetDate: Joi.date().iso().required(),
+      title: text(200),
+      format: Joi.string().valid('dhms', 'dhm', 'days').default('dhms'),
+      completedText: text(200),
+      hideOnComplete: Joi.boolean().default(false)
+    }),
+    defaults: { format: 'dhms', completedText: '', hideOnComplete: false },
+    preview: ({ specific }) => `Counting down to ${new Date(specific.targetDate).toISOString()}`
+  },
+  pricing_table: {
+    name: 'Pricing Table',
+    description: 'Display pricing plans and features',
+    category: 'ecommerce',
+    icon: 'pricing',
+    specificKey: 'pricingTable',
+    schema: Joi.object({
+      currency: Joi.string().valid(...CURRENCIES).default('USD'),
+      billing: Joi.string().valid('monthly', 'yearly', 'one_time').default('monthly'),
+      plans: Joi.array().items(Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        price: Joi.number().min(0).required(),
+        description: text(300),
+        features: Joi.array().items(Joi.string().trim().max(200)).max(30).default([]),
+        ctaText: text(50),
+        ctaUrl: webUrl().allow(''),
+        highlighted: Joi.boolean().default(false)
+      })).min(1).max(6).required()
+    }),
+    defaults: { currency: 'USD', billing: 'monthly', plans: [] },
+    preview: ({ specific }) => `${count(specific.plans, 'plan')} (${specific.currency}, ${specific.billing})`
+  },
+  chart: {
+    name: 'Chart',
+    description: 'Visualize data as a bar, line or pie chart',
+    category: 'content',
+    icon: 'chart',
+    specificKey: 'chart',
+    schema: Joi.object({
+      chartType: Joi.string().valid('bar', 'line', 'pie', 'doughnut').default('bar'),
+      title: text(200),
+      labels: Joi.array().items(Joi.string().trim().max(100)).max(100).required(),
+      datasets: Joi.array().items(Joi.object({
+        label: text(100),
+        color: hexColor(),
+        data: Joi.array().items(Joi.number()).max(100).required()
+      })).min(1).max(10).required()
+    }),
+    defaults: { chartType: 'bar', labels: [], datasets: [] },
+    preview: ({ specific }) => `${specific.chartType} chart, ${count(specific.datasets, 'dataset')}`
+  },
+  embed: {
+    name: 'Embed',
+    description: 'Embed content from another site',
+    category: 'custom',
+    icon: 'embed',
+    specificKey: 'embed',
+    schema: Joi.object({
+      embedUrl: webUrl().required(),
+      aspectRatio: Joi.string().valid('16:9', '4:3', '1:1').default('16:9')
+    }),
+    defaults: { aspectRatio: '16:9' },
+    preview: ({ specific }) => specific.embedUrl
+  },
+  spacer: {
+    name: 'Spacer',
+    description: 'Add vertical space between widgets',
+    category: 'utility',
+    icon: 'spacer',
+    specificKey: 'spacer',
+    schema: Joi.object({
+      height: Joi.number().integer().min(0).max(500).default(40)
+    }),
+    defaults: { height: 40 },
+    preview: ({ specific }) => `${specific.height}px space`
+  },
+  divider: {
+    name: 'Divider',
+    description: 'Separate sections with a line',
+    category: 'utility',
+    icon: 'divider',
+    specificKey: 'divider',
+    schema: Joi.object({
+      style: Joi.string().valid('solid', 'dashed', 'dotted').default('solid'),
+      thickness: Joi.number().integer().min(1).max(10).default(1),
+      color: hexColor().default('#E0E0E0')
+    }),
+    defaults: { style: 'solid', thickness: 1, color: '#E0E0E0' },
+    preview: ({ specific }) => `${specific.style} divider`
+  },
+  icon: {
+    name: 'Icon',
+    description: 'Show an icon, optionally linked',
+    category: 'content',
+    icon: 'icon',
+    specificKey: 'icon',
+    schema: Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      size: Joi.number().integer().min(8).max(256).default(32),
+      color: hexColor(),
+      url: webUrl().allow('')
+    }),
+    defaults: { name: 'star', size: 32 },
+    preview: ({ specific }) => specific.name
+  },
+  accordion: {
+    name: 'Accordion',
+    description: 'Collapsible sections of content',
+    category: 'content',
+    icon: 'accordion',
+    specificKey: 'accordion',
+    schema: Joi.object({
+      items: Joi.array().items(Joi.object({
+        title: Joi.string().trim().max(200).required(),
+        content: text(5000)
+      })).min(1).max(50).required(),
+      allowMultiple: Joi.boolean().default(false)
+    }),
+    defaults: { items: [], allowMultiple: false },
+    preview: ({ specific }) => count(specific.items, 'section')
+  },
+  tabs: {
+    name: 'Tabs',
+    description: 'Organize content into tabs',
+    category: 'content',
+    icon: 'tabs',
+    specificKey: 'tabs',
+    schema: Joi.object({
+      tabs: Joi.array().items(Joi.object({
+        label: Joi.string().trim().max(50).required(),
+        content: text(5000)
+      })).min(1).max(10).required(),
+      defaultTab: Joi.number().integer().min(0).default(0)
+    }),
+    defaults: { tabs: [], defaultTab: 0 },
+    preview: ({ specific }) => (specific.tabs || []).map(tab => tab.label).join(' | ')
+  },
+  modal: {
+    name: 'Modal',
+    description: 'Show content in a popup',
+    category: 'content',
+    icon: 'modal',
+    specificKey: 'modal',
+    schema: Joi.object({
+      triggerText: Joi.string().trim().max(100).required(),
+      title: text(200),
+      content: text(5000)
+    }),
+    defaults: { triggerText: 'Open' },
+    preview: ({ specific }) => firstOf(specific.title, specific.triggerText)
+  },
+  calendar: {
+    name: 'Calendar',
+    description: 'Show upcoming dates in a calendar',
+    category: 'utility',
+    icon: 'calendar',
+    specificKey: 'calendar',
+    schema: Joi.object({
+      view: Joi.string().valid('month', 'week', 'list').default('month'),
+      events: Joi.array().items(Joi.object({
+        title: Joi.string().trim().max(200).required(),
+        start: Joi.date().iso().required(),
+        end: Joi.date().iso().min(Joi.ref('start')),
+        url: webUrl().allow('')
+      })).max(200).default([])
+    }),
+    defaults: { view: 'month', events: [] },
+    preview: ({ specific }) => `${specific.view} view, ${count(specific.events, 'date')}`
+  },
+  booking: {
+    name: 'Booking',
+    description: 'Let visitors book appointments',
+    category: 'utility',
+    icon: 'booking',
+    specificKey: 'booking',
+    schema: Joi.object({
+      provider: Joi.string().valid('calendly', 'acuity', 'square', 'other').default('other'),
+      bookingUrl: webUrl().required(),
+      buttonText: text(50),
+      services: Joi.array().items(Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        durationMinutes: Joi.number().integer().min(5).max(1440),
+        price: Joi.number().min(0),
+        currency: Joi.string().valid(...CURRENCIES).default('USD')
+      })).max(50).default([])
+    }),
+    defaults: { provider: 'other', buttonText: 'Book now', services: [] },
+    preview: ({ specific }) => `${firstOf(specific.buttonText, 'Book now')}: ${specific.bookingUrl}`
+  },
+  payment: {
+    name: 'Payment',
+    description: 'Accept a payment through a checkout link',
+    category: 'ecommerce',
+    icon: 'payment',
+    specificKey: 'payment',
+    schema: Joi.object({
+      paymentUrl: webUrl().required(),
+      amount: Joi.number().min(0),
+      currency: Joi.string().valid(...CURRENCIES).default('USD'),
+      description: text(300),
+      buttonText: text(50)
+    }),
+    defaults: { currency: 'USD', buttonText: 'Pay now' },
+    preview: ({ specific }) => (specific.amount !== undefined ? `${specific.currency} ${specific.amount}` : specific.paymentUrl)
+  },
+  newsletter: {
+    name: 'Newsletter Signup',
+    description: 'Collect email addresses for a newsletter',
+    category: 'form',
+    icon: 'newsletter',
+    specificKey: 'newsletter',
+    schema: Joi.object({
+      title: text(200),
+      placeholder: text(100),
+      buttonText: text(50),
+      successMessage: text(300),
+      collectName: Joi.boolean().default(false)
+    }),
+    defaults: { title: 'Subscribe', placeholder: 'Your email', buttonText: 'Subscribe', collectName: false },
+    preview: ({ specific }) => firstOf(specific.title, 'Newsletter signup')
+  },
+  search: {
+    name: 'Search',
+    description: 'Search box for the page or site',
+    category: 'navigation',
+    icon: 'search',
+    specificKey: 'search',
+    schema: Joi.object({
+      placeholder: text(100),
+      scope: Joi.string().valid('page', 'site').default('page')
+    }),
+    defaults: { placeholder: 'Search', scope: 'page' },
+    preview: ({ specific }) => `Search (${specific.scope})`
+  },
+  menu: {
+    name: 'Menu',
+    description: 'Navigation menu',
+    category: 'navigation',
+    icon: 'menu',
+    specificKey: 'menu',
+    schema: Joi.object({
+      items: Joi.array().items(Joi.object({
+        label: Joi.string().trim().max(50).required(),
+        url: Joi.string().trim().max(2000).required(),
+        children: Joi.array().items(Joi.object({
+          label: Joi.string().trim().max(50).required(),
+          url: Joi.string().trim().max(2000).required()
+        })).max(20).default([])
+      })).min(1).max(20).required(),
+      orientation: Joi.string().valid('horizontal', 'vertical').default('horizontal')
+    }),
+    defaults: { items: [], orientation: 'horizontal' },
+    preview: ({ specific }) => (specific.items || []).map(item => item.label).join(' | ')
+  },
+  breadcrumb: {
+    name: 'Breadcrumb',
+    description: 'Show where the visitor is in the site',
+    category: 'navigation',
+    icon: 'breadcrumb',
+    specificKey: 'breadcrumb',
+    schema: Joi.object({
+      items: Joi.array().items(Joi.object({
+        label: Joi.string().trim().max(50).required(),
+        url: Joi.string().trim().allow('').max(2000)
+      })).min(1).max(10).required(),
+      separator: Joi.string().max(3).default('/')
+    }),
+    defaults: { items: [], separator: '/' },
+    preview: ({ specific }) => (specific.items || []).map(item => item.label).join(` ${specific.separator} `)
+  },
+  pagination: {
+    name: 'Pagination',
+    description: 'Page through long lists',
+    category: 'navigation',
+    icon: 'pagination',
+    specificKey: 'pagination',
+    schema: Joi.object({
+      itemsPerPage: Joi.number().integer().min(1).max(100).default(10),
+      style: Joi.string().valid('numbers', 'prev_next', 'load_more').default('numbers')
+    }),
+    defaults: { itemsPerPage: 10, style: 'numbers' },
+    preview: ({ specific }) => `${specific.itemsPerPage} per page`
+  },
+  progress_bar: {
+    name: 'Progress Bar',
+    description: 'Show progress toward a goal',
+    category: 'content',
+    icon: 'progress',
+    specificKey: 'progressBar',
+    schema: Joi.object({
+      items: Joi.array().items(Joi.object({
+        label: text(100),
+        value: Joi.number().min(0).max(100).required(),
+        color: hexColor()
+      })).min(1).max(20).required(),
+      showPercentage: Joi.boolean().default(true)
+    }),
+    defaults: { items: [], showPercentage: true },
+    preview: ({ specific }) => (specific.items || []).map(item => `${firstOf(item.label, 'Progress')} ${item.value}%`).join(', ')
+  },
+  rating: {
+    name: 'Rating',
+    description: 'Display a star rating',
+    category: 'content',
+    icon: 'rating',
+    specificKey: 'rating',
+    schema: Joi.object({
+      value: Joi.number().min(0).max(Joi.ref('max')).required().messages({
+        'number.max': '{{#label}} must not be greater than max'
+      }),
+      max: Joi.number().integer().min(1).max(10).default(5),
+      label: text(100),
+      count: Joi.number().integer().min(0)
+    }),
+    defaults: { value: 0, max: 5 },
+    preview: ({ specific }) => `${specific.value} / ${specific.max}`
+  },
+  timeline: {
+    name: 'Timeline',
+    description: 'Milestones in chronological order',
+    category: 'content',
+    icon: 'timeline',
+    specificKey: 'timeline',
+    schema: Joi.object({
+      orientation: Joi.string().valid('vertical', 'horizontal').default('vertical'),
+      items: Joi.array().items(Joi.object({
+        date: Joi.string().trim().max(50).required(),
+        title: Joi.string().trim().max(200).required(),
+        description: text(1000),
+        imageUrl: webUrl().allow('')
+      })).min(1).max(100).required()
+    }),
+    defaults: { orientation: 'vertical', items: [] },
+    preview: ({ specific }) => count(specific.items, 'milestone')
+  },
+  custom_html: {
+    name: 'Custom HTML',
+    description: 'Your own HTML, CSS and JavaScript (stored in customCode)',
+    category: 'custom',
+    icon: 'code',
+    preview: (parts, widget) => (widget.customCode && widget.customCode.html ? 'Custom HTML' : 'Empty custom HTML')
+  },
+  api_data: {
+    name: 'API Data',
+    description: 'Show data loaded from an API (configured in data)',
+    category: 'custom',
+    icon: 'api',
+    preview: (parts, widget) => (widget.data && widget.data.apiEndpoint) || 'API data'
+  },
+  weather: {
+    name: 'Weather',
+    description: 'Current weather for a location',
+    category: 'utility',
+    icon: 'weather',
+    specificKey: 'weather',
+    schema: Joi.object({
+      location: Joi.string().trim().max(200).required(),
+      lat: Joi.number().min(-90).max(90),
+      lng: Joi.number().min(-180).max(180),
+      units: Joi.string().valid('metric', 'imperial').default('metric')
+    }),
+    defaults: { location: '', units: 'metric' },
+    preview: ({ specific }) => `Weather in ${specific.location}`
+  },
+  clock: {
+    name: 'Clock',
+    description: 'Show the local time',
+    category: 'utility',
+    icon: 'clock',
+    specificKey: 'clock',
+    schema: Joi.object({
+      timezone: timezone().default('UTC'),
+      format: Joi.string().valid('12h', '24h').default('24h'),
+      showSeconds: Joi.boolean().default(false)
+    }),
+    defaults: { timezone: 'UTC', format: '24h', showSeconds: false },
+    preview: ({ specific }) => `${specific.timezone} (${specific.format})`
+  },
+  calculator: {
+    name: 'Calculator',
+    description: 'Interactive calculator for quotes, loans and tips',
+    category: 'utility',
+    icon: 'calculator',
+    specificKey: 'calculator',
+    schema: Joi.object({
+      calculatorType: Joi.string().valid('basic', 'loan', 'mortgage', 'tip', 'bmi').required(),
+      title: text(200),
+      currency: Joi.string().valid(...CURRENCIES).default('USD'),
+      interestRate: Joi.number().min(0).max(100),
+      termMonths: Joi.number().integer().min(1).max(600)
+    }),
+    defaults: { calculatorType: 'basic', currency: 'USD' },
+    preview: ({ specific }) => firstOf(specific.title, `${specific.calculatorType} calculator`)
+  },
+  custom_link: {
+    name: 'Custom Links',
+    description: 'Buttons linking to any page',
+    category: 'content',
+    icon: 'link',
+    specificKey: 'customLink',
+    schema: Joi.array().items(Joi.object({
+      title: text(200),
+      url: anyUrl(),
+      style: Joi.string().valid('button', 'rectangular'),
+      imageUrl: anyUrl()
+    }).unknown(true)).max(100),
+    defaults: [],
+    preview: ({ specific }) => count(specific, 'link')
+  },
+  media: {
+    name: 'Photos & Videos',
+    description: 'Photo carousel or grid, videos and PDFs',
+    category: 'media',
+    icon: 'media',
+    specificKey: 'media',
+    schema: Joi.object({
+      mediaType: Joi.string().valid('photo', 'video', 'pdf'),
+      photoType: Joi.string().valid('carousel', 'grid'),
+      videoType: Joi.string().valid('youtube', 'upload'),
+      carousel: Joi.object().unknown(true),
+      grid: Joi.object().unknown(true)
+    }).unknown(true)
+      // Photos default to a carousel
+      .when(Joi.object({ mediaType: Joi.valid('photo'), photoType: Joi.valid('carousel') }).unknown(), {
+        then: Joi.object({ carousel: Joi.object({ title: Joi.string().trim().max(200).required() }).unknown(true).required() })
+      })
+      .when(Joi.object({ mediaType: Joi.valid('photo'), photoType: Joi.valid('grid').required() }).unknown(), {
+        then: Joi.object({ grid: Joi.object({ gridTitle: Joi.string().trim().max(200).required() }).unknown(true).required() })
+      }),
+    defaults: { mediaType: 'photo', photoType: 'carousel' },
+    preview: ({ specific }) => {
+      if (specific.mediaType === 'video') return count(specific.video, 'video');
+      if (specific.mediaType === 'pdf') return count(specific.pdfs, 'PDF');
+      return specific.photoType === 'grid'
+        ? firstOf(specific.grid && specific.grid.gridTitle, 'Photo grid')
+        : firstOf(specific.carousel && specific.carousel.title, 'Photo carousel');
+    }
+  },
+  promotions: {
+    name: 'Promotion',
+    description: 'Promote an offer with a cover image and dates',
+    category: 'ecommerce',
+    icon: 'promotion',
+    specificKey: 'promotions',
+    schema: Joi.object({
+      coverImage: anyUrl(),
+      title: Joi.string().trim().max(200).required(),
+      url: anyUrl(),
+      startDate: text(30),
+      endDate: text(30),
+      ...validityWindow
+    }).unknown(true),
+    defaults: { title: '' },
+    preview: ({ specific }) => specific.title
+  },
+  products: {
+    name: 'Products',
+    description: 'List products with prices and links',
+    category: 'ecommerce',
+    icon: 'products',
+    specificKey: 'products',
+    schema: Joi.array().items(Joi.object({
+      productImage: anyUrl(),
+      productName: text(200),
+      price: Joi.alternatives(text(50), Joi.number()),
+      currency: Joi.string().valid(...CURRENCIES),
+      productUrl: anyUrl(),
+      order: Joi.number().integer(),
+      ...validityWindow
+    }).unknown(true)).max(500),
+    defaults: [],
+    preview: ({ specific }) => count(specific, 'product')
+  },
+  event: {
+    name: 'Events',
+    description: 'Upcoming events with dates and tickets',
+    category: 'content',
+    icon: 'event',
+    specificKey: 'event',
+    schema: Joi.array().items(Joi.object({
+      eventImage: anyUrl(),
+      title: text(200),
+      date: text(30),
+      enddate: text(30),
+      location: text(300),
+      ticketUrl: anyUrl(),
+      category: text(100),
+      ...validityWindow
+    }).unknown(true)).max(200),
+    defaults: [],
+    preview: ({ specific }) => count(specific, 'event')
+  },
+  dropdown: {
+    name: 'Drop Down Text',
+    description: 'Headings that expand to show text',
+    category: 'content',
+    icon: 'dropdown',
+    specificKey: 'dropdown',
+    schema: Joi.object({
+      headings: Joi.array().items(Joi.object({
+        text: text(200),
+        description: text(2000),
+        maxCharacters: Joi.number().integer().min(1)
+      }).unknown(true)).required(),
+      addAnotherTextBox: Joi.boolean()
+    }).unknown(true),
+    defaults: { headings: [], addAnotherTextBox: false },
+    preview: ({ specific }) => count(specific.headings, 'heading')
+  },
+  app_integration: {
+    name: 'App Links',
+    description: 'Links to your app in the App Store and Google Play',
+    category: 'utility',
+    icon: 'app',
+    specificKey: 'appIntegration',
+    schema: Joi.object({
+      appleStoreUrl: anyUrl(),
+      googlePlayUrl: anyUrl()
+    }).unknown(true),
+    defaults: { appleStoreUrl: '', googlePlayUrl: '' },
+    preview: ({ specific }) => [specific.appleStoreUrl && 'App Store', specific.googlePlayUrl && 'Google Play'].filter(Boolean).join(', ')
+  },
+  google_reviews: {
+    name: 'Google Reviews',
+    description: 'Show reviews from your Google Business profile',
+    category: 'social',
+    icon: 'reviews',
+    specificKey: 'googleReviews',
+    schema: Joi.object({
+      place_id: Joi.string().trim().max(300),
+      name: text(200),
+      rating: Joi.number().min(0).max(5)
+    }).unknown(true),
+    defaults: {},
+    preview: ({ specific }) => (specific.name ? `${specific.name} (${specific.rating || 0} / 5)` : 'Google reviews')
+  },
+  google_maps: {
+    name: 'Google Maps',
+    description: 'Show your location on Google Maps',
+    category: 'utility',
+    icon: 'map',
+    specificKey: 'googleMaps',
+    schema: Joi.object({
+      placeId: Joi.string().trim().max(300),
+      location: Joi.string().trim().max(300).required(),
+      lat: Joi.number().min(-90).max(90),
+      lng: Joi.number().min(-180).max(180)
+    }).unknown(true),
+    defaults: { location: '' },
+    preview: ({ specific }) => specific.location
+  },
+  reservations: imageLinkType('Reservations', 'Link to your reservation system', 'reservations', 'reservationImage', 'reservationUrl', 'Reservations'),
+  music_podcast: imageLinkType('Music & Podcast', 'Link to your music or podcast', 'musicPodcast', 'podcastImage', 'musicPodcastUrl', 'Music & podcast'),
+  social_media_widgets: {
+    name: 'Social Profile',
+    description: 'Instagram feed, TikTok or Facebook profile',
+    category: 'social',
+    icon: 'social',
+    specificKey: 'socialMedia',
+    schema: Joi.object({
+      widgetType: Joi.string().valid('instagram_feed', 'tiktok_profile', 'facebook_profile').default('instagram_feed'),
+      instagram: Joi.object().unknown(true),
+      tiktok: Joi.object().unknown(true),
+      facebook: Joi.object().unknown(true)
+    }).unknown(true)
+      // Only the selected profile needs a handle; the feed is the default
+      .when(Joi.object({ widgetType: Joi.valid('instagram_feed') }).unknown(), { then: Joi.object({ instagram: profileHandle() }) })
+      .when(Joi.object({ widgetType: Joi.valid('tiktok_profile').required() }).unknown(), { then: Joi.object({ tiktok: profileHandle() }) })
+      .when(Joi.object({ widgetType: Joi.valid('facebook_profile').required() }).unknown(), { then: Joi.object({ facebook: profileHandle() }) }),
+    defaults: { widgetType: 'instagram_feed' },
+    preview: ({ specific }) => {
+      const platform = (specific.widgetType || 'instagram_feed').split('_')[0];
+      const handle = specific[platform] && specific[platform].handle;
+      return handle ? `${platform} @${handle}` : platform;
+    }
+  },
+  pdf: {
+    name: 'PDF',
+    description: 'Share PDF documents',
+    category: 'media',
+    icon: 'pdf',
+    specificKey: 'media',
+    schema: Joi.object({
+      pdfs: Joi.array().items(Joi.object({
+        title: text(200),
+        pdfFile: anyUrl(),
+        pdfImage: anyUrl()
+      }).unknown(true)).max(50)
+    }).unknown(true),
+    defaults: { mediaType: 'pdf', pdfs: [] },
+    preview: ({ specific }) => count(specific.pdfs, 'PDF')
+  },
+  spotify: imageLinkType('Spotify', 'Link to Spotify', 'spotify', 'image', 'url', 'Spotify'),
+  apple_music: imageLinkType('Apple Music', 'Link to Apple Music', 'appleMusic', 'image', 'url', 'Apple Music'),
+  apple_podcast: imageLinkType('Apple Podcasts', 'Link to Apple Podcasts', 'applePodcast', 'image', 'url', 'Apple Podcasts'),
+  soundcloud: imageLinkType('SoundCloud', 'Link to SoundCloud', 'soundcloud', 'image', 'url', 'SoundCloud')
+};
+
+const getWidgetType = (type) => (Object.prototype.hasOwnProperty.call(WIDGET_TYPES, type) ? WIDGET_TYPES[type] : null);
+
+// Required and optional setting paths, read from the Joi schema
+function describeFields(schema, prefix) {
+  if (!schema) return { required: [], optional: [] };
+
+  const description = schema.describe();
+  const keys = description.type === 'array'
+    ? (description.items && description.items[0] && description.items[0].keys) || {}
+    : description.keys || {};
+  const base = description.type === 'array' ? `${prefix}[]` : prefix;
+
+  const fields = { required: [], optional: [] };
+  Object.entries(keys).forEach(([key, field]) => {
+    const presence = field.flags && field.flags.presence;
+    fields[presence === 'required' ? 'required' : 'optional'].push(`${base}.${key}`);
+  });
+  return fields;
+}
+
+/**
+ * Widget types for the builder's picker
+ * @param {string} category - Only types in this category
+ * @returns {Array<object>}
+ */
+function listWidgetTypes(category) {
+  return Object.entries(WIDGET_TYPES)
+    .filter(([, definition]) => !category || definition.category === category)
+    .map(([type, definition]) => {
+      const content = describeFields(definition.contentSchema, 'content');
+      const specific = describeFields(definition.schema, `specific.${definition.specificKey}`);
+
+      return {
+        type,
+        category: definition.category,
+        name: definition.name,
+        description: definition.description,
+        icon: definition.icon,
+        specificKey: definition.specificKey || null,
+        defaults: definition.defaults || null,
+        settings: {
+          required: [...content.required, ...specific.required],
+          optional: [...content.optional, ...specific.optional]
+        }
+      };
+    });
+}
+
+/**
+ * Fill in a new widget's type defaults; values sent by the client win
+ * @param {string} type - Widget type
+ * @param {object} settings - Settings from the request
+ * @returns {object} Settings
+ */
+function applyWidgetDefaults(type, settings = {}) {
+  const definition = getWidgetType(type);
+  if (!definition || !definition.defaults) return settings;
+
+  const merge = (defaults, value) => {
+    if (Array.isArray(defaults)) return value === undefined ? [...defaults] : value;
+    return value && typeof value === 'object' && !Array.isArray(value) ? { ...defaults, ...value } : { ...defaults };
+  };
+
+  if (definition.contentSchema) {
+    return { ...settings, content: merge(definition.defaults, settings.content) };
+  }
+
+  const specific = settings.specific || {};
+  return {
+    ...settings,
+    specific: { ...specific, [definition.specificKey]: merge(definition.defaults, specific[definition.specificKey]) }
+  };
+}
+
+const toErrors = (error, prefix) => error.details.map(detail => ({
+  field: [prefix, ...detail.path].join('.'),
+  message: detail.message
+}));
+
+/**
+ * Check a widget's settings against its type. Unknown keys in registry-shaped settings are
+ * dropped and schema defaults filled in.
+ * @param {string} type - Widget type
+ * @param {object} settings - Widget settings (plain object)
+ * @returns {{errors: Array<{field: string, message: string}>|null, value: object}}
+ */
+function validateWidgetSettings(type, settings = {}) {
+  const definition = getWidgetType(type);
+  if (!definition) {
+    return {
+      errors: [{ field: 'type', message: `"type" must be one of [${Object.keys(WIDGET_TYPES).join(', ')}]` }],
+      value: settings
+    };
+  }
+
+  const errors = [];
+  const value = { ...settings };
+
+  if (definition.contentSchema) {
+    const result = definition.contentSchema.validate(settings.content || {}, VALIDATION_OPTIONS);
+    if (result.error) errors.push(...toErrors(result.error, 'settings.content'));
+    value.content = result.value;
+  }
+
+  if (definition.schema) {
+    const key = definition.specificKey;
+    const specific = settings.specific || {};
+    const empty = definition.schema.type === 'array' ? [] : {};
+    const result = definition.schema.validate(specific[key] === undefined || specific[key] === null ? empty : specific[key], VALIDATION_OPTIONS);
+    if (result.error) errors.push(...toErrors(result.error, `settings.specific.${key}`));
+    value.specific = { ...specific, [key]: result.value };
+  }
+
+  return { errors: errors.length > 0 ? errors : null, value };
+}
+
+/**
+ * One-line summary of a widget from its type's preview renderer
+ * @param {object} widget - Widget document or plain object
+ * @returns {string}
+ */
+function renderWidgetPreview(widget) {
+  const definition = getWidgetType(widget.type);
+  const settings = widget.settings || {};
+  const content = settings.content || {};
+  const fallback = content.text || content.title || 'Widget Preview';
+
+  if (!definition || !definition.preview) return fallback;
+
+  const specific = definition.specificKey
+    ? (settings.specific && settings.specific[definition.specificKey]) || (definition.schema && definition.schema.type === 'array' ? [] : {})
+    : {};
+
+  try {
+    return definition.preview({ content, specific }, widget) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = {
+  WIDGET_TYPES,
+  WIDGET_CATEGORIES,
+  getWidgetType,
+  listWidgetTypes,
+  applyWidgetDefaults,
+  validateWidgetSettings,
+  renderWidgetPreview
+};
@@ -0,0 +1,33 @@
+const { flattenRow, generateCsv } = require('../../src/utils/analyticsExport');
+
+describe('flattenRow', () => {
+  it('flattens group keys and nested values into columns', () => {
+    expect(flattenRow({ _id: { year: 2024, month: 5 }, views: 12, device: { type: 'mobile' } }))
+      .toEqual({ year: 2024, month: 5, views: 12, 'device.type': 'mobile' });
+  });
+
+  it.each(['=HYPERLINK("https://evil.example")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'keeps %j as text',
+    (referrer) => {
+      expect(flattenRow({ referrer }).referrer).toBe(`'${referrer}`);
+    }
+  );
+
+  it('leaves numbers and ordinary text alone', () => {
+    expect(flattenRow({ count: -3, source: 'google', campaigns: ['spring', 'summer'] }))
+      .toEqual({ count: -3, source: 'google', campaigns: 'spring, summer' });
+  });
+
+  it('escapes lists that start with a formula', () => {
+    expect(flattenRow({ terms: ['=1+1', 'shoes'] }).terms).toBe("'=1+1, shoes");
+  });
+});
+
+describe('generateCsv', () => {
+  it('writes visitor text as text', () => {
+    const csv = generateCsv({ referrals: [{ _id: '=cmd|"/c calc"!A1', count: 2 }] });
+
+    expect(csv).toContain("'=cmd");
+    expect(csv).not.toMatch(/(^|,)=cmd/m);
+  });
+});
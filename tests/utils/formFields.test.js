@@ -0,0 +1,121 @@
+const { getFormFields, isSafePattern, validateFormSubmission } = require('../../src/utils/formFields');
+
+const messages = ({ errors }) => Object.fromEntries(errors.map(({ field, message }) => [field, message]));
+
+describe('getFormFields', () => {
+  it('keeps the title / email / phone layout of forms without custom fields', () => {
+    const fields = getFormFields({ titleTextBox: 'Your name', hasEmail: true, hasPhoneNumber: true });
+
+    expect(fields.map(({ name, type, required }) => ({ name, type, required }))).toEqual([
+      { name: 'name', type: 'text', required: true },
+      { name: 'email', type: 'email', required: true },
+      { name: 'phone', type: 'phone', required: false }
+    ]);
+  });
+});
+
+describe('validateFormSubmission', () => {
+  it('accepts valid answers and drops answers to unknown fields', () => {
+    const fields = [
+      { name: 'name', type: 'text', required: true },
+      { name: 'email', type: 'email', required: true },
+      { name: 'guests', type: 'number', validation: { minValue: 1, maxValue: 10 } }
+    ];
+
+    const result = validateFormSubmission(fields, { name: ' Ada ', email: 'ada@example.com', guests: '4', extra: 'x' });
+
+    expect(result.errors).toEqual([]);
+    expect(result.values).toEqual({ name: 'Ada', email: 'ada@example.com', guests: 4 });
+  });
+
+  it('reports missing required fields and invalid values', () => {
+    const fields = [
+      { name: 'name', type: 'text', required: true },
+      { name: 'email', type: 'email', label: 'Email' },
+      { name: 'site', type: 'url', label: 'Website' },
+      { name: 'guests', type: 'number', label: 'Guests', validation: { maxValue: 10 } }
+    ];
+
+    const result = validateFormSubmission(fields, { email: 'not-an-email', site: 'ftp://x', guests: '12' });
+
+    expect(messages(result)).toEqual({
+      name: 'name is required',
+      email: 'Email must be a valid email address',
+      site: 'Website must be a valid URL',
+      guests: 'Guests must be at most 10'
+    });
+  });
+
+  it('only accepts defined options', () => {
+    const fields = [
+      { name: 'size', type: 'select', options: ['S', 'M'] },
+      { name: 'extras', type: 'checkbox', options: ['Gift wrap', 'Card'] }
+    ];
+
+    expect(validateFormSubmission(fields, { size: 'M', extras: ['Card', 'Card'] }).values)
+      .toEqual({ size: 'M', extras: ['Card'] });
+    expect(messages(validateFormSubmission(fields, { size: 'XL' })))
+      .toEqual({ size: 'size must be one of: S, M' });
+  });
+
+  it('requires a single checkbox without options to be checked when required', () => {
+    const fields = [{ name: 'terms', type: 'checkbox', label: 'Terms', required: true }];
+
+    expect(messages(validateFormSubmission(fields, {}))).toEqual({ terms: 'Terms must be checked' });
+    expect(validateFormSubmission(fields, { terms: 'on' }).values).toEqual({ terms: true });
+  });
+
+  it('skips hidden fields and their answers', () => {
+    const fields = [
+      { name: 'contact', type: 'radio', options: ['email', 'phone'], required: true },
+      { name: 'phone', type: 'phone', required: true, visibleWhen: { field: 'contact', operator: 'equals', value: 'phone' } }
+    ];
+
+    const result = validateFormSubmission(fields, { contact: 'email', phone: '123' });
+
+    expect(result.errors).toEqual([]);
+    expect(result.values).toEqual({ contact: 'email' });
+    expect(result.visibleFields.map(field => field.name)).toEqual(['contact']);
+  });
+
+  it('checks answers against the field pattern', () => {
+    const fields = [{ name: 'code', type: 'text', label: 'Code', validation: { pattern: '^[A-Z]{3}$', patternMessage: 'Use three capitals' } }];
+
+    expect(validateFormSubmission(fields, { code: 'ABC' }).errors).toEqual([]);
+    expect(messages(validateFormSubmission(fields, { code: 'abc' }))).toEqual({ code: 'Use three capitals' });
+    expect(messages(validateFormSubmission(fields, { code: 'A'.repeat(501) })))
+      .toEqual({ code: 'Code must be at most 500 characters' });
+  });
+
+  it('stops a pattern that backtracks for too long and rejects the answer', () => {
+    const fields = [{ name: 'code', type: 'text', label: 'Code', validation: { pattern: '^\\d*\\d*\\d*\\d*\\d*x$' } }];
+    const startedAt = Date.now();
+
+    expect(messages(validateFormSubmission(fields, { code: '1'.repeat(400) })))
+      .toEqual({ code: 'Code is not in the expected format' });
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it('matches uploads to file fields and checks their type and size', () => {
+    const fields = [{ name: 'cv', type: 'file', label: 'CV', validation: { fileTypes: ['.pdf'], maxFileSizeMb: 1 } }];
+    const pdf = { fieldname: 'cv', originalname: 'cv.pdf', mimetype: 'application/pdf', size: 1000 };
+
+    expect(validateFormSubmission(fields, {}, [pdf]).uploads).toEqual([{ field: fields[0], file: pdf }]);
+    expect(messages(validateFormSubmission(fields, {}, [{ ...pdf, originalname: 'cv.exe' }])))
+      .toEqual({ cv: 'CV must be one of: .pdf' });
+    expect(messages(validateFormSubmission(fields, {}, [{ ...pdf, size: 2 * 1024 * 1024 }])))
+      .toEqual({ cv: 'CV must be 1MB or smaller' });
+    expect(messages(validateFormSubmission(fields, {}, [{ ...pdf, fieldname: 'photo' }])))
+      .toEqual({ photo: 'photo does not accept files' });
+  });
+});
+
+describe('isSafePattern', () => {
+  it.each(['^[A-Z]{3}$', '^\\d{3}-\\d{4}$', '^(https?|ftp)://', '(a|b)?', '[(a+)]+', '\\(a+\\)+'])('accepts %s', (pattern) => {
+    expect(isSafePattern(pattern)).toBe(true);
+  });
+
+  it.each(['(a+)+$', '(\\w*)*', '((ab)+)+', '(x(a+))*', '(a{2,})+', '^(a|a)*$', '(a|aa)+', '((a|b)c)*'])('rejects %s', (pattern) => {
+    expect(isSafePattern(pattern)).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../../src/models/formSubmission.model', () => ({
+  exists: jest.fn(),
+  find: jest.fn()
+}));
+
+const FormSubmission = require('../../src/models/formSubmission.model');
+const {
+  RATE_LIMITS,
+  hashContent,
+  checkRateLimit,
+  registerSpamCheck,
+  scoreSubmission
+} = require('../../src/utils/formSpam');
+
+// Stand-in for FormSubmission.find(...).select().sort().limit().lean()
+const findResolving = (documents) => {
+  const query = {};
+  ['select', 'sort', 'limit'].forEach(method => { query[method] = () => query; });
+  query.lean = () => Promise.resolve(documents);
+  return query;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  FormSubmission.exists.mockResolvedValue(null);
+});
+
+describe('hashContent', () => {
+  it('ignores key order, case and surrounding spaces', () => {
+    expect(hashContent('w1', { name: 'Ada', email: 'ADA@example.com ' }))
+      .toBe(hashContent('w1', { email: 'ada@example.com', name: ' ada' }));
+  });
+
+  it('differs between widgets', () => {
+    expect(hashContent('w1', { name: 'Ada' })).not.toBe(hashContent('w2', { name: 'Ada' }));
+  });
+});
+
+describe('scoreSubmission', () => {
+  it('passes a normal submission', async () => {
+    const result = await scoreSubmission({ widgetId: 'w1', contentHash: 'h', formCompletionTime: 12 });
+
+    expect(result).toEqual({ isSpam: false, score: 0, reasons: [] });
+  });
+
+  it('flags a filled honeypot', async () => {
+    const result = await scoreSubmission({ widgetId: 'w1', contentHash: 'h', formCompletionTime: 12, honeypot: 'http://spam' });
+
+    expect(result.isSpam).toBe(true);
+    expect(result.reasons.map(reason => reason.check)).toEqual(['honeypot']);
+  });
+
+  it('flags forms filled in too quickly', async () => {
+    const result = await scoreSubmission({ widgetId: 'w1', contentHash: 'h', formCompletionTime: 1 });
+
+    expect(result.isSpam).toBe(true);
+    expect(result.reasons).toEqual([{ check: 'fill_time', score: 1, detail: 'Form was completed in under 3 seconds' }]);
+  });
+
+  it('only half-counts a missing completion time', async () => {
+    const result = await scoreSubmission({ widgetId: 'w1', contentHash: 'h' });
+
+    expect(result).toMatchObject({ isSpam: false, score: 0.5 });
+  });
+
+  it('flags content submitted again within a day', async () => {
+    FormSubmission.exists.mockResolvedValue({ _id: 's1' });
+
+    const result = await scoreSubmission({ widgetId: 'w1', contentHash: 'h', formCompletionTime: 12 });
+
+    expect(result.isSpam).toBe(true);
+    expect(result.reasons.map(reason => reason.check)).toEqual(['duplicate']);
+    expect(FormSubmission.exists).toHaveBeenCalledWith(expect.objectContaining({ widgetId: 'w1', contentHash: 'h' }));
+  });
+
+  it('adds registered checks and ignores ones that throw', async () => {
+    registerSpamCheck('blocklist', ({ values }) => (values.email.endsWith('@spam.test') ? { score: 2, detail: 'Blocked domain' } : null));
+    registerSpamCheck('broken', () => { throw new Error('unavailable'); });
+
+    const result = await scoreSubmission({ widgetId: 'w1', contentHash: 'h', formCompletionTime: 12, values: { email: 'x@spam.test' } });
+
+    expect(result).toMatchObject({ isSpam: true, score: 2 });
+    expect(result.reasons).toEqual([{ check: 'blocklist', score: 2, detail: 'Blocked domain' }]);
+  });
+
+  it('rejects checks that are not functions', () => {
+    expect(() => registerSpamCheck('bad', 'nope')).toThrow('Spam check must be a function');
+  });
+});
+
+describe('checkRateLimit', () => {
+  it('allows submissions without an IP address', async () => {
+    expect(await checkRateLimit(undefined, 'w1')).toEqual({ allowed: true });
+    expect(FormSubmission.find).not.toHaveBeenCalled();
+  });
+
+  it('allows submissions under both limits', async () => {
+    FormSubmission.find.mockReturnValue(findResolving([]));
+
+    expect(await checkRateLimit('203.0.113.5', 'w1')).toEqual({ allowed: true });
+    expect(FormSubmission.find).toHaveBeenCalledTimes(2);
+  });
+
+  it('blocks once the per-form limit is reached until the oldest submission leaves the window', async () => {
+    const { windowMs, max } = RATE_LIMITS.widget;
+    const oldest = new Date(Date.now() - windowMs + 60 * 1000);
+    FormSubmission.find.mockReturnValue(findResolving(Array.from({ length: max }, () => ({ createdAt: oldest }))));
+
+    const result = await checkRateLimit('203.0.113.5', 'w1');
+
+    expect(result).toMatchObject({ allowed: false, scope: 'widget' });
+    expect(result.retryAfterSeconds).toBeGreaterThan(55);
+    expect(result.retryAfterSeconds).toBeLessThanOrEqual(60);
+  });
+});
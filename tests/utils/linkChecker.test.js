@@ -0,0 +1,172 @@
+// Short enough for the timeout test to finish quickly
+process.env.LINK_CHECK_TIMEOUT_MS = '300';
+
+const http = require('http');
+const net = require('net');
+const {
+  ALLOWED_PORTS,
+  isPrivateAddress,
+  isCheckableUrl,
+  checkUrl,
+  collectWidgetLinks
+} = require('../../src/utils/linkChecker');
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '10.1.2.3',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.16.0.1',
+    '192.168.1.10',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '::1',
+    '::',
+    'fc00::1',
+    'fe80::1'
+  ])('blocks %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  it('judges IPv4-mapped IPv6 addresses by their IPv4 address', () => {
+    expect(isPrivateAddress('::ffff:127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:7f00:1')).toBe(true);
+    expect(isPrivateAddress('::ffff:8.8.8.8')).toBe(false);
+  });
+
+  it('treats anything that is not an IP address as private', () => {
+    expect(isPrivateAddress('localhost')).toBe(true);
+    expect(isPrivateAddress('')).toBe(true);
+  });
+});
+
+describe('isCheckableUrl', () => {
+  it('accepts absolute http(s) URLs only', () => {
+    expect(isCheckableUrl('https://example.com/path')).toBe(true);
+    expect(isCheckableUrl('mailto:owner@example.com')).toBe(false);
+    expect(isCheckableUrl('/relative')).toBe(false);
+    expect(isCheckableUrl(null)).toBe(false);
+  });
+});
+
+describe('collectWidgetLinks', () => {
+  it('lists the URLs a widget links to with their field paths', () => {
+    const widget = {
+      name: 'Links',
+      type: 'custom_link',
+      settings: {
+        specific: {
+          customLink: [
+            { title: 'Shop', url: 'https://shop.example.com' },
+            { title: 'Mail', url: 'mailto:owner@example.com' }
+          ]
+        },
+        interactive: { clickable: true, link: { url: 'https://example.com' } }
+      }
+    };
+
+    expect(collectWidgetLinks(widget)).toEqual([
+      { field: 'settings.specific.customLink.0.url', url: 'https://shop.example.com', label: 'Shop' },
+      { field: 'settings.interactive.link.url', url: 'https://example.com', label: 'Links' }
+    ]);
+  });
+});
+
+describe('checkUrl', () => {
+  let server;
+  let baseUrl;
+  let port;
+
+  // Stands in for the sites a page links to
+  const routes = {
+    '/ok': (req, res) => res.writeHead(200).end(),
+    '/missing': (req, res) => res.writeHead(404).end(),
+    '/forbidden': (req, res) => res.writeHead(403).end(),
+    '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+    '/hop-1': (req, res) => res.writeHead(301, { Location: '/hop-2' }).end(),
+    '/hop-2': (req, res) => res.writeHead(302, { Location: `${baseUrl}/ok` }).end(),
+    '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+    '/to-private': (req, res) => res.writeHead(302, { Location: 'http://10.0.0.1/admin' }).end(),
+    '/slow': () => {}
+  };
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => (routes[req.url] || routes['/missing'])(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      ({ port } = server.address());
+      baseUrl = `http://127.0.0.1:${port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  const check = (path) => checkUrl(`${baseUrl}${path}`, { allowPrivateHosts: true });
+
+  it('reports a working link', async () => {
+    expect(await check('/ok')).toEqual({ ok: true, statusCode: 200, finalUrl: `${baseUrl}/ok` });
+  });
+
+  it('reports a broken link', async () => {
+    expect(await check('/missing')).toMatchObject({ ok: false, statusCode: 404, reason: 'http_status' });
+  });
+
+  it('counts sites that turn away bots as working', async () => {
+    expect(await check('/forbidden')).toMatchObject({ ok: true, statusCode: 403 });
+  });
+
+  it('asks again with GET when HEAD is rejected', async () => {
+    expect(await check('/no-head')).toMatchObject({ ok: true, statusCode: 200 });
+  });
+
+  it('follows redirect chains to the final address', async () => {
+    expect(await check('/hop-1')).toEqual({ ok: true, statusCode: 200, finalUrl: `${baseUrl}/ok` });
+  });
+
+  it('gives up on redirect loops', async () => {
+    expect(await check('/loop')).toMatchObject({ ok: false, reason: 'too_many_redirects' });
+  });
+
+  it('gives up on sites that do not answer', async () => {
+    expect(await check('/slow')).toMatchObject({ ok: false, reason: 'timeout' });
+  });
+
+  it('refuses private addresses unless they are allowed', async () => {
+    expect(await checkUrl(`${baseUrl}/ok`)).toMatchObject({ ok: false, reason: 'blocked' });
+  });
+
+  describe('with the stub treated as a public site', () => {
+    let blockListCheck;
+
+    // Let the stub's address and port through so only the redirect target is judged
+    beforeAll(() => {
+      const isBlocked = net.BlockList.prototype.check;
+      blockListCheck = jest.spyOn(net.BlockList.prototype, 'check').mockImplementation(function (address, family) {
+        return address !== '127.0.0.1' && isBlocked.call(this, address, family);
+      });
+      ALLOWED_PORTS.push(String(port));
+    });
+
+    afterAll(() => {
+      blockListCheck.mockRestore();
+      ALLOWED_PORTS.splice(ALLOWED_PORTS.indexOf(String(port)), 1);
+    });
+
+    it('refuses redirects to private addresses', async () => {
+      expect(await checkUrl(`${baseUrl}/ok`)).toMatchObject({ ok: true, statusCode: 200 });
+      expect(await checkUrl(`${baseUrl}/to-private`)).toMatchObject({
+        ok: false,
+        reason: 'blocked',
+        finalUrl: 'http://10.0.0.1/admin'
+      });
+    });
+  });
+});
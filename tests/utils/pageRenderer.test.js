@@ -0,0 +1,33 @@
+const { safeCss } = require('../../src/utils/pageRenderer');
+
+describe('safeCss', () => {
+  it('keeps ordinary rules', () => {
+    expect(safeCss('h1 { color: red; }')).toBe('h1 { color: red; }');
+    expect(safeCss(null)).toBe('');
+  });
+
+  it('keeps uploaded and inline images', () => {
+    expect(safeCss("body { background: url('https://res.cloudinary.com/demo/image/upload/bg.jpg'); }"))
+      .toBe('body { background: url("https://res.cloudinary.com/demo/image/upload/bg.jpg"); }');
+    expect(safeCss('i { background: url(data:image/png;base64,AAAA); }'))
+      .toBe('i { background: url("data:image/png;base64,AAAA"); }');
+  });
+
+  it('drops loads from other hosts', () => {
+    expect(safeCss('body { background: url(https://tracker.example/p.gif) no-repeat; }'))
+      .toBe('body { background: none no-repeat; }');
+    expect(safeCss('@import url("https://tracker.example/x.css"); h1 { color: red; }')).toBe(' h1 { color: red; }');
+    expect(safeCss('div { background: image-set("https://tracker.example/p.gif" 1x); }')).not.toMatch(/image-set/i);
+  });
+
+  it('decodes escapes before checking', () => {
+    expect(safeCss('div { background: \\75 rl(https://tracker.example/p.gif); }')).toBe('div { background: none; }');
+    expect(safeCss('@\\69mport "https://tracker.example/x.css";')).toBe('');
+    expect(safeCss('div { background: \\5c 75rl(https://tracker.example/p.gif); }')).not.toMatch(/url\(|\\/i);
+  });
+
+  it('cannot close the style block', () => {
+    expect(safeCss('</style><script>alert(1)</script>')).not.toContain('<');
+    expect(safeCss('\\3c /style>')).not.toContain('<');
+  });
+});
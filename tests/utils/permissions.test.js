@@ -0,0 +1,91 @@
+jest.mock('../../src/models/role.model', () => ({
+  find: jest.fn()
+}));
+
+const Role = require('../../src/models/role.model');
+const {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  isSystemRole,
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission
+} = require('../../src/utils/permissions');
+
+// Stand-in for Role.find(...).select().lean()
+const findResolving = (roles) => ({
+  select: () => ({ lean: () => Promise.resolve(roles) })
+});
+
+const withRoles = (...roles) => ({ role: 'user', roleGrants: roles.map(role => ({ role })) });
+
+beforeEach(() => {
+  Role.find.mockReset();
+  Role.find.mockReturnValue(findResolving([]));
+});
+
+describe('system roles', () => {
+  it('only grant known permissions', () => {
+    Object.values(SYSTEM_ROLES).forEach(({ permissions }) => {
+      permissions.forEach(permission => expect(PERMISSIONS).toHaveProperty([permission]));
+    });
+  });
+
+  it('are recognised by name', () => {
+    expect(isSystemRole('moderator')).toBe(true);
+    expect(isSystemRole('toString')).toBe(false);
+    expect(isSystemRole('editor')).toBe(false);
+  });
+});
+
+describe('getRolePermissions', () => {
+  it('looks up custom roles only', async () => {
+    Role.find.mockReturnValue(findResolving([{ name: 'editor', permissions: ['templates:write'] }]));
+
+    const result = await getRolePermissions(['moderator', 'editor', 'missing']);
+
+    expect(Role.find).toHaveBeenCalledWith({ name: { $in: ['editor', 'missing'] } });
+    expect(result.get('moderator')).toEqual(SYSTEM_ROLES.moderator.permissions);
+    expect(result.get('editor')).toEqual(['templates:write']);
+    expect(result.has('missing')).toBe(false);
+  });
+
+  it('skips the database for system roles', async () => {
+    await getRolePermissions(['support_agent']);
+    expect(Role.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('getUserPermissions', () => {
+  it('gives admins every permission', async () => {
+    const held = await getUserPermissions({ role: 'admin' });
+    expect([...held].sort()).toEqual(Object.keys(PERMISSIONS).sort());
+  });
+
+  it('gives nothing without a user or grants', async () => {
+    expect((await getUserPermissions(null)).size).toBe(0);
+    expect((await getUserPermissions({ role: 'user' })).size).toBe(0);
+  });
+
+  it('combines the permissions of every granted role', async () => {
+    Role.find.mockReturnValue(findResolving([{ name: 'editor', permissions: ['templates:write', 'support:agent'] }]));
+
+    const held = await getUserPermissions(withRoles('support_agent', 'editor'));
+
+    expect([...held].sort()).toEqual(['support:agent', 'templates:write']);
+  });
+});
+
+describe('hasPermission', () => {
+  it('requires every listed permission', async () => {
+    const user = withRoles('moderator');
+
+    expect(await hasPermission(user, 'community:moderate')).toBe(true);
+    expect(await hasPermission(user, 'community:moderate', 'reports:review')).toBe(true);
+    expect(await hasPermission(user, 'community:moderate', 'plans:write')).toBe(false);
+  });
+
+  it('denies permissions of roles that no longer exist', async () => {
+    expect(await hasPermission(withRoles('deleted_role'), 'roles:manage')).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+const {
+  parseTime,
+  zonedTimeToDate,
+  eventOccursOn,
+  getHoursStatus,
+  getSchedule,
+  isOpenNow
+} = require('../../src/utils/serviceHours');
+
+// 2024-01-01 is a Monday
+const weekdayHours = {
+  type: 'weekly',
+  timezone: 'Europe/Berlin',
+  weeklyHours: [{ day: 'Mon', startTime: '09:00', endTime: '17:00' }]
+};
+
+describe('parseTime', () => {
+  it('parses HH:MM into minutes after midnight', () => {
+    expect(parseTime('09:30')).toBe(570);
+    expect(parseTime('0:00')).toBe(0);
+  });
+
+  it('allows 24:00 as the end of the day', () => {
+    expect(parseTime('24:00')).toBe(1440);
+  });
+
+  it('rejects invalid times', () => {
+    expect(parseTime('24:01')).toBeNull();
+    expect(parseTime('12:60')).toBeNull();
+    expect(parseTime('9am')).toBeNull();
+    expect(parseTime(undefined)).toBeNull();
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('converts a wall-clock time in a timezone into an instant', () => {
+    expect(zonedTimeToDate('2024-01-15', 9 * 60, 'America/New_York').toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    expect(zonedTimeToDate('2024-07-15', 9 * 60, 'America/New_York').toISOString()).toBe('2024-07-15T13:00:00.000Z');
+  });
+
+  it('uses the offset in force after a DST change on the same day', () => {
+    expect(zonedTimeToDate('2024-03-10', 12 * 60, 'America/New_York').toISOString()).toBe('2024-03-10T16:00:00.000Z');
+  });
+
+  it('rolls minutes past midnight into the next day', () => {
+    expect(zonedTimeToDate('2024-01-01', 26 * 60, 'UTC').toISOString()).toBe('2024-01-02T02:00:00.000Z');
+  });
+});
+
+describe('eventOccursOn', () => {
+  it('matches the event date only when the event does not recur', () => {
+    const event = { eventDate: '2024-01-01' };
+    expect(eventOccursOn(event, '2024-01-01')).toBe(true);
+    expect(eventOccursOn(event, '2024-01-08')).toBe(false);
+  });
+
+  it('repeats weekly events on the same weekday', () => {
+    const event = { eventDate: '2024-01-01', isRecurring: true, recurringPattern: 'weekly' };
+    expect(eventOccursOn(event, '2024-01-15')).toBe(true);
+    expect(eventOccursOn(event, '2024-01-16')).toBe(false);
+    expect(eventOccursOn(event, '2023-12-25')).toBe(false);
+  });
+
+  it('skips months without the start day of a monthly event', () => {
+    const event = { eventDate: '2024-01-31', isRecurring: true, recurringPattern: 'monthly' };
+    expect(eventOccursOn(event, '2024-02-29')).toBe(false);
+    expect(eventOccursOn(event, '2024-03-31')).toBe(true);
+  });
+
+  it('stops recurring after the end date', () => {
+    const event = { eventDate: '2024-01-01', isRecurring: true, recurringPattern: 'daily', recurringEndDate: '2024-01-10' };
+    expect(eventOccursOn(event, '2024-01-10')).toBe(true);
+    expect(eventOccursOn(event, '2024-01-11')).toBe(false);
+  });
+});
+
+describe('getHoursStatus', () => {
+  it('is open during weekly hours in the page timezone', () => {
+    const status = getHoursStatus(weekdayHours, new Date('2024-01-01T10:00:00Z'));
+
+    expect(status).toMatchObject({ isOpen: true, type: 'weekly', localTime: '11:00', startTime: '09:00', endTime: '17:00' });
+    expect(status.nextClose.toISOString()).toBe('2024-01-01T16:00:00.000Z');
+  });
+
+  it('is closed after hours and reports the next opening', () => {
+    const status = getHoursStatus(weekdayHours, new Date('2024-01-01T17:00:00Z'));
+
+    expect(status.isOpen).toBe(false);
+    expect(status.nextOpen.toISOString()).toBe('2024-01-08T08:00:00.000Z');
+  });
+
+  it('keeps overnight hours open past midnight', () => {
+    const serviceHours = {
+      type: 'weekly',
+      timezone: 'UTC',
+      weeklyHours: [{ day: 'Fri', startTime: '18:00', endTime: '02:00' }]
+    };
+    const status = getHoursStatus(serviceHours, new Date('2024-01-06T01:00:00Z'));
+
+    expect(status.isOpen).toBe(true);
+    expect(status.nextClose.toISOString()).toBe('2024-01-06T02:00:00.000Z');
+  });
+
+  it('opens for event dates', () => {
+    const serviceHours = {
+      type: 'event-dates',
+      timezone: 'UTC',
+      eventDates: [{ eventName: 'Market', eventDate: '2024-01-03', startTime: '08:00', endTime: '12:00' }]
+    };
+    const status = getHoursStatus(serviceHours, new Date('2024-01-03T09:00:00Z'));
+
+    expect(status).toMatchObject({ isOpen: true, type: 'event', eventName: 'Market' });
+  });
+
+  it('falls back to UTC for an unknown timezone', () => {
+    expect(getHoursStatus({ ...weekdayHours, timezone: 'Mars/Olympus' }).timezone).toBe('UTC');
+  });
+});
+
+describe('getSchedule', () => {
+  it('lists each day starting today with its hours', () => {
+    const { days } = getSchedule(weekdayHours, 2, new Date('2024-01-01T10:00:00Z'));
+
+    expect(days).toHaveLength(2);
+    expect(days[0]).toMatchObject({ date: '2024-01-01', day: 'Mon', isToday: true, isClosed: false });
+    expect(days[0].hours[0]).toMatchObject({ startTime: '09:00', endTime: '17:00' });
+    expect(days[1]).toMatchObject({ date: '2024-01-02', isClosed: true, hours: [] });
+  });
+});
+
+describe('isOpenNow', () => {
+  it('is false without service hours', () => {
+    expect(isOpenNow(null)).toBe(false);
+  });
+});
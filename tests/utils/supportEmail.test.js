@@ -0,0 +1,79 @@
+process.env.SUPPORT_REPLY_ADDRESS = 'support@reply.kunex.app';
+process.env.SUPPORT_EMAIL_TOKEN_SECRET = 'test-secret';
+
+const { SUPPORT_REPLY_MARKER } = require('../../src/utils/email');
+const { parseAddress, findTicketId, getReplyToAddress, extractReplyText } = require('../../src/utils/supportEmail');
+
+const ticketId = '65a1f0c2b3d4e5f601234567';
+const replyTo = getReplyToAddress({ _id: ticketId });
+
+describe('parseAddress', () => {
+  it('returns the bare address in lower case', () => {
+    expect(parseAddress('Jane Doe <Jane@Example.com>')).toBe('jane@example.com');
+    expect(parseAddress('jane@example.com')).toBe('jane@example.com');
+    expect(parseAddress('no address here')).toBeNull();
+  });
+});
+
+describe('getReplyToAddress', () => {
+  it('adds the ticket token to the reply mailbox as a plus address', () => {
+    expect(replyTo).toMatch(new RegExp(`^support\\+${ticketId}-[a-f0-9]{16}@reply\\.kunex\\.app$`));
+  });
+});
+
+describe('findTicketId', () => {
+  it('finds the ticket from a signed recipient address', () => {
+    expect(findTicketId(['someone@example.com', `Support <${replyTo.toUpperCase()}>`])).toBe(ticketId);
+  });
+
+  it('finds the ticket from threading headers', () => {
+    const token = replyTo.split('+')[1].split('@')[0];
+    expect(findTicketId([`<ticket-${token}.abc@kunex.app>`])).toBe(ticketId);
+  });
+
+  it('ignores tokens with a wrong signature', () => {
+    expect(findTicketId([`support+${ticketId}-0000000000000000@reply.kunex.app`])).toBeNull();
+    expect(findTicketId([undefined, ''])).toBeNull();
+  });
+});
+
+describe('extractReplyText', () => {
+  it('keeps the text above the reply marker', () => {
+    const text = `Thanks, that fixed it.\n\n${SUPPORT_REPLY_MARKER}\nPrevious message`;
+    expect(extractReplyText({ text })).toBe('Thanks, that fixed it.');
+  });
+
+  it('stops at the quoted message header and skips quoted lines', () => {
+    const text = [
+      'Still broken.',
+      '> quoted line',
+      'Any update?',
+      '',
+      'On Mon, 1 Jan 2024 at 10:00, Kunex Support <support@kunex.app>',
+      'wrote:',
+      '> Earlier reply'
+    ].join('\r\n');
+
+    expect(extractReplyText({ text })).toBe('Still broken.\nAny update?');
+  });
+
+  it('drops the signature', () => {
+    expect(extractReplyText({ text: 'Sounds good\n-- \nJane' })).toBe('Sounds good');
+  });
+
+  it('prefers text already stripped by the relay', () => {
+    expect(extractReplyText({ strippedText: 'Short answer', text: 'Short answer\n> quoted' })).toBe('Short answer');
+  });
+
+  it('reads HTML-only emails', () => {
+    const html = '<div>Hello &amp; thanks<br>Jane</div><blockquote>Old message</blockquote>';
+    expect(extractReplyText({ html })).toBe('Hello & thanks\nJane');
+  });
+
+  it('caps the reply length', () => {
+    const reply = extractReplyText({ text: 'a'.repeat(2500) });
+
+    expect(reply).toHaveLength(2000);
+    expect(reply.endsWith('...')).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+const { ACTIVE_STATUSES, getSlaDueDates, getSlaStatus, breachedFilter } = require('../../src/utils/supportSla');
+
+const openedAt = new Date('2024-01-01T09:00:00Z');
+const at = (hours) => new Date(openedAt.getTime() + hours * 60 * 60 * 1000);
+
+const ticket = (overrides = {}) => ({
+  status: 'Open',
+  sla: getSlaDueDates('High', openedAt),
+  ...overrides
+});
+
+describe('getSlaDueDates', () => {
+  it('sets due dates from the priority targets', () => {
+    expect(getSlaDueDates('Urgent', openedAt)).toEqual({ firstResponseDueAt: at(1), resolutionDueAt: at(8) });
+    expect(getSlaDueDates('Low', openedAt)).toEqual({ firstResponseDueAt: at(24), resolutionDueAt: at(168) });
+  });
+
+  it('uses the Medium targets for an unknown priority', () => {
+    expect(getSlaDueDates('Whenever', openedAt)).toEqual(getSlaDueDates('Medium', openedAt));
+  });
+});
+
+describe('getSlaStatus', () => {
+  it('runs both timers while the ticket waits for an agent', () => {
+    const status = getSlaStatus(ticket(), at(1));
+
+    expect(status.breached).toBe(false);
+    expect(status.firstResponse).toMatchObject({ breached: false, completedAt: null, remainingMs: 3 * 60 * 60 * 1000 });
+    expect(status.resolution).toMatchObject({ breached: false, remainingMs: 23 * 60 * 60 * 1000 });
+  });
+
+  it('breaches the first response timer once it is overdue', () => {
+    const status = getSlaStatus(ticket(), at(5));
+
+    expect(status.firstResponse.breached).toBe(true);
+    expect(status.resolution.breached).toBe(false);
+    expect(status.breached).toBe(true);
+  });
+
+  it('records whether completed timers were met', () => {
+    const status = getSlaStatus(ticket({ status: 'Completed', firstResponseAt: at(2), resolvedAt: at(30) }), at(40));
+
+    expect(status.firstResponse).toEqual({ dueAt: at(4), completedAt: at(2), breached: false });
+    expect(status.resolution).toEqual({ dueAt: at(24), completedAt: at(30), breached: true });
+  });
+
+  it('stops the timers of tickets no agent has to act on', () => {
+    const status = getSlaStatus(ticket({ status: 'Closed' }), at(100));
+
+    expect(status.breached).toBe(false);
+    expect(status.firstResponse.remainingMs).toBeNull();
+  });
+
+  it('drops the resolution timer of cancelled tickets', () => {
+    expect(getSlaStatus(ticket({ status: 'Cancelled' }), at(1)).resolution).toBeNull();
+  });
+
+  it('has no timers for tickets without SLA dates', () => {
+    expect(getSlaStatus({ status: 'Open' })).toEqual({ firstResponse: null, resolution: null, breached: false });
+  });
+});
+
+describe('breachedFilter', () => {
+  it('matches active tickets past the chosen due date', () => {
+    const now = at(10);
+
+    expect(breachedFilter('first_response', now)).toEqual({
+      status: { $in: ACTIVE_STATUSES },
+      $or: [{ firstResponseAt: null, 'sla.firstResponseDueAt': { $lt: now } }]
+    });
+    expect(breachedFilter('any', now).$or).toHaveLength(2);
+  });
+});
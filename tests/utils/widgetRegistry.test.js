@@ -0,0 +1,94 @@
+const {
+  WIDGET_TYPES,
+  getWidgetType,
+  listWidgetTypes,
+  applyWidgetDefaults,
+  validateWidgetSettings,
+  renderWidgetPreview
+} = require('../../src/utils/widgetRegistry');
+
+describe('getWidgetType', () => {
+  it('returns registered types only', () => {
+    expect(getWidgetType('button')).toBe(WIDGET_TYPES.button);
+    expect(getWidgetType('toString')).toBeNull();
+    expect(getWidgetType('unknown')).toBeNull();
+  });
+});
+
+describe('listWidgetTypes', () => {
+  it('lists each type with its required and optional settings', () => {
+    const button = listWidgetTypes().find(type => type.type === 'button');
+
+    expect(button).toMatchObject({ name: 'Button', category: 'content', specificKey: null });
+    expect(button.settings.required).toEqual(['content.text']);
+    expect(button.settings.optional).toEqual(['content.url']);
+  });
+
+  it('filters by category', () => {
+    const types = listWidgetTypes('form');
+
+    expect(types.length).toBeGreaterThan(0);
+    expect(types.every(type => type.category === 'form')).toBe(true);
+  });
+});
+
+describe('applyWidgetDefaults', () => {
+  it('fills in defaults without overriding client values', () => {
+    expect(applyWidgetDefaults('form', { specific: { form: { titleTextBox: 'Say hi' } } }).specific.form)
+      .toEqual({ titleTextBox: 'Say hi', hasEmail: true, hasPhoneNumber: false });
+    expect(applyWidgetDefaults('button', {}).content).toEqual({ text: 'Click here' });
+  });
+
+  it('leaves unknown types untouched', () => {
+    const settings = { content: { text: 'x' } };
+    expect(applyWidgetDefaults('unknown', settings)).toBe(settings);
+  });
+});
+
+describe('validateWidgetSettings', () => {
+  it('accepts valid settings', () => {
+    const { errors, value } = validateWidgetSettings('button', { content: { text: 'Buy now', url: 'https://example.com' } });
+
+    expect(errors).toBeNull();
+    expect(value.content.text).toBe('Buy now');
+  });
+
+  it('reports each invalid field with its settings path', () => {
+    const { errors } = validateWidgetSettings('countdown', { specific: { countdown: { format: 'weeks' } } });
+
+    expect(errors.map(error => error.field)).toEqual([
+      'settings.specific.countdown.targetDate',
+      'settings.specific.countdown.format'
+    ]);
+  });
+
+  it('rejects unknown widget types', () => {
+    const { errors } = validateWidgetSettings('unknown', {});
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].field).toBe('type');
+  });
+
+  it.each(['(a+)+$', '^(a|a)*$'])('rejects form field pattern %s, which can backtrack', (pattern) => {
+    const { errors } = validateWidgetSettings('form', {
+      specific: { form: { titleTextBox: 'Contact', fields: [{ name: 'code', type: 'text', validation: { pattern } }] } }
+    });
+
+    expect(errors).toEqual([expect.objectContaining({ field: 'settings.specific.form.fields.0.validation.pattern' })]);
+  });
+});
+
+describe('renderWidgetPreview', () => {
+  it('uses the type preview', () => {
+    expect(renderWidgetPreview({ type: 'button', settings: { content: { text: 'Buy now' } } })).toBe('Buy now');
+    expect(renderWidgetPreview({
+      type: 'form',
+      settings: { specific: { form: { titleTextBox: 'Contact', fields: [{ name: 'a' }, { name: 'b' }] } } }
+    })).toBe('Contact (2 fields)');
+  });
+
+  it('falls back when the preview cannot be rendered', () => {
+    expect(renderWidgetPreview({ type: 'countdown', settings: { content: { title: 'Launch' } } })).toBe('Launch');
+    expect(renderWidgetPreview({ type: 'unknown' })).toBe('Widget Preview');
+  });
+});